@@ -1,7 +1,15 @@
 require('dotenv').config()
 const { ethers } = require('ethers')
+const { fetchLogsRange } = require('../lib/fetch-logs-range')
+const { createEventFollower } = require('../lib/event-follower')
+const { createDefaultRegistry } = require('../lib/decoder-registry')
+const { createTokenMetadataService } = require('../lib/token-metadata')
+const { createProviderFromEnv } = require('../lib/provider-pool')
+const { sqrtPriceX96ToPrice } = require('../lib/uniswap-v3')
 
-const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL)
+// RPC_URL / ARCHIVE_RPC_URL or RPC_ENDPOINTS, see lib/provider-pool.js
+// Created in main(), so a missing RPC_URL ends in its error message
+let provider = null
 
 // Uniswap V3 USDC/ETH Pool
 const POOL_ADDRESS = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640'
@@ -9,9 +17,17 @@ const POOL_ADDRESS = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640'
 // Event signatures
 const SWAP_EVENT = ethers.utils.id('Swap(address,address,int256,int256,uint160,uint128,int24)')
 
+// Decodes logs with the ABIs of known contracts (see lib/abis)
+const registry = createDefaultRegistry({ abiDir: process.env.ABI_DIR })
+
+// Resolves symbol/decimals of each token once (cached in .cache/)
+let tokens = null
+
 /**
  * Example 1: Pagination for large block ranges
- * Break down queries into chunks to avoid RPC limits
+ * Break down queries into chunks to avoid RPC limits.
+ * The chunk size adapts to the provider: it is halved when the node
+ * rejects a range and grows again after successful calls.
  */
 async function paginatedQuery() {
   console.log('=== Paginated Query Example ===\n')
@@ -19,29 +35,19 @@ async function paginatedQuery() {
   const currentBlock = await provider.getBlockNumber()
   const startBlock = currentBlock - 10000
   const endBlock = currentBlock
-  const chunkSize = 2000 // Most providers support 2000 blocks
-
-  console.log(`Querying ${endBlock - startBlock} blocks in chunks of ${chunkSize}...\n`)
-
-  let allLogs = []
-
-  for (let from = startBlock; from < endBlock; from += chunkSize) {
-    const to = Math.min(from + chunkSize - 1, endBlock)
-
-    console.log(`Fetching blocks ${from} to ${to}...`)
-
-    const logs = await provider.getLogs({
-      address: POOL_ADDRESS,
-      fromBlock: from,
-      toBlock: to,
-      topics: [SWAP_EVENT]
-    })
 
-    allLogs = allLogs.concat(logs)
+  console.log(`Querying ${endBlock - startBlock} blocks with adaptive chunking...\n`)
 
-    // Respect rate limits
-    await new Promise(resolve => setTimeout(resolve, 100))
-  }
+  const allLogs = await fetchLogsRange(provider, {
+    address: POOL_ADDRESS,
+    fromBlock: startBlock,
+    toBlock: endBlock,
+    topics: [SWAP_EVENT]
+  }, {
+    onChunk: ({ fromBlock, toBlock, logs }) => {
+      console.log(`Fetched blocks ${fromBlock} to ${toBlock}: ${logs.length} logs`)
+    }
+  })
 
   console.log(`\nTotal Swap events found: ${allLogs.length}`)
 
@@ -68,7 +74,7 @@ async function multiContractQuery() {
 
   // Query all pools in parallel
   const promises = pools.map(address =>
-    provider.getLogs({
+    fetchLogsRange(provider, {
       address,
       fromBlock,
       toBlock: 'latest',
@@ -97,24 +103,30 @@ async function complexFiltering() {
 
   console.log('Fetching recent swaps from Uniswap V3 pool...\n')
 
-  const logs = await provider.getLogs({
+  const logs = await fetchLogsRange(provider, {
     address: POOL_ADDRESS,
     fromBlock: currentBlock - 500,
     toBlock: 'latest',
     topics: [SWAP_EVENT]
   })
 
-  // Interface for parsing
-  const poolInterface = new ethers.utils.Interface([
-    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
-  ])
-
   console.log(`Found ${logs.length} swaps, filtering for large trades...\n`)
 
+  // Which pool token is which is read from the pool, not assumed
+  const { token0, token1 } = await tokens.getPoolTokens(POOL_ADDRESS)
+  const usdcSide = token1.symbol === 'USDC' ? 'amount1' : 'amount0'
+  const usdcToken = usdcSide === 'amount1' ? token1 : token0
+  // The other token is the one priced, in USDC
+  const base = usdcSide === 'amount1' ? 'token0' : 'token1'
+  const pricedToken = base === 'token0' ? token0 : token1
+  const threshold = ethers.utils.parseUnits('1000', usdcToken.decimals)
+
+  console.log(`Pool tokens: token0 = ${token0.symbol}, token1 = ${token1.symbol}\n`)
+
   // Filter for large swaps (>1000 USDC value)
   const largeSwaps = logs
     .map(log => {
-      const parsed = poolInterface.parseLog(log)
+      const parsed = registry.decodeLog(log)
       return {
         blockNumber: log.blockNumber,
         txHash: log.transactionHash,
@@ -122,27 +134,25 @@ async function complexFiltering() {
         recipient: parsed.args.recipient,
         amount0: parsed.args.amount0,
         amount1: parsed.args.amount1,
-        sqrtPriceX96: parsed.args.sqrtPriceX96,
+        // Pool price after the swap: exact and decimal-adjusted (lib/uniswap-v3.js)
+        price: sqrtPriceX96ToPrice(parsed.args.sqrtPriceX96, token0.decimals, token1.decimals, { base, precision: 2 })
       }
     })
-    .filter(swap => {
-      // amount1 is USDC (6 decimals)
-      const usdcAmount = Math.abs(ethers.utils.formatUnits(swap.amount1, 6))
-      return parseFloat(usdcAmount) > 1000
-    })
+    .filter(swap => swap[usdcSide].abs().gt(threshold))
 
-  console.log(`Found ${largeSwaps.length} swaps > 1000 USDC\n`)
+  console.log(`Found ${largeSwaps.length} swaps > 1000 ${usdcToken.symbol}\n`)
 
   // Display first 5
   largeSwaps.slice(0, 5).forEach((swap, i) => {
-    const ethAmount = ethers.utils.formatEther(swap.amount0.abs())
-    const usdcAmount = ethers.utils.formatUnits(swap.amount1.abs(), 6)
+    const amount0 = ethers.utils.formatUnits(swap.amount0.abs(), token0.decimals)
+    const amount1 = ethers.utils.formatUnits(swap.amount1.abs(), token1.decimals)
 
     console.log(`Large Swap ${i + 1}:`)
     console.log(`  Block: ${swap.blockNumber}`)
     console.log(`  Tx: ${swap.txHash}`)
-    console.log(`  ETH amount: ${ethAmount}`)
-    console.log(`  USDC amount: ${usdcAmount}`)
+    console.log(`  ${token0.symbol} amount: ${amount0}`)
+    console.log(`  ${token1.symbol} amount: ${amount1}`)
+    console.log(`  Price after: ${swap.price} ${usdcToken.symbol} per ${pricedToken.symbol}`)
     console.log()
   })
 }
@@ -150,6 +160,11 @@ async function complexFiltering() {
 /**
  * Example 4: Real-time monitoring with WebSocket
  * Note: This requires a WebSocket RPC endpoint
+ *
+ * The WebSocket only signals new blocks; logs are read over HTTP and the
+ * follower tracks block hashes, so reorged logs are reported as removed
+ * and logs are only marked final after 12 confirmations.
+ * See follow-events.js for a long-running version.
  */
 async function realtimeMonitoring() {
   console.log('\n=== Real-time Monitoring Example ===\n')
@@ -160,31 +175,47 @@ async function realtimeMonitoring() {
     return
   }
 
-  const wsProvider = new ethers.providers.WebSocketProvider(process.env.WS_RPC_URL)
-
-  const filter = {
-    address: POOL_ADDRESS,
-    topics: [SWAP_EVENT]
-  }
-
-  console.log('Listening for swaps... (will run for 30 seconds)\n')
+  const follower = createEventFollower({
+    provider,
+    wsUrl: process.env.WS_RPC_URL,
+    filter: {
+      address: POOL_ADDRESS,
+      topics: [SWAP_EVENT]
+    },
+    confirmations: 12
+  })
 
-  wsProvider.on(filter, (log) => {
+  follower.on('add', (log) => {
     console.log(`New swap detected in block ${log.blockNumber}`)
     console.log(`  Tx: ${log.transactionHash}`)
   })
 
+  follower.on('remove', (log) => {
+    console.log(`Swap removed by reorg (block ${log.blockNumber})`)
+    console.log(`  Tx: ${log.transactionHash}`)
+  })
+
+  follower.on('error', (error) => {
+    console.log(`Follower error: ${error.message}`)
+  })
+
+  console.log('Listening for swaps... (will run for 30 seconds)\n')
+
+  await follower.start()
+
   // Run for 30 seconds then cleanup
   await new Promise(resolve => setTimeout(resolve, 30000))
 
-  wsProvider.removeAllListeners()
-  await wsProvider.destroy()
+  await follower.stop()
 
   console.log('\nStopped monitoring.')
 }
 
 async function main() {
   try {
+    provider = createProviderFromEnv()
+    tokens = createTokenMetadataService(provider)
+
     await paginatedQuery()
     await multiContractQuery()
     await complexFiltering()
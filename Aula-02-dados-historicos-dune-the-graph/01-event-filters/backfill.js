@@ -0,0 +1,101 @@
+require('dotenv').config()
+const path = require('path')
+const { ethers } = require('ethers')
+const { backfillEvents } = require('../lib/backfill')
+const { createJsonlStore } = require('../lib/jsonl-store')
+const { createProviderFromEnv } = require('../lib/provider-pool')
+const { EXIT_FAILURE, EXIT_USAGE, parseArgs, parseAddress, parseInteger, usageError } = require('../lib/cli/args')
+
+/**
+ * Resumable event backfill
+ *
+ * Streams decoded logs into data/<name>/events.jsonl and records the last
+ * fully processed block in data/<name>/checkpoint.json. Run it again after a
+ * crash (or next week) and it continues from the checkpoint.
+ *
+ * Usage:
+ *   node 01-event-filters/backfill.js --address 0x... --from 6082465 --out data/usdc-transfers
+ *
+ * Flags are parsed as by the evm-history CLI (lib/cli/args.js): invalid ones
+ * exit with code 2.
+ *
+ * Options:
+ *   --address  Contract address (default: USDC)
+ *   --event    Event fragment (default: ERC20 Transfer)
+ *   --from     First block when there is no checkpoint yet (default: latest - 10000);
+ *              with one, it may not be past the checkpoint
+ *   --to       Last block (default: latest)
+ *   --out      Store directory (default: data/<address>-<event name>)
+ */
+
+const USDC_ADDRESS = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
+const TRANSFER_EVENT = 'event Transfer(address indexed from, address indexed to, uint256 value)'
+
+const USAGE = 'Usage: node 01-event-filters/backfill.js [--address <address>] [--event <fragment>] [--from <block>] [--to <block>] [--out <dir>]'
+
+function parseEventName(event) {
+  try {
+    return ethers.utils.EventFragment.from(event.replace(/^event\s+/, '')).name
+  } catch (error) {
+    throw usageError(`--event is not an event fragment: ${event}`)
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  const address = parseAddress(args.address || USDC_ADDRESS, 'address')
+  const event = args.event || TRANSFER_EVENT
+  const eventName = parseEventName(event)
+  const from = args.from !== undefined ? parseInteger(args.from, 'from') : undefined
+  const to = args.to !== undefined ? parseInteger(args.to, 'to') : undefined
+
+  // RPC_URL / ARCHIVE_RPC_URL or RPC_ENDPOINTS, see lib/provider-pool.js
+  const provider = createProviderFromEnv()
+
+  const outDir = args.out || path.join('data', `${address.toLowerCase()}-${eventName.toLowerCase()}`)
+  const store = createJsonlStore(outDir)
+
+  const currentBlock = await provider.getBlockNumber()
+  const checkpoint = store.readCheckpoint()
+  // With a checkpoint the default is to resume from it, not from latest - 10000
+  const fromBlock = from !== undefined
+    ? from
+    : (checkpoint ? undefined : currentBlock - 10000)
+  const toBlock = to !== undefined ? to : currentBlock
+
+  console.log('=== Event Backfill ===\n')
+  console.log(`Contract: ${address}`)
+  console.log(`Event: ${eventName}`)
+  console.log(`Store: ${store.eventsPath}`)
+  if (checkpoint) {
+    console.log(`Resuming after checkpoint block ${checkpoint.lastBlock}`)
+  }
+  console.log()
+
+  const summary = await backfillEvents(provider, {
+    address,
+    event,
+    fromBlock,
+    toBlock,
+    store,
+    onProgress: ({ fromBlock, toBlock, written }) => {
+      console.log(`Blocks ${fromBlock}-${toBlock} done, ${written} events written`)
+    }
+  })
+
+  console.log(`\nBackfilled blocks ${summary.fromBlock} to ${summary.toBlock}`)
+  console.log(`  Written: ${summary.written}`)
+  console.log(`  Skipped duplicates: ${summary.skipped}`)
+}
+
+main().catch(error => {
+  console.error('Error:', error.message)
+
+  if (error.exitCode === EXIT_USAGE) {
+    console.error(`\n${USAGE}`)
+  } else {
+    console.error('\nThe checkpoint is kept, run the same command again to resume.')
+  }
+  process.exitCode = error.exitCode || EXIT_FAILURE
+})
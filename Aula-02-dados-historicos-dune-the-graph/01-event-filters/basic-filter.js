@@ -1,8 +1,14 @@
 require('dotenv').config()
 const { ethers } = require('ethers')
+const { createDefaultRegistry } = require('../lib/decoder-registry')
+const { fetchLogsRange } = require('../lib/fetch-logs-range')
+const { createTokenMetadataService } = require('../lib/token-metadata')
+const { createProviderFromEnv } = require('../lib/provider-pool')
 
 // Connect to Ethereum mainnet
-const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL)
+// RPC_URL / ARCHIVE_RPC_URL or RPC_ENDPOINTS, see lib/provider-pool.js
+// Created in main(), so a missing RPC_URL ends in its error message
+let provider = null
 
 // USDC Contract on Ethereum mainnet
 const USDC_ADDRESS = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
@@ -12,6 +18,12 @@ const TRANSFER_EVENT_SIGNATURE = ethers.utils.id('Transfer(address,address,uint2
 
 console.log(`USDC Transfer Event Signature: ${TRANSFER_EVENT_SIGNATURE}`)
 
+// Decodes logs with the ABIs of known contracts (see lib/abis)
+const registry = createDefaultRegistry({ abiDir: process.env.ABI_DIR })
+
+// Resolves symbol/decimals of each token once (cached in .cache/)
+let tokens = null
+
 async function basicFilterExample() {
   console.log('=== Basic Event Filter Example ===\n')
 
@@ -32,30 +44,24 @@ async function basicFilterExample() {
     topics: [TRANSFER_EVENT_SIGNATURE]
   }
 
-  const logs = await provider.getLogs(filter)
+  // Splits the range when the provider caps eth_getLogs (see lib/fetch-logs-range.js)
+  const logs = await fetchLogsRange(provider, filter)
 
   console.log(`Found ${logs.length} Transfer events\n`)
 
-  // Parse and display first 5 events
-  const usdcInterface = new ethers.utils.Interface([
-    'event Transfer(address indexed from, address indexed to, uint256 value)'
-  ])
-
+  // Decode and display first 5 events
   console.log('First 5 Transfer events:\n')
 
   for (let i = 0; i < Math.min(5, logs.length); i++) {
     const log = logs[i]
-    const parsed = usdcInterface.parseLog(log)
-
-    // USDC has 6 decimals
-    const amount = ethers.utils.formatUnits(parsed.args.value, 6)
+    const parsed = await tokens.formatDecodedLog(registry.decodeLog(log))
 
     console.log(`Event ${i + 1}:`)
     console.log(`  Block: ${log.blockNumber}`)
     console.log(`  Tx: ${log.transactionHash}`)
     console.log(`  From: ${parsed.args.from}`)
     console.log(`  To: ${parsed.args.to}`)
-    console.log(`  Amount: ${amount} USDC`)
+    console.log(`  Amount: ${parsed.formatted.value}`)
     console.log()
   }
 }
@@ -82,37 +88,36 @@ async function filterByAddress() {
     ]
   }
 
-  const logs = await provider.getLogs(filter)
+  const logs = await fetchLogsRange(provider, filter)
 
   console.log(`Found ${logs.length} transfers to Vitalik\n`)
 
   if (logs.length > 0) {
-    const usdcInterface = new ethers.utils.Interface([
-      'event Transfer(address indexed from, address indexed to, uint256 value)'
-    ])
-
     let totalReceived = ethers.BigNumber.from(0)
 
-    logs.forEach((log, i) => {
-      const parsed = usdcInterface.parseLog(log)
+    for (let i = 0; i < logs.length; i++) {
+      const parsed = registry.decodeLog(logs[i])
       totalReceived = totalReceived.add(parsed.args.value)
 
       if (i < 3) { // Show first 3
-        const amount = ethers.utils.formatUnits(parsed.args.value, 6)
+        const amount = await tokens.formatAmount(USDC_ADDRESS, parsed.args.value)
         console.log(`Transfer ${i + 1}:`)
         console.log(`  From: ${parsed.args.from}`)
-        console.log(`  Amount: ${amount} USDC`)
+        console.log(`  Amount: ${amount}`)
         console.log()
       }
-    })
+    }
 
-    const total = ethers.utils.formatUnits(totalReceived, 6)
-    console.log(`Total received in this period: ${total} USDC`)
+    const total = await tokens.formatAmount(USDC_ADDRESS, totalReceived)
+    console.log(`Total received in this period: ${total}`)
   }
 }
 
 async function main() {
   try {
+    provider = createProviderFromEnv()
+    tokens = createTokenMetadataService(provider)
+
     await basicFilterExample()
     await filterByAddress()
   } catch (error) {
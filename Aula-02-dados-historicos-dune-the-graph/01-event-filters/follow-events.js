@@ -0,0 +1,64 @@
+require('dotenv').config()
+const { ethers } = require('ethers')
+const { createEventFollower } = require('../lib/event-follower')
+const { createProviderFromEnv } = require('../lib/provider-pool')
+
+/**
+ * Long-running, reorg-aware event follower
+ *
+ * Prints every Swap of the Uniswap V3 USDC/ETH pool as it arrives, reports
+ * swaps removed by reorgs, and marks swaps final once they are CONFIRMATIONS
+ * blocks deep. Survives WebSocket drops: the gap is backfilled over HTTP.
+ *
+ * Usage:
+ *   node 01-event-filters/follow-events.js
+ *   CONFIRMATIONS=32 node 01-event-filters/follow-events.js
+ *
+ * Stop with Ctrl+C.
+ */
+
+// Uniswap V3 USDC/ETH Pool
+const POOL_ADDRESS = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640'
+const SWAP_EVENT = ethers.utils.id('Swap(address,address,int256,int256,uint160,uint128,int24)')
+
+const CONFIRMATIONS = parseInt(process.env.CONFIRMATIONS || '12', 10)
+
+async function main() {
+  // RPC_URL / ARCHIVE_RPC_URL or RPC_ENDPOINTS, see lib/provider-pool.js
+  const provider = createProviderFromEnv()
+  console.log('=== Live Event Follower ===\n')
+  console.log(`Pool: ${POOL_ADDRESS}`)
+  console.log(`Confirmations: ${CONFIRMATIONS}`)
+  console.log(`New heads via: ${process.env.WS_RPC_URL ? 'WebSocket' : 'HTTP polling'}\n`)
+
+  const follower = createEventFollower({
+    provider,
+    wsUrl: process.env.WS_RPC_URL,
+    filter: {
+      address: POOL_ADDRESS,
+      topics: [SWAP_EVENT]
+    },
+    confirmations: CONFIRMATIONS
+  })
+
+  follower.on('add', log => console.log(`[add]    block ${log.blockNumber} tx ${log.transactionHash}`))
+  follower.on('remove', log => console.log(`[remove] block ${log.blockNumber} tx ${log.transactionHash}`))
+  follower.on('final', log => console.log(`[final]  block ${log.blockNumber} tx ${log.transactionHash}`))
+  follower.on('reorg', ({ fromBlock, toBlock }) => console.log(`Reorg detected: blocks ${fromBlock}-${toBlock} replaced`))
+  follower.on('disconnect', ({ retryInMs }) => console.log(`WebSocket dropped, reconnecting in ${retryInMs}ms`))
+  follower.on('reconnect', () => console.log('WebSocket reconnected, backfilling gap'))
+  follower.on('error', error => console.error('Error:', error.message))
+
+  process.on('SIGINT', async () => {
+    console.log('\nStopping...')
+    await follower.stop()
+    process.exit(0)
+  })
+
+  await follower.start()
+}
+
+main().catch(error => {
+  console.error('Error:', error.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,93 @@
+require('dotenv').config()
+const fs = require('fs')
+const path = require('path')
+const { createPoolAnalytics } = require('../lib/uniswap-v3')
+const { createProviderFromEnv } = require('../lib/provider-pool')
+const { EXIT_FAILURE, EXIT_USAGE, parseArgs, parseAddress, parseInteger, usageError } = require('../lib/cli/args')
+
+/**
+ * Uniswap V3 price history
+ *
+ * Prints the pool price read from slot0() at a few past blocks, then builds
+ * OHLC candles from the Swap events of a block range. Prices are exact
+ * (BigInt math on sqrtPriceX96) and decimal-adjusted with the pool tokens'
+ * real decimals.
+ *
+ * Usage:
+ *   node 01-event-filters/price-history.js --blocks 7200 --interval 3600 --out data/eth-usdc.json
+ *
+ * Flags are parsed as by the evm-history CLI (lib/cli/args.js): invalid ones
+ * exit with code 2.
+ *
+ * Options:
+ *   --pool      Uniswap V3 pool (default: USDC/ETH 0.05%)
+ *   --base      Token priced: token0 or token1 (default: token1, i.e. ETH in USDC)
+ *   --blocks    Block range of the candles, ending at latest (default: 1000)
+ *   --interval  Candle interval in seconds (default: 3600)
+ *   --out       Write the series as JSON to this file
+ */
+
+// Uniswap V3 USDC/ETH 0.05% pool (token0 = USDC, token1 = WETH)
+const POOL_ADDRESS = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640'
+
+const USAGE = 'Usage: node 01-event-filters/price-history.js [--pool <address>] [--base token0|token1] [--blocks <n>] [--interval <seconds>] [--out <file.json>]'
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+
+  const poolAddress = parseAddress(args.pool || POOL_ADDRESS, 'pool')
+  const base = args.base || 'token1'
+  const blockRange = parseInteger(args.blocks || '1000', 'blocks')
+  const intervalSeconds = parseInteger(args.interval || '3600', 'interval')
+
+  if (!['token0', 'token1'].includes(base)) throw usageError(`--base must be token0 or token1, got "${base}"`)
+  if (intervalSeconds === 0) throw usageError('--interval must be at least 1 second')
+
+  // slot0() at old blocks is routed to ARCHIVE_RPC_URL (see lib/provider-pool.js)
+  const provider = createProviderFromEnv()
+
+  const analytics = createPoolAnalytics(provider, poolAddress, { base })
+  const info = await analytics.getInfo()
+  const currentBlock = await provider.getBlockNumber()
+
+  console.log('=== Uniswap V3 Price History ===\n')
+  console.log(`Pool: ${poolAddress} (${info.token0.symbol}/${info.token1.symbol})`)
+  console.log(`Price of 1 ${info.base.symbol} in ${info.quote.symbol}\n`)
+
+  console.log('slot0() at past blocks:')
+  const snapshots = await analytics.getSlot0Series(
+    [0, 1000, 5000, 10000, 50000].map(offset => currentBlock - offset)
+  )
+  for (const snapshot of snapshots) {
+    const date = new Date(snapshot.timestamp * 1000).toISOString()
+    console.log(`  Block ${snapshot.blockNumber} (${date}): ${snapshot.price} ${info.quote.symbol}`)
+  }
+
+  console.log(`\nBuilding ${intervalSeconds}s candles from the swaps of the last ${blockRange} blocks...\n`)
+  const history = await analytics.getCandles({
+    fromBlock: currentBlock - blockRange,
+    toBlock: currentBlock,
+    intervalSeconds
+  })
+
+  console.table(history.candles.map(candle => ({
+    time: candle.time,
+    open: Number(candle.open).toFixed(2),
+    high: Number(candle.high).toFixed(2),
+    low: Number(candle.low).toFixed(2),
+    close: Number(candle.close).toFixed(2),
+    swaps: candle.swaps
+  })))
+
+  if (args.out) {
+    fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true })
+    fs.writeFileSync(args.out, JSON.stringify({ ...history, snapshots }, null, 2))
+    console.log(`\nSeries written to ${args.out}`)
+  }
+}
+
+main().catch(error => {
+  console.error('Error:', error.message)
+  if (error.exitCode === EXIT_USAGE) console.error(`\n${USAGE}`)
+  process.exitCode = error.exitCode || EXIT_FAILURE
+})
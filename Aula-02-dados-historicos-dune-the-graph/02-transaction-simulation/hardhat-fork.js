@@ -1,269 +1,229 @@
+require('dotenv').config()
+const assert = require('assert')
+const { ethers } = require('ethers')
+const { createFork } = require('../lib/hardhat-fork')
+const { createTokenMetadataService } = require('../lib/token-metadata')
+const { traceStateDiff, diffChanges, createStateDiffDecoder, formatStateDiffTable } = require('../lib/state-diff')
+
 /**
  * Hardhat Network Forking Examples
  *
- * Hardhat allows you to fork a network and run tests locally.
- * This is useful for testing against real contract state without deploying.
+ * Forks mainnet inside this process (lib/hardhat-fork.js) and runs real
+ * transactions against real contract state: a USDC whale transfer, a
+ * Uniswap swap, seeded balances and time travel. Every scenario runs inside
+ * a snapshot, so each one starts from the fork block again.
+ *
+ * Each scenario takes `{ tokens, log }`: what it reports goes to `log`
+ * (console.log by default), so the tests can run them quietly.
+ *
+ * Usage:
+ *   node 02-transaction-simulation/hardhat-fork.js [--block 18000000]
+ *
+ * Needs an archive endpoint to fork an old block: FORK_RPC_URL, ARCHIVE_RPC_URL
+ * or RPC_URL. Forked state is cached in cache/ (Hardhat), so re-runs are fast.
  */
 
-console.log(`
-═══════════════════════════════════════════════════════════════
-  Hardhat Network Forking Guide
-═══════════════════════════════════════════════════════════════
+const USDC_ADDRESS = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
+const UNISWAP_V2_ROUTER = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D'
+const WHALE = '0xF977814e90dA44bFA03b6295A0616a897441aceC' // Binance
 
-Hardhat's forking feature allows you to:
-- Fork mainnet (or any network) at a specific block
-- Run transactions locally against real state
-- Test interactions with existing contracts
-- Debug issues without spending gas
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+]
 
-═══════════════════════════════════════════════════════════════
-  Setup Instructions
-═══════════════════════════════════════════════════════════════
+const ROUTER_ABI = [
+  'function WETH() view returns (address)',
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[])',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[])'
+]
 
-1. Install Hardhat:
-   npm install --save-dev hardhat
+const DEFAULT_BLOCK = 18000000
 
-2. Create hardhat.config.js:
-`)
-
-console.log(`
-// hardhat.config.js
-require('@nomiclabs/hardhat-ethers')
-
-module.exports = {
-  solidity: "0.8.19",
-  networks: {
-    hardhat: {
-      forking: {
-        url: process.env.ARCHIVE_RPC_URL,
-        blockNumber: 18000000  // Optional: fork from specific block
-      }
-    }
-  }
+function parseBlock(argv) {
+  const i = argv.indexOf('--block')
+  return parseInt(i >= 0 ? argv[i + 1] : process.env.FORK_BLOCK || DEFAULT_BLOCK, 10)
 }
-`)
 
-console.log(`
-═══════════════════════════════════════════════════════════════
-  Usage Examples
-═══════════════════════════════════════════════════════════════
-
-OPTION 1: Start Hardhat Node with Forking
-------------------------------------------
-npx hardhat node --fork \${ARCHIVE_RPC_URL}
-
-# Or fork from specific block:
-npx hardhat node --fork \${ARCHIVE_RPC_URL} --fork-block-number 18000000
-
-
-OPTION 2: Use in Hardhat Tests
--------------------------------
-`)
-
-console.log(`
-// test/fork-test.js
-const { ethers } = require('hardhat')
-
-describe('Forking Tests', function() {
-  let usdc
-  let impersonatedSigner
+/**
+ * A whale signer holding at least `amount` USDC
+ *
+ * Whale balances move over time: when it holds less at the fork block, the
+ * missing USDC is written into its balance slot.
+ */
+async function usdcWhale(fork, amount) {
+  const usdc = new ethers.Contract(USDC_ADDRESS, ERC20_ABI, fork.provider)
+  const whale = await fork.impersonate(WHALE, { balance: ethers.utils.parseEther('10') })
 
-  before(async function() {
-    // USDC contract
-    usdc = await ethers.getContractAt(
-      'IERC20',
-      '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
-    )
+  if ((await usdc.balanceOf(WHALE)).lt(amount)) {
+    await fork.setTokenBalance(USDC_ADDRESS, WHALE, amount)
+  }
 
-    // Impersonate a whale account
-    const whaleAddress = '0xF977814e90dA44bFA03b6295A0616a897441aceC'
-    await hre.network.provider.request({
-      method: 'hardhat_impersonateAccount',
-      params: [whaleAddress]
-    })
+  return whale
+}
 
-    impersonatedSigner = await ethers.getSigner(whaleAddress)
-  })
+/**
+ * Example 1: Transfer USDC from an impersonated whale
+ */
+async function whaleTransfer(fork, { tokens, log = console.log }) {
+  log('=== Transfer USDC from a Whale ===\n')
 
-  it('Should transfer USDC from whale', async function() {
-    const recipient = '0x0000000000000000000000000000000000000001'
-    const amount = ethers.utils.parseUnits('1000', 6)
+  const usdc = new ethers.Contract(USDC_ADDRESS, ERC20_ABI, fork.provider)
+  const recipient = '0x0000000000000000000000000000000000000001'
+  const amount = ethers.utils.parseUnits('1000', 6)
 
+  await fork.withSnapshot(async () => {
+    const whale = await usdcWhale(fork, amount)
     const balanceBefore = await usdc.balanceOf(recipient)
 
-    await usdc.connect(impersonatedSigner).transfer(recipient, amount)
-
+    const receipt = await (await usdc.connect(whale).transfer(recipient, amount)).wait()
     const balanceAfter = await usdc.balanceOf(recipient)
 
-    expect(balanceAfter.sub(balanceBefore)).to.equal(amount)
-  })
-
-  it('Should interact with Uniswap', async function() {
-    const router = await ethers.getContractAt(
-      'IUniswapV2Router',
-      '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D'
-    )
-
-    // Test swap without actually executing on mainnet
-    const amountIn = ethers.utils.parseUnits('1000', 6)
+    assert.ok(balanceAfter.sub(balanceBefore).eq(amount), 'recipient received the transfer')
 
-    // Approve and swap
-    await usdc.connect(impersonatedSigner).approve(router.address, amountIn)
+    log(`Whale ${WHALE} sent ${await tokens.formatAmount(USDC_ADDRESS, amount)}`)
+    log(`Gas used: ${receipt.gasUsed.toString()}`)
+    log(`Recipient balance: ${await tokens.formatAmount(USDC_ADDRESS, balanceBefore)} -> ${await tokens.formatAmount(USDC_ADDRESS, balanceAfter)}\n`)
 
-    const path = [usdc.address, await router.WETH()]
-
-    await router.connect(impersonatedSigner).swapExactTokensForETH(
-      amountIn,
-      0,
-      path,
-      impersonatedSigner.address,
-      Date.now() + 1000
+    // What the transfer wrote: USDC's balance slots, named from the addresses
+    // involved (its Transfer event marks USDC as an ERC20)
+    const changes = createStateDiffDecoder().decode(
+      diffChanges(await traceStateDiff(fork.provider, receipt.transactionHash)),
+      { addresses: [WHALE, recipient], logs: receipt.logs }
     )
+    log(formatStateDiffTable(changes.filter(change => change.kind === 'storage')) + '\n')
   })
-})
-`)
-
-console.log(`
-Run tests:
-npm hardhat test
+}
 
+/**
+ * Example 2: Swap USDC for ETH on Uniswap V2
+ */
+async function uniswapSwap(fork, { tokens, log = console.log }) {
+  log('=== Swap USDC for ETH on Uniswap V2 ===\n')
 
-OPTION 3: Interactive Console
-------------------------------
-npx hardhat console --network hardhat
+  const usdc = new ethers.Contract(USDC_ADDRESS, ERC20_ABI, fork.provider)
+  const router = new ethers.Contract(UNISWAP_V2_ROUTER, ROUTER_ABI, fork.provider)
+  const amountIn = ethers.utils.parseUnits('1000', 6)
 
-# Then in console:
-`)
+  await fork.withSnapshot(async () => {
+    const whale = await usdcWhale(fork, amountIn)
+    const path = [USDC_ADDRESS, await router.WETH()]
+    const [, quoted] = await router.getAmountsOut(amountIn, path)
 
-console.log(`
-const usdc = await ethers.getContractAt(
-  'IERC20',
-  '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
-)
+    await (await usdc.connect(whale).approve(router.address, amountIn)).wait()
 
-const balance = await usdc.balanceOf('0xF977814e90dA44bFA03b6295A0616a897441aceC')
-console.log(ethers.utils.formatUnits(balance, 6))
+    // The deadline is compared with block.timestamp, which is the fork's time, not ours
+    const { timestamp } = await fork.provider.getBlock('latest')
+    const ethBefore = await fork.provider.getBalance(WHALE)
 
+    const receipt = await (await router.connect(whale).swapExactTokensForETH(
+      amountIn,
+      quoted.mul(99).div(100), // 1% slippage
+      path,
+      WHALE,
+      timestamp + 600
+    )).wait()
 
-OPTION 4: Programmatic Forking
--------------------------------
-`)
+    const gasCost = receipt.gasUsed.mul(receipt.effectiveGasPrice)
+    const received = (await fork.provider.getBalance(WHALE)).sub(ethBefore).add(gasCost)
 
-console.log(`
-// scripts/fork-script.js
-const { ethers, network } = require('hardhat')
+    assert.ok(received.eq(quoted), 'received the quoted amount')
 
-async function main() {
-  // Fork mainnet programmatically
-  await network.provider.request({
-    method: 'hardhat_reset',
-    params: [{
-      forking: {
-        jsonRpcUrl: process.env.ARCHIVE_RPC_URL,
-        blockNumber: 18000000
-      }
-    }]
+    log(`Swapped ${await tokens.formatAmount(USDC_ADDRESS, amountIn)} for ${ethers.utils.formatEther(received)} ETH`)
+    log(`Gas used: ${receipt.gasUsed.toString()}\n`)
   })
+}
 
-  console.log('Forked mainnet at block 18000000')
+/**
+ * Example 3: Seed a token balance without a holder
+ *
+ * Any account can start with any amount: the harness finds the token's
+ * balances mapping and writes the balance slot directly.
+ *
+ * @param {Object} context - `{ tokens, log, token }`; token: any ERC20 (default: USDC)
+ */
+async function seedBalance(fork, { tokens, log = console.log, token = USDC_ADDRESS }) {
+  const { symbol, decimals } = await tokens.getToken(token)
+  log(`=== Seed a ${symbol} Balance ===\n`)
 
-  // Now interact with contracts
-  const usdc = await ethers.getContractAt(
-    'IERC20',
-    '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
-  )
+  const contract = new ethers.Contract(token, ERC20_ABI, fork.provider)
+  const account = ethers.Wallet.createRandom().address
+  const amount = ethers.utils.parseUnits('1000000', decimals)
 
-  const totalSupply = await usdc.totalSupply()
-  console.log('USDC Total Supply:', ethers.utils.formatUnits(totalSupply, 6))
+  await fork.withSnapshot(async () => {
+    const { slot, layout } = await fork.findBalanceSlot(token)
+    log(`${symbol} balances mapping: slot ${slot} (${layout} layout)`)
 
-  // Impersonate account
-  const whaleAddress = '0xF977814e90dA44bFA03b6295A0616a897441aceC'
-  await network.provider.request({
-    method: 'hardhat_impersonateAccount',
-    params: [whaleAddress]
-  })
+    await fork.setTokenBalance(token, account, amount)
+    const signer = await fork.impersonate(account, { balance: ethers.utils.parseEther('1') })
 
-  const whale = await ethers.getSigner(whaleAddress)
-  const balance = await usdc.balanceOf(whale.address)
-  console.log('Whale balance:', ethers.utils.formatUnits(balance, 6))
+    // The seeded balance is spendable like any other
+    await (await contract.connect(signer).transfer(WHALE, amount.div(2))).wait()
+    assert.ok((await contract.balanceOf(account)).eq(amount.div(2)), 'half of the seeded balance is left')
 
-  // Stop impersonating
-  await network.provider.request({
-    method: 'hardhat_stopImpersonatingAccount',
-    params: [whaleAddress]
+    log(`Fresh account ${account} seeded with ${await tokens.formatAmount(token, amount)}`)
+    log(`Sent half, left: ${await tokens.formatAmount(token, await contract.balanceOf(account))}\n`)
   })
 }
 
-main()
-
-
-═══════════════════════════════════════════════════════════════
-  Advanced Features
-═══════════════════════════════════════════════════════════════
-
-1. Reset Fork to Different Block:
-   await network.provider.request({
-     method: 'hardhat_reset',
-     params: [{
-       forking: {
-         jsonRpcUrl: RPC_URL,
-         blockNumber: NEW_BLOCK
-       }
-     }]
-   })
-
-2. Mine Blocks:
-   await network.provider.send('evm_mine')
-   await network.provider.send('evm_increaseTime', [3600]) // +1 hour
-
-3. Set Account Balance:
-   await network.provider.send('hardhat_setBalance', [
-     address,
-     '0x56BC75E2D63100000' // 100 ETH
-   ])
-
-4. Get Forked Block:
-   const block = await ethers.provider.getBlock('latest')
-   console.log('Forked from block:', block.number)
-
-
-═══════════════════════════════════════════════════════════════
-  Common Use Cases
-═══════════════════════════════════════════════════════════════
-
-✅ Testing contract interactions with real protocols
-✅ Debugging failed transactions
-✅ Testing with real liquidity and state
-✅ MEV strategy testing
-✅ Integration testing without testnet deployments
-
-❌ NOT suitable for production
-❌ Slower than regular Hardhat network
-❌ Requires archive node for old blocks
+/**
+ * Example 4: Time travel and snapshots
+ */
+async function timeTravel(fork, { log = console.log } = {}) {
+  log('=== Time Travel and Snapshots ===\n')
 
+  const start = await fork.provider.getBlock('latest')
+  const id = await fork.snapshot()
 
-═══════════════════════════════════════════════════════════════
-  Tips
-═══════════════════════════════════════════════════════════════
+  await fork.increaseTime(7 * 24 * 60 * 60)
+  const weekLater = await fork.provider.getBlock('latest')
+  log(`+7 days: block ${weekLater.number}, ${new Date(weekLater.timestamp * 1000).toISOString()}`)
 
-• Use specific block numbers for reproducible tests
-• Cache forked state to speed up repeated tests
-• Impersonate accounts to test with real balances
-• Fork from recent blocks to avoid archive node costs
-• Use eth_call for read-only queries (faster, cheaper)
+  await fork.mine(1000, 12)
+  const mined = await fork.provider.getBlock('latest')
+  log(`+1000 blocks: block ${mined.number}, ${new Date(mined.timestamp * 1000).toISOString()}`)
 
+  await fork.revert(id)
+  const reverted = await fork.provider.getBlock('latest')
+  assert.strictEqual(reverted.number, start.number, 'back at the fork block')
 
-═══════════════════════════════════════════════════════════════
-  Resources
-═══════════════════════════════════════════════════════════════
+  log(`Reverted:  block ${reverted.number}, ${new Date(reverted.timestamp * 1000).toISOString()}\n`)
+}
 
-• Hardhat Forking Docs: https://hardhat.org/hardhat-network/docs/guides/forking-other-networks
-• Example Tests: https://github.com/NomicFoundation/hardhat/tree/main/packages/hardhat-core/test/internal/hardhat-network
+async function main() {
+  try {
+    const blockNumber = parseBlock(process.argv.slice(2))
+
+    console.log(`Forking mainnet at block ${blockNumber}...\n`)
+    const fork = await createFork({ blockNumber })
+    const tokens = createTokenMetadataService(fork.provider)
+
+    console.log(`Fork ready at block ${fork.blockNumber}\n`)
+    console.log('='.repeat(60) + '\n')
+
+    await whaleTransfer(fork, { tokens })
+    await uniswapSwap(fork, { tokens })
+    await seedBalance(fork, { tokens })
+    await timeTravel(fork)
+
+    await fork.stop()
+    console.log('=== All Examples Complete ===')
+  } catch (error) {
+    console.error('Error:', error.message)
+    process.exitCode = 1
+  }
+}
 
-═══════════════════════════════════════════════════════════════
-`)
+// The scenarios also run as tests (test/hardhat-fork.test.js)
+if (require.main === module) {
+  main()
+}
 
-console.log('\nThis is an informational guide. To actually use forking:')
-console.log('1. Set up a Hardhat project')
-console.log('2. Configure forking in hardhat.config.js')
-console.log('3. Write tests or run scripts as shown above')
+module.exports = {
+  whaleTransfer,
+  uniswapSwap,
+  seedBalance,
+  timeTravel,
+  DEFAULT_BLOCK
+}
@@ -1,8 +1,16 @@
 require('dotenv').config()
 const { ethers } = require('ethers')
-
-// Requires an ARCHIVE node RPC URL
-const provider = new ethers.providers.JsonRpcProvider(process.env.ARCHIVE_RPC_URL || process.env.RPC_URL)
+const { createTokenMetadataService } = require('../lib/token-metadata')
+const { multicall } = require('../lib/multicall')
+const { createBlockResolver, dailyMidnights } = require('../lib/block-by-timestamp')
+const { reconstructBalanceHistory } = require('../lib/balance-history')
+const { createProviderFromEnv, MissingArchiveStateError } = require('../lib/provider-pool')
+
+// Calls at old blocks are routed to endpoints that serve that state (probed
+// once, see lib/rpc-capabilities.js); without one they fail fast with a
+// MissingArchiveStateError instead of hitting a full node.
+// Created in main(), so a missing RPC_URL ends in its error message
+let provider = null
 
 // USDC Contract
 const USDC_ADDRESS = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
@@ -12,6 +20,12 @@ const USDC_ABI = [
   'function decimals() view returns (uint8)'
 ]
 
+// Resolves symbol/decimals of each token once (cached in .cache/)
+let tokens = null
+
+// Block-by-timestamp lookups, block timestamps cached in .cache/
+let blocks = null
+
 // Vitalik's address
 const VITALIK = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'
 
@@ -27,7 +41,7 @@ async function historicalBalance() {
   console.log(`Current block: ${currentBlock}`)
 
   // Query balance at different points in time
-  const blocks = [
+  const blockNumbers = [
     currentBlock,
     currentBlock - 10000,   // ~1.4 days ago
     currentBlock - 100000,  // ~14 days ago
@@ -35,19 +49,19 @@ async function historicalBalance() {
 
   console.log(`\nVitalik's USDC balance over time:\n`)
 
-  for (const block of blocks) {
+  for (const block of blockNumbers) {
     try {
       const balance = await usdc.balanceOf(VITALIK, { blockTag: block })
-      const formatted = ethers.utils.formatUnits(balance, 6)
+      const formatted = await tokens.formatAmount(USDC_ADDRESS, balance)
 
       const blockInfo = await provider.getBlock(block)
       const date = new Date(blockInfo.timestamp * 1000)
 
       console.log(`Block ${block} (${date.toISOString()}):`)
-      console.log(`  Balance: ${formatted} USDC\n`)
+      console.log(`  Balance: ${formatted}\n`)
     } catch (error) {
-      console.log(`Block ${block}: Error - ${error.message}`)
-      console.log('  (This block may be too old for your RPC provider)\n')
+      if (!(error instanceof MissingArchiveStateError)) throw error
+      console.log(`Block ${block}: not available, state ${error.depth} blocks deep needs an archive node\n`)
     }
   }
 }
@@ -58,8 +72,6 @@ async function historicalBalance() {
 async function compareBalances() {
   console.log('=== Compare Multiple Addresses ===\n')
 
-  const usdc = new ethers.Contract(USDC_ADDRESS, USDC_ABI, provider)
-
   const addresses = [
     { name: 'Vitalik', address: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045' },
     { name: 'Binance Hot Wallet', address: '0xF977814e90dA44bFA03b6295A0616a897441aceC' },
@@ -71,17 +83,26 @@ async function compareBalances() {
 
   console.log(`Comparing USDC balances at block ${historicalBlock}:\n`)
 
-  for (const { name, address } of addresses) {
-    try {
-      const balance = await usdc.balanceOf(address, { blockTag: historicalBlock })
-      const formatted = ethers.utils.formatUnits(balance, 6)
-
-      console.log(`${name}:`)
-      console.log(`  ${formatted} USDC`)
-      console.log()
-    } catch (error) {
-      console.log(`${name}: Error - ${error.message}\n`)
+  // One Multicall3 request for all addresses, each result succeeds or fails on its own
+  const results = await multicall(provider, addresses.map(({ address }) => ({
+    target: USDC_ADDRESS,
+    abi: USDC_ABI,
+    method: 'balanceOf',
+    args: [address]
+  })), { blockTag: historicalBlock })
+
+  for (let i = 0; i < addresses.length; i++) {
+    const { name } = addresses[i]
+    const { success, value, error } = results[i]
+
+    if (!success) {
+      console.log(`${name}: Error - ${error}\n`)
+      continue
     }
+
+    console.log(`${name}:`)
+    console.log(`  ${await tokens.formatAmount(USDC_ADDRESS, value)}`)
+    console.log()
   }
 }
 
@@ -114,82 +135,72 @@ async function trackBalanceChanges() {
         totalSupply
       })
     } catch (error) {
-      console.log(`Block ${block}: Error - ${error.message}`)
+      if (!(error instanceof MissingArchiveStateError)) throw error
+      console.log(`Block ${block}: skipped, ${error.depth} blocks deep needs an archive node`)
     }
   }
 
   // Display snapshots with changes
   for (let i = 0; i < snapshots.length; i++) {
     const snapshot = snapshots[i]
-    const formatted = ethers.utils.formatUnits(snapshot.totalSupply, 6)
+    const formatted = await tokens.formatAmount(USDC_ADDRESS, snapshot.totalSupply)
     const date = new Date(snapshot.timestamp * 1000).toISOString()
 
     console.log(`Snapshot ${i + 1}:`)
     console.log(`  Block: ${snapshot.block}`)
     console.log(`  Date: ${date}`)
-    console.log(`  Total Supply: ${formatted} USDC`)
+    console.log(`  Total Supply: ${formatted}`)
 
     if (i > 0) {
       const change = snapshot.totalSupply.sub(snapshots[i - 1].totalSupply)
-      const changeFormatted = ethers.utils.formatUnits(change, 6)
+      const changeFormatted = await tokens.formatAmount(USDC_ADDRESS, change)
       const changePercent = change.mul(10000).div(snapshots[i - 1].totalSupply).toNumber() / 100
 
-      console.log(`  Change: ${changeFormatted} USDC (${changePercent.toFixed(2)}%)`)
+      console.log(`  Change: ${changeFormatted} (${changePercent.toFixed(2)}%)`)
     }
     console.log()
   }
 }
 
 /**
- * Example 4: Find block by approximate timestamp
+ * Example 4: Find block by timestamp
+ *
+ * 'atOrBefore' returns the last block mined at or before the timestamp
+ * (the state "as of" that moment), 'atOrAfter' the first one at or after it.
  */
 async function findBlockByTimestamp(targetTimestamp) {
   console.log('=== Find Block by Timestamp ===\n')
 
   const targetDate = new Date(targetTimestamp * 1000)
   console.log(`Target date: ${targetDate.toISOString()}`)
-  console.log('Searching for closest block...\n')
-
-  const latestBlock = await provider.getBlock('latest')
-
-  // Binary search
-  let left = 0
-  let right = latestBlock.number
-  let closestBlock = null
-
-  while (left <= right) {
-    const mid = Math.floor((left + right) / 2)
-    const block = await provider.getBlock(mid)
+  console.log('Searching for the last block at or before it...\n')
 
-    if (Math.abs(block.timestamp - targetTimestamp) < 15) {
-      // Within 15 seconds is close enough
-      closestBlock = block
-      break
-    }
+  const block = await blocks.resolve(targetTimestamp, { mode: 'atOrBefore' })
 
-    if (block.timestamp < targetTimestamp) {
-      left = mid + 1
-    } else {
-      right = mid - 1
-    }
+  if (block) {
+    const actualDate = new Date(block.timestamp * 1000)
+    const diff = targetTimestamp - block.timestamp
 
-    // Keep track of closest
-    if (!closestBlock || Math.abs(block.timestamp - targetTimestamp) < Math.abs(closestBlock.timestamp - targetTimestamp)) {
-      closestBlock = block
-    }
+    console.log('Found block:')
+    console.log(`  Block Number: ${block.number}`)
+    console.log(`  Date: ${actualDate.toISOString()}`)
+    console.log(`  Time difference: ${diff} seconds before target`)
   }
 
-  if (closestBlock) {
-    const actualDate = new Date(closestBlock.timestamp * 1000)
-    const diff = Math.abs(closestBlock.timestamp - targetTimestamp)
+  // Daily midnights for the last week, resolved in one go
+  const midnights = dailyMidnights(7)
+  const dailyBlocks = await blocks.resolveMany(midnights, { mode: 'atOrAfter' })
 
-    console.log('Found closest block:')
-    console.log(`  Block Number: ${closestBlock.number}`)
-    console.log(`  Date: ${actualDate.toISOString()}`)
-    console.log(`  Time difference: ${diff} seconds`)
-  }
+  console.log('\nFirst block of each of the last 7 days (UTC):')
+  dailyBlocks.forEach((dayBlock, i) => {
+    const day = new Date(midnights[i] * 1000).toISOString().slice(0, 10)
+    console.log(`  ${day}: ${dayBlock ? dayBlock.number : 'not mined yet'}`)
+  })
 
-  return closestBlock
+  const { rpcCalls, cachedBlocks } = blocks.stats()
+  console.log(`\nRPC calls: ${rpcCalls}, block timestamps cached: ${cachedBlocks}`)
+
+  return block
 }
 
 /**
@@ -198,8 +209,6 @@ async function findBlockByTimestamp(targetTimestamp) {
 async function batchHistoricalQueries() {
   console.log('\n=== Batch Historical Queries ===\n')
 
-  const usdc = new ethers.Contract(USDC_ADDRESS, USDC_ABI, provider)
-
   const addresses = [
     '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045', // Vitalik
     '0xF977814e90dA44bFA03b6295A0616a897441aceC', // Binance
@@ -213,27 +222,91 @@ async function batchHistoricalQueries() {
 
   const startTime = Date.now()
 
-  // Execute all queries in parallel
-  const balances = await Promise.all(
-    addresses.map(addr => usdc.balanceOf(addr, { blockTag: historicalBlock }))
-  )
+  // Batch the balanceOf calls plus totalSupply into a single request.
+  // Multicall3 is used when deployed at that block, a JSON-RPC batch otherwise.
+  const calls = [
+    ...addresses.map(addr => ({ target: USDC_ADDRESS, abi: USDC_ABI, method: 'balanceOf', args: [addr] })),
+    { target: USDC_ADDRESS, abi: USDC_ABI, method: 'totalSupply' }
+  ]
+
+  const results = await multicall(provider, calls, { blockTag: historicalBlock })
 
   const duration = Date.now() - startTime
 
   console.log('Results:')
-  addresses.forEach((addr, i) => {
-    const formatted = ethers.utils.formatUnits(balances[i], 6)
-    console.log(`  ${addr}: ${formatted} USDC`)
+  for (let i = 0; i < addresses.length; i++) {
+    const { success, value, error } = results[i]
+    const formatted = success ? await tokens.formatAmount(USDC_ADDRESS, value) : `Error - ${error}`
+    console.log(`  ${addresses[i]}: ${formatted}`)
+  }
+
+  const totalSupply = results[addresses.length]
+  if (totalSupply.success) {
+    console.log(`  Total supply: ${await tokens.formatAmount(USDC_ADDRESS, totalSupply.value)}`)
+  }
+
+  console.log(`\nTotal time: ${duration}ms for ${calls.length} calls in one request`)
+}
+
+/**
+ * Example 6: Reconstruct balance history from Transfer logs
+ *
+ * Instead of one archive eth_call per snapshot, replay every Transfer in and
+ * out of the account. The series starts from the balance before the first
+ * block (or, without an archive node, is derived from the balance at the
+ * last block) and is cross-checked with balanceOf at a few anchor blocks,
+ * some of them between transfers.
+ */
+async function reconstructFromLogs() {
+  console.log('\n=== Balance History from Transfer Logs ===\n')
+
+  const currentBlock = await provider.getBlockNumber()
+  const fromBlock = currentBlock - 50000 // ~7 days ago
+
+  console.log(`Replaying Vitalik's USDC transfers since block ${fromBlock}...\n`)
+
+  const history = await reconstructBalanceHistory(provider, {
+    token: USDC_ADDRESS,
+    account: VITALIK,
+    fromBlock,
+    toBlock: currentBlock,
+    anchors: 2
   })
 
-  console.log(`\nTotal time: ${duration}ms`)
-  console.log(`Average per query: ${(duration / addresses.length).toFixed(0)}ms`)
+  const source = history.startValueDerived ? 'derived from the latest balance' : 'read on-chain'
+  console.log(`Balance at block ${fromBlock}: ${await tokens.formatAmount(USDC_ADDRESS, history.startValue)} (${source})`)
+  console.log(`Change points: ${history.series.length}\n`)
+
+  for (const point of history.series.slice(-5)) {
+    const delta = await tokens.formatAmount(USDC_ADDRESS, point.delta)
+    const value = await tokens.formatAmount(USDC_ADDRESS, point.value)
+    console.log(`Block ${point.blockNumber}: ${delta.startsWith('-') ? '' : '+'}${delta} -> ${value}`)
+  }
+
+  const { checks, mismatches } = history.verification
+  console.log(`\nCross-checked at ${checks.length} anchor block(s) with balanceOf:`)
+
+  for (const check of checks) {
+    const status = check.error ? `skipped (${check.error})` : check.matches ? 'OK' : 'MISMATCH'
+    console.log(`  Block ${check.blockNumber}: ${status}`)
+  }
+
+  for (const mismatch of mismatches) {
+    console.log(`  Block ${mismatch.blockNumber}: off by ${mismatch.difference.toString()}, ${mismatch.hint}`)
+  }
+
+  if (history.verification.drift && !history.verification.drift.isZero()) {
+    console.log(`  Drift at the last anchor: ${await tokens.formatAmount(USDC_ADDRESS, history.verification.drift)}`)
+  }
 }
 
 async function main() {
   try {
-    console.log('Note: This script requires an ARCHIVE node RPC URL\n')
-    console.log('If you see errors, your RPC provider may not support historical queries.\n')
+    provider = createProviderFromEnv()
+    tokens = createTokenMetadataService(provider)
+    blocks = createBlockResolver(provider)
+
+    console.log('Note: Most examples read state thousands of blocks old, which needs an ARCHIVE node\n')
     console.log('='.repeat(60) + '\n')
 
     await historicalBalance()
@@ -245,14 +318,23 @@ async function main() {
     await findBlockByTimestamp(sevenDaysAgo)
 
     await batchHistoricalQueries()
+    await reconstructFromLogs()
+
+    // Finalized blocks, calls and logs are cached on disk: a second run is mostly hits
+    if (provider.rpcCache) {
+      const { hits, misses, hitRate } = provider.rpcCache.stats()
+      console.log(`\nRPC cache: ${hits} hits, ${misses} misses (${(hitRate * 100).toFixed(0)}% hit rate)`)
+    }
 
     console.log('\n=== All Examples Complete ===')
   } catch (error) {
     console.error('Error:', error.message)
-    console.error('\nMake sure you have:')
-    console.error('1. ARCHIVE_RPC_URL configured in .env')
-    console.error('2. Access to an archive node (regular nodes won\'t work)')
-    console.error('3. Valid API credentials')
+
+    if (error instanceof MissingArchiveStateError) {
+      console.error(`\nRequested depth: ${error.depth} blocks behind head.`)
+      console.error('Set ARCHIVE_RPC_URL (or an archive entry in RPC_ENDPOINTS) in .env, then check it with:')
+      console.error('  npx evm-history rpc probe --refresh')
+    }
   }
 }
 
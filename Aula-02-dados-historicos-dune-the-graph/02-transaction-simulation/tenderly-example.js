@@ -1,279 +1,249 @@
 require('dotenv').config()
-const axios = require('axios')
+const path = require('path')
 const { ethers } = require('ethers')
+const { createTokenMetadataService } = require('../lib/token-metadata')
+const { formatArgs } = require('../lib/decoder-registry')
+const { createSimulator } = require('../lib/simulator')
+const { createForkManager } = require('../lib/tenderly-forks')
+const { createTransactionBuilder } = require('../lib/tx-builder')
+const { ERC20_ABI } = require('../lib/abis')
+const { simulationChanges, createStateDiffDecoder, formatStateDiffTable } = require('../lib/state-diff')
+const { fromTenderlyTrace, createCallTraceDecoder, formatCallTree, revertOrigin } = require('../lib/call-trace')
 
 /**
  * Tenderly provides advanced simulation and debugging capabilities
  * https://docs.tenderly.co/
+ *
+ * Examples 1, 2 and 4 run on the backend picked by SIMULATION_BACKEND
+ * (lib/simulator.js): Tenderly, or a local Hardhat fork of FORK_RPC_URL /
+ * ARCHIVE_RPC_URL / RPC_URL that returns the same result shape offline.
+ * Forks (examples 3 and 5) are Tenderly only, managed by lib/tenderly-forks.js.
  */
 
-const TENDERLY_USER = process.env.TENDERLY_USER
-const TENDERLY_PROJECT = process.env.TENDERLY_PROJECT
 const TENDERLY_ACCESS_KEY = process.env.TENDERLY_ACCESS_KEY
 
-const TENDERLY_API_BASE = 'https://api.tenderly.co/api/v1'
+// Name of the workshop's shared fork (see lib/tenderly-forks.js)
+const FORK_NAME = 'workshop-18000000'
+
+const USDC_ADDRESS = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
+const VITALIK = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'
+
+// Calldata and simulation payloads for USDC calls sent by Vitalik
+const usdc = createTransactionBuilder(ERC20_ABI, { address: USDC_ADDRESS, name: 'USDC', from: VITALIK })
 
 /**
- * Example 1: Simulate a transaction
+ * Return data of a simulated call (the root frame of its call trace)
  */
-async function simulateTransaction() {
-  console.log('=== Simulate Transaction with Tenderly ===\n')
+function outputOf(transaction) {
+  const callTrace = transaction.transaction_info && transaction.transaction_info.call_trace
+  return callTrace ? callTrace.output : null
+}
 
-  if (!TENDERLY_ACCESS_KEY) {
-    console.log('TENDERLY_ACCESS_KEY not configured. Skipping this example.')
-    console.log('Get your access key from: https://dashboard.tenderly.co/account/authorization\n')
-    return
-  }
+const calls = createCallTraceDecoder()
 
-  // Simulate a USDC transfer
-  const USDC_ADDRESS = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
-  const VITALIK = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'
+/**
+ * Decoded call tree of a simulation result, null when it has none
+ */
+function callTreeOf(transaction) {
+  const callTrace = transaction.transaction_info && transaction.transaction_info.call_trace
+  return callTrace ? calls.decode(fromTenderlyTrace(callTrace)) : null
+}
 
-  // ERC20 transfer function signature
-  const transferData = ethers.utils.defaultAbiCoder.encode(
-    ['address', 'uint256'],
-    ['0x0000000000000000000000000000000000000001', ethers.utils.parseUnits('100', 6)]
-  )
+/**
+ * Example 1: Simulate a transaction
+ */
+async function simulateTransaction(simulator) {
+  console.log(`=== Simulate Transaction (${simulator.backend}) ===\n`)
 
+  // Simulate a USDC transfer
   const simulationPayload = {
-    network_id: '1', // Ethereum mainnet
-    from: VITALIK,
-    to: USDC_ADDRESS,
-    input: '0xa9059cbb' + transferData.slice(2), // transfer(address,uint256)
-    gas: 100000,
-    gas_price: '0',
-    value: '0',
-    save: true, // Save simulation for later viewing
+    ...usdc.build('transfer', { to: '0x0000000000000000000000000000000000000001', amount: ethers.utils.parseUnits('100', 6) }),
+    save: true, // Save simulation for later viewing (Tenderly)
     save_if_fails: true
   }
 
-  try {
-    const response = await axios.post(
-      `${TENDERLY_API_BASE}/account/${TENDERLY_USER}/project/${TENDERLY_PROJECT}/simulate`,
-      simulationPayload,
-      {
-        headers: {
-          'X-Access-Key': TENDERLY_ACCESS_KEY,
-          'Content-Type': 'application/json'
-        }
-      }
-    )
+  // The same calldata, decoded back
+  const call = usdc.decode(simulationPayload.input)
+  console.log(`Calling ${call.contract}.${call.signature}: ${formatArgs(call.args)}\n`)
 
-    const simulation = response.data.simulation
+  try {
+    const { simulation, transaction } = await simulator.simulate(simulationPayload)
 
-    console.log('Simulation successful!')
+    console.log('Simulation complete!')
     console.log(`\nSimulation ID: ${simulation.id}`)
     console.log(`Status: ${simulation.status ? 'Success' : 'Failed'}`)
     console.log(`Gas used: ${simulation.gas_used}`)
-    console.log(`\nView in dashboard:`)
-    console.log(`https://dashboard.tenderly.co/${TENDERLY_USER}/${TENDERLY_PROJECT}/simulator/${simulation.id}`)
-
-    // Show state changes
-    if (simulation.transaction_info?.state_diff) {
-      console.log('\nState changes detected:')
-      const stateDiff = simulation.transaction_info.state_diff
-      console.log(`  ${Object.keys(stateDiff).length} contract(s) affected`)
+    if (!transaction.status) console.log(`Revert reason: ${transaction.error_message}`)
+
+    // Every call with decoded function, arguments, ETH sent, gas and revert reason
+    const tree = callTreeOf(transaction)
+    if (tree) {
+      console.log('\nCall trace:')
+      console.log(formatCallTree(tree))
     }
 
+    const url = simulator.dashboardUrl(simulation.id)
+    if (url) {
+      console.log(`\nView in dashboard:`)
+      console.log(url)
+    }
+
+    // Show emitted events
+    const logs = transaction.transaction_info.logs || []
+    console.log(`\nEvents: ${logs.map(log => log.name || 'unknown').join(', ') || 'none'}`)
+
+    // Every balance, nonce and storage change; ERC20 balance/allowance slots
+    // are named by hashing the addresses found in the calldata and logs
+    const changes = createStateDiffDecoder().decode(simulationChanges(transaction), {
+      addresses: [simulationPayload.from],
+      data: [simulationPayload.input],
+      logs: logs.filter(log => log.raw).map(log => log.raw)
+    })
+
+    console.log('\nState changes:')
+    console.log(formatStateDiffTable(changes))
+    console.log('\nAs JSON:')
+    console.log(JSON.stringify(changes, null, 2))
+
   } catch (error) {
-    console.error('Simulation failed:', error.response?.data || error.message)
+    console.error('Simulation failed:', error.message)
   }
 }
 
 /**
  * Example 2: Simulate at historical block
  */
-async function simulateAtHistoricalBlock() {
+async function simulateAtHistoricalBlock(simulator) {
   console.log('\n=== Simulate at Historical Block ===\n')
 
-  if (!TENDERLY_ACCESS_KEY) {
-    console.log('Skipping - TENDERLY_ACCESS_KEY not configured.\n')
-    return
-  }
+  const blockNumber = 18000000 // Specific historical block
 
-  // Simulate what a transaction would have looked like 1 million blocks ago
-  const simulationPayload = {
-    network_id: '1',
-    block_number: 18000000, // Specific historical block
-    from: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
-    to: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-    input: '0x70a08231000000000000000000000000d8da6bf26964af9d7eed9e03e53415d37aa96045', // balanceOf
-    gas: 100000,
-    gas_price: '0',
-    value: '0'
-  }
+  // What Vitalik's USDC balanceOf() call looked like at that block
+  const tx = usdc.build('balanceOf', [VITALIK])
 
   try {
-    const response = await axios.post(
-      `${TENDERLY_API_BASE}/account/${TENDERLY_USER}/project/${TENDERLY_PROJECT}/simulate`,
-      simulationPayload,
-      {
-        headers: {
-          'X-Access-Key': TENDERLY_ACCESS_KEY
-        }
-      }
-    )
+    const { simulation, transaction } = await simulator.simulateAtBlock(tx, blockNumber)
 
     console.log('Historical simulation successful!')
-    console.log(`Block: ${simulationPayload.block_number}`)
-    console.log(`Gas used: ${response.data.simulation.gas_used}`)
+    console.log(`Block: ${simulation.block_number}`)
+    console.log(`Gas used: ${simulation.gas_used}`)
+
+    const output = outputOf(transaction)
+    if (output) console.log(`Balance: ${ethers.utils.formatUnits(usdc.decodeResult('balanceOf', output), 6)} USDC`)
 
   } catch (error) {
-    console.error('Error:', error.response?.data || error.message)
+    console.error('Error:', error.message)
   }
 }
 
 /**
- * Example 3: Create a fork for testing
+ * Example 3: Open the workshop's fork
+ *
+ * The fork is recorded by name in tenderly-forks.json: later runs (and
+ * teammates who pull the file) reuse it instead of creating a new one.
  */
-async function createFork() {
-  console.log('\n=== Create Tenderly Fork ===\n')
-
-  if (!TENDERLY_ACCESS_KEY) {
-    console.log('Skipping - TENDERLY_ACCESS_KEY not configured.\n')
-    return
-  }
-
-  const forkPayload = {
-    network_id: '1',
-    block_number: 18000000, // Fork from this block
-    chain_config: {
-      chain_id: 1
-    }
-  }
+async function openFork(forks) {
+  console.log('\n=== Open Tenderly Fork ===\n')
 
   try {
-    const response = await axios.post(
-      `${TENDERLY_API_BASE}/account/${TENDERLY_USER}/project/${TENDERLY_PROJECT}/fork`,
-      forkPayload,
-      {
-        headers: {
-          'X-Access-Key': TENDERLY_ACCESS_KEY
-        }
-      }
-    )
+    const fork = await forks.open(FORK_NAME, { blockNumber: 18000000 })
 
-    const fork = response.data.simulation_fork
-
-    console.log('Fork created successfully!')
+    console.log(`Fork "${fork.name}" at block ${fork.blockNumber}`)
     console.log(`\nFork ID: ${fork.id}`)
-    console.log(`RPC URL: ${fork.rpc_url}`)
+    console.log(`RPC URL: ${fork.rpcUrl}`)
     console.log(`\nYou can now use this RPC URL in your code:`)
-    console.log(`const provider = new ethers.providers.JsonRpcProvider('${fork.rpc_url}')`)
-
-    console.log('\nExample: Send a transaction to the fork')
-    console.log(`
-const provider = new ethers.providers.JsonRpcProvider('${fork.rpc_url}')
-const wallet = new ethers.Wallet(privateKey, provider)
+    console.log(`const provider = new ethers.providers.JsonRpcProvider('${fork.rpcUrl}')`)
 
-// This transaction will execute on the fork
-const tx = await wallet.sendTransaction({
-  to: recipientAddress,
-  value: ethers.utils.parseEther('1.0')
-})
-`)
+    const all = await forks.list()
+    console.log(`\nForks in the project: ${all.length}`)
+    all.forEach(f => console.log(`  ${f.id}  ${f.name || '(no name)'}  block ${f.blockNumber}`))
 
     return fork
 
   } catch (error) {
-    console.error('Error creating fork:', error.response?.data || error.message)
+    console.error('Error opening fork:', error.message)
   }
 }
 
 /**
  * Example 4: Simulate bundle (multiple transactions)
  */
-async function simulateBundle() {
+async function simulateBundle(simulator) {
   console.log('\n=== Simulate Transaction Bundle ===\n')
 
-  if (!TENDERLY_ACCESS_KEY) {
-    console.log('Skipping - TENDERLY_ACCESS_KEY not configured.\n')
-    return
-  }
-
-  const bundlePayload = {
-    network_id: '1',
-    block_number: null, // Latest block
-    transactions: [
-      {
-        from: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
-        to: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-        input: '0x70a08231000000000000000000000000d8da6bf26964af9d7eed9e03e53415d37aa96045',
-        gas: 100000,
-        gas_price: '0',
-        value: '0'
-      },
-      {
-        from: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
-        to: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-        input: '0x18160ddd', // totalSupply()
-        gas: 100000,
-        gas_price: '0',
-        value: '0'
-      }
-    ]
-  }
+  // No block_number: on top of the latest block
+  const requests = [
+    ['balanceOf', [VITALIK]],
+    ['totalSupply', []]
+  ]
+  const transactions = requests.map(([method, args]) => usdc.build(method, args))
 
   try {
-    const response = await axios.post(
-      `${TENDERLY_API_BASE}/account/${TENDERLY_USER}/project/${TENDERLY_PROJECT}/simulate-bundle`,
-      bundlePayload,
-      {
-        headers: {
-          'X-Access-Key': TENDERLY_ACCESS_KEY
-        }
-      }
-    )
+    const response = await simulator.simulateBundle(transactions)
 
     console.log('Bundle simulation successful!')
-    console.log(`\nSimulated ${response.data.simulation_results.length} transactions`)
+    console.log(`\nSimulated ${response.simulation_results.length} transactions`)
+
+    response.simulation_results.forEach((result, i) => {
+      const [method] = requests[i]
+      const output = result.simulation.status ? outputOf(result.transaction) : null
 
-    response.data.simulation_results.forEach((result, i) => {
-      console.log(`\nTransaction ${i + 1}:`)
+      console.log(`\nTransaction ${i + 1}: ${method}()`)
       console.log(`  Status: ${result.simulation.status ? 'Success' : 'Failed'}`)
       console.log(`  Gas used: ${result.simulation.gas_used}`)
+      if (output) console.log(`  Returned: ${usdc.decodeResult(method, output).toString()}`)
+
+      // A failed transaction: which call reverted, why, and the path to it
+      const tree = result.simulation.status ? null : callTreeOf(result.transaction)
+      if (tree) {
+        const origin = revertOrigin(tree)
+        console.log(`  Reverted in: ${origin.contract || origin.to}${origin.function ? `.${origin.function}()` : ''}: ${origin.revert.message}`)
+        console.log(formatCallTree(tree).replace(/^/gm, '    '))
+      }
     })
 
   } catch (error) {
-    console.error('Error:', error.response?.data || error.message)
+    console.error('Error:', error.message)
   }
 }
 
 /**
  * Example 5: Use a fork with ethers.js
+ *
+ * Transactions sent to the shared fork are undone with a snapshot, so the
+ * next run (or teammate) finds it as it was.
  */
-async function useForkWithEthers() {
+async function useForkWithEthers(forks) {
   console.log('\n=== Using Fork with ethers.js ===\n')
 
-  if (!TENDERLY_ACCESS_KEY) {
-    console.log('Skipping - TENDERLY_ACCESS_KEY not configured.\n')
-    return
-  }
-
-  // First create a fork
-  const fork = await createFork()
+  const fork = await openFork(forks)
 
   if (!fork) return
 
   console.log('\nConnecting to fork with ethers.js...')
 
-  const provider = new ethers.providers.JsonRpcProvider(fork.rpc_url)
+  const provider = new ethers.providers.JsonRpcProvider(fork.rpcUrl)
+  const tokens = createTokenMetadataService(provider)
+  const token = new ethers.Contract(USDC_ADDRESS, ERC20_ABI, provider)
 
-  // Query state from the fork
-  const USDC_ADDRESS = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
-  const USDC_ABI = ['function balanceOf(address) view returns (uint256)']
+  const before = await token.balanceOf(VITALIK)
+  console.log(`\nQueried balance from fork: ${await tokens.formatAmount(USDC_ADDRESS, before)}`)
 
-  const usdc = new ethers.Contract(USDC_ADDRESS, USDC_ABI, provider)
+  const snapshot = await forks.snapshot(fork)
 
-  const balance = await usdc.balanceOf('0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045')
+  // Forks accept transactions from any address, unsigned
+  const tx = usdc.build('transfer', { to: '0x0000000000000000000000000000000000000001', amount: before })
+  await provider.send('eth_sendTransaction', [{ from: tx.from, to: tx.to, data: tx.input }])
+  console.log(`After sending it all: ${await tokens.formatAmount(USDC_ADDRESS, await token.balanceOf(VITALIK))}`)
 
-  console.log(`\nQueried balance from fork: ${ethers.utils.formatUnits(balance, 6)} USDC`)
+  await forks.revert(fork, snapshot)
+  console.log(`After reverting to the snapshot: ${await tokens.formatAmount(USDC_ADDRESS, await token.balanceOf(VITALIK))}`)
 
   console.log('\nYou can now:')
   console.log('- Send transactions to this fork')
   console.log('- Test contract interactions')
   console.log('- Debug without affecting mainnet')
-  console.log('- Share the fork with your team')
+  console.log(`- Share the fork with your team (commit ${path.basename(forks.file)})`)
 }
 
 async function main() {
@@ -287,10 +257,19 @@ async function main() {
     console.log('- Gas profiling\n')
     console.log('='.repeat(60) + '\n')
 
-    await simulateTransaction()
-    await simulateAtHistoricalBlock()
-    await simulateBundle()
-    await useForkWithEthers()
+    const simulator = createSimulator()
+
+    await simulateTransaction(simulator)
+    await simulateAtHistoricalBlock(simulator)
+    await simulateBundle(simulator)
+    await simulator.close()
+
+    if (TENDERLY_ACCESS_KEY) {
+      await useForkWithEthers(createForkManager())
+    } else {
+      console.log('\n=== Tenderly Forks ===\n')
+      console.log('Skipping - TENDERLY_ACCESS_KEY not configured.')
+    }
 
     console.log('\n=== Examples Complete ===')
     console.log('\nTo use Tenderly:')
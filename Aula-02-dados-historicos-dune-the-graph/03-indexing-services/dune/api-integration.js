@@ -1,15 +1,17 @@
 require('dotenv').config()
-const { DuneClient, QueryParameter } = require('@dune-analytics/client-sdk')
+const { createExporter, duneSchema } = require('../../lib/export')
+const { createDuneClient, runDuneQuery } = require('../../lib/dune-api')
+const { resultPages } = require('../../lib/dune-results')
+const { createQueryCatalog } = require('../../lib/dune-queries')
+const { createDunePolicy } = require('../../lib/dune-policy')
 
 /**
  * Dune API Integration Examples
  *
- * Requires: npm install @dune-analytics/client-sdk
+ * Uses the REST client in lib/dune-api.js (no SDK needed)
  * API Key: Get from https://dune.com/settings/api
  */
 
-const client = new DuneClient(process.env.DUNE_API_KEY)
-
 /**
  * Example 1: Execute an existing query
  */
@@ -22,30 +24,28 @@ async function executeQuery() {
     return
   }
 
-  // Replace with an actual query ID from your Dune account
-  const queryId = 1234567 // Example: your saved query ID
-
-  console.log(`Executing query ${queryId}...\n`)
-
-  try {
-    // Execute the query
-    const execution = await client.execute(queryId)
+  // queries/gas-metrics.sql, synced with `evm-history dune sync`: the
+  // lockfile maps its name to the query id in your Dune account
+  const queryId = createQueryCatalog().id('gas-metrics')
 
-    console.log(`Execution ID: ${execution.execution_id}`)
-    console.log(`State: ${execution.state}`)
+  console.log(`Executing gas-metrics (query ${queryId})...\n`)
 
-    // Wait for completion
-    const result = await client.getExecutionResults(execution.execution_id)
+  // Executes, waits through the pending/executing states, then fetches the rows
+  const run = await runDuneQuery(queryId, {}, { timeoutMs: 2 * 60 * 1000 })
 
-    console.log('\nQuery Results:')
-    console.log(`Rows returned: ${result.result.rows.length}`)
-    console.log('\nFirst 5 rows:')
-    console.log(result.result.rows.slice(0, 5))
+  console.log(`Execution ID: ${run.executionId}`)
+  console.log(`State: ${run.state}`)
 
-  } catch (error) {
-    console.error('Error executing query:', error.message)
-    console.log('\nNote: Replace queryId with an actual query from your Dune account')
+  if (!run.ok) {
+    // FAILED, CANCELLED, EXPIRED, TIMEOUT, ABORTED or API
+    console.log(`\nNo results (${run.error.code}): ${run.error.message}`)
+    return
   }
+
+  console.log('\nQuery Results:')
+  console.log(`Rows returned: ${run.rows.length}`)
+  console.log('\nFirst 5 rows:')
+  console.log(run.rows.slice(0, 5))
 }
 
 /**
@@ -59,23 +59,26 @@ async function executeParameterizedQuery() {
     return
   }
 
-  const queryId = 1234567 // Your parameterized query
+  // queries/token-transfers.sql, synced with `evm-history dune sync`
+  const queries = createQueryCatalog()
 
-  // Query parameters (must match parameter names in your Dune query)
-  const parameters = [
-    QueryParameter.text('token_address', '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'),
-    QueryParameter.number('limit', 100),
-    QueryParameter.date('start_date', '2024-01-01')
-  ]
+  try {
+    // Checked against the query's front-matter before anything runs: an unknown
+    // name, a bad address checksum or a date out of range throws a DuneParameterError
+    const parameters = queries.parameters('token-transfers', {
+      token_address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+      limit: 100,
+      start_date: '2024-01-01'
+    })
 
-  console.log('Executing query with parameters:')
-  console.log(parameters)
+    console.log('Executing query with parameters:')
+    console.log(parameters)
 
-  try {
-    const result = await client.execute(queryId, parameters)
+    const run = await runDuneQuery(queries.id('token-transfers'), parameters, { timeoutMs: 2 * 60 * 1000 })
+    if (!run.ok) throw run.error
 
     console.log('\nExecution successful!')
-    console.log(`Rows: ${result.result?.rows?.length || 0}`)
+    console.log(`Rows: ${run.rows.length}`)
 
   } catch (error) {
     console.error('Error:', error.message)
@@ -96,11 +99,18 @@ async function getResults() {
   const executionId = 'your-execution-id-here'
 
   try {
-    const result = await client.getExecutionResults(executionId)
+    // One page (1000 rows) in memory at a time, however large the result
+    let rows = 0
+    let metadata = null
+
+    for await (const page of resultPages(createDuneClient(), { executionId }, { pageSize: 1000 })) {
+      metadata = metadata || page.metadata
+      rows += page.rows.length
+      console.log(`Page at offset ${page.offset}: ${page.rows.length} rows`)
+    }
 
-    console.log(`State: ${result.state}`)
-    console.log(`Rows: ${result.result.rows.length}`)
-    console.log(`Metadata:`, result.result.metadata)
+    console.log(`Rows: ${rows}`)
+    console.log(`Metadata:`, metadata)
 
   } catch (error) {
     console.error('Error:', error.message)
@@ -118,31 +128,41 @@ async function processResults() {
     return
   }
 
-  const queryId = 1234567
-
   try {
-    const execution = await client.execute(queryId)
-    const result = await client.getExecutionResults(execution.execution_id)
-
-    // Process the data
-    const rows = result.result.rows
+    // queries/dex-volume.sql, with the parameter defaults from its front-matter
+    const queries = createQueryCatalog()
+    const run = await runDuneQuery(queries.id('dex-volume'), queries.parameters('dex-volume'), { results: false })
+    if (!run.ok) throw run.error
+
+    console.log('Processing results...\n')
+
+    // Totals and both exports in one pass over the pages, so the result
+    // never has to fit in memory. Only the day and volume_usd columns are sent.
+    let exporters = null
+    let records = 0
+    let totalVolume = 0
+
+    for await (const page of resultPages(createDuneClient(), { executionId: run.executionId }, { columns: ['day', 'volume_usd'] })) {
+      if (!exporters) {
+        // Export with the column types Dune reports, big integers kept exact
+        const schema = duneSchema(page.metadata)
+        exporters = ['data/dune-results.csv', 'data/dune-results.parquet'].map(file => createExporter(file, { schema }))
+      }
 
-    // Example: Calculate totals
-    if (rows.length > 0) {
-      console.log('Processing results...\n')
+      for (const row of page.rows) {
+        records++
+        totalVolume += row.volume_usd || 0
+        for (const exporter of exporters) await exporter.write(row)
+      }
+    }
 
-      // Assuming query returns columns: day, volume_usd
-      const totalVolume = rows.reduce((sum, row) => sum + (row.volume_usd || 0), 0)
-      const avgVolume = totalVolume / rows.length
+    for (const exporter of exporters || []) await exporter.close()
 
-      console.log(`Total records: ${rows.length}`)
+    if (records > 0) {
+      console.log(`Total records: ${records}`)
       console.log(`Total volume: $${totalVolume.toLocaleString()}`)
-      console.log(`Average volume: $${avgVolume.toLocaleString()}`)
-
-      // Export to JSON
-      const fs = require('fs')
-      fs.writeFileSync('dune-results.json', JSON.stringify(rows, null, 2))
-      console.log('\nResults saved to dune-results.json')
+      console.log(`Average volume: $${(totalVolume / records).toLocaleString()}`)
+      console.log('\nResults saved to data/dune-results.csv and data/dune-results.parquet')
     }
 
   } catch (error) {
@@ -151,7 +171,7 @@ async function processResults() {
 }
 
 /**
- * Example 5: Refresh existing results
+ * Example 5: Refresh results only when they are stale
  */
 async function refreshQuery() {
   console.log('\n=== Refresh Query Results ===\n')
@@ -161,31 +181,30 @@ async function refreshQuery() {
     return
   }
 
-  const queryId = 1234567
-
-  try {
-    // Refresh (re-execute) the query
-    console.log('Refreshing query...')
-
-    const execution = await client.execute(queryId)
+  // dex-volume declares max_age: 12h. Executions are logged with their
+  // credits and refused over the daily budget (DUNE_DAILY_CREDITS)
+  const policy = createDunePolicy()
 
-    console.log(`Execution started: ${execution.execution_id}`)
-    console.log('Waiting for results...')
+  // Re-executes only when needed; Ctrl+C cancels the execution on Dune
+  console.log('Refreshing dex-volume if stale (Ctrl+C to cancel)...')
 
-    // Poll for results
-    let result = await client.getExecutionResults(execution.execution_id)
+  const controller = new AbortController()
+  const abort = () => controller.abort()
+  process.once('SIGINT', abort)
 
-    while (result.state === 'QUERY_STATE_EXECUTING') {
-      console.log('Still executing...')
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      result = await client.getExecutionResults(execution.execution_id)
-    }
+  try {
+    const run = await policy.run('dex-volume', {}, { timeoutMs: 10 * 60 * 1000, signal: controller.signal })
 
-    console.log(`\nComplete! State: ${result.state}`)
-    console.log(`Rows: ${result.result.rows.length}`)
+    if (run.reused) console.log(`\nResults of ${run.endedAt} are fresh enough: no credits spent`)
+    else console.log(`\nComplete! State: ${run.state}, credits: ${run.credits}`)
 
+    const { spent, remaining } = policy.budget()
+    console.log(`Credits spent today: ${spent}${remaining === null ? '' : ` (${remaining} left)`}`)
   } catch (error) {
-    console.error('Error:', error.message)
+    // BUDGET when over the daily budget, else FAILED, CANCELLED, TIMEOUT, ...
+    console.log(`\nNo results (${error.code || 'error'}): ${error.message}`)
+  } finally {
+    process.removeListener('SIGINT', abort)
   }
 }
 
@@ -200,17 +219,19 @@ async function getLatestResults() {
     return
   }
 
-  const queryId = 1234567
-
   try {
-    // Get latest results without re-executing
-    // This uses cached results if available
-    const result = await client.getLatestResult(queryId)
+    // Latest results without re-executing: no execution credits, but
+    // execution_ended_at says how old the data is
+    const latest = await createDunePolicy().latest('dex-volume')
 
-    console.log(`State: ${result.state}`)
-    console.log(`Rows: ${result.result.rows.length}`)
-    console.log(`Execution ID: ${result.execution_id}`)
-    console.log(`Submitted at: ${result.submitted_at}`)
+    if (!latest) {
+      console.log('No completed execution yet (npx evm-history dune run dex-volume)')
+      return
+    }
+
+    console.log(`State: ${latest.state}`)
+    console.log(`Execution ID: ${latest.executionId}`)
+    console.log(`Ended at: ${latest.endedAt} (${Math.round(latest.ageMs / 60000)} minutes ago)`)
 
   } catch (error) {
     console.error('Error:', error.message)
@@ -229,21 +250,19 @@ async function buildPipeline() {
   }
 
   // Example: Fetch data from multiple queries and combine
-  const queries = [
-    { id: 1234567, name: 'DEX Volume' },
-    { id: 1234568, name: 'Token Transfers' },
-    { id: 1234569, name: 'Gas Metrics' }
-  ]
+  const catalog = createQueryCatalog()
+  const queries = ['dex-volume', 'token-transfers', 'gas-metrics']
 
   try {
     console.log('Fetching data from multiple queries...\n')
 
+    const dune = createDuneClient()
     const results = await Promise.all(
-      queries.map(async (query) => {
-        console.log(`Fetching ${query.name}...`)
-        const result = await client.getLatestResult(query.id)
+      queries.map(async (name) => {
+        console.log(`Fetching ${name} (${catalog.get(name).description})...`)
+        const result = await dune.getLatestResult(catalog.id(name))
         return {
-          name: query.name,
+          name,
           data: result.result.rows
         }
       })
@@ -274,27 +293,25 @@ async function executeWithRetry(queryId, maxRetries = 3) {
   }
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`Attempt ${attempt}/${maxRetries}`)
-
-      const execution = await client.execute(queryId)
-      const result = await client.getExecutionResults(execution.execution_id)
+    console.log(`Attempt ${attempt}/${maxRetries}`)
 
+    const run = await runDuneQuery(queryId)
+    if (run.ok) {
       console.log('Success!')
-      return result
-
-    } catch (error) {
-      console.error(`Attempt ${attempt} failed:`, error.message)
+      return run
+    }
 
-      if (attempt === maxRetries) {
-        throw new Error(`Failed after ${maxRetries} attempts`)
-      }
+    console.error(`Attempt ${attempt} failed (${run.error.code}):`, run.error.message)
 
-      // Exponential backoff
-      const delay = Math.pow(2, attempt) * 1000
-      console.log(`Waiting ${delay}ms before retry...`)
-      await new Promise(resolve => setTimeout(resolve, delay))
+    // A failing query (bad SQL, bad parameters) fails the same way every time
+    if (run.error.code === 'FAILED' || attempt === maxRetries) {
+      throw new Error(`Failed after ${attempt} attempts: ${run.error.message}`)
     }
+
+    // Exponential backoff
+    const delay = Math.pow(2, attempt) * 1000
+    console.log(`Waiting ${delay}ms before retry...`)
+    await new Promise(resolve => setTimeout(resolve, delay))
   }
 }
 
@@ -313,10 +330,9 @@ async function main() {
 
     console.log('\n=== Examples Complete ===')
     console.log('\nTo use these examples:')
-    console.log('1. Create queries on dune.com')
-    console.log('2. Get query IDs from the URL')
-    console.log('3. Replace example query IDs in this file')
-    console.log('4. Add DUNE_API_KEY to your .env file')
+    console.log('1. Add DUNE_API_KEY to your .env file')
+    console.log('2. Create the queries of queries/*.sql: npx evm-history dune sync')
+    console.log('3. Replace the example execution ID in getResults()')
 
   } catch (error) {
     console.error('Error:', error.message)
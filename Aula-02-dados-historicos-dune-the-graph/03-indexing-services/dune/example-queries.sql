@@ -2,6 +2,9 @@
 -- Dune Analytics - Example SQL Queries
 -- ═══════════════════════════════════════════════════════════════
 
+-- Snippets to paste into the Dune editor. The queries the scripts run live
+-- in queries/, one file each, synced with `npx evm-history dune sync`.
+
 -- ───────────────────────────────────────────────────────────────
 -- 1. Basic Queries - Getting Started
 -- ───────────────────────────────────────────────────────────────
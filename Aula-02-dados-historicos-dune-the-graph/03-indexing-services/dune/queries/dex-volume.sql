@@ -0,0 +1,18 @@
+-- ---
+-- name: dex-volume
+-- description: Daily DEX volume per exchange (dex.trades spell)
+-- max_age: 12h
+-- parameters:
+--   blockchain: enum(ethereum, polygon, arbitrum, optimism) = ethereum
+--   days: number(1..365) = 30
+-- ---
+SELECT
+    DATE_TRUNC('day', block_time) as day,
+    project as dex_name,
+    COUNT(*) as num_trades,
+    SUM(amount_usd) as volume_usd
+FROM dex.trades
+WHERE blockchain = '{{blockchain}}'
+    AND block_time > NOW() - INTERVAL '{{days}}' day
+GROUP BY 1, 2
+ORDER BY 1 DESC, 4 DESC
@@ -0,0 +1,16 @@
+-- ---
+-- name: gas-metrics
+-- description: Hourly gas price on Ethereum, in gwei
+-- max_age: 1h
+-- parameters:
+--   days: number(1..90) = 7
+-- ---
+SELECT
+    DATE_TRUNC('hour', block_time) as hour,
+    AVG(gas_price / 1e9) as avg_gas_price_gwei,
+    MIN(gas_price / 1e9) as min_gas_price_gwei,
+    MAX(gas_price / 1e9) as max_gas_price_gwei
+FROM ethereum.transactions
+WHERE block_time > NOW() - INTERVAL '{{days}}' day
+GROUP BY 1
+ORDER BY 1 DESC
@@ -0,0 +1,20 @@
+-- ---
+-- name: token-transfers
+-- description: Largest transfers of an ERC-20 token since a date
+-- max_age: 1d
+-- parameters:
+--   token_address: address = 0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48
+--   start_date: date(2015-07-30..now) = 2024-01-01 00:00:00
+--   limit: number(1..10000) = 100
+-- ---
+SELECT
+    evt_block_time,
+    evt_tx_hash,
+    "from",
+    "to",
+    value
+FROM erc20_ethereum.evt_Transfer
+WHERE contract_address = {{token_address}}
+    AND evt_block_time >= TIMESTAMP '{{start_date}}'
+ORDER BY value DESC
+LIMIT {{limit}}
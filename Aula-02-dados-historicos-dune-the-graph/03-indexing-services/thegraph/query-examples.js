@@ -1,5 +1,6 @@
 require('dotenv').config()
 const axios = require('axios')
+const { exportRows } = require('../../lib/export')
 
 /**
  * The Graph Query Examples
@@ -411,6 +412,57 @@ async function getComplexData() {
   console.log()
 }
 
+/**
+ * Example 9: Export all transfers to CSV/NDJSON/Parquet
+ *
+ * Pages are streamed into the file as they arrive (id_gt cursor instead of
+ * skip, which the Graph caps), so the export never holds all rows in memory.
+ * BigInt fields are kept as exact strings.
+ */
+const TRANSFER_EXPORT_SCHEMA = [
+  { name: 'id', type: 'string' },
+  { name: 'from.address', type: 'string' },
+  { name: 'to.address', type: 'string' },
+  { name: 'value', type: 'bigint' },
+  { name: 'blockNumber', type: 'integer' },
+  { name: 'timestamp', type: 'integer' },
+  { name: 'transactionHash', type: 'string' }
+]
+
+async function* transferPages(pageSize = 1000) {
+  let lastId = ''
+
+  while (true) {
+    const data = await querySubgraph(`
+      query ($lastId: ID!) {
+        transfers(first: ${pageSize}, where: { id_gt: $lastId }, orderBy: id, orderDirection: asc) {
+          id
+          from { address }
+          to { address }
+          value
+          blockNumber
+          timestamp
+          transactionHash
+        }
+      }
+    `, { lastId })
+
+    if (!data || data.transfers.length === 0) return
+
+    yield* data.transfers
+    lastId = data.transfers[data.transfers.length - 1].id
+  }
+}
+
+async function exportTransfers(file = 'data/transfers.csv') {
+  console.log(`=== Export Transfers to ${file} ===\n`)
+
+  const summary = await exportRows(file, transferPages(), { schema: TRANSFER_EXPORT_SCHEMA })
+
+  console.log(`Exported ${summary.rows} transfers (${summary.format})\n`)
+  return summary
+}
+
 /**
  * Main function to run all examples
  */
@@ -435,6 +487,7 @@ async function main() {
     await getTransfersInDateRange('2024-01-01', '2024-01-07')
     await getStateAtBlock(18000000)
     await getComplexData()
+    await exportTransfers()
 
     console.log('=== All Examples Complete ===')
 
@@ -450,5 +503,6 @@ module.exports = {
   getRecentTransfers,
   getLargeTransfers,
   getTransfersForAddress,
-  getTopHolders
+  getTopHolders,
+  exportTransfers
 }
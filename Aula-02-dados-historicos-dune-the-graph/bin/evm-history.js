@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') })
+const { main } = require('../lib/cli')
+
+// The reader went away (e.g. `evm-history logs ... | head`), nothing left to do
+process.stdout.on('error', error => {
+  if (error.code === 'EPIPE') process.exit(0)
+  throw error
+})
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code
+})
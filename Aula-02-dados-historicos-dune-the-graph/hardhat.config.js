@@ -0,0 +1,11 @@
+/**
+ * Hardhat config for the in-process fork harness (lib/hardhat-fork.js)
+ *
+ * The fork itself is started at runtime with hardhat_reset, so the block
+ * and the source endpoint can change per script.
+ */
+module.exports = {
+  networks: {
+    hardhat: {}
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Bundled ABIs of the contracts used throughout the workshop, keyed by address
+ */
+
+const ERC20_ABI = require('./erc20')
+const UNISWAP_V3_POOL_ABI = require('./uniswap-v3-pool')
+
+const KNOWN_CONTRACTS = {
+  '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48': { name: 'USDC', abi: ERC20_ABI },
+  '0xdAC17F958D2ee523a2206206994597C13D831ec7': { name: 'USDT', abi: ERC20_ABI },
+  '0x6B175474E89094C44Da98b954EedeAC495271d0F': { name: 'DAI', abi: ERC20_ABI },
+  '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2': { name: 'WETH', abi: ERC20_ABI },
+  '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640': { name: 'Uniswap V3 USDC/ETH 0.05%', abi: UNISWAP_V3_POOL_ABI },
+  '0x8ad599c3A0ff1De082011EFDDc58f1908eb6e6D8': { name: 'Uniswap V3 USDC/ETH 0.3%', abi: UNISWAP_V3_POOL_ABI }
+}
+
+module.exports = {
+  ERC20_ABI,
+  UNISWAP_V3_POOL_ABI,
+  KNOWN_CONTRACTS
+}
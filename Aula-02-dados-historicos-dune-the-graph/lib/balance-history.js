@@ -0,0 +1,268 @@
+/**
+ * Balance time series reconstructed from Transfer logs
+ *
+ * Instead of one archive eth_call per snapshot, replay the token's Transfer
+ * logs to get the exact value after every change:
+ * - reconstructBalanceHistory(): balance of one account
+ * - reconstructSupplyHistory():  total supply, from mints (from 0x0) and burns (to 0x0)
+ *
+ * The series starts from an on-chain read at `fromBlock - 1`; without an
+ * archive node it is derived from a read at `toBlock` instead (a regular node
+ * can serve it when it is recent). It is then cross-checked with
+ * `balanceOf`/`totalSupply` at a few anchor blocks, including blocks between
+ * change points: tokens whose balances move without matching Transfer events
+ * (rebasing) or whose Transfer values do not add up (fee-on-transfer) are
+ * flagged, and the drift between replay and chain is reported.
+ */
+
+const { ethers } = require('ethers')
+const { ERC20_ABI } = require('./abis')
+const { fetchLogsRange } = require('./fetch-logs-range')
+
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI)
+const TRANSFER_TOPIC = erc20Interface.getEventTopic('Transfer')
+const ZERO_TOPIC = ethers.utils.hexZeroPad('0x', 32)
+
+const DEFAULTS = {
+  anchors: 3,
+  fromBlock: 0,
+  toBlock: 'latest'
+}
+
+function logKey(log) {
+  return `${log.transactionHash}-${log.logIndex}`
+}
+
+/**
+ * Fetch the Transfer logs of several topic filters, merged, de-duplicated
+ * (a self-transfer matches both "from" and "to") and sorted
+ */
+async function fetchTransfers(provider, token, topicFilters, fromBlock, toBlock, fetchOptions) {
+  const byKey = new Map()
+
+  for (const topics of topicFilters) {
+    const logs = await fetchLogsRange(provider, { address: token, topics, fromBlock, toBlock }, fetchOptions)
+    for (const log of logs) byKey.set(logKey(log), log)
+  }
+
+  return [...byKey.values()].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+}
+
+function decodeTransfer(log) {
+  const { args } = erc20Interface.parseLog(log)
+  return { from: args.from, to: args.to, value: args.value }
+}
+
+/**
+ * Value of the series at the end of `blockNumber`
+ */
+function valueAt(series, startValue, blockNumber) {
+  let value = startValue
+
+  for (const point of series) {
+    if (point.blockNumber > blockNumber) break
+    value = point.value
+  }
+
+  return value
+}
+
+/**
+ * Spread `count` anchor blocks over the change points and the blocks between
+ * them (midpoints of each gap, and toBlock itself). Only a block without a
+ * change point tells a balance that moved on its own (rebasing) apart from
+ * Transfer values that do not add up. `anchorBlock` was read to start the
+ * series and is skipped.
+ */
+function pickAnchorBlocks(series, count, fromBlock, toBlock, anchorBlock) {
+  const points = [...new Set(series.map(point => point.blockNumber))]
+  const bounds = [fromBlock - 1, ...points, toBlock + 1]
+  const candidates = []
+
+  for (let i = 1; i < bounds.length; i++) {
+    const [low, high] = [bounds[i - 1], bounds[i]]
+    if (high - low > 1) candidates.push(Math.floor((low + high) / 2))
+    if (i < bounds.length - 1) candidates.push(high)
+  }
+  if (!points.includes(toBlock)) candidates.push(toBlock)
+
+  const blocks = [...new Set(candidates)].filter(n => n >= fromBlock && n !== anchorBlock)
+  if (blocks.length <= count) return blocks
+
+  return Array.from({ length: count }, (_, i) => blocks[Math.round(((i + 1) * (blocks.length - 1)) / count)])
+}
+
+/**
+ * Compare the replayed series with on-chain reads at anchor blocks
+ *
+ * A mismatch is reported where the difference between chain and replay
+ * changes: once drifted, later anchors carry the same difference. When no
+ * change point lies since the previous read, the value moved without Transfer
+ * events. `startKnown`: the start value was read on-chain (difference zero).
+ */
+async function crossCheck(series, startValue, anchorBlocks, readActual, startKnown) {
+  const checks = []
+
+  for (const blockNumber of anchorBlocks) {
+    const expected = valueAt(series, startValue, blockNumber)
+
+    try {
+      const actual = await readActual(blockNumber)
+      checks.push({ blockNumber, expected, actual, matches: actual.eq(expected), difference: actual.sub(expected) })
+    } catch (error) {
+      // Old blocks need an archive node; a failed anchor is reported, not fatal
+      checks.push({ blockNumber, expected, actual: null, matches: null, error: error.message })
+    }
+  }
+
+  const read = checks.filter(check => check.matches !== null)
+  const eventsBetween = (low, high) => series.some(point => point.blockNumber > low && point.blockNumber <= high)
+  const mismatches = []
+
+  read.forEach((check, i) => {
+    const previous = i > 0 ? read[i - 1] : null
+    // Without a previous read or a known start, the first read only counts when it mismatches
+    const baseline = previous ? previous.difference : (startKnown ? ethers.constants.Zero : null)
+    if (baseline ? baseline.eq(check.difference) : check.matches) return
+
+    const since = previous ? previous.blockNumber : -1
+    const movedWithoutEvents = baseline !== null && !eventsBetween(since, check.blockNumber)
+
+    mismatches.push({
+      ...check,
+      hint: movedWithoutEvents
+        ? 'value changed without Transfer events (rebasing token?)'
+        : 'Transfer values do not add up (fee-on-transfer or non-standard token?)'
+    })
+  })
+
+  return {
+    checks,
+    mismatches,
+    consistent: read.every(check => check.matches),
+    // On-chain minus replayed value at the last anchor read (null: none could be read)
+    drift: read.length ? read[read.length - 1].difference : null
+  }
+}
+
+async function buildSeries(provider, settings, { topicFilters, deltaOf, readActual }) {
+  const toBlock = settings.toBlock === 'latest' ? await provider.getBlockNumber() : settings.toBlock
+  const logs = await fetchTransfers(provider, settings.token, topicFilters, settings.fromBlock, toBlock, settings.fetchOptions)
+
+  const deltas = logs.map(log => ({ log, delta: deltaOf(decodeTransfer(log)) }))
+    .filter(({ delta }) => !delta.isZero())
+
+  // Start value: given, zero when replaying from genesis, else read at fromBlock - 1.
+  // Without an archive node it is derived from the value at toBlock, which
+  // hides drift at toBlock: it then shows at the earlier anchors.
+  let startValue
+  let anchorBlock = null
+  if (settings.startValue !== undefined) {
+    startValue = ethers.BigNumber.from(settings.startValue)
+  } else if (settings.fromBlock === 0) {
+    startValue = ethers.constants.Zero
+  } else {
+    try {
+      startValue = await readActual(settings.fromBlock - 1)
+    } catch (error) {
+      anchorBlock = toBlock
+      const endValue = await readActual(toBlock)
+      startValue = deltas.reduce((value, { delta }) => value.sub(delta), endValue)
+    }
+  }
+
+  let value = startValue
+  const series = deltas.map(({ log, delta }) => {
+    value = value.add(delta)
+    return {
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      delta,
+      value
+    }
+  })
+
+  const anchorBlocks = pickAnchorBlocks(series, settings.anchors, settings.fromBlock, toBlock, anchorBlock)
+  const verification = await crossCheck(series, startValue, anchorBlocks, readActual, anchorBlock === null)
+
+  return {
+    token: settings.token,
+    fromBlock: settings.fromBlock,
+    toBlock,
+    startValue,
+    // The start value came from the read at toBlock (no archive node)
+    startValueDerived: anchorBlock !== null,
+    endValue: value,
+    series,
+    verification
+  }
+}
+
+/**
+ * Reconstruct the balance of an account at every change point
+ *
+ * @param {ethers.providers.Provider} provider - Provider used for eth_getLogs and anchor reads
+ * @param {Object} options
+ * @param {string} options.token - ERC20 address
+ * @param {string} options.account - Account address
+ * @param {number} [options.fromBlock=0] - First block (0 replays from genesis, no anchor read)
+ * @param {number|string} [options.toBlock='latest'] - Last block
+ * @param {BigNumberish} [options.startValue] - Known balance at fromBlock - 1 (default: read on-chain)
+ * @param {number} [options.anchors=3] - balanceOf cross-checks
+ * @returns {Promise<Object>} `{ startValue, startValueDerived, endValue, series, verification }`;
+ *   each series point is `{ blockNumber, transactionHash, logIndex, delta, value }`,
+ *   verification is `{ checks, mismatches, consistent, drift }`
+ */
+async function reconstructBalanceHistory(provider, options) {
+  const settings = { ...DEFAULTS, ...options }
+  const account = ethers.utils.getAddress(settings.account)
+  const accountTopic = ethers.utils.hexZeroPad(account, 32)
+  const token = new ethers.Contract(settings.token, ERC20_ABI, provider)
+
+  const result = await buildSeries(provider, settings, {
+    topicFilters: [
+      [TRANSFER_TOPIC, accountTopic],
+      [TRANSFER_TOPIC, null, accountTopic]
+    ],
+    deltaOf: ({ from, to, value }) => {
+      let delta = ethers.constants.Zero
+      if (to === account) delta = delta.add(value)
+      if (from === account) delta = delta.sub(value)
+      return delta
+    },
+    readActual: blockTag => token.balanceOf(account, { blockTag })
+  })
+
+  return { account, ...result }
+}
+
+/**
+ * Reconstruct a token's total supply at every mint and burn
+ *
+ * Same options as reconstructBalanceHistory(), without `account`.
+ */
+async function reconstructSupplyHistory(provider, options) {
+  const settings = { ...DEFAULTS, ...options }
+  const token = new ethers.Contract(settings.token, ERC20_ABI, provider)
+
+  return buildSeries(provider, settings, {
+    topicFilters: [
+      [TRANSFER_TOPIC, ZERO_TOPIC],
+      [TRANSFER_TOPIC, null, ZERO_TOPIC]
+    ],
+    deltaOf: ({ from, to, value }) => {
+      let delta = ethers.constants.Zero
+      if (from === ethers.constants.AddressZero) delta = delta.add(value)
+      if (to === ethers.constants.AddressZero) delta = delta.sub(value)
+      return delta
+    },
+    readActual: blockTag => token.totalSupply({ blockTag })
+  })
+}
+
+module.exports = {
+  reconstructBalanceHistory,
+  reconstructSupplyHistory,
+  valueAt
+}
@@ -0,0 +1,272 @@
+/**
+ * Exact block-by-timestamp resolver
+ *
+ * Finds the block for a Unix timestamp with explicit semantics:
+ * - 'atOrBefore': the last block with timestamp <= target
+ * - 'atOrAfter':  the first block with timestamp >= target
+ *
+ * The search interpolates with the average block time of the current range
+ * (falling back to bisection when interpolation stops converging), and every
+ * block timestamp it reads is cached on disk, so repeated lookups and lookups
+ * close to previous ones need few or no RPC calls.
+ */
+
+const { readJsonCache, writeJsonCache } = require('./cache')
+
+const DEFAULTS = {
+  mode: 'atOrBefore',
+  // Blocks this close to the head may still be reorged, keep them out of the disk cache
+  finalityDepth: 64
+}
+
+const DAY = 24 * 60 * 60
+
+/**
+ * Index of the first element of a sorted array that is >= value
+ */
+function lowerBound(sorted, value) {
+  let lo = 0
+  let hi = sorted.length
+
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (sorted[mid] < value) lo = mid + 1
+    else hi = mid
+  }
+
+  return lo
+}
+
+/**
+ * Create a resolver bound to a provider
+ *
+ * @param {ethers.providers.Provider} provider - Provider used for eth_getBlockByNumber
+ * @param {Object} [options]
+ * @param {string} [options.cacheFile] - Cache file name (default: block-timestamps-<chainId>.json)
+ * @param {number} [options.finalityDepth=64] - Blocks below head - depth are cached on disk
+ */
+function createBlockResolver(provider, options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+
+  let cacheFile = null
+  let diskCache = null
+  // blockNumber -> timestamp, and the sorted list of known block numbers
+  const timestamps = new Map()
+  const knownBlocks = []
+  let latest = null
+  let dirty = false
+  let rpcCalls = 0
+
+  async function init() {
+    if (diskCache) return
+
+    const { chainId } = await provider.getNetwork()
+    cacheFile = settings.cacheFile || `block-timestamps-${chainId}.json`
+    diskCache = readJsonCache(cacheFile)
+
+    for (const [number, timestamp] of Object.entries(diskCache)) {
+      remember(Number(number), timestamp, false)
+    }
+  }
+
+  function remember(number, timestamp, persist = true) {
+    if (!timestamps.has(number)) {
+      knownBlocks.splice(lowerBound(knownBlocks, number), 0, number)
+    }
+    timestamps.set(number, timestamp)
+
+    if (persist && latest && number <= latest.number - settings.finalityDepth) {
+      diskCache[number] = timestamp
+      dirty = true
+    }
+  }
+
+  async function getTimestamp(number) {
+    if (timestamps.has(number)) return timestamps.get(number)
+
+    const block = await provider.getBlock(number)
+    rpcCalls++
+    // A node behind its load balancer peers may not know a block below the head yet
+    if (!block) throw new Error(`Block ${number} is not known to the node yet`)
+    remember(number, block.timestamp)
+
+    return block.timestamp
+  }
+
+  async function getLatest() {
+    if (!latest) {
+      const block = await provider.getBlock('latest')
+      rpcCalls++
+      latest = { number: block.number, timestamp: block.timestamp }
+      remember(block.number, block.timestamp, false)
+    }
+
+    return latest
+  }
+
+  function flush() {
+    if (dirty) {
+      writeJsonCache(cacheFile, diskCache)
+      dirty = false
+    }
+  }
+
+  /**
+   * Resolve one timestamp
+   *
+   * @param {number} timestamp - Unix timestamp (seconds)
+   * @param {Object} [resolveOptions]
+   * @param {'atOrBefore'|'atOrAfter'} [resolveOptions.mode='atOrBefore']
+   * @returns {Promise<Object|null>} `{ number, timestamp }`, or null when no
+   *   block satisfies the mode (before genesis / not mined yet)
+   */
+  async function resolve(timestamp, resolveOptions = {}) {
+    const result = await search(timestamp, resolveOptions.mode || settings.mode)
+    flush()
+    return result
+  }
+
+  async function search(target, mode) {
+    if (mode !== 'atOrBefore' && mode !== 'atOrAfter') {
+      throw new Error(`Unknown mode "${mode}", expected 'atOrBefore' or 'atOrAfter'`)
+    }
+
+    await init()
+    let head = await getLatest()
+
+    // The head may have moved since it was read
+    if (target >= head.timestamp) {
+      latest = null
+      head = await getLatest()
+    }
+
+    // Blocks on the "left" of the answer; the search keeps isLeft(lo) && !isLeft(hi)
+    const isLeft = ts => mode === 'atOrBefore' ? ts <= target : ts < target
+
+    if (isLeft(head.timestamp)) {
+      return mode === 'atOrBefore' ? { ...head } : null
+    }
+
+    const genesisTimestamp = await getTimestamp(0)
+    if (!isLeft(genesisTimestamp)) {
+      return mode === 'atOrAfter' ? { number: 0, timestamp: genesisTimestamp } : null
+    }
+
+    // Start from the tightest bounds already known
+    let lo = 0
+    let hi = head.number
+    for (const number of knownBlocks) {
+      if (number > head.number) break
+      if (isLeft(timestamps.get(number))) lo = number
+      else { hi = number; break }
+    }
+
+    let bisect = false
+    while (hi - lo > 1) {
+      const loTs = timestamps.get(lo)
+      const hiTs = timestamps.get(hi)
+
+      let mid
+      if (bisect || hiTs === loTs) {
+        mid = Math.floor((lo + hi) / 2)
+      } else {
+        // Interpolate with the average block time of [lo, hi]
+        const blockTime = (hiTs - loTs) / (hi - lo)
+        mid = lo + Math.round((target - loTs) / blockTime)
+      }
+      mid = Math.min(hi - 1, Math.max(lo + 1, mid))
+
+      const span = hi - lo
+      if (isLeft(await getTimestamp(mid))) lo = mid
+      else hi = mid
+
+      // Interpolation that does not halve the range is not converging, bisect next
+      bisect = !bisect && (hi - lo) * 2 > span
+    }
+
+    const number = mode === 'atOrBefore' ? lo : hi
+    return { number, timestamp: timestamps.get(number) }
+  }
+
+  /**
+   * Resolve many timestamps; sorted internally so each lookup narrows the next
+   *
+   * @returns {Promise<Array>} Results in the order of `list`
+   */
+  async function resolveMany(list, resolveOptions = {}) {
+    const mode = resolveOptions.mode || settings.mode
+    const order = list.map((timestamp, i) => ({ timestamp, i })).sort((a, b) => a.timestamp - b.timestamp)
+    const results = new Array(list.length)
+
+    for (const { timestamp, i } of order) {
+      results[i] = await search(timestamp, mode)
+    }
+
+    flush()
+    return results
+  }
+
+  /**
+   * Timestamps of several blocks, through the same cache, written to disk once
+   *
+   * @param {Array<number>} numbers - Block numbers, at most the head
+   * @returns {Promise<Array<number>>} Timestamps in the order of `numbers`
+   * @throws {Error} When a block is above the head
+   */
+  async function blockTimestamps(numbers) {
+    await init()
+    let head = await getLatest()
+
+    const highest = Math.max(...numbers)
+    if (highest > head.number) {
+      // The head may have moved since it was read
+      latest = null
+      head = await getLatest()
+      if (highest > head.number) {
+        throw new Error(`Block ${highest} is not mined yet (head is ${head.number})`)
+      }
+    }
+
+    const result = []
+    for (const number of numbers) result.push(await getTimestamp(number))
+
+    flush()
+    return result
+  }
+
+  /**
+   * Timestamp of one block, through the same cache
+   */
+  async function blockTimestamp(number) {
+    const [timestamp] = await blockTimestamps([number])
+    return timestamp
+  }
+
+  function stats() {
+    return { rpcCalls, cachedBlocks: knownBlocks.length }
+  }
+
+  return {
+    resolve,
+    resolveMany,
+    blockTimestamp,
+    blockTimestamps,
+    stats
+  }
+}
+
+/**
+ * UTC midnights of the last `days` days, oldest first
+ *
+ * @param {number} days - Number of midnights
+ * @param {Date} [end=new Date()] - The last midnight is the one at or before `end`
+ */
+function dailyMidnights(days, end = new Date()) {
+  const lastMidnight = Math.floor(end.getTime() / 1000 / DAY) * DAY
+  return Array.from({ length: days }, (_, i) => lastMidnight - (days - 1 - i) * DAY)
+}
+
+module.exports = {
+  createBlockResolver,
+  dailyMidnights
+}
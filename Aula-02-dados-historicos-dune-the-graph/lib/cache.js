@@ -0,0 +1,49 @@
+/**
+ * Small JSON caches stored on disk
+ *
+ * Files live in CACHE_DIR (default: .cache/ next to package.json) and are
+ * written atomically, so an interrupted run never leaves a corrupt cache.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '..', '.cache')
+
+function cachePath(name) {
+  return path.isAbsolute(name) ? name : path.join(CACHE_DIR, name)
+}
+
+/**
+ * Read a JSON cache file, or `fallback` when it does not exist yet
+ */
+function readJsonCache(name, fallback = {}) {
+  const file = cachePath(name)
+  if (!fs.existsSync(file)) return fallback
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (error) {
+    // A cache is disposable: start over instead of failing the whole run
+    return fallback
+  }
+}
+
+/**
+ * Write a JSON cache file (write + rename)
+ */
+function writeJsonCache(name, data) {
+  const file = cachePath(name)
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+
+  const tmpFile = `${file}.${process.pid}.tmp`
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2))
+  fs.renameSync(tmpFile, file)
+}
+
+module.exports = {
+  CACHE_DIR,
+  cachePath,
+  readJsonCache,
+  writeJsonCache
+}
@@ -0,0 +1,313 @@
+/**
+ * Call trace decoding
+ *
+ * Turns a transaction's call tree into something readable: every call with
+ * its contract and function name, decoded arguments and return values, ETH
+ * sent, gas used, and why it failed (Error(string), Panic(uint256) or a
+ * custom error of a known ABI).
+ *
+ * The tree comes from `debug_traceTransaction` with the callTracer, or is
+ * rebuilt from the struct logs on nodes that only have the default tracer
+ * (Hardhat, so local forks). Tenderly's `call_trace` is read as well.
+ */
+
+const { ethers } = require('ethers')
+const { createDefaultRegistry, formatArgs } = require('./decoder-registry')
+const { isDefaultTracerOnly } = require('./state-diff')
+
+const CALL_OPS = ['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL']
+const CREATE_OPS = ['CREATE', 'CREATE2']
+
+const quantity = value => ethers.utils.hexValue(ethers.BigNumber.from(value))
+const word = value => ethers.utils.hexZeroPad(value.startsWith('0x') ? value : `0x${value}`, 32)
+const toAddress = value => ethers.utils.getAddress(ethers.utils.hexDataSlice(word(value), 12))
+const toNumber = value => ethers.BigNumber.from(word(value)).toNumber()
+
+/**
+ * `length` bytes of a struct log's memory (32-byte words), zero-padded past its end
+ */
+function readMemory(memory, offset, length) {
+  if (length === 0) return '0x'
+  const hex = (memory || []).join('').slice(offset * 2, (offset + length) * 2)
+  return `0x${hex.padEnd(length * 2, '0')}`
+}
+
+// Why a frame ended without success, from its last step
+function failureOf(step) {
+  if (step.op === 'REVERT') return 'execution reverted'
+  if (step.op === 'INVALID') return 'invalid opcode'
+  if (step.gas < step.gasCost) return 'out of gas'
+  return 'execution failed'
+}
+
+/**
+ * callTracer output rebuilt from a default-tracer trace taken with memory
+ *
+ * Inner calls get their input and output from memory; gas used by calls
+ * that run no code (EOAs, precompiles) includes the CALL's own cost.
+ *
+ * @param {Object} trace - `debug_traceTransaction` result (`structLogs` with memory)
+ * @param {Object} tx - JSON-RPC transaction (`from`, `to`, `value`, `gas`, `input`)
+ * @param {Object} receipt - JSON-RPC receipt (`gasUsed`, `contractAddress`)
+ */
+function rebuildCallTrace(trace, tx, receipt) {
+  const returnValue = trace.returnValue ? `0x${trace.returnValue.replace(/^0x/, '')}` : '0x'
+  const root = {
+    type: tx.to ? 'CALL' : 'CREATE',
+    from: ethers.utils.getAddress(tx.from),
+    to: tx.to || receipt.contractAddress ? ethers.utils.getAddress(tx.to || receipt.contractAddress) : null,
+    value: quantity(tx.value || 0),
+    gas: quantity(tx.gas),
+    gasUsed: quantity(receipt.gasUsed),
+    input: tx.input || tx.data || '0x',
+    output: returnValue,
+    calls: []
+  }
+  if (trace.failed) root.error = returnValue !== '0x' ? 'execution reverted' : 'execution failed'
+
+  // Frames being executed, with the address whose storage and balance they use
+  const frames = [{ frame: root, context: root.to }]
+  const logs = trace.structLogs
+
+  for (let i = 0; i < logs.length; i++) {
+    const step = logs[i]
+    const next = logs[i + 1]
+    const stack = step.stack || []
+    const arg = n => stack[stack.length - 1 - n]
+    const { frame, context } = frames[frames.length - 1]
+
+    if (CALL_OPS.includes(step.op) || CREATE_OPS.includes(step.op)) {
+      const create = CREATE_OPS.includes(step.op)
+      const withValue = ['CALL', 'CALLCODE'].includes(step.op)
+      const at = create ? 1 : withValue ? 3 : 2
+
+      const call = {
+        type: step.op,
+        from: context,
+        to: create ? null : toAddress(arg(1)),
+        value: quantity(create || withValue ? word(arg(create ? 0 : 2)) : 0),
+        gas: quantity(create ? step.gas : word(arg(0))),
+        gasUsed: '0x0',
+        input: readMemory(step.memory, toNumber(arg(at)), toNumber(arg(at + 1))),
+        output: '0x',
+        calls: []
+      }
+      frame.calls.push(call)
+
+      if (next && next.depth > step.depth) {
+        call.gas = quantity(next.gas)
+        const callee = create ? null : ['DELEGATECALL', 'CALLCODE'].includes(step.op) ? context : call.to
+        frames.push({ frame: call, context: callee, start: next.gas })
+      } else if (next) {
+        // No code ran (EOA, precompile) or the call could not start: the result is already there
+        const success = !/^0*$/.test(next.stack[next.stack.length - 1].replace(/^0x/, ''))
+        call.gasUsed = quantity(Math.max(step.gas - next.gas, 0))
+        if (create) call.to = success ? toAddress(next.stack[next.stack.length - 1]) : null
+        else call.output = success ? readMemory(next.memory, toNumber(arg(at + 2)), toNumber(arg(at + 3))) : '0x'
+        if (!success) call.error = 'execution failed'
+      }
+    }
+
+    // Leaving a frame: output from RETURN/REVERT, success from the caller's stack
+    if (next && next.depth < step.depth) {
+      const { frame: call, start } = frames.pop()
+
+      if (['RETURN', 'REVERT'].includes(step.op)) {
+        call.output = readMemory(step.memory, toNumber(arg(0)), toNumber(arg(1)))
+      }
+
+      // A failure other than REVERT consumes all the gas of the frame
+      const left = ['RETURN', 'REVERT', 'STOP', 'SELFDESTRUCT'].includes(step.op) ? step.gas - step.gasCost : 0
+      call.gasUsed = quantity(Math.max(start - left, 0))
+
+      const result = next.stack[next.stack.length - 1]
+      const success = !/^0*$/.test(result.replace(/^0x/, ''))
+      if (CREATE_OPS.includes(call.type)) call.to = success ? toAddress(result) : null
+      if (!success) call.error = failureOf(step)
+    }
+  }
+
+  return root
+}
+
+/**
+ * callTracer output of a mined transaction
+ *
+ * @param {ethers.providers.JsonRpcProvider} provider - Needs the debug_* namespace
+ * @param {string} txHash
+ * @returns {Promise<Object>} Root frame: `{ type, from, to, value, gas, gasUsed, input,
+ *   output, error, calls }` (quantities in hex)
+ */
+async function traceCalls(provider, txHash) {
+  try {
+    return await provider.send('debug_traceTransaction', [txHash, { tracer: 'callTracer' }])
+  } catch (error) {
+    if (!isDefaultTracerOnly(error)) throw error
+
+    const tx = await provider.send('eth_getTransactionByHash', [txHash])
+    const receipt = await provider.send('eth_getTransactionReceipt', [txHash])
+    if (!tx || !receipt) throw new Error(`Transaction ${txHash} is not mined`)
+
+    const trace = await provider.send('debug_traceTransaction', [txHash, { disableStorage: true }])
+    return rebuildCallTrace(trace, tx, receipt)
+  }
+}
+
+/**
+ * callTracer frame from a Tenderly `call_trace` (also returned by lib/local-simulator.js)
+ */
+function fromTenderlyTrace(callTrace) {
+  return {
+    type: callTrace.call_type,
+    from: callTrace.from,
+    to: callTrace.to,
+    value: quantity(callTrace.value || 0),
+    gas: quantity(callTrace.gas || 0),
+    gasUsed: quantity(callTrace.gas_used || 0),
+    input: callTrace.input || '0x',
+    output: callTrace.output || '0x',
+    error: callTrace.error || undefined,
+    revertReason: callTrace.error_reason || undefined,
+    calls: (callTrace.calls || []).map(fromTenderlyTrace)
+  }
+}
+
+/**
+ * Tenderly `call_trace` shape of a callTracer frame
+ */
+function toTenderlyTrace(frame) {
+  return {
+    call_type: frame.type,
+    from: frame.from,
+    to: frame.to,
+    value: ethers.BigNumber.from(frame.value || 0).toString(),
+    gas: ethers.BigNumber.from(frame.gas || 0).toNumber(),
+    gas_used: ethers.BigNumber.from(frame.gasUsed || 0).toNumber(),
+    input: frame.input,
+    output: frame.output,
+    error: frame.error || null,
+    calls: (frame.calls || []).map(toTenderlyTrace)
+  }
+}
+
+/**
+ * Create a decoder
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - Decoder registry (default: known contracts and ABI_DIR)
+ * @returns {Object} `{ decode(frame) }`
+ *
+ * @example
+ * const tree = createCallTraceDecoder().decode(await traceCalls(provider, txHash))
+ * console.log(formatCallTree(tree))
+ */
+function createCallTraceDecoder(options = {}) {
+  const registry = options.registry || createDefaultRegistry({ abiDir: process.env.ABI_DIR })
+
+  /**
+   * Decode a frame and its sub-calls
+   *
+   * @param {Object} frame - callTracer frame (see traceCalls() and fromTenderlyTrace())
+   * @returns {Object} `{ type, from, to, contract, function, signature, args, result, value,
+   *   gas, gasUsed, input, output, error, revert, calls }`; revert is registry.decodeError()'s
+   *   result for failed calls (its message falls back to the node's error)
+   */
+  function decode(frame) {
+    const to = frame.to ? ethers.utils.getAddress(frame.to) : null
+    const failed = Boolean(frame.error)
+    const create = CREATE_OPS.includes(frame.type)
+
+    const call = !create && to
+      ? registry.decodeCall(to, frame.input || '0x', failed ? null : frame.output)
+      : { contract: to && registry.getContract(to) ? registry.getContract(to).name : null, function: null, signature: null, args: null, result: null }
+
+    let revert = null
+    if (failed) {
+      revert = registry.decodeError(to, frame.output || '0x')
+      if (!revert.message) {
+        const data = frame.output && frame.output !== '0x' ? ` (${frame.output})` : ''
+        revert = { ...revert, message: `${frame.revertReason || frame.error}${data}` }
+      }
+    }
+
+    return {
+      type: frame.type,
+      from: frame.from ? ethers.utils.getAddress(frame.from) : null,
+      to,
+      contract: call.contract,
+      function: call.function,
+      signature: call.signature,
+      args: call.args,
+      result: call.result,
+      value: ethers.BigNumber.from(frame.value || 0).toString(),
+      gas: ethers.BigNumber.from(frame.gas || 0).toNumber(),
+      gasUsed: ethers.BigNumber.from(frame.gasUsed || 0).toNumber(),
+      input: frame.input || '0x',
+      output: frame.output || '0x',
+      error: frame.error || null,
+      revert,
+      calls: (frame.calls || []).map(decode)
+    }
+  }
+
+  return {
+    decode
+  }
+}
+
+/**
+ * One line per call, indented by depth
+ *
+ * @example
+ * // CALL Router.pull(t: 0x2279..., from: 0xf39F..., to: 0x...00B0, v: 200) value: 7 wei  [gas 61234]
+ * // ├─ CALL Tok2.transferFrom(f: 0xf39F..., to: 0x...00B0, v: 200) -> true  [gas 20123]
+ * // └─ CALL 0x...00B0 value: 7 wei  [gas 9000]
+ */
+function formatCallTree(frame) {
+  const lines = []
+
+  function describe(call) {
+    const target = call.contract || call.to || '(failed create)'
+    const fn = call.function
+      ? `.${call.function}(${formatArgs(call.args)})`
+      : call.input && call.input !== '0x' && !CREATE_OPS.includes(call.type) ? ` ${call.input.slice(0, 10)}...` : ''
+    const value = call.value !== '0' ? ` value: ${call.value} wei` : ''
+    const result = call.result ? ` -> ${Object.values(call.result).length === 1 ? formatArgs(call.result).replace(/^\w+: /, '') : `(${formatArgs(call.result)})`}` : ''
+    const failure = call.revert ? `  REVERTED: ${call.revert.message}` : ''
+
+    return `${call.type} ${target}${fn}${value}${result}  [gas ${call.gasUsed}]${failure}`
+  }
+
+  function walk(call, prefix, childPrefix) {
+    lines.push(`${prefix}${describe(call)}`)
+    call.calls.forEach((child, i) => {
+      const last = i === call.calls.length - 1
+      walk(child, `${childPrefix}${last ? '└─ ' : '├─ '}`, `${childPrefix}${last ? '   ' : '│  '}`)
+    })
+  }
+
+  walk(frame, '', '')
+  return lines.join('\n')
+}
+
+/**
+ * The call a failed frame's revert came from, following revert data
+ * bubbled up unchanged through its callers
+ *
+ * @returns {Object|null} A frame of the tree, null when `frame` did not fail
+ */
+function revertOrigin(frame) {
+  if (!frame.error) return null
+  const bubbled = frame.calls.filter(call => call.error && call.output === frame.output).pop()
+  return bubbled ? revertOrigin(bubbled) : frame
+}
+
+module.exports = {
+  traceCalls,
+  rebuildCallTrace,
+  fromTenderlyTrace,
+  toTenderlyTrace,
+  createCallTraceDecoder,
+  formatCallTree,
+  revertOrigin
+}
@@ -0,0 +1,189 @@
+/**
+ * Argument parsing and shared flag handling for the evm-history CLI
+ */
+
+const { ethers } = require('ethers')
+const { createBlockResolver } = require('../block-by-timestamp')
+const { createProviderFromEnv } = require('../provider-pool')
+const { cacheProvider } = require('../rpc-cache')
+
+// Exit codes: 0 = success, 1 = the command failed, 2 = invalid usage
+const EXIT_FAILURE = 1
+const EXIT_USAGE = 2
+
+/**
+ * Error for invalid flags/arguments (reported with usage, exit code 2)
+ */
+function usageError(message) {
+  const error = new Error(message)
+  error.exitCode = EXIT_USAGE
+  return error
+}
+
+/**
+ * Parse `--flag value`, `--flag=value` and positional arguments
+ *
+ * @param {Array<string>} argv - Arguments after the command name
+ * @param {Object} [options]
+ * @param {Array<string>} [options.boolean] - Flags that take no value
+ * @param {Array<string>} [options.multiple] - Flags that may repeat (collected in an array)
+ * @returns {Object} `{ _: positionals, ...flags }`
+ */
+function parseArgs(argv, options = {}) {
+  const { boolean = [], multiple = [] } = options
+  const args = { _: [] }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (!arg.startsWith('--')) {
+      args._.push(arg)
+      continue
+    }
+
+    let name = arg.slice(2)
+    let value
+
+    const equals = name.indexOf('=')
+    if (equals !== -1) {
+      value = name.slice(equals + 1)
+      name = name.slice(0, equals)
+    } else if (boolean.includes(name)) {
+      value = true
+    } else {
+      value = argv[++i]
+      if (value === undefined) throw usageError(`--${name} needs a value`)
+    }
+
+    if (multiple.includes(name)) {
+      args[name] = [...(args[name] || []), value]
+    } else {
+      args[name] = value
+    }
+  }
+
+  return args
+}
+
+function requireFlag(args, name) {
+  if (args[name] === undefined) throw usageError(`--${name} is required`)
+  return args[name]
+}
+
+function parseAddress(value, name) {
+  try {
+    return ethers.utils.getAddress(value)
+  } catch (error) {
+    throw usageError(`--${name} is not a valid address: ${value}`)
+  }
+}
+
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(String(value))) throw usageError(`--${name} must be a non-negative integer, got "${value}"`)
+  return parseInt(value, 10)
+}
+
+/**
+ * Unix timestamp (seconds) from a unix timestamp or an ISO date/datetime (UTC)
+ */
+function parseDate(value, name) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10)
+
+  const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value)
+  if (Number.isNaN(ms)) throw usageError(`--${name} is not a date: ${value}`)
+
+  return Math.floor(ms / 1000)
+}
+
+/**
+ * `--rpc-url` as a single endpoint, else the pool configured in the environment;
+ * both behind the RPC response cache unless RPC_CACHE=0
+ */
+function createProvider(args) {
+  if (args['rpc-url']) {
+    const provider = new ethers.providers.JsonRpcProvider(args['rpc-url'])
+    return process.env.RPC_CACHE === '0' ? provider : cacheProvider(provider)
+  }
+
+  try {
+    return createProviderFromEnv()
+  } catch (error) {
+    throw usageError(`${error.message}, or pass --rpc-url`)
+  }
+}
+
+/**
+ * Resolve `--from-block/--to-block` or `--from-date/--to-date` to block numbers
+ *
+ * Dates resolve to the first block at or after `--from-date` and the last
+ * block at or before `--to-date`. Without a start, the range is the last
+ * `defaultBlocks` blocks.
+ *
+ * @returns {Promise<Object>} `{ fromBlock, toBlock }`
+ */
+async function resolveBlockRange(provider, args, defaultBlocks = 1000) {
+  if (args['from-block'] !== undefined && args['from-date'] !== undefined) {
+    throw usageError('Use either --from-block or --from-date, not both')
+  }
+  if (args['to-block'] !== undefined && args['to-date'] !== undefined) {
+    throw usageError('Use either --to-block or --to-date, not both')
+  }
+
+  const blocks = createBlockResolver(provider)
+  const latest = await provider.getBlockNumber()
+
+  let toBlock = latest
+  if (args['to-block'] !== undefined) {
+    toBlock = parseInteger(args['to-block'], 'to-block')
+  } else if (args['to-date'] !== undefined) {
+    const block = await blocks.resolve(parseDate(args['to-date'], 'to-date'), { mode: 'atOrBefore' })
+    if (!block) throw new Error(`--to-date ${args['to-date']} is before the first block`)
+    toBlock = block.number
+  }
+
+  let fromBlock = Math.max(0, toBlock - defaultBlocks)
+  if (args['from-block'] !== undefined) {
+    fromBlock = parseInteger(args['from-block'], 'from-block')
+  } else if (args['from-date'] !== undefined) {
+    const block = await blocks.resolve(parseDate(args['from-date'], 'from-date'), { mode: 'atOrAfter' })
+    if (!block) throw new Error(`--from-date ${args['from-date']} is after the latest block`)
+    fromBlock = block.number
+  }
+
+  if (fromBlock > toBlock) throw usageError(`Empty block range: ${fromBlock} > ${toBlock}`)
+
+  return { fromBlock, toBlock }
+}
+
+/**
+ * Resolve `--block` or `--date` to one block tag (default: latest)
+ */
+async function resolveBlockTag(provider, args) {
+  if (args.block !== undefined && args.date !== undefined) {
+    throw usageError('Use either --block or --date, not both')
+  }
+
+  if (args.block !== undefined) return parseInteger(args.block, 'block')
+
+  if (args.date !== undefined) {
+    const block = await createBlockResolver(provider).resolve(parseDate(args.date, 'date'), { mode: 'atOrBefore' })
+    if (!block) throw new Error(`--date ${args.date} is before the first block`)
+    return block.number
+  }
+
+  return 'latest'
+}
+
+module.exports = {
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  usageError,
+  parseArgs,
+  requireFlag,
+  parseAddress,
+  parseInteger,
+  parseDate,
+  createProvider,
+  resolveBlockRange,
+  resolveBlockTag
+}
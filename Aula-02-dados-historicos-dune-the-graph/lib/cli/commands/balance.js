@@ -0,0 +1,87 @@
+const { ethers } = require('ethers')
+const { ERC20_ABI } = require('../../abis')
+const { createTokenMetadataService } = require('../../token-metadata')
+const { reconstructBalanceHistory } = require('../../balance-history')
+const {
+  requireFlag,
+  parseAddress,
+  usageError,
+  createProvider,
+  resolveBlockRange,
+  resolveBlockTag
+} = require('../args')
+
+async function balanceAt(provider, args, account, tokenAddress) {
+  const blockTag = await resolveBlockTag(provider, args)
+  const tokens = createTokenMetadataService(provider)
+  const token = await tokens.getToken(tokenAddress)
+
+  const raw = tokenAddress
+    ? await new ethers.Contract(tokenAddress, ERC20_ABI, provider).balanceOf(account, { blockTag })
+    : await provider.getBalance(account, blockTag)
+
+  const blockNumber = blockTag === 'latest' ? await provider.getBlockNumber() : blockTag
+
+  return {
+    account,
+    token: token.address,
+    symbol: token.symbol,
+    blockNumber,
+    balance: raw,
+    formatted: ethers.utils.formatUnits(raw, token.decimals)
+  }
+}
+
+async function balanceHistory(provider, args, account, tokenAddress) {
+  if (!tokenAddress) throw usageError('--history needs --token (it replays ERC20 Transfer logs)')
+
+  const { fromBlock, toBlock } = await resolveBlockRange(provider, args)
+  const token = await createTokenMetadataService(provider).getToken(tokenAddress)
+  const history = await reconstructBalanceHistory(provider, { token: tokenAddress, account, fromBlock, toBlock })
+
+  const { consistent, mismatches, drift } = history.verification
+  if (!consistent) {
+    for (const mismatch of mismatches) {
+      console.error(`Warning: block ${mismatch.blockNumber}: ${mismatch.hint}`)
+    }
+    if (drift && !drift.isZero()) {
+      console.error(`Warning: replayed balances are off by ${ethers.utils.formatUnits(drift, token.decimals)} ${token.symbol}`)
+    }
+  }
+
+  return history.series.map(point => ({
+    account,
+    token: tokenAddress,
+    symbol: token.symbol,
+    blockNumber: point.blockNumber,
+    transactionHash: point.transactionHash,
+    delta: point.delta,
+    balance: point.value,
+    formatted: ethers.utils.formatUnits(point.value, token.decimals)
+  }))
+}
+
+async function run(args) {
+  const provider = createProvider(args)
+  const account = parseAddress(requireFlag(args, 'address'), 'address')
+  const tokenAddress = args.token ? parseAddress(args.token, 'token') : null
+
+  return args.history
+    ? balanceHistory(provider, args, account, tokenAddress)
+    : balanceAt(provider, args, account, tokenAddress)
+}
+
+module.exports = {
+  name: 'balance',
+  summary: 'ETH or ERC20 balance at a block/date, or its history over a range',
+  usage: `evm-history balance --address <account> [--token <erc20>] [--block <n> | --date <date>]
+evm-history balance --address <account> --token <erc20> --history [range]
+
+  --address   Account address (required)
+  --token     ERC20 token (default: ETH)
+  --block     Block number, or --date (ISO date or unix timestamp); default: latest
+  --history   Every balance change in the range, replayed from Transfer logs
+  range       --from-block/--to-block or --from-date/--to-date (default: last 1000 blocks)`,
+  options: { boolean: ['history'] },
+  run
+}
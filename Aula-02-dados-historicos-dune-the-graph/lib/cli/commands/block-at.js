@@ -0,0 +1,37 @@
+const { createBlockResolver } = require('../../block-by-timestamp')
+const { usageError, parseDate, createProvider } = require('../args')
+
+const MODES = ['atOrBefore', 'atOrAfter']
+
+async function run(args) {
+  const value = args.date || args._[0]
+  if (!value) throw usageError('A date is required, e.g. evm-history block-at 2024-01-01')
+
+  const mode = args.mode || 'atOrBefore'
+  if (!MODES.includes(mode)) throw usageError(`--mode must be one of: ${MODES.join(', ')}`)
+
+  const timestamp = parseDate(value, 'date')
+  const block = await createBlockResolver(createProvider(args)).resolve(timestamp, { mode })
+
+  if (!block) throw new Error(`No block ${mode} ${new Date(timestamp * 1000).toISOString()}`)
+
+  return {
+    timestamp,
+    date: new Date(timestamp * 1000).toISOString(),
+    mode,
+    blockNumber: block.number,
+    blockTimestamp: block.timestamp,
+    blockDate: new Date(block.timestamp * 1000).toISOString()
+  }
+}
+
+module.exports = {
+  name: 'block-at',
+  summary: 'Block at or around a date',
+  usage: `evm-history block-at <date> [--mode atOrBefore|atOrAfter]
+
+  <date>      ISO date/datetime (UTC) or unix timestamp (also accepted as --date)
+  --mode      atOrBefore: last block with timestamp <= date (default)
+              atOrAfter:  first block with timestamp >= date`,
+  run
+}
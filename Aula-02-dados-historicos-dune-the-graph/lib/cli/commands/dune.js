@@ -0,0 +1,167 @@
+const { createDuneClient } = require('../../dune-api')
+const { resultRows } = require('../../dune-results')
+const { createQueryCatalog, parseDuration, DuneParameterError } = require('../../dune-queries')
+const { createDunePolicy } = require('../../dune-policy')
+const { usageError, parseInteger } = require('../args')
+
+/**
+ * `--param name=value` flags to `{ name: value }`
+ */
+function parseParams(list = []) {
+  const params = {}
+
+  for (const item of list) {
+    const equals = item.indexOf('=')
+    if (equals <= 0) throw usageError(`--param must look like name=value, got "${item}"`)
+    params[item.slice(0, equals)] = item.slice(equals + 1)
+  }
+
+  return params
+}
+
+/**
+ * Paging, column selection, filters and sorting, done by Dune
+ */
+function readerOptions(args) {
+  const options = {}
+
+  if (args['page-size'] !== undefined) options.pageSize = parseInteger(args['page-size'], 'page-size')
+  if (args.columns !== undefined) options.columns = args.columns.split(',').map(column => column.trim())
+  if (args.filter !== undefined) options.filters = args.filter
+  if (args.sort !== undefined) options.sortBy = args.sort
+
+  return options
+}
+
+/**
+ * Query files of --dir, else the default queries directory
+ */
+function catalogOf(args) {
+  return createQueryCatalog(args.dir ? { dir: args.dir } : {})
+}
+
+async function runQuery(args) {
+  if (!args._[1]) throw usageError('A query id or name is required, e.g. evm-history dune run token-transfers')
+
+  // A name from the queries directory, resolved through its lockfile
+  const catalog = catalogOf(args)
+  const queryId = catalog.id(args._[1])
+  const reader = readerOptions(args)
+
+  // Parameters of a query run by name are checked against its file first
+  let params = parseParams(args.param)
+  if (!/^\d+$/.test(args._[1])) {
+    try {
+      params = catalog.parameters(args._[1], params)
+    } catch (error) {
+      throw error instanceof DuneParameterError ? usageError(error.message) : error
+    }
+  }
+
+  if (args['max-age'] !== undefined) {
+    try {
+      parseDuration(args['max-age'])
+    } catch (error) {
+      throw usageError(`--max-age: ${error.message}`)
+    }
+  }
+
+  const client = createDuneClient({
+    timeoutMs: args.timeout ? parseInteger(args.timeout, 'timeout') * 1000 : undefined
+  })
+
+  // Rows are streamed page by page, never all in memory
+  if (args.latest) return resultRows(client, { queryId }, reader)
+
+  // Fresh enough latest results are reused, executions are logged and kept within DUNE_DAILY_CREDITS
+  const policy = createDunePolicy({ client, catalog })
+
+  // Ctrl+C cancels the execution on Dune instead of leaving it running
+  const controller = new AbortController()
+  const abort = () => controller.abort()
+  process.once('SIGINT', abort)
+
+  try {
+    const result = await policy.run(args._[1], params, { signal: controller.signal, maxAge: args['max-age'] })
+    if (result.reused) console.error(`Reusing results of ${result.endedAt} (execution ${result.executionId}, within max age)`)
+
+    return resultRows(client, { executionId: result.executionId }, reader)
+  } finally {
+    process.removeListener('SIGINT', abort)
+  }
+}
+
+/**
+ * Executions and credits per query, from the local log
+ */
+function usage(args) {
+  const days = args.days !== undefined ? parseInteger(args.days, 'days') : 1
+  if (days < 1) throw usageError('--days must be at least 1')
+
+  const policy = createDunePolicy()
+  const { dailyBudget, spent, remaining } = policy.budget()
+  console.error(`Today: ${spent} credits spent${dailyBudget === null ? ' (no daily budget)' : `, ${remaining} of ${dailyBudget} left`}`)
+
+  return policy.usage({ days })
+}
+
+async function run(args) {
+  const subcommand = args._[0]
+
+  if (subcommand === 'run') return runQuery(args)
+
+  if (subcommand === 'usage') return usage(args)
+
+  if (subcommand === 'sync') {
+    return catalogOf(args).sync({
+      dryRun: Boolean(args['dry-run']),
+      names: args._.length > 1 ? args._.slice(1) : undefined
+    })
+  }
+
+  if (subcommand === 'results') {
+    if (!args._[1]) throw usageError('An execution id is required, e.g. evm-history dune results 01HKZJ2683PHF9Q9PHHQ8FW4Q1')
+    return resultRows(createDuneClient(), { executionId: args._[1] }, readerOptions(args))
+  }
+
+  throw usageError(subcommand ? `Unknown dune subcommand "${subcommand}"` : 'Missing dune subcommand')
+}
+
+module.exports = {
+  name: 'dune',
+  summary: 'Execute a saved Dune query and print its rows, or sync the query files',
+  usage: `evm-history dune run <queryId|name> [--param name=value ...] [--latest] [--timeout <seconds>] [--dir <path>] [result options]
+       evm-history dune results <executionId> [result options]
+       evm-history dune sync [name ...] [--dry-run] [--dir <path>]
+       evm-history dune usage [--days <n>]
+
+  --param     Query parameter, repeat for each parameter; checked against the
+              query file's parameter types when the query is run by name
+  --latest    Return the latest stored results instead of executing (no credits spent)
+  --timeout   Give up waiting for the execution after this many seconds (default: 300);
+              the execution is cancelled, as on Ctrl+C
+  --max-age   Reuse the latest results when younger than this (30m, 6h, 1d; 0 always
+              executes). Default: the query file's max_age, else 0
+  --dir       Query files the name is looked up in, as for sync
+
+Executions are logged with their credits (usage lists them per query over
+--days days, default: today) and refused when they would exceed the daily
+budget in DUNE_DAILY_CREDITS.
+
+sync creates or updates the queries of the .sql files (front-matter: name,
+description, parameters) on Dune and records their ids in the lockfile, so
+run takes their names:
+  --dry-run   Only list what would be created or updated
+  --dir       Query files (default: DUNE_QUERIES_DIR or 03-indexing-services/dune/queries)
+
+Result options (applied by Dune; rows are fetched page by page, so --format
+ndjson/csv and --out stream results of any size):
+  --columns   Comma-separated columns to return
+  --filter    Row filter, e.g. "amount_usd > 1000 AND symbol = 'WETH'"
+  --sort      Sort order, e.g. "block_time desc"
+  --page-size Rows per request (default: 10000)
+
+Needs DUNE_API_KEY.`,
+  options: { boolean: ['latest', 'dry-run'], multiple: ['param'] },
+  run
+}
@@ -0,0 +1,56 @@
+const { createForkManager } = require('../../tenderly-forks')
+const { usageError, parseInteger } = require('../args')
+
+function rows(forks) {
+  return forks.map(fork => ({
+    name: fork.name,
+    id: fork.id,
+    networkId: fork.networkId,
+    blockNumber: fork.blockNumber,
+    rpcUrl: fork.rpcUrl,
+    createdAt: fork.createdAt
+  }))
+}
+
+async function run(args) {
+  const subcommand = args._[0]
+  const forks = createForkManager({ networkId: args.network || '1' })
+
+  if (subcommand === 'list') return rows(await forks.list())
+
+  if (subcommand === 'open') {
+    if (!args._[1]) throw usageError('A fork name is required, e.g. evm-history fork open workshop --block 18000000')
+
+    const options = args.block !== undefined ? { blockNumber: parseInteger(args.block, 'block') } : {}
+    return rows([await forks.open(args._[1], options)])
+  }
+
+  if (subcommand === 'delete') {
+    if (!args._[1]) throw usageError('A fork name or id is required, e.g. evm-history fork delete workshop')
+
+    await forks.remove(args._[1])
+    return []
+  }
+
+  throw usageError(subcommand ? `Unknown fork subcommand "${subcommand}"` : 'Missing fork subcommand')
+}
+
+module.exports = {
+  name: 'fork',
+  summary: 'List, open (create or reuse by name) and delete Tenderly forks',
+  usage: `evm-history fork list
+       evm-history fork open <name> [--block <n>] [--network <id>]
+       evm-history fork delete <name|id>
+
+  list        Every fork of the Tenderly project
+  open        The fork recorded under <name> in tenderly-forks.json (or
+              TENDERLY_FORKS_FILE), the project's fork with that alias, or a
+              new one; recorded for the next run and for the team
+  delete      Delete the fork and forget its name
+  --block     Fork block (default: latest); a recorded fork at another block
+              is replaced
+  --network   Tenderly network id (default: 1)
+
+Needs TENDERLY_USER, TENDERLY_PROJECT and TENDERLY_ACCESS_KEY.`,
+  run
+}
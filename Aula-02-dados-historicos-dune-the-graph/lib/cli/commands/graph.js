@@ -0,0 +1,54 @@
+const fs = require('fs')
+const { querySubgraph } = require('../../subgraph')
+const { usageError } = require('../args')
+
+function readQuery(args) {
+  if (args.query && args['query-file']) throw usageError('Use either --query or --query-file, not both')
+  if (args['query-file']) return fs.readFileSync(args['query-file'], 'utf8')
+  if (args.query) return args.query
+
+  throw usageError('--query or --query-file is required')
+}
+
+function parseVariables(value) {
+  if (!value) return {}
+
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    throw usageError(`--variables is not valid JSON: ${error.message}`)
+  }
+}
+
+async function runQuery(args) {
+  const url = args.url || process.env.SUBGRAPH_URL
+  if (!url) throw usageError('No subgraph: pass --url or set SUBGRAPH_URL')
+
+  const data = await querySubgraph(url, readQuery(args), parseVariables(args.variables))
+
+  // A query for a single entity list returns that list, so rows can be streamed
+  const keys = Object.keys(data || {})
+  if (keys.length === 1 && Array.isArray(data[keys[0]])) return data[keys[0]]
+
+  return data
+}
+
+async function run(args) {
+  const subcommand = args._[0]
+
+  if (subcommand === 'query') return runQuery(args)
+
+  throw usageError(subcommand ? `Unknown graph subcommand "${subcommand}"` : 'Missing graph subcommand')
+}
+
+module.exports = {
+  name: 'graph',
+  summary: 'Run a GraphQL query against a subgraph',
+  usage: `evm-history graph query (--query <graphql> | --query-file <file>) [--variables <json>] [--url <subgraph>]
+
+  --url        Subgraph query URL (default: SUBGRAPH_URL)
+  --variables  GraphQL variables as JSON
+
+A query selecting a single entity list outputs that list as rows.`,
+  run
+}
@@ -0,0 +1,61 @@
+const { ethers } = require('ethers')
+const { iterateLogsRange } = require('../../fetch-logs-range')
+const { createDefaultRegistry } = require('../../decoder-registry')
+const { LOG_SCHEMA } = require('../../export')
+const { requireFlag, parseAddress, usageError, createProvider, resolveBlockRange } = require('../args')
+
+function parseEvent(value) {
+  try {
+    return ethers.utils.EventFragment.from(value.replace(/^event\s+/, ''))
+  } catch (error) {
+    throw usageError(`--event is not an event signature: ${value}`)
+  }
+}
+
+async function run(args) {
+  const provider = createProvider(args)
+  const address = parseAddress(requireFlag(args, 'address'), 'address')
+  const event = args.event ? parseEvent(args.event) : null
+  const { fromBlock, toBlock } = await resolveBlockRange(provider, args)
+
+  const registry = createDefaultRegistry({ abiDir: process.env.ABI_DIR })
+  if (event) registry.addAbi([event], { address })
+
+  const chunks = iterateLogsRange(provider, {
+    address,
+    topics: event ? [ethers.utils.Interface.getEventTopic(event)] : [],
+    fromBlock,
+    toBlock
+  })
+
+  // Rows are produced chunk by chunk, so --out and ndjson stream large ranges
+  return (async function* () {
+    for await (const { logs } of chunks) {
+      for (const log of logs) {
+        const decoded = registry.decodeLog(log)
+
+        yield {
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+          address: log.address,
+          event: decoded.event,
+          args: decoded.decoded ? decoded.args : { topics: log.topics, data: log.data }
+        }
+      }
+    }
+  })()
+}
+
+module.exports = {
+  name: 'logs',
+  summary: 'Fetch and decode the logs of a contract',
+  usage: `evm-history logs --address <contract> [--event <signature>] [range] [--out <file>]
+
+  --address   Contract address (required)
+  --event     Event signature, e.g. "Transfer(address indexed from, address indexed to, uint256 value)"
+              (default: all logs, decoded with the bundled ABIs and signature database)
+  range       --from-block/--to-block or --from-date/--to-date (default: last 1000 blocks)`,
+  schema: LOG_SCHEMA,
+  run
+}
@@ -0,0 +1,54 @@
+const { probeEndpoint } = require('../../rpc-capabilities')
+const { endpointsFromEnv } = require('../../provider-pool')
+const { usageError } = require('../args')
+
+async function probe(args) {
+  let endpoints
+  try {
+    endpoints = args['rpc-url'] ? [{ name: 'rpc-url', url: args['rpc-url'] }] : endpointsFromEnv()
+  } catch (error) {
+    throw usageError(`${error.message}, or pass --rpc-url`)
+  }
+
+  const rows = []
+  for (const endpoint of endpoints) {
+    const capabilities = await probeEndpoint(endpoint, { refresh: args.refresh })
+
+    // The URL is left out on purpose, it usually holds an API key
+    rows.push({
+      name: endpoint.name,
+      chainId: capabilities.chainId,
+      archive: capabilities.archive,
+      stateDepth: capabilities.stateDepth,
+      trace: capabilities.trace,
+      debug: capabilities.debug,
+      maxLogRange: capabilities.maxLogRange === undefined ? 'unknown' : capabilities.maxLogRange,
+      batch: capabilities.batch,
+      probedAt: new Date(capabilities.probedAt).toISOString()
+    })
+  }
+
+  return rows
+}
+
+async function run(args) {
+  const subcommand = args._[0]
+
+  if (subcommand === 'probe') return probe(args)
+
+  throw usageError(subcommand ? `Unknown rpc subcommand "${subcommand}"` : 'Missing rpc subcommand')
+}
+
+module.exports = {
+  name: 'rpc',
+  summary: 'Probe what the configured RPC endpoints serve',
+  usage: `evm-history rpc probe [--refresh]
+
+  Historical state depth (archive or not), trace_*/debug_* namespaces,
+  eth_getLogs range limit and batch support of each endpoint. Results are
+  cached for a day in .cache/rpc-capabilities.json.
+
+  --refresh   Probe again instead of using the cached results`,
+  options: { boolean: ['refresh'] },
+  run
+}
@@ -0,0 +1,125 @@
+const fs = require('fs')
+const { ethers } = require('ethers')
+const { createSimulator, BACKENDS } = require('../../simulator')
+const { createTransactionBuilder } = require('../../tx-builder')
+const { ERC20_ABI } = require('../../abis')
+const {
+  requireFlag,
+  parseAddress,
+  parseInteger,
+  usageError,
+  createProvider,
+  resolveBlockTag
+} = require('../args')
+
+/**
+ * `--abi`: 'erc20', an ABI file or a build artifact
+ */
+function readAbi(value) {
+  if (value === 'erc20') return ERC20_ABI
+
+  const json = JSON.parse(fs.readFileSync(value, 'utf8'))
+  return Array.isArray(json) ? json : json.abi
+}
+
+/**
+ * `--arg` values: JSON for arrays and tuples, plain strings otherwise
+ */
+function parseCallArgs(values = []) {
+  return values.map(value => (/^[[{]/.test(value) ? JSON.parse(value) : value))
+}
+
+/**
+ * Calldata from --data, or encoded from --abi, --method and --arg
+ */
+function calldata(args, builder) {
+  if (args.method === undefined) {
+    const input = args.data || '0x'
+    if (!ethers.utils.isHexString(input)) throw usageError('--data must be 0x-prefixed hex calldata')
+    return input
+  }
+
+  if (args.data !== undefined) throw usageError('Use either --data or --method, not both')
+
+  try {
+    return builder.encode(args.method, parseCallArgs(args.arg))
+  } catch (error) {
+    throw usageError(error.message)
+  }
+}
+
+async function run(args) {
+  const from = parseAddress(requireFlag(args, 'from'), 'from')
+  const to = parseAddress(requireFlag(args, 'to'), 'to')
+  const builder = args.method !== undefined ? createTransactionBuilder(readAbi(requireFlag(args, 'abi')), { address: to }) : null
+  const input = calldata(args, builder)
+
+  const tx = {
+    from,
+    to,
+    input,
+    value: args.value || '0',
+    gas: args.gas ? parseInteger(args.gas, 'gas') : 8000000
+  }
+
+  // Only a date needs the RPC endpoint, to resolve it to a block
+  if (args.block !== undefined || args.date !== undefined) {
+    const provider = args.date !== undefined ? createProvider(args) : null
+    tx.block_number = await resolveBlockTag(provider, args)
+  }
+
+  if (args.backend !== undefined && !BACKENDS.includes(args.backend)) {
+    throw usageError(`--backend must be one of: ${BACKENDS.join(', ')}`)
+  }
+
+  const options = { networkId: args.network || '1' }
+  if (args.backend !== undefined) options.backend = args.backend
+  // The local fork forks the --rpc-url endpoint when given
+  if (args['rpc-url'] !== undefined) options.url = args['rpc-url']
+
+  const simulator = createSimulator(options)
+
+  try {
+    const { simulation, transaction } = await simulator.simulate(tx)
+    const callTrace = transaction && transaction.transaction_info && transaction.transaction_info.call_trace
+
+    return {
+      backend: simulator.backend,
+      simulationId: simulation.id,
+      status: simulation.status,
+      blockNumber: simulation.block_number,
+      gasUsed: simulation.gas_used,
+      // What the call returned, when it was built from --method
+      result: builder && simulation.status && callTrace ? String(builder.decodeResult(args.method, callTrace.output)) : null,
+      error: (transaction && transaction.error_message) || null,
+      url: simulator.dashboardUrl(simulation.id)
+    }
+  } finally {
+    await simulator.close()
+  }
+}
+
+module.exports = {
+  name: 'simulate',
+  summary: 'Simulate a transaction (Tenderly or a local fork)',
+  usage: `evm-history simulate --from <address> --to <address> [--data <calldata> | --abi <abi> --method <name> [--arg <value>...]] [--value <wei>] [--block <n> | --date <date>] [--backend tenderly|local]
+
+  --from      Sender (required)
+  --to        Target contract/account (required)
+  --data      Calldata (default: 0x)
+  --abi       erc20, or an ABI JSON file (or a build artifact with one)
+  --method    Function to call, by name or signature (instead of --data)
+  --arg       Argument of --method, in order; may repeat. JSON for arrays
+              and tuples ('["0xA0b8...", "0xC02a..."]')
+  --value     Wei sent with the transaction (default: 0)
+  --gas       Gas limit (default: 8000000)
+  --block     Simulate at this block, or at the block of --date (default: latest)
+  --network   Tenderly network id (default: 1)
+  --backend   tenderly or local (default: SIMULATION_BACKEND, else tenderly when
+              TENDERLY_ACCESS_KEY is set, local otherwise); local forks --rpc-url,
+              FORK_RPC_URL, ARCHIVE_RPC_URL or RPC_URL in-process
+
+A reverted simulation is a result (status: false), not a CLI failure.`,
+  options: { multiple: ['arg'] },
+  run
+}
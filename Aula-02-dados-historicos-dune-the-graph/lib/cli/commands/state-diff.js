@@ -0,0 +1,69 @@
+const fs = require('fs')
+const { ethers } = require('ethers')
+const { traceStateDiff, diffChanges, createStateDiffDecoder } = require('../../state-diff')
+const { usageError, parseAddress, createProvider } = require('../args')
+
+/**
+ * `--layout <address>=<file>`: a solc storageLayout, or an artifact holding one
+ */
+function parseLayouts(values = []) {
+  const layouts = {}
+
+  for (const value of values) {
+    const [address, file] = value.split('=')
+    if (!file) throw usageError(`--layout must be <address>=<file>, got "${value}"`)
+
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'))
+    const layout = json.storageLayout || json
+    if (!Array.isArray(layout.storage) || !layout.types) throw usageError(`${file} has no solc storageLayout`)
+
+    layouts[parseAddress(address, 'layout')] = layout
+  }
+
+  return layouts
+}
+
+async function run(args) {
+  const hash = args._[0]
+  if (!ethers.utils.isHexString(hash, 32)) throw usageError('A transaction hash is required, e.g. evm-history state-diff 0x5c50...')
+
+  const decoder = createStateDiffDecoder({ layouts: parseLayouts(args.layout) })
+  const provider = createProvider(args)
+
+  const tx = await provider.getTransaction(hash)
+  if (!tx) throw new Error(`Transaction ${hash} not found`)
+  const receipt = await provider.getTransactionReceipt(hash)
+
+  // Mapping keys are looked for among the addresses in the calldata and logs;
+  // the logs also tell which contracts are ERC20 tokens
+  const changes = decoder.decode(diffChanges(await traceStateDiff(provider, hash)), {
+    addresses: [tx.from],
+    data: [tx.data],
+    logs: receipt.logs
+  })
+
+  return changes.map(change => ({
+    address: change.address,
+    kind: change.kind,
+    variable: change.variable,
+    key: change.key,
+    before: change.before,
+    after: change.after,
+    source: change.source
+  }))
+}
+
+module.exports = {
+  name: 'state-diff',
+  summary: 'Balance, nonce and storage changes of a transaction',
+  usage: `evm-history state-diff <txHash> [--layout <address>=<storage-layout.json>]
+
+  <txHash>    Mined transaction (needs an endpoint with the debug_* namespace)
+  --layout    solc storageLayout (or a build artifact with one) of a contract,
+              to name its variables; may repeat. Without one, ERC20 balanceOf
+              and allowance slots are still recognized
+
+One row per change: balance (wei), nonce, code (hash) or storage slot.`,
+  options: { multiple: ['layout'] },
+  run
+}
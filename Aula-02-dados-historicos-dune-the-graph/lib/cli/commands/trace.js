@@ -0,0 +1,49 @@
+const { ethers } = require('ethers')
+const { formatArgs } = require('../../decoder-registry')
+const { traceCalls, createCallTraceDecoder } = require('../../call-trace')
+const { usageError, createProvider } = require('../args')
+
+/**
+ * The call tree as rows, depth first
+ */
+function flatten(call, depth = 0, rows = []) {
+  rows.push({
+    depth,
+    type: call.type,
+    from: call.from,
+    to: call.to,
+    contract: call.contract,
+    function: call.function,
+    args: call.args ? formatArgs(call.args) : null,
+    result: call.result ? formatArgs(call.result) : null,
+    value: call.value,
+    gasUsed: call.gasUsed,
+    error: call.revert ? call.revert.message : null,
+    errorKind: call.revert ? call.revert.kind : null
+  })
+
+  for (const child of call.calls) flatten(child, depth + 1, rows)
+  return rows
+}
+
+async function run(args) {
+  const hash = args._[0]
+  if (!ethers.utils.isHexString(hash, 32)) throw usageError('A transaction hash is required, e.g. evm-history trace 0x5c50...')
+
+  const tree = createCallTraceDecoder().decode(await traceCalls(createProvider(args), hash))
+  return flatten(tree)
+}
+
+module.exports = {
+  name: 'trace',
+  summary: 'Decoded call tree and revert reasons of a transaction',
+  usage: `evm-history trace <txHash>
+
+  <txHash>    Mined transaction (needs an endpoint with the debug_* namespace)
+
+One row per call, depth first: decoded function and arguments (known ABIs,
+ABI_DIR and the signature database), return values, ETH sent, gas used and
+the revert reason of failed calls (Error(string), Panic(uint256) or a
+custom error).`,
+  run
+}
@@ -0,0 +1,89 @@
+/**
+ * evm-history CLI
+ *
+ * One entry point for the workshop's data access methods, meant to be
+ * scripted (cron jobs, shell pipelines) instead of editing example files.
+ *
+ * Exit codes: 0 on success, 1 when the command fails, 2 on invalid usage.
+ */
+
+const { EXIT_FAILURE, EXIT_USAGE, parseArgs, usageError } = require('./args')
+const { checkOutputOptions, writeOutput } = require('./output')
+
+const COMMANDS = [
+  require('./commands/logs'),
+  require('./commands/balance'),
+  require('./commands/block-at'),
+  require('./commands/simulate'),
+  require('./commands/state-diff'),
+  require('./commands/trace'),
+  require('./commands/fork'),
+  require('./commands/dune'),
+  require('./commands/graph'),
+  require('./commands/rpc')
+]
+
+const COMMON_OPTIONS = `Common options:
+  --format    json (default), ndjson, csv or table
+  --out       Write the rows to a .csv, .ndjson/.jsonl or .parquet file instead of stdout
+  --rpc-url   Single RPC endpoint (default: the RPC_URL/ARCHIVE_RPC_URL or RPC_ENDPOINTS pool)
+  --help      Show help`
+
+function help(command) {
+  if (command) return `Usage: ${command.usage}\n\n${COMMON_OPTIONS}`
+
+  const width = Math.max(...COMMANDS.map(c => c.name.length))
+  const list = COMMANDS.map(c => `  ${c.name.padEnd(width)}  ${c.summary}`).join('\n')
+
+  return `Usage: evm-history <command> [options]\n\nCommands:\n${list}\n\n${COMMON_OPTIONS}\n\n` +
+    'Run "evm-history <command> --help" for the options of a command.'
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {Array<string>} argv - Arguments (without node and script path)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const [name, ...rest] = argv
+  const command = COMMANDS.find(c => c.name === name)
+
+  if (!name || name === '--help' || name === 'help') {
+    console.log(help())
+    return 0
+  }
+
+  try {
+    if (!command) throw usageError(`Unknown command "${name}"`)
+
+    const options = command.options || {}
+    const args = parseArgs(rest, { ...options, boolean: ['help', ...(options.boolean || [])] })
+
+    if (args.help) {
+      console.log(help(command))
+      return 0
+    }
+
+    checkOutputOptions({ format: args.format, out: args.out })
+    const result = await command.run(args)
+    const summary = await writeOutput(result, { format: args.format, out: args.out, schema: command.schema })
+
+    if (summary) console.error(`Wrote ${summary.rows} rows to ${summary.file} (${summary.format})`)
+    return 0
+  } catch (error) {
+    console.error(`Error: ${error.message}`)
+
+    if (error.exitCode === EXIT_USAGE) {
+      console.error(`\n${help(command)}`)
+      return EXIT_USAGE
+    }
+
+    return EXIT_FAILURE
+  }
+}
+
+module.exports = {
+  main,
+  COMMANDS
+}
@@ -0,0 +1,118 @@
+/**
+ * Output of the evm-history CLI
+ *
+ * To stdout:
+ * - json:   one JSON document (default)
+ * - ndjson: one JSON object per line, for piping into jq or appending to files
+ * - csv:    header + rows, flattened to the export schema (see ../export.js)
+ * - table:  console.table, for humans
+ *
+ * With `--out <file>` the rows go through the export layer instead and the
+ * file extension picks the format (.csv, .ndjson/.jsonl, .parquet).
+ *
+ * Commands may return an (async) iterable of rows; ndjson, csv and --out
+ * stream it. BigNumber and BigInt values are written as exact decimal strings.
+ */
+
+const { usageError } = require('./args')
+const { createExporter, exportFormat, exportRows, toPlain, writeChunk } = require('../export')
+
+const FORMATS = ['json', 'ndjson', 'csv', 'table']
+
+function isIterable(result) {
+  return result !== null && typeof result === 'object' && !Array.isArray(result) &&
+    (Symbol.asyncIterator in result || Symbol.iterator in result)
+}
+
+async function collect(result) {
+  if (!isIterable(result)) return result
+
+  const rows = []
+  for await (const row of result) rows.push(row)
+  return rows
+}
+
+async function* rowsOf(result) {
+  if (isIterable(result) || Array.isArray(result)) {
+    yield* result
+  } else {
+    yield result
+  }
+}
+
+/**
+ * Flatten nested objects for tabular output: `{ args: { to } }` -> `{ 'args.to' }`
+ */
+function flatten(row, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(row)) {
+    const name = prefix ? `${prefix}.${key}` : key
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, name, out)
+    } else {
+      out[name] = Array.isArray(value) ? JSON.stringify(value) : value
+    }
+  }
+
+  return out
+}
+
+/**
+ * Reject an unknown --format or --out extension before the command runs
+ * (and spends RPC or API calls on a result that cannot be written)
+ *
+ * @throws {Error} usageError
+ */
+function checkOutputOptions(options = {}) {
+  const { format = 'json', out } = options
+
+  if (out) {
+    try {
+      exportFormat(out)
+    } catch (error) {
+      throw usageError(error.message)
+    }
+  } else if (!FORMATS.includes(format)) {
+    throw usageError(`Unknown --format "${format}", expected one of: ${FORMATS.join(', ')}`)
+  }
+}
+
+/**
+ * Write a command result
+ *
+ * @param {Object|Array|AsyncIterable} result - Rows, or a single object
+ * @param {Object} [options]
+ * @param {string} [options.format='json'] - One of FORMATS (stdout only)
+ * @param {string} [options.out] - Export to this file instead of stdout
+ * @param {Array<Object>} [options.schema] - Export schema (inferred from the first row otherwise)
+ * @param {NodeJS.WritableStream} [options.stream=process.stdout]
+ * @returns {Promise<Object|null>} The export summary for `out`, else null
+ */
+async function writeOutput(result, options = {}) {
+  const { format = 'json', out, schema, stream = process.stdout } = options
+
+  checkOutputOptions({ format, out })
+  if (out) return exportRows(out, rowsOf(result), { schema })
+
+  if (format === 'json') {
+    stream.write(`${JSON.stringify(toPlain(await collect(result)), null, 2)}\n`)
+  } else if (format === 'ndjson') {
+    // Wait for 'drain' when a slow reader (| head, | jq) fills the pipe
+    for await (const row of rowsOf(result)) await writeChunk(stream, `${JSON.stringify(toPlain(row))}\n`)
+  } else if (format === 'csv') {
+    const exporter = createExporter(null, { format: 'csv', schema, stream })
+    for await (const row of rowsOf(result)) await exporter.write(row)
+    await exporter.close()
+  } else {
+    const rows = toPlain(await collect(result))
+    new console.Console(stream).table((Array.isArray(rows) ? rows : [rows]).map(row => flatten(row)))
+  }
+
+  return null
+}
+
+module.exports = {
+  FORMATS,
+  checkOutputOptions,
+  writeOutput
+}
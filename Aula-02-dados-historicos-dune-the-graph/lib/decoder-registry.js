@@ -0,0 +1,373 @@
+/**
+ * ABI-driven event decoder registry
+ *
+ * Decodes any log to `{ contract, event, args }` using, in order:
+ * 1. the ABI registered for the log's address (including anonymous events)
+ * 2. ABIs registered without an address (matched by topic0)
+ * 3. the bundled signature database (signatures.js)
+ *
+ * Calldata and revert data are decoded the same way, by 4-byte selector;
+ * a revert bubbled up from another contract is still found in that
+ * contract's ABI, since every registered ABI is tried.
+ *
+ * Logs, calls and errors nothing matches are returned with `decoded: false`
+ * and their raw data instead of throwing.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+const { KNOWN_CONTRACTS } = require('./abis')
+const { lookupEvent, lookupFunction, lookupError } = require('./signatures')
+
+const ERROR_SELECTOR = '0x08c379a0' // Error(string), from require() and revert("...")
+const PANIC_SELECTOR = '0x4e487b71' // Panic(uint256), from assert() and checked arithmetic
+
+// Panic codes (Solidity docs, "Panic via assert and Error via require")
+const PANIC_REASONS = {
+  0x00: 'generic compiler panic',
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array encoding',
+  0x31: 'pop() on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized internal function'
+}
+
+/**
+ * Read an ABI from a JSON file: a plain ABI array, or an object with an
+ * `abi` field (Hardhat/Foundry artifacts, Etherscan exports)
+ */
+function readAbiFile(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'))
+  return Array.isArray(json) ? { abi: json } : json
+}
+
+function indexedCount(fragment) {
+  return fragment.inputs.filter(input => input.indexed).length
+}
+
+function argsToObject(params, result) {
+  const args = {}
+
+  params.forEach((param, i) => {
+    args[param.name || `arg${i}`] = result[i]
+  })
+
+  return args
+}
+
+/**
+ * Decoded values as text: numbers in decimal, arrays and tuples in brackets
+ */
+function formatValue(value) {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString()
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`
+  return String(value)
+}
+
+/**
+ * `name: value, ...` of decoded arguments
+ */
+function formatArgs(args) {
+  return Object.entries(args || {}).map(([name, value]) => `${name}: ${formatValue(value)}`).join(', ')
+}
+
+/**
+ * Decode a log with one event fragment, or return null if it does not fit
+ */
+function tryDecode(iface, fragment, log) {
+  const topics = fragment.anonymous ? log.topics : log.topics.slice(1)
+
+  if (!fragment.anonymous && log.topics[0] !== iface.getEventTopic(fragment)) return null
+  if (topics.length !== indexedCount(fragment)) return null
+
+  try {
+    const result = iface.decodeEventLog(fragment, log.data, log.topics)
+
+    return {
+      event: fragment.name,
+      signature: fragment.format(),
+      anonymous: fragment.anonymous,
+      args: argsToObject(fragment.inputs, result)
+    }
+  } catch (error) {
+    return null
+  }
+}
+
+function decodeWith(iface, log) {
+  const fragments = Object.values(iface.events)
+
+  // Non-anonymous events first: their topic0 makes the match unambiguous
+  const ordered = [
+    ...fragments.filter(fragment => !fragment.anonymous),
+    ...fragments.filter(fragment => fragment.anonymous)
+  ]
+
+  for (const fragment of ordered) {
+    const decoded = tryDecode(iface, fragment, log)
+    if (decoded) return decoded
+  }
+
+  return null
+}
+
+/**
+ * Create an empty registry
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.signatureDatabase=true] - Fall back to signatures.js
+ */
+function createDecoderRegistry(options = {}) {
+  const { signatureDatabase = true } = options
+
+  // lowercase address -> { name, iface }
+  const contracts = new Map()
+  // Interfaces not bound to an address
+  const generic = []
+
+  /**
+   * Register an ABI, for one address or (without address) for any contract
+   *
+   * @param {Array|string} abi - ABI array (JSON or human-readable) or JSON string
+   * @param {Object} [meta] - `{ address, name }`
+   */
+  function addAbi(abi, meta = {}) {
+    const iface = new ethers.utils.Interface(abi)
+
+    if (meta.address) {
+      const address = ethers.utils.getAddress(meta.address)
+      contracts.set(address.toLowerCase(), { name: meta.name || address, address, iface })
+    } else {
+      generic.push(iface)
+    }
+
+    return registry
+  }
+
+  /**
+   * Register an ABI stored in a JSON file
+   */
+  function loadAbiFile(file, meta = {}) {
+    const json = readAbiFile(file)
+
+    return addAbi(json.abi, {
+      address: meta.address || json.address,
+      name: meta.name || json.contractName || path.basename(file, '.json')
+    })
+  }
+
+  /**
+   * Register every `*.json` ABI of a directory
+   * Files named after an address (`0xA0b8...eB48.json`) are bound to it.
+   */
+  function loadAbiDirectory(dir) {
+    for (const file of fs.readdirSync(dir)) {
+      if (path.extname(file) !== '.json') continue
+
+      const base = path.basename(file, '.json')
+      const address = ethers.utils.isAddress(base) ? base : undefined
+
+      loadAbiFile(path.join(dir, file), { address })
+    }
+
+    return registry
+  }
+
+  function getContract(address) {
+    return contracts.get(address.toLowerCase()) || null
+  }
+
+  /**
+   * Decode a log
+   *
+   * @param {Object} log - Log as returned by provider.getLogs()
+   * @returns {Object} `{ address, contract, event, signature, args, decoded, source }`
+   */
+  function decodeLog(log) {
+    const entry = getContract(log.address)
+    const base = {
+      address: log.address,
+      contract: entry ? entry.name : null
+    }
+
+    if (entry) {
+      const decoded = decodeWith(entry.iface, log)
+      if (decoded) return { ...base, ...decoded, decoded: true, source: 'abi' }
+    }
+
+    for (const iface of generic) {
+      const decoded = decodeWith(iface, log)
+      if (decoded) return { ...base, ...decoded, decoded: true, source: 'abi' }
+    }
+
+    if (signatureDatabase && log.topics.length > 0) {
+      for (const fragment of lookupEvent(log.topics[0])) {
+        const decoded = tryDecode(new ethers.utils.Interface([fragment]), fragment, log)
+        if (decoded) return { ...base, ...decoded, decoded: true, source: 'signature-db' }
+      }
+    }
+
+    return {
+      ...base,
+      event: null,
+      signature: null,
+      anonymous: false,
+      args: null,
+      decoded: false,
+      source: null,
+      topics: log.topics,
+      data: log.data
+    }
+  }
+
+  function decodeLogs(logs) {
+    return logs.map(decodeLog)
+  }
+
+  // Where to look a selector up: the address's own ABI, the unbound ABIs,
+  // every other registered ABI, then the signature database
+  function candidatesFor(address, selector, type) {
+    const own = address ? getContract(address) : null
+    const ifaces = [
+      ...(own ? [own.iface] : []),
+      ...generic,
+      ...[...contracts.values()].filter(entry => entry !== own).map(entry => entry.iface)
+    ]
+
+    const candidates = []
+    for (const iface of ifaces) {
+      const fragments = Object.values(type === 'function' ? iface.functions : iface.errors)
+      for (const fragment of fragments) {
+        if (iface.getSighash(fragment) === selector) candidates.push({ iface, fragment, source: 'abi' })
+      }
+    }
+
+    const known = type === 'function' ? lookupFunction(selector) : lookupError(selector)
+    for (const fragment of known) {
+      candidates.push({ iface: new ethers.utils.Interface([fragment]), fragment, source: 'signature-db' })
+    }
+
+    return candidates
+  }
+
+  /**
+   * Decode the calldata of a call, and its return data when given
+   *
+   * @param {string} address - Called contract (null when unknown)
+   * @param {string} input - Calldata
+   * @param {string} [output] - Return data of a successful call
+   * @returns {Object} `{ address, contract, function, signature, args, result, decoded, source }`
+   */
+  function decodeCall(address, input, output) {
+    const entry = address ? getContract(address) : null
+    const base = { address, contract: entry ? entry.name : null }
+
+    if (ethers.utils.isHexString(input) && ethers.utils.hexDataLength(input) >= 4) {
+      for (const { iface, fragment, source } of candidatesFor(address, ethers.utils.hexDataSlice(input, 0, 4), 'function')) {
+        let args
+        try {
+          args = argsToObject(fragment.inputs, iface.decodeFunctionData(fragment, input))
+        } catch (error) {
+          continue
+        }
+
+        let result = null
+        if (output && output !== '0x' && fragment.outputs) {
+          try {
+            result = argsToObject(fragment.outputs, iface.decodeFunctionResult(fragment, output))
+          } catch (error) {
+            // Return data that does not fit the outputs stays undecoded
+          }
+        }
+
+        return { ...base, function: fragment.name, signature: fragment.format(), args, result, decoded: true, source }
+      }
+    }
+
+    return { ...base, function: null, signature: null, args: null, result: null, decoded: false, source: null }
+  }
+
+  /**
+   * Decode revert data: Error(string), Panic(uint256) or a custom error
+   *
+   * @param {string} address - Contract that reverted (null when unknown)
+   * @param {string} data - Revert data
+   * @returns {Object} `{ kind, name, signature, args, message, decoded, source }`; kind is
+   *   'error', 'panic', 'custom' or null (no data, or an unknown selector)
+   */
+  function decodeError(address, data) {
+    const unknown = { kind: null, name: null, signature: null, args: null, message: null, decoded: false, source: null }
+    if (!ethers.utils.isHexString(data) || ethers.utils.hexDataLength(data) < 4) return unknown
+
+    const selector = ethers.utils.hexDataSlice(data, 0, 4)
+    const payload = ethers.utils.hexDataSlice(data, 4)
+
+    try {
+      if (selector === ERROR_SELECTOR) {
+        const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], payload)
+        return { kind: 'error', name: 'Error', signature: 'Error(string)', args: { reason }, message: reason, decoded: true, source: 'builtin' }
+      }
+
+      if (selector === PANIC_SELECTOR) {
+        const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], payload)
+        const reason = PANIC_REASONS[code.toNumber()] || 'unknown panic code'
+        return { kind: 'panic', name: 'Panic', signature: 'Panic(uint256)', args: { code }, message: `Panic(${code.toHexString()}): ${reason}`, decoded: true, source: 'builtin' }
+      }
+    } catch (error) {
+      return unknown
+    }
+
+    for (const { iface, fragment, source } of candidatesFor(address, selector, 'error')) {
+      try {
+        const args = argsToObject(fragment.inputs, iface.decodeErrorResult(fragment, data))
+        return { kind: 'custom', name: fragment.name, signature: fragment.format(), args, message: `${fragment.name}(${formatArgs(args)})`, decoded: true, source }
+      } catch (error) {
+        // Same selector, other parameters: try the next candidate
+      }
+    }
+
+    return unknown
+  }
+
+  const registry = {
+    addAbi,
+    loadAbiFile,
+    loadAbiDirectory,
+    getContract,
+    decodeLog,
+    decodeLogs,
+    decodeCall,
+    decodeError
+  }
+
+  return registry
+}
+
+/**
+ * Registry preloaded with the workshop's known contracts (abis/index.js)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.abiDir] - Extra directory of `<address>.json` ABIs
+ */
+function createDefaultRegistry(options = {}) {
+  const registry = createDecoderRegistry(options)
+
+  for (const [address, { name, abi }] of Object.entries(KNOWN_CONTRACTS)) {
+    registry.addAbi(abi, { address, name })
+  }
+
+  if (options.abiDir) registry.loadAbiDirectory(options.abiDir)
+
+  return registry
+}
+
+module.exports = {
+  createDecoderRegistry,
+  createDefaultRegistry,
+  formatArgs
+}
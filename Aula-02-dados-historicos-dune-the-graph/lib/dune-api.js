@@ -0,0 +1,374 @@
+/**
+ * Minimal Dune REST API client (https://docs.dune.com/api-reference)
+ *
+ * Plain axios calls, so scripts do not depend on the Dune SDK. The base URL
+ * is configurable (DUNE_API_URL) to point it at a proxy or a mock server.
+ *
+ * Executions are followed through their states (pending, executing, then
+ * completed, failed, cancelled or expired) with jittered exponential
+ * backoff between status polls. An execution that times out or is aborted
+ * is cancelled on Dune, so it stops spending credits.
+ */
+
+const axios = require('axios')
+
+const DEFAULTS = {
+  baseUrl: process.env.DUNE_API_URL || 'https://api.dune.com/api/v1',
+  // First status poll delay, doubled up to maxPollIntervalMs
+  pollIntervalMs: 1000,
+  maxPollIntervalMs: 15000,
+  timeoutMs: 5 * 60 * 1000
+}
+
+const TERMINAL_STATES = [
+  'QUERY_STATE_COMPLETED',
+  'QUERY_STATE_COMPLETED_PARTIAL',
+  'QUERY_STATE_FAILED',
+  'QUERY_STATE_CANCELLED',
+  'QUERY_STATE_EXPIRED'
+]
+
+// Terminal states without results, and the error code each one ends with
+const FAILED_STATES = {
+  QUERY_STATE_FAILED: 'FAILED',
+  QUERY_STATE_CANCELLED: 'CANCELLED',
+  QUERY_STATE_EXPIRED: 'EXPIRED'
+}
+
+/**
+ * An execution that did not produce results
+ *
+ * `code` says why: FAILED, CANCELLED or EXPIRED (the execution's final
+ * state), TIMEOUT, ABORTED (options.signal), API (a request failed,
+ * `status` is its HTTP status when there was a response; or no API key), or
+ * BUDGET (not started: over the daily credit budget, see lib/dune-policy.js).
+ */
+class DuneQueryError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.code
+   * @param {string} details.message
+   * @param {number} [details.queryId]
+   * @param {string} [details.executionId]
+   * @param {string} [details.state] - Last known execution state
+   * @param {number} [details.status] - HTTP status (API errors)
+   * @param {Error} [details.cause]
+   */
+  constructor({ code, message, queryId = null, executionId = null, state = null, status = null, cause = null }) {
+    super(message)
+
+    this.name = 'DuneQueryError'
+    this.code = code
+    this.queryId = queryId
+    this.executionId = executionId
+    this.state = state
+    this.status = status
+    this.cause = cause
+  }
+}
+
+/**
+ * Wait `ms`, or less when `signal` aborts first
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) return resolve()
+
+    const done = () => {
+      clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort', done)
+      resolve()
+    }
+
+    const timer = setTimeout(done, ms)
+    if (signal) signal.addEventListener('abort', done)
+  })
+}
+
+/**
+ * Poll delay after `attempt` polls: exponential, capped, with "equal jitter"
+ * (half fixed, half random) so parallel runs do not poll in lockstep
+ */
+function backoff(attempt, baseMs, maxMs) {
+  const delay = Math.min(maxMs, baseMs * 2 ** attempt)
+  return delay / 2 + Math.random() * delay / 2
+}
+
+/**
+ * Failed requests worth retrying while polling: rate limits, server errors
+ * and no response at all
+ */
+function isTransient(error) {
+  return !error.status || error.status === 429 || error.status >= 500
+}
+
+/**
+ * Turn an axios error into an Error with the API's message and HTTP status
+ */
+function apiError(error) {
+  if (!error.response) return error
+
+  const data = error.response.data || {}
+  const wrapped = new Error(`Dune API ${error.response.status}: ${data.error || error.message}`)
+  wrapped.status = error.response.status
+  return wrapped
+}
+
+/**
+ * Create a client
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey=process.env.DUNE_API_KEY]
+ * @param {string} [options.baseUrl] - API base URL (default: DUNE_API_URL or api.dune.com)
+ * @param {number} [options.pollIntervalMs=1000] - First status poll delay, doubled after each poll
+ * @param {number} [options.maxPollIntervalMs=15000] - Longest delay between status polls
+ * @param {number} [options.timeoutMs=300000] - Give up waiting after this long
+ */
+function createDuneClient(options = {}) {
+  const settings = { ...DEFAULTS, apiKey: process.env.DUNE_API_KEY, ...options }
+
+  if (!settings.apiKey) throw new Error('DUNE_API_KEY not configured')
+
+  const http = axios.create({
+    baseURL: settings.baseUrl,
+    headers: { 'X-Dune-API-Key': settings.apiKey }
+  })
+
+  async function request(method, url, data, config) {
+    try {
+      const response = await http.request({ method, url, data, ...config })
+      return response.data
+    } catch (error) {
+      throw apiError(error)
+    }
+  }
+
+  /**
+   * A CSV results page: `{ csv, nextOffset }` (null on the last page)
+   */
+  async function requestCsv(url, params) {
+    try {
+      const response = await http.get(url, { params, responseType: 'text', transformResponse: data => data })
+      const nextOffset = response.headers['x-dune-next-offset']
+      return { csv: response.data, nextOffset: nextOffset === undefined ? null : Number(nextOffset) }
+    } catch (error) {
+      throw apiError(error)
+    }
+  }
+
+  /**
+   * Start an execution: `{ execution_id, state }`
+   *
+   * @param {number} queryId
+   * @param {Object} [parameters] - `{ name: value }`, must match the query's parameters
+   */
+  function execute(queryId, parameters = {}) {
+    return request('post', `/query/${queryId}/execute`, { query_parameters: parameters })
+  }
+
+  function getStatus(executionId) {
+    return request('get', `/execution/${executionId}/status`)
+  }
+
+  /**
+   * Results of an execution, or one page of them
+   *
+   * @param {string} executionId
+   * @param {Object} [params] - `{ limit, offset, columns, filters, sort_by, ... }` (see lib/dune-results.js)
+   * @returns {Promise<Object>} `{ state, result: { rows, metadata }, next_offset, ... }`
+   */
+  function getResults(executionId, params = {}) {
+    return request('get', `/execution/${executionId}/results`, undefined, { params })
+  }
+
+  /**
+   * Latest stored results of a query, without executing it
+   */
+  function getLatestResult(queryId, params = {}) {
+    return request('get', `/query/${queryId}/results`, undefined, { params })
+  }
+
+  /**
+   * Results of an execution as CSV, same params as getResults()
+   */
+  function getResultsCsv(executionId, params = {}) {
+    return requestCsv(`/execution/${executionId}/results/csv`, params)
+  }
+
+  function getLatestResultCsv(queryId, params = {}) {
+    return requestCsv(`/query/${queryId}/results/csv`, params)
+  }
+
+  function cancel(executionId) {
+    return request('post', `/execution/${executionId}/cancel`)
+  }
+
+  /**
+   * Create a saved query: `{ query_id }`
+   *
+   * @param {Object} query - `{ name, description, query_sql, parameters, is_private }`,
+   *   parameters: `[{ key, type, value, enumOptions }]` (see lib/dune-queries.js)
+   */
+  function createQuery(query) {
+    return request('post', '/query', query)
+  }
+
+  /**
+   * Update a saved query, same fields as createQuery(): `{ query_id }`
+   */
+  function updateQuery(queryId, query) {
+    return request('patch', `/query/${queryId}`, query)
+  }
+
+  /**
+   * A saved query: `{ query_id, name, description, query_sql, parameters, ... }`
+   */
+  function getQuery(queryId) {
+    return request('get', `/query/${queryId}`)
+  }
+
+  /**
+   * Wait for an execution to end and return its results
+   *
+   * @param {string} executionId
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Default: the client's timeoutMs
+   * @param {AbortSignal} [options.signal] - Stops waiting and cancels the execution
+   * @param {number} [options.queryId] - For error details
+   * @param {Object|false} [options.results] - Params of the results request (e.g. `{ limit: 1000 }`),
+   *   or false to return the final status without fetching rows (page them with lib/dune-results.js)
+   * @returns {Promise<Object>} The results response (`{ state, result: { rows, metadata }, ... }`),
+   *   or the status response (`{ state, result_metadata, ... }`) when options.results is false
+   * @throws {DuneQueryError} When the execution fails, is cancelled, expires, times out or is aborted
+   */
+  async function waitForExecution(executionId, options = {}) {
+    const { timeoutMs = settings.timeoutMs, signal, queryId = null, results = {} } = options
+    const deadline = Date.now() + timeoutMs
+    const details = { queryId, executionId }
+
+    // Stop the execution on Dune too: a cancelled execution spends no more credits
+    async function stop(code, message, state) {
+      try {
+        await cancel(executionId)
+      } catch (error) {
+        // Already finished, or the API is unreachable: nothing left to stop
+      }
+      return new DuneQueryError({ ...details, code, message, state })
+    }
+
+    let state = null
+    for (let attempt = 0; ; attempt++) {
+      if (signal && signal.aborted) throw await stop('ABORTED', `Execution ${executionId} aborted`, state)
+
+      try {
+        const status = await getStatus(executionId)
+        state = status.state
+
+        if (FAILED_STATES[state]) {
+          const reason = status.error ? `: ${status.error.message || JSON.stringify(status.error)}` : ''
+          throw new DuneQueryError({ ...details, code: FAILED_STATES[state], state, message: `Execution ${executionId} ended in ${state}${reason}` })
+        }
+
+        if (TERMINAL_STATES.includes(state)) return results === false ? status : await getResults(executionId, results)
+      } catch (error) {
+        if (error instanceof DuneQueryError) throw error
+        if (!isTransient(error)) {
+          throw new DuneQueryError({ ...details, code: 'API', state, status: error.status || null, message: error.message, cause: error })
+        }
+        // Rate limited or a hiccup: poll again after the backoff
+      }
+
+      const remaining = deadline - Date.now()
+      if (remaining <= 0) {
+        throw await stop('TIMEOUT', `Execution ${executionId} still ${state || 'unknown'} after ${timeoutMs}ms`, state)
+      }
+
+      // Pending and executing alike: the last poll lands on the deadline
+      await sleep(Math.min(remaining, backoff(attempt, settings.pollIntervalMs, settings.maxPollIntervalMs)), signal)
+    }
+  }
+
+  /**
+   * Execute a query and wait for its results
+   *
+   * @param {number} queryId
+   * @param {Object} [parameters] - `{ name: value }`
+   * @param {Object} [options] - `{ timeoutMs, signal, results }`, see waitForExecution()
+   * @returns {Promise<Object>} The results response (`{ state, result: { rows, metadata }, ... }`)
+   * @throws {DuneQueryError}
+   */
+  async function executeAndWait(queryId, parameters = {}, options = {}) {
+    let execution
+    try {
+      execution = await execute(queryId, parameters)
+    } catch (error) {
+      throw new DuneQueryError({ code: 'API', queryId, status: error.status || null, message: error.message, cause: error })
+    }
+
+    return waitForExecution(execution.execution_id, { ...options, queryId })
+  }
+
+  return {
+    execute,
+    getStatus,
+    getResults,
+    getLatestResult,
+    getResultsCsv,
+    getLatestResultCsv,
+    cancel,
+    createQuery,
+    updateQuery,
+    getQuery,
+    waitForExecution,
+    executeAndWait
+  }
+}
+
+/**
+ * Execute a query and wait for it, with the outcome as a value: never throws
+ *
+ * @param {number} queryId
+ * @param {Object} [params] - `{ name: value }`
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Give up (and cancel) after this long
+ * @param {AbortSignal} [options.signal] - Abort (and cancel) the execution
+ * @param {Object|false} [options.results] - Params of the results request, or false to
+ *   skip fetching rows (`rows` is then empty; read them with lib/dune-results.js)
+ * @param {Object} [options.client] - Dune client (default: createDuneClient(options))
+ * @returns {Promise<Object>} `{ ok: true, executionId, state, rows, metadata, response }`
+ *   or `{ ok: false, executionId, state, error }` (error: a DuneQueryError)
+ *
+ * @example
+ * const run = await runDuneQuery(1234567, { token_address: USDC }, { timeoutMs: 60000 })
+ * if (!run.ok) console.log(run.error.code, run.error.message)
+ */
+async function runDuneQuery(queryId, params = {}, options = {}) {
+  const { timeoutMs, signal, results, client: customClient, ...clientOptions } = options
+
+  try {
+    const client = customClient || createDuneClient(clientOptions)
+    const response = await client.executeAndWait(queryId, params, { timeoutMs, signal, results })
+
+    return {
+      ok: true,
+      executionId: response.execution_id,
+      state: response.state,
+      rows: response.result ? response.result.rows : [],
+      metadata: response.result ? response.result.metadata : (response.result_metadata || null),
+      response
+    }
+  } catch (error) {
+    const typed = error instanceof DuneQueryError
+      ? error
+      : new DuneQueryError({ code: 'API', queryId, message: error.message, cause: error })
+
+    return { ok: false, executionId: typed.executionId, state: typed.state, error: typed }
+  }
+}
+
+module.exports = {
+  createDuneClient,
+  runDuneQuery,
+  DuneQueryError,
+  TERMINAL_STATES
+}
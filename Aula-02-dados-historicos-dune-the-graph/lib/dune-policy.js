@@ -0,0 +1,291 @@
+/**
+ * Result freshness and a credit budget for Dune executions
+ *
+ * Executing a query spends credits; reading its latest results does not.
+ * Each query declares how stale its results may be (`max_age` in its
+ * front-matter, lib/dune-queries.js): run() reads `execution_ended_at` of the
+ * latest results and only executes the query when they are older than that.
+ *
+ * Every execution is logged locally (dune-usage.json in CACHE_DIR) with the
+ * credits it cost, and one that would take the day's credits (UTC) over the
+ * daily budget (DUNE_DAILY_CREDITS) is refused before it starts.
+ */
+
+const { createDuneClient, DuneQueryError } = require('./dune-api')
+const { createQueryCatalog, parseDuration } = require('./dune-queries')
+const { readJsonCache, writeJsonCache } = require('./cache')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const DEFAULTS = {
+  logFile: 'dune-usage.json',
+  // Credits per UTC day, null for no limit
+  dailyBudget: process.env.DUNE_DAILY_CREDITS || null,
+  // Estimate for a query that never ran; afterwards its own average is used
+  creditsPerExecution: 10,
+  // Queries without max_age always execute
+  maxAge: 0,
+  keepDays: 90
+}
+
+const utcDay = ms => new Date(ms).toISOString().slice(0, 10)
+const round = credits => Math.round(credits * 100) / 100
+
+/**
+ * Daily budget in credits, null for no limit
+ * A malformed value is an error: read as NaN it would disable the budget.
+ */
+function parseBudget(value) {
+  if (value === null || value === undefined || value === '') return null
+
+  const credits = Number(value)
+  if (!Number.isFinite(credits) || credits < 0) {
+    throw new Error(`Invalid daily budget "${value}": expected a number of credits (DUNE_DAILY_CREDITS or dailyBudget)`)
+  }
+  return credits
+}
+
+/**
+ * Create a policy
+ *
+ * @param {Object} [options]
+ * @param {number} [options.dailyBudget] - Credits per UTC day (default: DUNE_DAILY_CREDITS, else no limit);
+ *   a value that is not a number of credits throws
+ * @param {number} [options.creditsPerExecution=10] - Estimated cost of a query without logged executions
+ * @param {string|number} [options.maxAge=0] - Staleness allowed for queries that do not declare max_age
+ * @param {string} [options.logFile='dune-usage.json'] - Execution log (in CACHE_DIR, or an absolute path)
+ * @param {number} [options.keepDays=90] - Log entries older than this are dropped
+ * @param {Object} [options.client] - Dune client (default: createDuneClient(options))
+ * @param {Object} [options.catalog] - Query catalog for names and max_age (default: createQueryCatalog())
+ * @returns {Object} `{ run, latest, usage, budget }`
+ *
+ * @example
+ * const client = createDuneClient()
+ * const policy = createDunePolicy({ client, dailyBudget: 100 })
+ * const run = await policy.run('dex-volume')   // executes only when the latest results are over 12h old
+ * for await (const row of resultRows(client, { executionId: run.executionId })) { ... }
+ */
+function createDunePolicy(options = {}) {
+  const {
+    logFile, creditsPerExecution, maxAge, keepDays, dailyBudget: budgetOption,
+    client: customClient, catalog: customCatalog, ...clientOptions
+  } = { ...DEFAULTS, ...options }
+
+  const dailyBudget = parseBudget(budgetOption)
+  // Estimated credits of executions in flight: checked and reserved in the
+  // same tick, so concurrent run() calls cannot all pass the same check
+  let reserved = 0
+
+  const catalog = customCatalog || createQueryCatalog()
+  const defaultMaxAgeMs = parseDuration(maxAge)
+
+  // Created on first request: usage() and budget() only read the log
+  let client = customClient || null
+
+  function dune() {
+    if (!client) client = createDuneClient(clientOptions)
+    return client
+  }
+
+  function entries() {
+    return readJsonCache(logFile, { executions: [] }).executions
+  }
+
+  function record(entry) {
+    const since = Date.now() - keepDays * DAY_MS
+    const kept = entries().filter(existing => Date.parse(existing.at) >= since)
+    writeJsonCache(logFile, { executions: [...kept, entry] })
+    return entry
+  }
+
+  /**
+   * Id, name (when known) and declared max age of a query name or id
+   */
+  function resolve(query) {
+    const queryId = catalog.id(query)
+    let name = /^\d+$/.test(String(query)) ? null : query
+
+    // A numeric id synced from a query file still gets that file's max_age
+    if (!name) {
+      const locked = Object.entries(catalog.locked()).find(([, entry]) => entry.queryId === queryId)
+      name = locked ? locked[0] : null
+    }
+
+    let maxAgeMs = null
+    if (name) {
+      try {
+        maxAgeMs = catalog.get(name).maxAgeMs
+      } catch (error) {
+        // In the lockfile but no longer in the queries directory
+      }
+    }
+
+    return { queryId, name, maxAgeMs }
+  }
+
+  /**
+   * Credits an execution of the query is expected to cost: the average of
+   * its logged executions, else options.creditsPerExecution
+   */
+  function estimate(queryId) {
+    const costs = entries().filter(entry => entry.queryId === queryId && !entry.estimated).map(entry => entry.credits)
+    return costs.length ? costs.reduce((sum, credits) => sum + credits, 0) / costs.length : creditsPerExecution
+  }
+
+  /**
+   * Credits spent today (UTC) and what is left of the daily budget
+   *
+   * @returns {Object} `{ dailyBudget, spent, reserved, remaining }`; reserved: estimate
+   *   of the executions in flight, remaining: null without a budget
+   */
+  function budget() {
+    const today = utcDay(Date.now())
+    const spent = entries().filter(entry => utcDay(Date.parse(entry.at)) === today).reduce((sum, entry) => sum + entry.credits, 0)
+
+    return {
+      dailyBudget,
+      spent: round(spent),
+      reserved: round(reserved),
+      remaining: dailyBudget === null ? null : round(Math.max(dailyBudget - spent - reserved, 0))
+    }
+  }
+
+  /**
+   * Latest completed results of a query, without executing it
+   *
+   * @returns {Promise<Object|null>} `{ queryId, executionId, state, endedAt, ageMs }`, null when it never completed
+   */
+  async function latest(query) {
+    const { queryId } = resolve(query)
+    let response
+
+    try {
+      // One row is enough to read the execution's timestamps
+      response = await dune().getLatestResult(queryId, { limit: 1 })
+    } catch (error) {
+      if (error.status === 404) return null
+      throw new DuneQueryError({ code: 'API', queryId, status: error.status || null, message: error.message, cause: error })
+    }
+
+    // Partial results were truncated: not worth reusing
+    if (response.state !== 'QUERY_STATE_COMPLETED' || !response.execution_ended_at) return null
+
+    return {
+      queryId,
+      executionId: response.execution_id,
+      state: response.state,
+      endedAt: response.execution_ended_at,
+      ageMs: Date.now() - Date.parse(response.execution_ended_at)
+    }
+  }
+
+  /**
+   * Results of a query no older than its max age: the latest ones when they
+   * are fresh enough, else a new execution within the daily budget
+   *
+   * Latest results are only reused without parameters: they may come from
+   * an execution with other values.
+   *
+   * @param {string|number} query - Name (lib/dune-queries.js) or query id
+   * @param {Object} [params] - `{ name: value }`, e.g. from catalog.parameters()
+   * @param {Object} [runOptions]
+   * @param {string|number} [runOptions.maxAge] - Override the declared max age (`6h`; 0 always executes)
+   * @param {number} [runOptions.timeoutMs] - Give up (and cancel) the execution after this long
+   * @param {AbortSignal} [runOptions.signal] - Abort (and cancel) the execution
+   * @returns {Promise<Object>} `{ queryId, name, executionId, state, endedAt, ageMs, reused, credits }`;
+   *   read the rows with lib/dune-results.js (`{ executionId }`)
+   * @throws {DuneQueryError} BUDGET when the execution would exceed the daily budget, else as executeAndWait()
+   */
+  async function run(query, params = {}, runOptions = {}) {
+    const { queryId, name, maxAgeMs: declared } = resolve(query)
+    const maxAgeMs = runOptions.maxAge !== undefined
+      ? parseDuration(runOptions.maxAge)
+      : (declared !== null ? declared : defaultMaxAgeMs)
+    const label = name ? `"${name}" (query ${queryId})` : `query ${queryId}`
+
+    if (maxAgeMs > 0 && !Object.keys(params).length) {
+      const cached = await latest(queryId)
+      if (cached && cached.ageMs <= maxAgeMs) return { ...cached, name, reused: true, credits: 0 }
+    }
+
+    // No await between the check and the reservation
+    const expected = estimate(queryId)
+    const { spent } = budget()
+    if (dailyBudget !== null && spent + reserved + expected > dailyBudget) {
+      const inFlight = reserved ? `, ~${round(reserved)} in flight` : ''
+      throw new DuneQueryError({
+        code: 'BUDGET',
+        queryId,
+        message: `Executing ${label} would exceed the daily budget: ~${round(expected)} more credits, ${spent} of ${dailyBudget} spent today${inFlight}`
+      })
+    }
+    reserved += expected
+
+    const logged = (executionId, state, credits) => {
+      // Dune did not report the cost: the estimate is logged instead
+      const estimated = credits === undefined || credits === null
+      return record({ at: new Date().toISOString(), queryId, name, executionId, state, credits: estimated ? expected : Number(credits), estimated })
+    }
+
+    let status
+    let entry
+    try {
+      status = await dune().executeAndWait(queryId, params, { timeoutMs: runOptions.timeoutMs, signal: runOptions.signal, results: false })
+      entry = logged(status.execution_id, status.state, status.execution_cost_credits)
+    } catch (error) {
+      // Failed, cancelled and timed out executions may have cost credits too
+      if (error.executionId) logged(error.executionId, error.state, null)
+      throw error
+    } finally {
+      // Logged (or never started): the reservation is now part of `spent`
+      reserved -= expected
+    }
+
+    return {
+      queryId,
+      name,
+      executionId: status.execution_id,
+      state: status.state,
+      endedAt: status.execution_ended_at || null,
+      ageMs: 0,
+      reused: false,
+      credits: entry.credits
+    }
+  }
+
+  /**
+   * Executions and credits per query over the last `days` UTC days (today included)
+   *
+   * @returns {Array<Object>} `[{ queryId, name, executions, credits, lastExecutedAt }]`, most credits first
+   */
+  function usage(usageOptions = {}) {
+    const { days = 1 } = usageOptions
+    const since = utcDay(Date.now() - (days - 1) * DAY_MS)
+    const byQuery = new Map()
+
+    for (const entry of entries()) {
+      if (utcDay(Date.parse(entry.at)) < since) continue
+
+      const summary = byQuery.get(entry.queryId) || { queryId: entry.queryId, name: entry.name, executions: 0, credits: 0, lastExecutedAt: null }
+      summary.executions++
+      summary.credits += entry.credits
+      summary.lastExecutedAt = entry.at
+      byQuery.set(entry.queryId, summary)
+    }
+
+    return [...byQuery.values()]
+      .map(summary => ({ ...summary, credits: round(summary.credits) }))
+      .sort((a, b) => b.credits - a.credits)
+  }
+
+  return {
+    run,
+    latest,
+    usage,
+    budget
+  }
+}
+
+module.exports = {
+  createDunePolicy
+}
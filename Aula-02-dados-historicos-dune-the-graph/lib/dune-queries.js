@@ -0,0 +1,572 @@
+/**
+ * Dune queries as code
+ *
+ * Each query lives in its own .sql file (03-indexing-services/dune/queries,
+ * or DUNE_QUERIES_DIR) with a front-matter comment block:
+ *
+ *   -- ---
+ *   -- name: token-transfers
+ *   -- description: Largest transfers of an ERC-20 token since a date
+ *   -- max_age: 1d
+ *   -- parameters:
+ *   --   token_address: address = 0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48
+ *   --   start_date: date(2015-07-30..now) = 2024-01-01 00:00:00
+ *   --   limit: number(1..10000) = 100
+ *   --   blockchain: enum(ethereum, polygon) = ethereum
+ *   -- ---
+ *   SELECT ... WHERE contract_address = {{token_address}} ...
+ *
+ * Parameter types are text, address (EIP-55 checksummed), number and date
+ * (with optional `min..max` bounds, `now` for dates) and enum. Values are
+ * checked against them before an execution, names included: a typo fails
+ * here instead of running the query with its defaults. `max_age` is how
+ * stale the query's results may be before lib/dune-policy.js executes it
+ * again (default: always execute).
+ *
+ * sync() creates or updates the queries through Dune's query management API
+ * and records their ids in a lockfile (dune-queries.lock.json in the queries
+ * directory, or DUNE_QUERIES_LOCKFILE). Scripts then refer to queries by
+ * name; commit the lockfile so the team runs the same queries.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { ethers } = require('ethers')
+const { createDuneClient } = require('./dune-api')
+const { readJsonCache, writeJsonCache } = require('./cache')
+
+const DEFAULTS = {
+  dir: process.env.DUNE_QUERIES_DIR || path.join(__dirname, '..', '03-indexing-services', 'dune', 'queries'),
+  lockfile: process.env.DUNE_QUERIES_LOCKFILE,
+  isPrivate: false
+}
+
+const FENCE = /^--\s*---\s*$/
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g
+
+/**
+ * Invalid values for a query's parameters, or names it does not declare
+ *
+ * `errors` lists every problem (`{ parameter, message }`), not just the first.
+ */
+class DuneParameterError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.query - Query name
+   * @param {Array<Object>} details.errors - `[{ parameter, message }]`
+   */
+  constructor({ query, errors }) {
+    super(`Invalid parameters for Dune query "${query}": ${errors.map(error => `${error.parameter}: ${error.message}`).join('; ')}`)
+
+    this.name = 'DuneParameterError'
+    this.code = 'INVALID_PARAMETERS'
+    this.query = query
+    this.errors = errors
+  }
+}
+
+/**
+ * `min..max` bounds of number and date parameters; either side may be empty
+ */
+function parseRange(list, parse) {
+  const bounds = list.split('..').map(bound => bound.trim())
+  if (bounds.length !== 2) throw new Error(`range must look like min..max, got "${list}"`)
+
+  // Parsed once here so a bad bound fails when the file is read
+  const [min, max] = bounds.map(bound => (bound ? parse(bound) : null))
+  if (min !== null && max !== null && min > max) throw new Error(`empty range ${list}`)
+
+  return { range: { min: bounds[0] || null, max: bounds[1] || null } }
+}
+
+function checkRange(value, parameter, parse, format = String) {
+  if (!parameter.range) return
+
+  const { min, max } = parameter.range
+  if ((min !== null && value < parse(min)) || (max !== null && value > parse(max))) {
+    throw new Error(`${format(value)} is outside the range ${min || ''}..${max || ''}`)
+  }
+}
+
+/**
+ * A date as a time (ms): `YYYY-MM-DD`, `YYYY-MM-DD HH:mm:ss` (UTC), ISO 8601
+ * with a time zone, or a Date
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new Error('invalid Date')
+    return value.getTime()
+  }
+
+  const text = String(value).trim()
+  const local = text.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?$/)
+
+  if (local) {
+    const ms = Date.parse(`${local[1]}T${local[2] || '00:00:00'}Z`)
+    // Date.parse rolls 2024-02-30 over to March: compare the day back
+    if (Number.isNaN(ms) || new Date(ms).toISOString().slice(0, 10) !== local[1]) throw new Error(`"${text}" is not a date`)
+    return ms
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/.test(text) && !Number.isNaN(Date.parse(text))) return Date.parse(text)
+
+  throw new Error(`"${text}" is not a date (use YYYY-MM-DD or YYYY-MM-DD HH:mm:ss, UTC)`)
+}
+
+// Dune's datetime format
+const formatDate = ms => new Date(ms).toISOString().slice(0, 19).replace('T', ' ')
+
+// A date bound: a date, or `now` (no date in the future)
+const parseBound = bound => (bound === 'now' ? Date.now() : parseDate(bound))
+
+function parseNumber(value) {
+  const text = String(value).trim()
+  if (!/^-?\d+(\.\d+)?$/.test(text)) throw new Error(`"${text}" is not a number`)
+  return Number(text)
+}
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }
+
+/**
+ * A duration in ms: `90s`, `30m`, `6h`, `2d`, `1w`, or 0
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && value >= 0) return value
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/)
+  if (match) return Math.round(Number(match[1]) * DURATION_UNITS[match[2]])
+  if (String(value).trim() === '0') return 0
+
+  throw new Error(`"${value}" is not a duration (e.g. 30m, 6h, 1d)`)
+}
+
+/**
+ * Parameter types: `api` is the Dune type, `parse(args)` reads the
+ * `type(args)` part of the front-matter, `check(value, parameter)` returns
+ * the value to send (a string) or throws
+ */
+const PARAMETER_TYPES = {
+  text: {
+    api: 'text',
+    check(value) {
+      if (typeof value !== 'string' && typeof value !== 'number') throw new Error(`expected text, got ${typeof value}`)
+      return String(value)
+    }
+  },
+
+  // Text on Dune; checked and checksummed here
+  address: {
+    api: 'text',
+    check(value) {
+      const text = String(value).trim()
+      if (!/^0x[0-9a-fA-F]{40}$/.test(text)) throw new Error(`"${text}" is not an address`)
+
+      try {
+        return ethers.utils.getAddress(text)
+      } catch (error) {
+        throw new Error(`"${text}" has a bad checksum (mixed case must be EIP-55; all lowercase is accepted)`)
+      }
+    }
+  },
+
+  number: {
+    api: 'number',
+    parse: list => parseRange(list, parseNumber),
+    check(value, parameter) {
+      const number = parseNumber(value)
+      checkRange(number, parameter, parseNumber)
+      return String(value).trim()
+    }
+  },
+
+  date: {
+    api: 'datetime',
+    parse: list => parseRange(list, parseBound),
+    check(value, parameter) {
+      const ms = parseDate(value)
+      checkRange(ms, parameter, parseBound, formatDate)
+      return formatDate(ms)
+    }
+  },
+
+  enum: {
+    api: 'enum',
+    parse(list) {
+      const options = list.split(',').map(option => option.trim()).filter(Boolean)
+      if (!options.length) throw new Error('needs options, e.g. enum(day, week)')
+      return { options }
+    },
+    check(value, parameter) {
+      if (!parameter.options.includes(String(value))) throw new Error(`"${value}" is not one of ${parameter.options.join(', ')}`)
+      return String(value)
+    }
+  }
+}
+
+/**
+ * `type(args) = default` of a parameter line, e.g. `enum(day, week) = day`, `number(1..1000) = 100`
+ */
+function parseParameter(name, spec, where) {
+  const match = spec.match(/^(\w+)(?:\(([^)]*)\))?\s*(?:=\s*(.*))?$/)
+  if (!match) throw new Error(`${where}: parameter "${name}" must look like "type = default", got "${spec}"`)
+
+  const [, type, list, value] = match
+  const definition = PARAMETER_TYPES[type]
+  if (!definition) {
+    throw new Error(`${where}: parameter "${name}" has unknown type "${type}" (types: ${Object.keys(PARAMETER_TYPES).join(', ')})`)
+  }
+  // Dune runs a query with its parameters' defaults when no value is passed
+  if (value === undefined || value.trim() === '') throw new Error(`${where}: parameter "${name}" needs a default value`)
+
+  let parameter = { name, type }
+
+  if (list !== undefined || type === 'enum') {
+    if (!definition.parse) throw new Error(`${where}: ${type} parameter "${name}" takes no arguments`)
+    try {
+      parameter = { ...parameter, ...definition.parse(list || '') }
+    } catch (error) {
+      throw new Error(`${where}: parameter "${name}": ${error.message}`)
+    }
+  }
+
+  // The default goes through the same checks as the values passed at execution
+  try {
+    parameter.default = definition.check(value.trim(), parameter)
+  } catch (error) {
+    throw new Error(`${where}: default of "${name}": ${error.message}`)
+  }
+
+  return parameter
+}
+
+function parseMaxAge(value, where) {
+  try {
+    return parseDuration(value)
+  } catch (error) {
+    throw new Error(`${where}: max_age: ${error.message}`)
+  }
+}
+
+/**
+ * Check execution values against a query's declared parameters
+ *
+ * @param {Object} query - Parsed query (parseQuery())
+ * @param {Object} [values] - `{ name: value }`; omitted parameters run with their default
+ * @returns {Object} `{ name: value }` to send to Dune: addresses checksummed,
+ *   dates as `YYYY-MM-DD HH:mm:ss`, every value a string
+ * @throws {DuneParameterError} On any unknown name or invalid value
+ */
+function validateParameters(query, values = {}) {
+  const errors = []
+  const params = {}
+
+  for (const [name, value] of Object.entries(values)) {
+    const parameter = query.parameters.find(candidate => candidate.name === name)
+
+    if (!parameter) {
+      const declared = query.parameters.map(candidate => candidate.name).join(', ') || 'none'
+      errors.push({ parameter: name, message: `not a parameter of the query (parameters: ${declared})` })
+      continue
+    }
+
+    try {
+      params[name] = PARAMETER_TYPES[parameter.type].check(value, parameter)
+    } catch (error) {
+      errors.push({ parameter: name, message: error.message })
+    }
+  }
+
+  if (errors.length) throw new DuneParameterError({ query: query.name, errors })
+  return params
+}
+
+/**
+ * Parse a query file
+ *
+ * @param {string} text - File contents
+ * @param {string} [file] - File path: the default name, and where errors point to
+ * @returns {Object} `{ name, description, isPrivate, maxAgeMs, parameters, sql, file }`,
+ *   parameters: `[{ name, type, default, options }]` in declaration order
+ */
+function parseQuery(text, file = 'query.sql') {
+  const where = path.basename(file)
+  const lines = text.replace(/\r\n/g, '\n').split('\n')
+
+  let start = 0
+  while (start < lines.length && !lines[start].trim()) start++
+  if (!FENCE.test(lines[start] || '')) throw new Error(`${where}: missing front-matter (a "-- ---" block before the SQL)`)
+
+  const end = lines.findIndex((line, i) => i > start && FENCE.test(line))
+  if (end === -1) throw new Error(`${where}: front-matter is not closed with "-- ---"`)
+
+  const query = { name: path.basename(file, '.sql'), description: '', isPrivate: undefined, maxAgeMs: null, parameters: [] }
+  let section = null
+
+  for (const line of lines.slice(start + 1, end)) {
+    const content = line.replace(/^--\s?/, '')
+    if (!content.trim()) continue
+
+    const nested = content.match(/^\s+([A-Za-z_]\w*)\s*:\s*(.*)$/)
+    if (nested && section === 'parameters') {
+      const [, name, spec] = nested
+      if (query.parameters.some(parameter => parameter.name === name)) throw new Error(`${where}: parameter "${name}" is declared twice`)
+      query.parameters.push(parseParameter(name, spec.trim(), where))
+      continue
+    }
+
+    const entry = content.match(/^(\w+)\s*:\s*(.*)$/)
+    if (!entry) throw new Error(`${where}: cannot read front-matter line "${line}"`)
+
+    const [, key, value] = entry
+    section = key
+
+    if (key === 'name') query.name = value.trim()
+    else if (key === 'description') query.description = value.trim()
+    else if (key === 'private') query.isPrivate = value.trim() === 'true'
+    else if (key === 'max_age') query.maxAgeMs = parseMaxAge(value, where)
+    else if (key !== 'parameters') throw new Error(`${where}: unknown front-matter key "${key}" (keys: name, description, private, max_age, parameters)`)
+  }
+
+  if (!query.name) throw new Error(`${where}: empty query name`)
+
+  const sql = lines.slice(end + 1).join('\n').trim()
+  if (!sql) throw new Error(`${where}: no SQL after the front-matter`)
+
+  // Every {{placeholder}} declared, every declared parameter used
+  const used = new Set([...sql.matchAll(PLACEHOLDER)].map(match => match[1]))
+  const declared = new Set(query.parameters.map(parameter => parameter.name))
+  const undeclared = [...used].filter(name => !declared.has(name))
+  const unused = [...declared].filter(name => !used.has(name))
+
+  if (undeclared.length) throw new Error(`${where}: {{${undeclared.join('}}, {{')}}} not declared in the front-matter`)
+  if (unused.length) throw new Error(`${where}: parameter(s) ${unused.join(', ')} not used in the SQL`)
+
+  return { ...query, sql, file }
+}
+
+/**
+ * Every .sql file of a directory, parsed, by name order
+ */
+function loadQueries(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Dune queries directory not found: ${dir}`)
+
+  const queries = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => parseQuery(fs.readFileSync(path.join(dir, file), 'utf8'), path.join(dir, file)))
+
+  const seen = new Map()
+  for (const query of queries) {
+    if (seen.has(query.name)) {
+      throw new Error(`Dune query "${query.name}" is defined twice: ${path.basename(seen.get(query.name))} and ${path.basename(query.file)}`)
+    }
+    seen.set(query.name, query.file)
+  }
+
+  return queries
+}
+
+/**
+ * Body of a create/update request
+ */
+function toApiQuery(query, isPrivate) {
+  return {
+    name: query.name,
+    description: query.description,
+    query_sql: query.sql,
+    is_private: query.isPrivate === undefined ? isPrivate : query.isPrivate,
+    parameters: query.parameters.map(parameter => ({
+      key: parameter.name,
+      type: PARAMETER_TYPES[parameter.type].api,
+      value: parameter.default,
+      ...(parameter.options ? { enumOptions: parameter.options } : {})
+    }))
+  }
+}
+
+/**
+ * Fingerprint of what Dune stores: a query is only updated when it changes
+ */
+function hashOf(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex')
+}
+
+/**
+ * Create a catalog of the queries of a directory
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Query files (default: DUNE_QUERIES_DIR or 03-indexing-services/dune/queries)
+ * @param {string} [options.lockfile] - Query ids (default: DUNE_QUERIES_LOCKFILE or <dir>/dune-queries.lock.json)
+ * @param {boolean} [options.isPrivate=false] - Privacy of queries whose front-matter does not say
+ * @param {Object} [options.client] - Dune client for sync() (default: createDuneClient(options))
+ * @returns {Object} `{ dir, lockfile, list, get, id, parameters, sync, locked }`
+ *
+ * @example
+ * const queries = createQueryCatalog()
+ * const run = await runDuneQuery(queries.id('token-transfers'), queries.parameters('token-transfers', { limit: 10 }))
+ */
+function createQueryCatalog(options = {}) {
+  const { dir, lockfile: customLockfile, isPrivate, client: customClient, ...clientOptions } = { ...DEFAULTS, ...options }
+  const lockfile = customLockfile || path.join(dir, 'dune-queries.lock.json')
+
+  // Files are read on first use, so resolving an id never needs more than that
+  let queries = null
+
+  function all() {
+    if (!queries) queries = loadQueries(dir)
+    return queries
+  }
+
+  /**
+   * Query ids recorded in the lockfile: `{ name: { queryId, hash, syncedAt } }`
+   */
+  function locked() {
+    return readJsonCache(lockfile, { queries: {} }).queries
+  }
+
+  function lock(name, entry) {
+    const entries = { ...locked(), [name]: entry }
+    const sorted = Object.fromEntries(Object.keys(entries).sort().map(key => [key, entries[key]]))
+    writeJsonCache(lockfile, { queries: sorted })
+  }
+
+  /**
+   * Status of a query against the lockfile: new, changed or synced
+   */
+  function withStatus(query, entries) {
+    const entry = entries[query.name]
+    const hash = hashOf(toApiQuery(query, isPrivate))
+    const status = !entry ? 'new' : (entry.hash === hash ? 'synced' : 'changed')
+
+    return { ...query, queryId: entry ? entry.queryId : null, hash, status }
+  }
+
+  /**
+   * Every query, with `queryId` (null until synced) and `status`
+   */
+  function list() {
+    const entries = locked()
+    return all().map(query => withStatus(query, entries))
+  }
+
+  /**
+   * One query by name
+   */
+  function get(name) {
+    const query = all().find(candidate => candidate.name === name)
+    if (!query) throw new Error(`Unknown Dune query "${name}" (queries in ${dir}: ${all().map(q => q.name).join(', ') || 'none'})`)
+
+    return withStatus(query, locked())
+  }
+
+  /**
+   * Checked execution values of a query, see validateParameters()
+   *
+   * @param {string} name
+   * @param {Object} [values] - `{ name: value }`
+   * @throws {DuneParameterError}
+   */
+  function parameters(name, values = {}) {
+    return validateParameters(get(name), values)
+  }
+
+  /**
+   * Dune id of a query: a name is looked up in the lockfile, a numeric id is returned as is
+   *
+   * @param {string|number} nameOrId
+   * @returns {number}
+   */
+  function id(nameOrId) {
+    if (Number.isInteger(nameOrId)) return nameOrId
+    if (/^\d+$/.test(String(nameOrId))) return Number(nameOrId)
+
+    const query = get(nameOrId)
+    if (query.queryId === null) throw new Error(`Dune query "${nameOrId}" is not synced yet: run evm-history dune sync`)
+
+    return query.queryId
+  }
+
+  /**
+   * Create new queries and update changed ones on Dune, recording their ids
+   *
+   * The lockfile is written after each query, so a failure halfway keeps
+   * the ids of the queries already created.
+   *
+   * @param {Object} [syncOptions]
+   * @param {boolean} [syncOptions.dryRun=false] - Only report what would be done
+   * @param {Array<string>} [syncOptions.names] - Only these queries (default: all)
+   * @returns {Promise<Array<Object>>} `[{ name, queryId, action }]`, action: created, updated
+   *   or unchanged (create or update on a dry run)
+   */
+  async function sync(syncOptions = {}) {
+    const { dryRun = false, names } = syncOptions
+    const selected = names ? names.map(get) : list()
+    const client = dryRun ? null : (customClient || createDuneClient(clientOptions))
+    const results = []
+
+    for (const query of selected) {
+      const body = toApiQuery(query, isPrivate)
+
+      if (query.status === 'synced') {
+        results.push({ name: query.name, queryId: query.queryId, action: 'unchanged' })
+        continue
+      }
+
+      if (dryRun) {
+        results.push({ name: query.name, queryId: query.queryId, action: query.status === 'new' ? 'create' : 'update' })
+        continue
+      }
+
+      let queryId = query.queryId
+      let action = 'updated'
+
+      try {
+        if (queryId !== null) {
+          try {
+            await client.updateQuery(queryId, body)
+          } catch (error) {
+            // Deleted on Dune (or the lockfile is from another account): start over
+            if (error.status !== 404) throw error
+            queryId = null
+          }
+        }
+
+        if (queryId === null) {
+          queryId = (await client.createQuery(body)).query_id
+          action = 'created'
+        }
+      } catch (error) {
+        const wrapped = new Error(`Syncing Dune query "${query.name}": ${error.message}`)
+        wrapped.status = error.status
+        throw wrapped
+      }
+
+      lock(query.name, { queryId, hash: query.hash, syncedAt: new Date().toISOString() })
+      results.push({ name: query.name, queryId, action })
+    }
+
+    return results
+  }
+
+  return {
+    dir,
+    lockfile,
+    list,
+    get,
+    id,
+    parameters,
+    sync,
+    locked
+  }
+}
+
+module.exports = {
+  createQueryCatalog,
+  parseQuery,
+  loadQueries,
+  validateParameters,
+  parseDuration,
+  DuneParameterError,
+  PARAMETER_TYPES
+}
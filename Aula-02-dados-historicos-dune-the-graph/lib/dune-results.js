@@ -0,0 +1,212 @@
+/**
+ * Paged Dune results
+ *
+ * Dune serves results in pages (`limit`/`offset`, with `next_offset` until
+ * the last one), and can select columns, filter and sort rows server-side.
+ * Rows are read one page at a time and handed out through async iterators,
+ * so a multi-million-row result never has to fit in memory: stream it into
+ * a file (lib/export.js) or any `{ write(row), close() }` sink, such as a
+ * local database.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { createExporter, duneSchema, writeChunk } = require('./export')
+
+const DEFAULTS = {
+  pageSize: 10000
+}
+
+/**
+ * Query string of a results request
+ *
+ * @param {Object} options
+ * @param {Array<string>|string} [options.columns] - Columns to return
+ * @param {string} [options.filters] - SQL-like row filter, e.g. `amount_usd > 1000 AND symbol = 'WETH'`
+ * @param {Array<string>|string} [options.sortBy] - e.g. `['block_time desc', 'amount_usd']`
+ * @param {boolean} [options.allowPartialResults] - Accept truncated (partial) results
+ */
+function resultParams(options, offset) {
+  if (!Number.isInteger(options.pageSize) || options.pageSize < 1) throw new Error(`pageSize must be a positive integer, got ${options.pageSize}`)
+
+  const list = value => (Array.isArray(value) ? value.join(',') : value)
+  const params = { limit: options.pageSize, offset }
+
+  if (options.columns) params.columns = list(options.columns)
+  if (options.filters) params.filters = options.filters
+  if (options.sortBy) params.sort_by = list(options.sortBy)
+  if (options.allowPartialResults) params.allow_partial_results = true
+
+  return params
+}
+
+/**
+ * `{ executionId }` or `{ queryId }` (the query's latest results)
+ */
+function checkSource(source) {
+  if (!source || (source.executionId === undefined && source.queryId === undefined)) {
+    throw new Error('Dune results need an executionId, or a queryId for its latest results')
+  }
+}
+
+/**
+ * Records in CSV text: line breaks outside quoted cells
+ */
+function csvRecordCount(csv) {
+  let count = 0
+  let quoted = false
+
+  for (let i = 0; i < csv.length; i++) {
+    if (csv[i] === '"') quoted = !quoted
+    else if (csv[i] === '\n' && !quoted) count++
+  }
+
+  return count
+}
+
+/**
+ * Pages of rows: `{ rows, metadata, offset, nextOffset }`
+ *
+ * @param {Object} client - createDuneClient()
+ * @param {Object} source - `{ executionId }` or `{ queryId }`
+ * @param {Object} [options] - `{ pageSize, offset, columns, filters, sortBy, allowPartialResults }`
+ */
+async function* resultPages(client, source, options = {}) {
+  checkSource(source)
+  const settings = { ...DEFAULTS, ...options }
+
+  let offset = settings.offset || 0
+  while (offset !== null) {
+    const params = resultParams(settings, offset)
+    const response = source.executionId !== undefined
+      ? await client.getResults(source.executionId, params)
+      : await client.getLatestResult(source.queryId, params)
+
+    const result = response.result || { rows: [], metadata: null }
+    const nextOffset = response.next_offset === undefined || response.next_offset === null ? null : response.next_offset
+
+    yield { rows: result.rows, metadata: result.metadata, offset, nextOffset }
+    offset = nextOffset
+  }
+}
+
+/**
+ * Every row, across pages
+ *
+ * @example
+ * for await (const row of resultRows(client, { executionId }, { columns: ['day', 'volume_usd'] })) { ... }
+ */
+async function* resultRows(client, source, options = {}) {
+  for await (const page of resultPages(client, source, options)) yield* page.rows
+}
+
+/**
+ * Pages of the CSV endpoint, as text; the header line is only in the first
+ */
+async function* resultCsvPages(client, source, options = {}) {
+  checkSource(source)
+  const settings = { ...DEFAULTS, ...options }
+
+  let offset = settings.offset || 0
+  let header = null
+  while (offset !== null) {
+    const params = resultParams(settings, offset)
+    const page = source.executionId !== undefined
+      ? await client.getResultsCsv(source.executionId, params)
+      : await client.getLatestResultCsv(source.queryId, params)
+
+    // Every page is a complete CSV document, header included
+    let csv = page.csv
+    const firstLine = csv.slice(0, csv.indexOf('\n') + 1)
+    if (header === null) header = firstLine
+    else if (firstLine === header) csv = csv.slice(header.length)
+
+    if (csv && !csv.endsWith('\n')) csv += '\n'
+    yield csv
+    offset = page.nextOffset
+  }
+}
+
+/**
+ * Write every row into a sink
+ *
+ * @param {Object} client - createDuneClient()
+ * @param {Object} source - `{ executionId }` or `{ queryId }`
+ * @param {Object|Function} sink - `{ write(row), close() }`, or a function of the
+ *   first page's metadata returning one (to build a schema from Dune's column types)
+ * @param {Object} [options] - As resultPages()
+ * @returns {Promise<Object>} `{ rows, metadata, closed }`, closed: what sink.close() returned
+ */
+async function pipeResults(client, source, sink, options = {}) {
+  let target = typeof sink === 'function' ? null : sink
+  let metadata = null
+  let rows = 0
+
+  try {
+    for await (const page of resultPages(client, source, options)) {
+      if (!target) target = await sink(page.metadata)
+      if (!metadata) metadata = page.metadata
+
+      for (const row of page.rows) {
+        await target.write(row)
+        rows++
+      }
+    }
+  } catch (error) {
+    // Flush what was written so far before failing
+    if (target) await target.close()
+    throw error
+  }
+
+  return { rows, metadata, closed: target ? await target.close() : null }
+}
+
+/**
+ * Save every row to a file: .csv, .ndjson/.jsonl or .parquet
+ *
+ * CSV comes straight from Dune's CSV endpoint; the other formats go through
+ * lib/export.js with the column types Dune reports (big integers kept exact).
+ *
+ * @returns {Promise<Object>} `{ file, format, rows }`
+ */
+async function saveResults(client, source, file, options = {}) {
+  if (path.extname(file).toLowerCase() !== '.csv') {
+    const { closed } = await pipeResults(client, source, metadata => createExporter(file, {
+      schema: metadata ? duneSchema(metadata) : undefined
+    }), options)
+
+    return { file, format: closed.format, rows: closed.rows }
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+  const stream = fs.createWriteStream(file)
+  // Open and write errors (EISDIR, ENOSPC, ...) fail the copy instead of crashing the process
+  let failure = null
+  stream.on('error', error => { failure = failure || error })
+  // The header line is a record too
+  let rows = -1
+
+  try {
+    for await (const csv of resultCsvPages(client, source, options)) {
+      if (failure) throw failure
+      rows += csvRecordCount(csv)
+      await writeChunk(stream, csv)
+    }
+  } catch (error) {
+    // Keep the pages written so far, but report the error that stopped the copy
+    await new Promise(resolve => stream.end(resolve))
+    throw error
+  }
+
+  await new Promise((resolve, reject) => stream.end(error => (error || failure ? reject(error || failure) : resolve())))
+
+  return { file, format: 'csv', rows: Math.max(rows, 0) }
+}
+
+module.exports = {
+  resultPages,
+  resultRows,
+  resultCsvPages,
+  pipeResults,
+  saveResults
+}
@@ -0,0 +1,267 @@
+/**
+ * Reorg-aware live event follower
+ *
+ * Follows the logs matching a filter and emits:
+ * - 'add'    a log was seen in the canonical chain
+ * - 'remove' a previously added log was dropped by a reorg (`removed: true`)
+ * - 'final'  a log reached the configured confirmation depth
+ * - 'reorg'  `{ fromBlock, toBlock }`, blocks that left the canonical chain
+ * - 'error'  a sync or connection error (the follower keeps running; without
+ *            a listener it becomes a process warning)
+ * - 'disconnect' / 'reconnect'  WebSocket connection changes
+ *
+ * Logs are always fetched over HTTP (eth_getLogs), from the last processed
+ * block up to the head. The WebSocket connection is only used to learn about
+ * new heads quickly, so a dropped connection never loses events: the next
+ * sync backfills the gap. The block hashes of the unconfirmed window are
+ * kept to detect reorgs.
+ */
+
+const EventEmitter = require('events')
+const { ethers } = require('ethers')
+const { fetchLogsRange } = require('./fetch-logs-range')
+
+const DEFAULTS = {
+  confirmations: 12,
+  pollIntervalMs: 15000,
+  reconnectDelayMs: 1000,
+  maxReconnectDelayMs: 60000
+}
+
+/**
+ * Create a follower
+ *
+ * @param {Object} options
+ * @param {ethers.providers.Provider} options.provider - HTTP provider used for logs and headers
+ * @param {Object} options.filter - `{ address, topics }`
+ * @param {string} [options.wsUrl] - WebSocket URL used for new head notifications
+ * @param {number} [options.fromBlock] - First block to follow (default: current head)
+ * @param {number} [options.confirmations] - Depth at which logs are final
+ * @param {number} [options.pollIntervalMs] - Sync interval without (or besides) WebSocket
+ * @returns {EventEmitter} Emitter with `start()`, `stop()` and `sync()`
+ *
+ * @example
+ * const follower = createEventFollower({ provider, wsUrl, filter, confirmations: 12 })
+ * follower.on('add', log => console.log('new', log.transactionHash))
+ * follower.on('remove', log => console.log('reorged out', log.transactionHash))
+ * await follower.start()
+ */
+function createEventFollower(options) {
+  const settings = { ...DEFAULTS, ...options }
+  const { provider, filter } = settings
+
+  const follower = new EventEmitter()
+
+  // blockNumber -> block hash, for blocks not yet final
+  const hashes = new Map()
+  // blockNumber -> logs added from that block, not yet final
+  const pending = new Map()
+
+  let lastBlock = null
+  let running = false
+  let syncing = null
+  let syncAgain = false
+  let pollTimer = null
+  let reconnectTimer = null
+  let reconnectDelay = settings.reconnectDelayMs
+  let wsProvider = null
+
+  // 'error' without a listener would throw from a timer and end the process
+  function reportError(error) {
+    if (follower.listenerCount('error') > 0) follower.emit('error', error)
+    else process.emitWarning(error.message, { type: 'EventFollowerWarning' })
+  }
+
+  function dropBlocksFrom(blockNumber) {
+    const numbers = [...hashes.keys(), ...pending.keys()].filter(n => n >= blockNumber)
+
+    for (const n of new Set(numbers)) {
+      for (const log of pending.get(n) || []) {
+        follower.emit('remove', { ...log, removed: true })
+      }
+      pending.delete(n)
+      hashes.delete(n)
+    }
+  }
+
+  /**
+   * Compare stored hashes with the canonical chain, newest first,
+   * and roll back every block that is no longer canonical
+   *
+   * @returns {Promise<boolean>} false when the node does not know one of the
+   *   blocks yet (a lagging node behind a load balancer): retry on the next sync
+   */
+  async function detectReorg() {
+    const numbers = [...hashes.keys()].sort((a, b) => b - a)
+    let forkPoint = null
+
+    for (const n of numbers) {
+      const block = await provider.getBlock(n)
+      if (!block) return false
+      if (block.hash === hashes.get(n)) break
+      forkPoint = n
+    }
+
+    if (forkPoint !== null) {
+      follower.emit('reorg', { fromBlock: forkPoint, toBlock: lastBlock })
+      dropBlocksFrom(forkPoint)
+      lastBlock = forkPoint - 1
+    }
+
+    return true
+  }
+
+  async function sync() {
+    const head = await provider.getBlockNumber()
+
+    if (lastBlock === null) lastBlock = (settings.fromBlock === undefined ? head : settings.fromBlock) - 1
+
+    if (!(await detectReorg())) return
+
+    let toBlock = head
+    if (toBlock > lastBlock) {
+      const finalized = head - settings.confirmations
+      const fromBlock = lastBlock + 1
+
+      // Remember the hashes of the unconfirmed window before reading its logs
+      for (let n = Math.max(fromBlock, finalized + 1); n <= head; n++) {
+        const block = await provider.getBlock(n)
+        // Not known yet: stop the window here, the rest comes next sync
+        if (!block) {
+          toBlock = n - 1
+          break
+        }
+        hashes.set(n, block.hash)
+      }
+    }
+
+    if (toBlock > lastBlock) {
+      const fromBlock = lastBlock + 1
+      const logs = await fetchLogsRange(provider, { ...filter, fromBlock, toBlock })
+
+      let processedTo = toBlock
+      for (const log of logs) {
+        // The chain moved between reading headers and logs, retry next sync
+        if (hashes.has(log.blockNumber) && hashes.get(log.blockNumber) !== log.blockHash) {
+          processedTo = log.blockNumber - 1
+          break
+        }
+
+        if (!pending.has(log.blockNumber)) pending.set(log.blockNumber, [])
+        pending.get(log.blockNumber).push(log)
+        follower.emit('add', log)
+      }
+
+      if (processedTo < toBlock) {
+        for (const n of [...hashes.keys()]) {
+          if (n > processedTo) hashes.delete(n)
+        }
+      }
+
+      lastBlock = processedTo
+    }
+
+    finalize(head - settings.confirmations)
+  }
+
+  function finalize(finalizedBlock) {
+    const numbers = [...pending.keys()].filter(n => n <= finalizedBlock).sort((a, b) => a - b)
+
+    for (const n of numbers) {
+      for (const log of pending.get(n)) {
+        follower.emit('final', log)
+      }
+      pending.delete(n)
+    }
+
+    for (const n of [...hashes.keys()]) {
+      if (n <= finalizedBlock) hashes.delete(n)
+    }
+  }
+
+  /**
+   * Run a sync, coalescing notifications that arrive while one is in flight
+   */
+  function scheduleSync() {
+    if (syncing) {
+      syncAgain = true
+      return syncing
+    }
+
+    syncing = (async () => {
+      do {
+        syncAgain = false
+        await sync()
+      } while (syncAgain && running)
+    })()
+      .catch(reportError)
+      .finally(() => { syncing = null })
+
+    return syncing
+  }
+
+  function connect() {
+    if (!settings.wsUrl || !running) return
+
+    wsProvider = new ethers.providers.WebSocketProvider(settings.wsUrl)
+    wsProvider.on('block', () => {
+      reconnectDelay = settings.reconnectDelayMs
+      scheduleSync()
+    })
+
+    const socket = wsProvider._websocket
+    const onDisconnect = () => {
+      if (!running) return
+
+      follower.emit('disconnect', { retryInMs: reconnectDelay })
+      disconnect()
+
+      reconnectTimer = setTimeout(() => {
+        follower.emit('reconnect')
+        connect()
+        // Backfill whatever happened while the socket was down
+        scheduleSync()
+      }, reconnectDelay)
+      reconnectDelay = Math.min(reconnectDelay * 2, settings.maxReconnectDelayMs)
+    }
+
+    socket.on('close', onDisconnect)
+    socket.on('error', reportError)
+  }
+
+  function disconnect() {
+    if (!wsProvider) return
+
+    const ws = wsProvider
+    wsProvider = null
+    ws.removeAllListeners()
+    ws.destroy().catch(() => {})
+  }
+
+  async function start() {
+    if (running) return
+    running = true
+
+    await scheduleSync()
+    connect()
+    pollTimer = setInterval(scheduleSync, settings.pollIntervalMs)
+  }
+
+  async function stop() {
+    running = false
+    clearInterval(pollTimer)
+    clearTimeout(reconnectTimer)
+    disconnect()
+    if (syncing) await syncing
+  }
+
+  return Object.assign(follower, {
+    start,
+    stop,
+    sync: scheduleSync
+  })
+}
+
+module.exports = {
+  createEventFollower
+}
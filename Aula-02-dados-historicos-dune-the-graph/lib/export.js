@@ -0,0 +1,388 @@
+/**
+ * Shared export layer: CSV, NDJSON and Parquet
+ *
+ * Every source (decoded RPC logs, Dune rows, subgraph results) goes through
+ * the same steps:
+ * - a stable column schema, given up front or inferred from the first row;
+ *   nested objects become dotted columns (`args.value`, `from.address`)
+ * - values converted to the column type, BigNumber/BigInt kept exact as
+ *   decimal strings (never lossy JS numbers)
+ * - rows streamed to the file one by one, with backpressure, so exports
+ *   never need to fit in memory (Parquet buffers one row group at a time)
+ *
+ * A row with a column that is not in the schema is an error rather than a
+ * silently dropped value or a shifted CSV column.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+const parquet = require('parquetjs-lite')
+
+// Column type -> Parquet type
+const COLUMN_TYPES = {
+  string: 'UTF8',
+  integer: 'INT64',
+  number: 'DOUBLE',
+  boolean: 'BOOLEAN',
+  // uint256 and other big integers, as exact decimal strings
+  bigint: 'UTF8',
+  // Nested values kept as one JSON column
+  json: 'JSON'
+}
+
+const FORMATS = {
+  '.csv': 'csv',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.parquet': 'parquet'
+}
+
+/**
+ * Decoded logs (backfill records, `evm-history logs`); args vary per event,
+ * so they are one JSON column
+ */
+const LOG_SCHEMA = [
+  { name: 'blockNumber', type: 'integer' },
+  { name: 'blockHash', type: 'string' },
+  { name: 'transactionHash', type: 'string' },
+  { name: 'logIndex', type: 'integer' },
+  { name: 'address', type: 'string' },
+  { name: 'event', type: 'string' },
+  { name: 'args', type: 'json' }
+]
+
+function isBigNumberish(value) {
+  return ethers.BigNumber.isBigNumber(value) || typeof value === 'bigint'
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !isBigNumberish(value)
+}
+
+/**
+ * JSON-safe copy of a value (BigNumber/BigInt -> exact string)
+ */
+function toPlain(value) {
+  if (isBigNumberish(value)) return value.toString()
+  if (Array.isArray(value)) return value.map(toPlain)
+
+  if (isPlainObject(value)) {
+    const plain = {}
+    for (const [key, item] of Object.entries(value)) plain[key] = toPlain(item)
+    return plain
+  }
+
+  return value
+}
+
+function inferType(value) {
+  if (isBigNumberish(value)) return 'bigint'
+  if (typeof value === 'boolean') return 'boolean'
+  if (typeof value === 'number') return 'number'
+  if (Array.isArray(value)) return 'json'
+  return 'string'
+}
+
+/**
+ * Infer a schema from a sample row, flattening nested objects
+ *
+ * @returns {Array<Object>} `[{ name, type }]`
+ */
+function inferSchema(row, prefix = '') {
+  const schema = []
+
+  for (const [key, value] of Object.entries(row)) {
+    const name = prefix ? `${prefix}.${key}` : key
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      schema.push(...inferSchema(value, name))
+    } else {
+      schema.push({ name, type: value === null || value === undefined ? 'string' : inferType(value) })
+    }
+  }
+
+  return schema
+}
+
+/**
+ * Schema of a Dune result from its metadata (`column_names`, `column_types`)
+ */
+function duneSchema(metadata) {
+  return metadata.column_names.map((name, i) => {
+    const duneType = ((metadata.column_types || [])[i] || '').toLowerCase()
+
+    let type = 'string'
+    if (/^(u?int(8|16|32)|integer|smallint|tinyint)$/.test(duneType)) type = 'integer'
+    // bigint is int64: above 2^53, kept exact as a decimal string
+    else if (/^(u?int(64|128|256)|bigint)$/.test(duneType) || duneType.startsWith('decimal')) type = 'bigint'
+    else if (/^(double|real)$/.test(duneType)) type = 'number'
+    else if (duneType === 'boolean') type = 'boolean'
+    else if (duneType.startsWith('array') || duneType.startsWith('map') || duneType.startsWith('row')) type = 'json'
+
+    return { name, type }
+  })
+}
+
+/**
+ * Convert one value to its column type (null for missing values)
+ */
+function convertValue(value, column) {
+  if (value === null || value === undefined) return null
+
+  const fail = () => {
+    throw new Error(`Column "${column.name}" (${column.type}): cannot store ${JSON.stringify(toPlain(value))}`)
+  }
+
+  switch (column.type) {
+    case 'integer': {
+      const number = isBigNumberish(value) || typeof value === 'string' ? Number(value.toString()) : value
+      if (!Number.isSafeInteger(number)) fail()
+      return number
+    }
+    case 'number': {
+      const number = Number(value.toString())
+      if (Number.isNaN(number)) fail()
+      return number
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value
+      if (value === 'true' || value === 'false') return value === 'true'
+      return fail()
+    case 'bigint': {
+      const text = value.toString()
+      if (!/^-?\d+$/.test(text)) fail()
+      return text
+    }
+    case 'json':
+      return toPlain(value)
+    default:
+      return typeof value === 'object' ? JSON.stringify(toPlain(value)) : String(value)
+  }
+}
+
+/**
+ * Pick the schema's columns out of a (nested) row
+ *
+ * @returns {Object} Flat `{ column: converted value }`, in schema order
+ */
+function projectRow(row, schema, columnNames) {
+  const flat = {}
+
+  const walk = (object, prefix) => {
+    for (const [key, value] of Object.entries(object)) {
+      const name = prefix ? `${prefix}.${key}` : key
+
+      if (columnNames.has(name)) {
+        flat[name] = value
+      } else if (isPlainObject(value)) {
+        walk(value, name)
+      } else if (value !== undefined) {
+        throw new Error(`Column "${name}" is not in the export schema (${[...columnNames].join(', ')})`)
+      }
+    }
+  }
+  walk(row, '')
+
+  const projected = {}
+  for (const column of schema) projected[column.name] = convertValue(flat[column.name], column)
+  return projected
+}
+
+function csvCell(value) {
+  if (value === null) return ''
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Write a string to a stream, waiting for 'drain' when its buffer is full;
+ * rejects when the stream fails instead of waiting forever
+ */
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve()
+  // Already failed: neither 'drain' nor 'error' would come
+  if (stream.errored) return Promise.reject(stream.errored)
+
+  return new Promise((resolve, reject) => {
+    const done = error => {
+      stream.removeListener('drain', done)
+      stream.removeListener('error', done)
+      if (error) reject(error)
+      else resolve()
+    }
+
+    stream.once('drain', done)
+    stream.once('error', done)
+  })
+}
+
+function textWriter(format, stream, ownsStream) {
+  let headerWritten = false
+  // First error of a file stream (EISDIR, ENOSPC, ...), raised by the next write or close
+  let failure = null
+
+  if (ownsStream) stream.on('error', error => { failure = failure || error })
+
+  async function send(chunk) {
+    if (failure) throw failure
+    await writeChunk(stream, chunk)
+  }
+
+  return {
+    async write(row, schema) {
+      if (format === 'ndjson') return send(`${JSON.stringify(row)}\n`)
+
+      let chunk = ''
+      if (!headerWritten) {
+        chunk += `${schema.map(column => csvCell(column.name)).join(',')}\n`
+        headerWritten = true
+      }
+      chunk += `${schema.map(column => csvCell(row[column.name])).join(',')}\n`
+      return send(chunk)
+    },
+    async close(schema) {
+      // A CSV without rows still gets its header when the schema is known
+      if (format === 'csv' && !headerWritten && schema) {
+        await send(`${schema.map(column => csvCell(column.name)).join(',')}\n`)
+      }
+      if (!ownsStream) return
+
+      if (failure) throw failure
+      // end()'s callback gets the error when the file could not be written
+      await new Promise((resolve, reject) => stream.end(error => (error || failure ? reject(error || failure) : resolve())))
+    }
+  }
+}
+
+function parquetWriter(file, options) {
+  let writer = null
+
+  async function open(schema) {
+    const fields = {}
+    for (const column of schema) fields[column.name] = { type: COLUMN_TYPES[column.type], optional: true }
+
+    writer = await parquet.ParquetWriter.openFile(new parquet.ParquetSchema(fields), file, {
+      rowGroupSize: options.rowGroupSize
+    })
+  }
+
+  return {
+    async write(row, schema) {
+      if (!writer) await open(schema)
+
+      // Nulls are left out: every column is optional
+      const record = {}
+      for (const column of schema) {
+        if (row[column.name] !== null) record[column.name] = row[column.name]
+      }
+      await writer.appendRow(record)
+    },
+    async close(schema) {
+      // A file without rows still carries the schema when it is known
+      if (!writer && schema) await open(schema)
+      if (writer) await writer.close()
+    }
+  }
+}
+
+/**
+ * Export format of a file: the given format, else its extension's
+ *
+ * @throws {Error} When neither names a supported format
+ */
+function exportFormat(file, format) {
+  const resolved = format || FORMATS[path.extname(file || '').toLowerCase()]
+  if (!['csv', 'ndjson', 'parquet'].includes(resolved)) {
+    throw new Error(`Cannot export "${file}": use a .csv, .ndjson, .jsonl or .parquet file, or pass a format`)
+  }
+  return resolved
+}
+
+/**
+ * Open an export
+ *
+ * @param {string|null} file - Output file; the extension selects the format
+ *   (.csv, .ndjson/.jsonl, .parquet) unless `options.format` is given
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'csv', 'ndjson' or 'parquet'
+ * @param {Array<Object>} [options.schema] - `[{ name, type }]`; inferred from the first row when omitted
+ * @param {NodeJS.WritableStream} [options.stream] - Write CSV/NDJSON here instead of a file (e.g. stdout)
+ * @param {number} [options.rowGroupSize=4096] - Rows per Parquet row group (memory bound)
+ * @returns {Object} `{ write(row), close() }`; close() resolves to `{ file, format, rows, schema }`
+ *
+ * @example
+ * const exporter = createExporter('data/transfers.parquet', { schema: LOG_SCHEMA })
+ * for (const record of records) await exporter.write(record)
+ * await exporter.close()
+ */
+function createExporter(file, options = {}) {
+  const format = exportFormat(file, options.format)
+  if (format === 'parquet' && !file) throw new Error('Parquet exports need a file')
+
+  if (file) fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+
+  let schema = options.schema ? options.schema.map(column => ({ ...column })) : null
+  let columnNames = schema ? new Set(schema.map(column => column.name)) : null
+  let rows = 0
+
+  for (const column of schema || []) {
+    if (!COLUMN_TYPES[column.type]) throw new Error(`Column "${column.name}": unknown type "${column.type}"`)
+  }
+
+  const output = format === 'parquet'
+    ? parquetWriter(file, { rowGroupSize: options.rowGroupSize || 4096 })
+    : textWriter(format, options.stream || fs.createWriteStream(file), !options.stream)
+
+  async function write(row) {
+    if (!schema) {
+      schema = inferSchema(row)
+      columnNames = new Set(schema.map(column => column.name))
+    }
+
+    await output.write(projectRow(row, schema, columnNames), schema)
+    rows++
+  }
+
+  async function close() {
+    await output.close(schema)
+    return { file, format, rows, schema }
+  }
+
+  return {
+    write,
+    close
+  }
+}
+
+/**
+ * Export an array or (async) iterable of rows
+ *
+ * @returns {Promise<Object>} `{ file, format, rows, schema }`
+ */
+async function exportRows(file, rows, options = {}) {
+  const exporter = createExporter(file, options)
+
+  try {
+    for await (const row of rows) await exporter.write(row)
+  } catch (error) {
+    // Flush the rows written so far before failing; the first error is the one reported
+    await exporter.close().catch(() => {})
+    throw error
+  }
+
+  return exporter.close()
+}
+
+module.exports = {
+  createExporter,
+  exportRows,
+  exportFormat,
+  inferSchema,
+  duneSchema,
+  toPlain,
+  writeChunk,
+  LOG_SCHEMA,
+  COLUMN_TYPES
+}
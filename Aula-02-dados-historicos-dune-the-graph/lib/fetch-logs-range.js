@@ -0,0 +1,202 @@
+/**
+ * Adaptive eth_getLogs fetcher
+ *
+ * Walks a block range in chunks that adapt to the provider:
+ * - a chunk is bisected when the node answers with a range/result limit error
+ * - the chunk grows again after successful calls
+ * - rate limit (429) and timeout errors are retried with exponential backoff
+ *
+ * Logs are returned sorted by (blockNumber, logIndex).
+ */
+
+const DEFAULTS = {
+  initialChunkSize: 2000,
+  minChunkSize: 1,
+  maxChunkSize: 100000,
+  growthFactor: 2,
+  maxRetries: 5,
+  retryDelayMs: 500
+}
+
+// Messages used by common providers when a query covers too much data
+const RANGE_LIMIT_PATTERNS = [
+  /query returned more than \d+ results/i,
+  /block range too large/i,
+  /block range is too (large|wide)/i,
+  /exceed(s|ed)? (the )?max(imum)? block range/i,
+  /log response size exceeded/i,
+  /range is too large/i,
+  /too many (logs|results)/i,
+  /response size should not greater than/i
+]
+
+// Messages used when the node is throttling us or took too long to answer
+const RETRYABLE_PATTERNS = [
+  /rate limit/i,
+  /too many requests/i,
+  /timeout/i,
+  /timed out/i,
+  /ETIMEDOUT/,
+  /ECONNRESET/,
+  /ECONNREFUSED/,
+  /socket hang up/i
+]
+
+/**
+ * Collect every piece of text an ethers/JSON-RPC error carries
+ */
+function errorText(error) {
+  return [
+    error.message,
+    error.reason,
+    error.body,
+    error.error && error.error.message
+  ].filter(Boolean).join(' ')
+}
+
+function isRangeLimitError(error) {
+  const text = errorText(error)
+  return RANGE_LIMIT_PATTERNS.some(pattern => pattern.test(text))
+}
+
+function isRetryableError(error) {
+  if (error.status === 429 || error.code === 'TIMEOUT') return true
+
+  const text = errorText(error)
+  return RETRYABLE_PATTERNS.some(pattern => pattern.test(text))
+}
+
+/**
+ * Some providers (e.g. Alchemy) suggest a range that will work:
+ * "... this block range should work: [0x10, 0x20]"
+ */
+function suggestedChunkSize(error) {
+  const match = errorText(error).match(/\[(0x[0-9a-f]+),\s*(0x[0-9a-f]+)\]/i)
+  if (!match) return null
+
+  const size = parseInt(match[2], 16) - parseInt(match[1], 16) + 1
+  return size > 0 ? size : null
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function compareLogs(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+}
+
+async function resolveBlockNumber(provider, blockTag) {
+  if (blockTag === undefined || blockTag === null || blockTag === 'latest') {
+    return provider.getBlockNumber()
+  }
+
+  if (blockTag === 'earliest') return 0
+
+  if (typeof blockTag === 'string') {
+    return blockTag.startsWith('0x') ? parseInt(blockTag, 16) : parseInt(blockTag, 10)
+  }
+
+  return blockTag
+}
+
+/**
+ * Call provider.getLogs, retrying throttled/timed out calls with backoff
+ */
+async function getLogsWithRetry(provider, filter, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await provider.getLogs(filter)
+    } catch (error) {
+      if (!isRetryableError(error) || attempt >= options.maxRetries) {
+        throw error
+      }
+
+      const delay = options.retryDelayMs * Math.pow(2, attempt)
+      await sleep(delay + Math.floor(Math.random() * options.retryDelayMs))
+    }
+  }
+}
+
+/**
+ * Iterate over a block range chunk by chunk
+ *
+ * Yields `{ fromBlock, toBlock, logs }` in block order, so callers can
+ * process (or persist) each chunk without holding the whole range in memory.
+ *
+ * @param {ethers.providers.Provider} provider - Provider used for eth_getLogs
+ * @param {Object} filter - `{ address, topics, fromBlock, toBlock }`
+ * @param {Object} [options] - Chunking and retry settings (see DEFAULTS)
+ */
+async function* iterateLogsRange(provider, filter, options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+  const { address, topics } = filter
+
+  const fromBlock = await resolveBlockNumber(provider, filter.fromBlock === undefined ? 0 : filter.fromBlock)
+  const toBlock = await resolveBlockNumber(provider, filter.toBlock)
+
+  let chunkSize = settings.initialChunkSize
+  let from = fromBlock
+
+  while (from <= toBlock) {
+    const to = Math.min(from + chunkSize - 1, toBlock)
+
+    let logs
+    try {
+      logs = await getLogsWithRetry(provider, { address, topics, fromBlock: from, toBlock: to }, settings)
+    } catch (error) {
+      if (!isRangeLimitError(error)) throw error
+
+      const span = to - from + 1
+      if (span <= settings.minChunkSize) throw error
+
+      // Bisect, unless the provider told us exactly what it accepts
+      const suggested = suggestedChunkSize(error)
+      chunkSize = Math.max(
+        settings.minChunkSize,
+        suggested && suggested < span ? suggested : Math.floor(span / 2)
+      )
+      continue
+    }
+
+    yield { fromBlock: from, toBlock: to, logs: logs.slice().sort(compareLogs) }
+
+    from = to + 1
+    chunkSize = Math.min(settings.maxChunkSize, Math.ceil(chunkSize * settings.growthFactor))
+  }
+}
+
+/**
+ * Fetch all logs matching a filter over an arbitrarily large block range
+ *
+ * @param {ethers.providers.Provider} provider - Provider used for eth_getLogs
+ * @param {Object} filter - `{ address, topics, fromBlock, toBlock }`
+ * @param {Object} [options] - Chunking and retry settings, plus an optional
+ *   `onChunk({ fromBlock, toBlock, logs })` progress callback
+ * @returns {Promise<Array>} Logs sorted by (blockNumber, logIndex)
+ *
+ * @example
+ * const logs = await fetchLogsRange(provider, {
+ *   address: POOL_ADDRESS,
+ *   topics: [SWAP_EVENT],
+ *   fromBlock: currentBlock - 10000,
+ *   toBlock: 'latest'
+ * })
+ */
+async function fetchLogsRange(provider, filter, options = {}) {
+  const allLogs = []
+
+  for await (const chunk of iterateLogsRange(provider, filter, options)) {
+    if (options.onChunk) await options.onChunk(chunk)
+    allLogs.push(...chunk.logs)
+  }
+
+  return allLogs
+}
+
+module.exports = {
+  fetchLogsRange,
+  iterateLogsRange,
+  isRangeLimitError,
+  isRetryableError
+}
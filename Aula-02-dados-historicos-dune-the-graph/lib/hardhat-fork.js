@@ -0,0 +1,290 @@
+/**
+ * Hardhat fork harness
+ *
+ * Runs a Hardhat network inside this process, forked from an archive
+ * endpoint at a given block, and wraps the hardhat_* / evm_* methods fork
+ * scripts keep re-writing:
+ * - impersonating accounts (any address can send transactions)
+ * - funding accounts with ETH (hardhat_setBalance)
+ * - seeding ERC20 balances by writing the token's balance storage slot
+ * - time travel (increase time, set the next timestamp, mine blocks)
+ * - snapshot/revert, to run several scenarios from the same state
+ *
+ * Hardhat keeps one network per process, so there is one fork at a time;
+ * createFork() again (or fork.reset()) re-forks it. With `local: true` the
+ * network is a fresh chain instead of a fork, for tests and offline use.
+ */
+
+const path = require('path')
+const { ethers } = require('ethers')
+const { readJsonCache, writeJsonCache } = require('./cache')
+
+const DEFAULTS = {
+  // Fork source; blocks older than ~128 need an archive endpoint
+  url: process.env.FORK_RPC_URL || process.env.ARCHIVE_RPC_URL || process.env.RPC_URL,
+  // null: fork at the latest block
+  blockNumber: null,
+  // A fresh local chain instead of a fork: no url needed
+  local: false,
+  // Storage slots tried when looking for an ERC20 balances mapping
+  maxBalanceSlot: 100,
+  balanceSlotCacheFile: 'erc20-balance-slots.json'
+}
+
+const ERC20_ABI = ['function balanceOf(address) view returns (uint256)']
+
+// Account used to locate balance slots, never holds anything on mainnet
+const SLOT_PROBE_ACCOUNT = '0x000000000000000000000000000000000000fa11'
+
+/**
+ * The Hardhat runtime, with the package's config when the script does not
+ * run from a Hardhat project itself
+ */
+function loadHardhat() {
+  if (!process.env.HARDHAT_CONFIG) {
+    process.env.HARDHAT_CONFIG = path.join(__dirname, '..', 'hardhat.config.js')
+  }
+  return require('hardhat')
+}
+
+// Quantities as Hardhat wants them: hex without leading zeros
+const quantity = value => ethers.utils.hexValue(ethers.BigNumber.from(value))
+
+/**
+ * Storage key of `account` in a mapping stored at `slot`
+ *
+ * Solidity hashes key then slot, Vyper slot then key.
+ */
+function mappingSlot(account, slot, layout = 'solidity') {
+  // Two 32-byte words, as abi.encode() lays them out; without the ABI coder,
+  // which is several times slower in the state diff's key search
+  const key = ethers.utils.hexZeroPad(account, 32)
+  const position = ethers.utils.hexZeroPad(ethers.BigNumber.from(slot).toHexString(), 32)
+
+  return ethers.utils.keccak256(ethers.utils.hexConcat(layout === 'vyper' ? [position, key] : [key, position]))
+}
+
+/**
+ * Start (or restart) the in-process fork
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url] - Fork source (default: FORK_RPC_URL, ARCHIVE_RPC_URL or RPC_URL)
+ * @param {number} [options.blockNumber] - Fork block (default: latest)
+ * @param {boolean} [options.local=false] - Start an empty local chain instead of forking
+ * @returns {Promise<Object>} The fork: `provider` (ethers), `request()`, `blockNumber`
+ *   and the helpers below
+ *
+ * @example
+ * const fork = await createFork({ blockNumber: 18000000 })
+ * const whale = await fork.impersonate(WHALE, { balance: ethers.utils.parseEther('10') })
+ * await fork.withSnapshot(async () => {
+ *   await usdc.connect(whale).transfer(recipient, amount)
+ * })
+ */
+async function createFork(options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+
+  if (!settings.url && !settings.local) throw new Error('No fork source: set FORK_RPC_URL, ARCHIVE_RPC_URL or RPC_URL')
+
+  const hre = loadHardhat()
+  const request = (method, params = []) => hre.network.provider.request({ method, params })
+
+  // 'any': the chain id may change when re-forking another network
+  const provider = new ethers.providers.Web3Provider(hre.network.provider, 'any')
+
+  const fork = {
+    hre,
+    provider,
+    request,
+    blockNumber: null
+  }
+
+  // ethers never lets the block number go backwards, but a revert or a
+  // re-fork does exactly that: forget what it has seen
+  function forgetBlockNumber() {
+    provider._maxInternalBlockNumber = -1024
+    provider._internalBlockNumber = null
+    provider._fastBlockNumber = null
+    provider._fastBlockNumberPromise = null
+  }
+
+  // Balance slots found on a local chain, where addresses are reused from run
+  // to run by other contracts: kept in memory, not in the disk cache
+  let localSlots = {}
+
+  /**
+   * Re-fork, at another block or from another endpoint
+   */
+  async function reset(next = {}) {
+    Object.assign(settings, next)
+
+    if (settings.local) {
+      await request('hardhat_reset', [])
+    } else {
+      const forking = { jsonRpcUrl: settings.url }
+      if (settings.blockNumber !== null && settings.blockNumber !== undefined) {
+        forking.blockNumber = Number(settings.blockNumber)
+      }
+
+      await request('hardhat_reset', [{ forking }])
+    }
+    localSlots = {}
+    forgetBlockNumber()
+    fork.blockNumber = parseInt(await request('eth_blockNumber', []), 16)
+    return fork
+  }
+
+  /**
+   * Drop the fork (and its in-memory state)
+   */
+  async function stop() {
+    await request('hardhat_reset', [])
+  }
+
+  /**
+   * Send transactions as any address
+   *
+   * @param {string} address
+   * @param {Object} [opts]
+   * @param {BigNumberish} [opts.balance] - Set its ETH balance first (for gas)
+   * @returns {Promise<ethers.Signer>}
+   */
+  async function impersonate(address, opts = {}) {
+    await request('hardhat_impersonateAccount', [address])
+    if (opts.balance !== undefined) await setBalance(address, opts.balance)
+    return provider.getSigner(address)
+  }
+
+  async function stopImpersonating(address) {
+    await request('hardhat_stopImpersonatingAccount', [address])
+  }
+
+  async function setBalance(address, wei) {
+    await request('hardhat_setBalance', [address, quantity(wei)])
+  }
+
+  async function balanceOf(token, account) {
+    const data = new ethers.utils.Interface(ERC20_ABI).encodeFunctionData('balanceOf', [account])
+    return ethers.BigNumber.from(await provider.call({ to: token, data }))
+  }
+
+  /**
+   * Find where a token keeps its balances mapping
+   *
+   * Writes a marker at each candidate slot and checks balanceOf(); the
+   * result is cached on disk per chain and token (in memory on a local chain).
+   *
+   * @returns {Promise<Object>} `{ slot, layout }`
+   */
+  async function findBalanceSlot(token) {
+    const { chainId } = await provider.getNetwork()
+    const cacheKey = `${chainId}:${token.toLowerCase()}`
+    const cache = settings.local ? localSlots : readJsonCache(settings.balanceSlotCacheFile)
+    if (cache[cacheKey]) return cache[cacheKey]
+
+    const marker = ethers.BigNumber.from('0x5ec0de5ec0de')
+
+    for (let slot = 0; slot <= settings.maxBalanceSlot; slot++) {
+      for (const layout of ['solidity', 'vyper']) {
+        const key = mappingSlot(SLOT_PROBE_ACCOUNT, slot, layout)
+        const previous = await request('eth_getStorageAt', [token, key, 'latest'])
+
+        await request('hardhat_setStorageAt', [token, key, ethers.utils.hexZeroPad(marker, 32)])
+        const found = (await balanceOf(token, SLOT_PROBE_ACCOUNT)).eq(marker)
+        await request('hardhat_setStorageAt', [token, key, ethers.utils.hexZeroPad(previous, 32)])
+
+        if (found) {
+          const result = { slot, layout }
+          if (settings.local) localSlots[cacheKey] = result
+          else writeJsonCache(settings.balanceSlotCacheFile, { ...readJsonCache(settings.balanceSlotCacheFile), [cacheKey]: result })
+          return result
+        }
+      }
+    }
+
+    throw new Error(`No balances mapping found in slots 0-${settings.maxBalanceSlot} of ${token} (rebasing or non-standard token?)`)
+  }
+
+  /**
+   * Give `account` exactly `amount` of an ERC20, without a holder to take it from
+   *
+   * Only the balance is written: totalSupply stays as it was.
+   */
+  async function setTokenBalance(token, account, amount) {
+    const { slot, layout } = await findBalanceSlot(token)
+    const value = ethers.BigNumber.from(amount)
+
+    await request('hardhat_setStorageAt', [token, mappingSlot(account, slot, layout), ethers.utils.hexZeroPad(value, 32)])
+
+    const balance = await balanceOf(token, account)
+    if (!balance.eq(value)) {
+      throw new Error(`balanceOf(${account}) is ${balance.toString()} after writing ${value.toString()} to slot ${slot} of ${token}`)
+    }
+  }
+
+  /**
+   * Move time forward and mine a block with the new timestamp
+   */
+  async function increaseTime(seconds) {
+    await request('evm_increaseTime', [Number(seconds)])
+    await request('evm_mine', [])
+  }
+
+  async function setNextBlockTimestamp(timestamp) {
+    await request('evm_setNextBlockTimestamp', [Number(timestamp)])
+  }
+
+  /**
+   * Mine `blocks` blocks at once, `interval` seconds apart
+   */
+  async function mine(blocks = 1, interval = 1) {
+    await request('hardhat_mine', [quantity(blocks), quantity(interval)])
+  }
+
+  /**
+   * @returns {Promise<string>} Snapshot id; a revert consumes it
+   */
+  function snapshot() {
+    return request('evm_snapshot', [])
+  }
+
+  async function revert(id) {
+    if (!(await request('evm_revert', [id]))) throw new Error(`Snapshot ${id} does not exist (already reverted?)`)
+    forgetBlockNumber()
+  }
+
+  /**
+   * Run `fn` and undo everything it did, whether it succeeds or throws
+   */
+  async function withSnapshot(fn) {
+    const id = await snapshot()
+    try {
+      return await fn(fork)
+    } finally {
+      await revert(id)
+    }
+  }
+
+  Object.assign(fork, {
+    reset,
+    stop,
+    impersonate,
+    stopImpersonating,
+    setBalance,
+    findBalanceSlot,
+    setTokenBalance,
+    increaseTime,
+    setNextBlockTimestamp,
+    mine,
+    snapshot,
+    revert,
+    withSnapshot
+  })
+
+  return reset()
+}
+
+module.exports = {
+  createFork,
+  mappingSlot
+}
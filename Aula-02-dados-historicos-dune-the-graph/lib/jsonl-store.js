@@ -0,0 +1,138 @@
+/**
+ * Append-only JSONL event store with a block checkpoint
+ *
+ * Layout of a store directory:
+ * - events.jsonl     one decoded log per line
+ * - checkpoint.json  `{ lastBlock }`, the last fully processed block
+ *
+ * Records are flushed to disk before the checkpoint moves forward, so after a
+ * crash the only records that can be repeated are those above the checkpoint.
+ * A line cut short by the crash is dropped when the store is opened again.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+
+function recordKey(record) {
+  return `${record.transactionHash.toLowerCase()}-${record.logIndex}`
+}
+
+/**
+ * Truncate a last line left incomplete by a crash during append()
+ * Its records are above the checkpoint, so the next run fetches them again.
+ */
+function dropPartialLine(file) {
+  if (!fs.existsSync(file)) return
+
+  const fd = fs.openSync(file, 'r+')
+  try {
+    const buffer = Buffer.alloc(64 * 1024)
+    let end = fs.fstatSync(fd).size
+
+    while (end > 0) {
+      const start = Math.max(end - buffer.length, 0)
+      const length = end - start
+      fs.readSync(fd, buffer, 0, length, start)
+
+      const newline = buffer.lastIndexOf(0x0a, length - 1)
+      if (newline !== -1) {
+        // Complete file: nothing to cut
+        if (start + newline + 1 === fs.fstatSync(fd).size) return
+        fs.ftruncateSync(fd, start + newline + 1)
+        return
+      }
+      end = start
+    }
+
+    // A single partial line
+    fs.ftruncateSync(fd, 0)
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+/**
+ * Open (or create) a store in `dir`
+ *
+ * @param {string} dir - Directory holding events.jsonl and checkpoint.json
+ */
+function createJsonlStore(dir) {
+  fs.mkdirSync(dir, { recursive: true })
+
+  const eventsPath = path.join(dir, 'events.jsonl')
+  const checkpointPath = path.join(dir, 'checkpoint.json')
+
+  dropPartialLine(eventsPath)
+
+  /**
+   * Stream every stored record, in the order it was written
+   */
+  async function* readRecords() {
+    if (!fs.existsSync(eventsPath)) return
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(eventsPath),
+      crlfDelay: Infinity
+    })
+
+    for await (const line of lines) {
+      if (line.trim()) yield JSON.parse(line)
+    }
+  }
+
+  /**
+   * Keys of stored records at or above `fromBlock`
+   * Only those can collide with a (re)run starting at `fromBlock`.
+   */
+  async function loadKeys(fromBlock = 0) {
+    const keys = new Set()
+
+    for await (const record of readRecords()) {
+      if (record.blockNumber >= fromBlock) keys.add(recordKey(record))
+    }
+
+    return keys
+  }
+
+  async function append(records) {
+    if (records.length === 0) return
+
+    const handle = await fs.promises.open(eventsPath, 'a')
+    try {
+      await handle.write(records.map(record => JSON.stringify(record)).join('\n') + '\n')
+      await handle.datasync()
+    } finally {
+      await handle.close()
+    }
+  }
+
+  function readCheckpoint() {
+    if (!fs.existsSync(checkpointPath)) return null
+    return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'))
+  }
+
+  /**
+   * Write the checkpoint atomically (write + rename)
+   */
+  function writeCheckpoint(checkpoint) {
+    const tmpPath = `${checkpointPath}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2))
+    fs.renameSync(tmpPath, checkpointPath)
+  }
+
+  return {
+    dir,
+    eventsPath,
+    readRecords,
+    loadKeys,
+    append,
+    readCheckpoint,
+    writeCheckpoint
+  }
+}
+
+module.exports = {
+  createJsonlStore,
+  recordKey
+}
@@ -0,0 +1,259 @@
+/**
+ * Local transaction simulator on a Hardhat fork
+ *
+ * Same methods and result shape as the Tenderly client (lib/tenderly.js),
+ * computed on an in-process fork (lib/hardhat-fork.js) instead of Tenderly's
+ * API: no account needed, and the fork source can be a local node.
+ *
+ * Each transaction is mined in its own block on top of the fork block, inside
+ * a snapshot that is reverted afterwards. The state diff, the touched
+ * accounts and the call trace come from the transaction's struct logs
+ * (Hardhat only has the default tracer): every SSTORE, attributed to the
+ * contract whose storage it writes, then compared before/after the block.
+ */
+
+const { ethers } = require('ethers')
+const { createFork } = require('./hardhat-fork')
+const { createDefaultRegistry } = require('./decoder-registry')
+const { walkStructLogs } = require('./state-diff')
+const { rebuildCallTrace, toTenderlyTrace } = require('./call-trace')
+
+const DEFAULTS = {
+  // Fork source (see lib/hardhat-fork.js)
+  url: process.env.FORK_RPC_URL || process.env.ARCHIVE_RPC_URL || process.env.RPC_URL,
+  networkId: '1',
+  gas: 8000000,
+  // Seconds between the fork block and each simulated block
+  blockTime: 12
+}
+
+const quantity = value => ethers.utils.hexValue(ethers.BigNumber.from(value))
+
+/**
+ * Create a simulator
+ *
+ * @param {Object} [options] - See DEFAULTS
+ * @returns {Object} `{ simulate, simulateAtBlock, simulateBundle, close }`
+ */
+function createLocalSimulator(options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+  const registry = createDefaultRegistry({ abiDir: process.env.ABI_DIR })
+
+  let fork = null
+  // Block the current fork was requested at (null = latest)
+  let forkBlock
+
+  async function forkAt(blockNumber) {
+    const block = blockNumber === undefined || blockNumber === null ? null : Number(blockNumber)
+
+    if (!fork) fork = await createFork({ url: settings.url, blockNumber: block })
+    else if (block !== forkBlock) await fork.reset({ blockNumber: block })
+
+    forkBlock = block
+    return fork
+  }
+
+  /**
+   * Tenderly-style logs: `{ name, anonymous, inputs: [{ soltype, value }], raw }`
+   */
+  function decodeLogs(logs) {
+    return logs.map(log => {
+      const decoded = registry.decodeLog(log)
+      const raw = { address: log.address, topics: log.topics, data: log.data }
+      if (!decoded.decoded) return { name: null, anonymous: false, inputs: [], raw }
+
+      // The signature carries the types, args the names (in the same order)
+      const types = ethers.utils.EventFragment.from(decoded.signature).inputs.map(input => input.type)
+
+      return {
+        name: decoded.event,
+        anonymous: decoded.anonymous,
+        inputs: Object.entries(decoded.args).map(([name, value], i) => ({
+          soltype: { name, type: types[i] },
+          value: ethers.BigNumber.isBigNumber(value) ? value.toString() : value
+        })),
+        raw
+      }
+    })
+  }
+
+  async function stateDiff(writes, block) {
+    const seen = new Set()
+    const diff = []
+
+    for (const { address, key } of writes) {
+      const id = `${address}:${key}`
+      if (seen.has(id)) continue
+      seen.add(id)
+
+      const original = await fork.request('eth_getStorageAt', [address, key, quantity(block - 1)])
+      const dirty = await fork.request('eth_getStorageAt', [address, key, quantity(block)])
+      if (original === dirty) continue
+
+      diff.push({ address, soltype: null, original, dirty, raw: [{ address, key, original, dirty }] })
+    }
+
+    return diff
+  }
+
+  // Accounts whose balance (eth_getBalance) or nonce (eth_getTransactionCount) changed
+  async function accountDiff(method, addresses, block) {
+    const diff = []
+
+    for (const address of addresses) {
+      const original = ethers.BigNumber.from(await fork.request(method, [address, quantity(block - 1)]))
+      const dirty = ethers.BigNumber.from(await fork.request(method, [address, quantity(block)]))
+      if (!original.eq(dirty)) diff.push({ address, original: original.toString(), dirty: dirty.toString() })
+    }
+
+    return diff
+  }
+
+  function result(tx, fields) {
+    const status = fields.status
+
+    return {
+      transaction: {
+        hash: fields.hash || null,
+        block_number: fields.blockNumber,
+        from: tx.from,
+        to: tx.to || null,
+        input: tx.input || '0x',
+        value: String(tx.value || '0'),
+        gas: Number(tx.gas || settings.gas),
+        gas_used: fields.gasUsed,
+        status,
+        error_message: fields.error || null,
+        transaction_info: {
+          logs: fields.logs || [],
+          balance_diff: fields.balanceDiff || [],
+          nonce_diff: fields.nonceDiff || [],
+          state_diff: fields.stateDiff || [],
+          call_trace: fields.callTrace || null
+        }
+      },
+      simulation: {
+        id: fields.hash ? `local:${fields.hash}` : null,
+        network_id: String(tx.network_id || settings.networkId),
+        block_number: fork.blockNumber,
+        status,
+        gas_used: fields.gasUsed,
+        local: true
+      }
+    }
+  }
+
+  /**
+   * Mine one transaction in its own block and describe what it did
+   */
+  async function execute(tx) {
+    const from = ethers.utils.getAddress(tx.from)
+    const gasPrice = ethers.BigNumber.from(tx.gas_price || 0)
+    const parent = await fork.provider.getBlock('latest')
+
+    await fork.request('hardhat_impersonateAccount', [from])
+    // Like Tenderly's gas_price '0': no fee, so balances only move by `value`
+    if (gasPrice.isZero()) await fork.request('hardhat_setNextBlockBaseFeePerGas', ['0x0'])
+    await fork.request('evm_setNextBlockTimestamp', [parent.timestamp + settings.blockTime])
+
+    let hash
+    try {
+      hash = await fork.request('eth_sendTransaction', [{
+        from,
+        to: tx.to || undefined,
+        data: tx.input || '0x',
+        value: quantity(tx.value || 0),
+        gas: quantity(tx.gas || settings.gas),
+        gasPrice: quantity(gasPrice)
+      }])
+    } catch (error) {
+      // Rejected before execution (e.g. not enough ETH for `value`)
+      return result(tx, { status: false, gasUsed: 0, blockNumber: parent.number + 1, error: error.message })
+    }
+
+    await fork.request('evm_mine', [])
+
+    const receipt = await fork.request('eth_getTransactionReceipt', [hash])
+    const block = parseInt(receipt.blockNumber, 16)
+    const status = receipt.status === '0x1'
+    const root = tx.to ? ethers.utils.getAddress(tx.to) : ethers.utils.getAddress(receipt.contractAddress)
+
+    // With memory: inner calls' inputs and outputs are read from it
+    const trace = await fork.request('debug_traceTransaction', [hash, { disableStorage: true }])
+    const { writes, touched } = walkStructLogs(trace.structLogs, root)
+    const callTrace = rebuildCallTrace(trace, await fork.request('eth_getTransactionByHash', [hash]), receipt)
+
+    return result(tx, {
+      hash,
+      status,
+      blockNumber: block,
+      gasUsed: parseInt(receipt.gasUsed, 16),
+      error: status ? null : registry.decodeError(root, callTrace.output).message || callTrace.error,
+      callTrace: toTenderlyTrace(callTrace),
+      logs: decodeLogs(receipt.logs.map(log => ({ ...log, address: ethers.utils.getAddress(log.address) }))),
+      balanceDiff: await accountDiff('eth_getBalance', [from, ...touched], block),
+      nonceDiff: await accountDiff('eth_getTransactionCount', [from, ...touched], block),
+      stateDiff: await stateDiff(writes, block)
+    })
+  }
+
+  /**
+   * Run transactions one after the other on the fork, then revert
+   */
+  async function run(txs, blockNumber) {
+    await forkAt(blockNumber)
+
+    return fork.withSnapshot(async () => {
+      await fork.request('evm_setAutomine', [false])
+
+      try {
+        const results = []
+        for (const tx of txs) results.push(await execute(tx))
+        return results
+      } finally {
+        await fork.request('evm_setAutomine', [true])
+      }
+    })
+  }
+
+  /**
+   * Simulate one transaction, at `tx.block_number` or the latest block
+   *
+   * @param {Object} tx - `{ from, to, input, value, gas, gas_price, block_number }` (Tenderly fields)
+   * @returns {Promise<Object>} `{ transaction, simulation }`, as Tenderly's /simulate
+   */
+  async function simulate(tx) {
+    const [simulation] = await run([tx], tx.block_number)
+    return simulation
+  }
+
+  function simulateAtBlock(tx, blockNumber) {
+    return simulate({ ...tx, block_number: blockNumber })
+  }
+
+  /**
+   * Simulate transactions in sequence, each one seeing the previous one's state
+   *
+   * @returns {Promise<Object>} `{ simulation_results }`, as Tenderly's /simulate-bundle
+   */
+  async function simulateBundle(txs) {
+    const blockNumber = txs.length > 0 ? txs[0].block_number : null
+    return { simulation_results: await run(txs, blockNumber) }
+  }
+
+  async function close() {
+    if (fork) await fork.stop()
+    fork = null
+  }
+
+  return {
+    simulate,
+    simulateAtBlock,
+    simulateBundle,
+    close
+  }
+}
+
+module.exports = {
+  createLocalSimulator
+}
@@ -0,0 +1,184 @@
+/**
+ * Multicall batching for (historical) view calls
+ *
+ * Packs many calls into one Multicall3 `aggregate3` eth_call at a given
+ * blockTag. Every call is sent with `allowFailure: true`, so one reverting
+ * call does not sink the batch: each result carries its own success flag.
+ *
+ * For blocks before Multicall3 was deployed (or chains without it) the calls
+ * are sent as one JSON-RPC batch request instead, and as parallel eth_calls
+ * when the endpoint does not accept batches (or refuses them with an HTTP error).
+ */
+
+const { ethers } = require('ethers')
+
+// Same address on every chain where Multicall3 is deployed
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+]
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI)
+
+const DEFAULTS = {
+  blockTag: 'latest',
+  batchSize: 500
+}
+
+function toRpcBlockTag(blockTag) {
+  return typeof blockTag === 'number' ? ethers.utils.hexValue(blockTag) : blockTag
+}
+
+/**
+ * Normalize a call spec into `{ target, callData, iface, method }`
+ *
+ * Accepted shapes:
+ * - `{ target, abi, method, args }` (abi: ABI array or ethers Interface)
+ * - `{ target, callData }` (raw calldata, result returned undecoded)
+ */
+function prepareCall(call) {
+  if (call.callData) return { target: call.target, callData: call.callData }
+
+  const iface = call.abi instanceof ethers.utils.Interface ? call.abi : new ethers.utils.Interface(call.abi)
+
+  return {
+    target: call.target,
+    callData: iface.encodeFunctionData(call.method, call.args || []),
+    iface,
+    method: call.method
+  }
+}
+
+function decodeResult(prepared, success, returnData) {
+  if (!success) {
+    return { success: false, value: null, returnData, error: 'call reverted' }
+  }
+
+  if (!prepared.iface) {
+    return { success: true, value: returnData, returnData, error: null }
+  }
+
+  try {
+    const decoded = prepared.iface.decodeFunctionResult(prepared.method, returnData)
+    return { success: true, value: decoded.length === 1 ? decoded[0] : decoded, returnData, error: null }
+  } catch (error) {
+    // e.g. '0x' returned by an address without code
+    return { success: false, value: null, returnData, error: `could not decode ${prepared.method}() result` }
+  }
+}
+
+async function hasMulticall(provider, blockTag) {
+  const code = await provider.getCode(MULTICALL3_ADDRESS, blockTag)
+  return code !== '0x'
+}
+
+async function aggregate3(provider, prepared, blockTag) {
+  const data = multicallInterface.encodeFunctionData('aggregate3', [
+    prepared.map(call => ({ target: call.target, allowFailure: true, callData: call.callData }))
+  ])
+
+  const result = await provider.call({ to: MULTICALL3_ADDRESS, data }, blockTag)
+  const [returnData] = multicallInterface.decodeFunctionResult('aggregate3', result)
+
+  return returnData.map((item, i) => decodeResult(prepared[i], item.success, item.returnData))
+}
+
+/**
+ * One eth_call per request, in a single JSON-RPC batch when possible
+ */
+async function batchEthCall(provider, prepared, blockTag) {
+  const params = call => [{ to: call.target, data: call.callData }, toRpcBlockTag(blockTag)]
+
+  // Pooled providers (provider-pool.js) route the batch to a capable endpoint
+  if (provider.sendBatch) {
+    const responses = await provider.sendBatch(prepared.map(call => ({ method: 'eth_call', params: params(call) })))
+
+    return responses.map((response, i) => response.error
+      ? { ...decodeResult(prepared[i], false, response.error.data), error: response.error.message }
+      : decodeResult(prepared[i], true, response.result))
+  }
+
+  if (provider.connection && provider.connection.url) {
+    const payload = prepared.map((call, i) => ({
+      jsonrpc: '2.0',
+      id: i + 1,
+      method: 'eth_call',
+      params: params(call)
+    }))
+
+    let response = null
+    try {
+      response = await ethers.utils.fetchJson(provider.connection, JSON.stringify(payload))
+    } catch (error) {
+      // Many public endpoints answer batches with an HTTP error (400, 413,
+      // 5xx...): single calls below, which report their own errors
+    }
+
+    if (Array.isArray(response)) {
+      const byId = new Map(response.map(item => [item.id, item]))
+
+      return prepared.map((call, i) => {
+        const item = byId.get(i + 1)
+        if (!item || item.error) {
+          const result = decodeResult(call, false, item && item.error && item.error.data)
+          return { ...result, error: item ? item.error.message : 'missing response' }
+        }
+        return decodeResult(call, true, item.result)
+      })
+    }
+    // The endpoint does not support batches, fall through to single calls
+  }
+
+  return Promise.all(prepared.map(async call => {
+    try {
+      return decodeResult(call, true, await provider.send('eth_call', params(call)))
+    } catch (error) {
+      // ethers wraps the node's JSON-RPC error: report that one, as the batch path does
+      const rpcError = error.error || error
+      return { ...decodeResult(call, false, rpcError.data || null), error: rpcError.message || error.reason }
+    }
+  }))
+}
+
+/**
+ * Execute many view calls at one block
+ *
+ * @param {ethers.providers.JsonRpcProvider} provider - Provider (archive node for old blocks)
+ * @param {Array<Object>} calls - Call specs (see prepareCall)
+ * @param {Object} [options]
+ * @param {number|string} [options.blockTag='latest'] - Block to run the calls at
+ * @param {number} [options.batchSize=500] - Calls per aggregate3 / batch request
+ * @param {boolean} [options.useMulticall] - Force (true) or skip (false) Multicall3
+ * @returns {Promise<Array>} `{ success, value, returnData, error }` per call, in order
+ *
+ * @example
+ * const results = await multicall(provider, addresses.map(address => ({
+ *   target: USDC_ADDRESS, abi: ERC20_ABI, method: 'balanceOf', args: [address]
+ * })), { blockTag: 18000000 })
+ */
+async function multicall(provider, calls, options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+  const prepared = calls.map(prepareCall)
+
+  const useMulticall = settings.useMulticall !== undefined
+    ? settings.useMulticall
+    : await hasMulticall(provider, settings.blockTag)
+
+  const results = []
+
+  for (let i = 0; i < prepared.length; i += settings.batchSize) {
+    const batch = prepared.slice(i, i + settings.batchSize)
+
+    results.push(...(useMulticall
+      ? await aggregate3(provider, batch, settings.blockTag)
+      : await batchEthCall(provider, batch, settings.blockTag)))
+  }
+
+  return results
+}
+
+module.exports = {
+  multicall,
+  MULTICALL3_ADDRESS
+}
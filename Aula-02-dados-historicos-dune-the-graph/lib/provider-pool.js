@@ -0,0 +1,599 @@
+/**
+ * Provider pool with capability routing, rate limiting and failover
+ *
+ * Several JSON-RPC endpoints behind one ethers provider. Each endpoint
+ * declares what it can do:
+ * - archive:     serves state older than `archiveDepth` blocks
+ * - stateDepth:  deepest state a non-archive node serves (default `archiveDepth`)
+ * - trace/debug: whether the trace_* / debug_* namespaces are enabled
+ * - maxLogRange: largest eth_getLogs block range it accepts (null = no limit)
+ * - rps / burst: token-bucket rate limit
+ *
+ * With `probe: true`, what is not declared is filled in by probing each
+ * endpoint once (see rpc-capabilities.js).
+ *
+ * Every request goes to the first endpoint (in configuration order) that is
+ * able to serve it, is not ejected and has a token left; when all of them are
+ * throttled the request waits for the first free token. Transport failures,
+ * HTTP errors and rate-limit answers count against the endpoint: after
+ * `maxFailures` in a row it is ejected for `ejectMs` (doubling on repeated
+ * ejections) and the request fails over to the next endpoint. Once the
+ * cooldown is over the endpoint is re-admitted on probation.
+ *
+ * JSON-RPC errors (reverts, invalid params, ...) are the answer to the
+ * request, not an endpoint failure, and are passed to the caller as-is.
+ * State older than every endpoint serves fails with a MissingArchiveStateError
+ * before anything is sent.
+ */
+
+const fs = require('fs')
+const EventEmitter = require('events')
+const { ethers } = require('ethers')
+const { probeEndpoint, MissingArchiveStateError, isMissingStateError } = require('./rpc-capabilities')
+const { cacheProvider } = require('./rpc-cache')
+const { isRangeLimitError } = require('./fetch-logs-range')
+
+const DEFAULTS = {
+  // Full nodes keep the state of the last ~128 blocks
+  archiveDepth: 128,
+  timeoutMs: 30000,
+  maxFailures: 3,
+  ejectMs: 30000,
+  maxEjectMs: 10 * 60 * 1000,
+  // How long a known head block number is trusted for depth checks
+  headTtlMs: 12000,
+  // Probe the endpoints for the capabilities they do not declare
+  probe: false,
+  probeTtlMs: 24 * 60 * 60 * 1000
+}
+
+const ENDPOINT_DEFAULTS = {
+  archive: false,
+  stateDepth: null,
+  // null: unknown, requests are tried
+  trace: null,
+  debug: null,
+  maxLogRange: null,
+  rps: 10,
+  burst: null,
+  batch: true
+}
+
+// State-reading methods and the position of their block parameter
+const STATE_METHODS = {
+  eth_call: 1,
+  eth_estimateGas: 1,
+  eth_getBalance: 1,
+  eth_getCode: 1,
+  eth_getTransactionCount: 1,
+  eth_getStorageAt: 2,
+  eth_getProof: 2
+}
+
+// JSON-RPC errors that mean "slow down", not "bad request". The message
+// decides: -32005 ("limit exceeded") is also what nodes answer to eth_getLogs
+// ranges with too many results
+const RATE_LIMIT_PATTERNS = [
+  /rate limit/i,
+  /too many requests/i,
+  /request (rate|count) exceeded/i,
+  /exceeded .*(capacity|compute units|quota)/i
+]
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Token bucket: `rate` tokens per second, up to `capacity` stored
+ *
+ * @returns {Object} `{ take() }`; take() returns 0 when a token was taken,
+ *   else the milliseconds until one is available
+ */
+function createTokenBucket(rate, capacity = rate) {
+  let tokens = capacity
+  let last = Date.now()
+
+  function take() {
+    const now = Date.now()
+    tokens = Math.min(capacity, tokens + ((now - last) * rate) / 1000)
+    last = now
+
+    if (tokens >= 1) {
+      tokens -= 1
+      return 0
+    }
+
+    return Math.ceil(((1 - tokens) * 1000) / rate)
+  }
+
+  return { take }
+}
+
+/**
+ * Same shape as the errors JsonRpcProvider.send() throws, so ethers can
+ * still decode reverts from them
+ */
+function rpcError(payloadError) {
+  const error = new Error(payloadError.message)
+  error.code = payloadError.code
+  error.data = payloadError.data
+  return error
+}
+
+function endpointFailure(error, endpoint) {
+  error.endpointFailure = true
+  error.endpoint = endpoint.name
+  return error
+}
+
+function parseBlockNumber(tag) {
+  if (typeof tag === 'number') return tag
+  if (typeof tag === 'string' && /^0x[0-9a-f]+$/i.test(tag)) return parseInt(tag, 16)
+  return null
+}
+
+/**
+ * Create a pool
+ *
+ * @param {Array<Object>} endpoints - `{ url, name, archive, stateDepth, trace, debug, maxLogRange,
+ *   rps, burst, batch, headers }`, in priority order
+ * @param {Object} [options] - See DEFAULTS; `network` skips chain id detection
+ * @returns {EventEmitter} Pool with `provider`, `send()`, `sendBatch()`, `stats()` and
+ *   `capabilities()`; emits 'eject' and 'readmit' with `{ endpoint, error?, until? }`
+ *   and 'probe' with `{ endpoint, capabilities?, error? }`
+ *
+ * @example
+ * const pool = createProviderPool([
+ *   { name: 'alchemy', url: process.env.RPC_URL, rps: 25, maxLogRange: 2000 },
+ *   { name: 'archive', url: process.env.ARCHIVE_RPC_URL, archive: true, rps: 5 }
+ * ])
+ * const usdc = new ethers.Contract(USDC_ADDRESS, ERC20_ABI, pool.provider)
+ */
+function createProviderPool(endpoints, options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+
+  if (!endpoints || endpoints.length === 0) throw new Error('The provider pool needs at least one endpoint')
+
+  const pool = new EventEmitter()
+
+  const states = endpoints.map((config, i) => {
+    if (!config.url) throw new Error(`Endpoint ${config.name || i} has no url`)
+
+    const endpoint = { ...ENDPOINT_DEFAULTS, name: config.name || `endpoint-${i}`, ...config }
+
+    return {
+      ...endpoint,
+      declared: config,
+      bucket: createTokenBucket(endpoint.rps, endpoint.burst || endpoint.rps),
+      failures: 0,
+      ejections: 0,
+      ejectedUntil: 0,
+      ejected: false,
+      stats: { requests: 0, failures: 0, throttled: 0 }
+    }
+  })
+
+  let head = null
+  let nextId = 1
+  let probing = null
+
+  /**
+   * Probe the endpoints once (results are cached on disk), keeping what the
+   * configuration declares. An endpoint that cannot be probed keeps its defaults.
+   */
+  function ready() {
+    if (!settings.probe) return null
+
+    if (!probing) {
+      probing = Promise.all(states.map(async endpoint => {
+        try {
+          const capabilities = await probeEndpoint(endpoint, { ttlMs: settings.probeTtlMs, timeoutMs: settings.timeoutMs })
+
+          for (const key of ['archive', 'stateDepth', 'trace', 'debug', 'maxLogRange', 'batch']) {
+            if (!(key in endpoint.declared) && capabilities[key] !== undefined) endpoint[key] = capabilities[key]
+          }
+          pool.emit('probe', { endpoint: endpoint.name, capabilities })
+        } catch (error) {
+          pool.emit('probe', { endpoint: endpoint.name, error })
+        }
+      }))
+    }
+
+    return probing
+  }
+
+  function markSuccess(endpoint) {
+    endpoint.failures = 0
+    endpoint.ejections = 0
+  }
+
+  function markFailure(endpoint, error) {
+    endpoint.stats.failures++
+    endpoint.failures++
+
+    if (endpoint.failures >= settings.maxFailures) {
+      const cooldown = Math.min(settings.maxEjectMs, settings.ejectMs * Math.pow(2, endpoint.ejections))
+      endpoint.ejections++
+      endpoint.ejected = true
+      endpoint.ejectedUntil = Date.now() + cooldown
+      pool.emit('eject', { endpoint: endpoint.name, error, until: endpoint.ejectedUntil })
+    }
+  }
+
+  function isAvailable(endpoint) {
+    if (!endpoint.ejected) return true
+    if (Date.now() < endpoint.ejectedUntil) return false
+
+    // Probation: one more failure ejects it again, with a longer cooldown
+    endpoint.ejected = false
+    endpoint.failures = settings.maxFailures - 1
+    pool.emit('readmit', { endpoint: endpoint.name })
+    return true
+  }
+
+  async function post(endpoint, payload) {
+    endpoint.stats.requests++
+
+    const connection = {
+      url: endpoint.url,
+      headers: endpoint.headers,
+      timeout: settings.timeoutMs,
+      // Throttling is handled here (failover), not by retrying the same endpoint
+      throttleLimit: 1
+    }
+
+    try {
+      return await ethers.utils.fetchJson(connection, JSON.stringify(payload))
+    } catch (error) {
+      throw endpointFailure(error, endpoint)
+    }
+  }
+
+  /**
+   * Unwrap one JSON-RPC response, telling endpoint problems from request errors
+   */
+  function unwrap(endpoint, response) {
+    if (!response || typeof response !== 'object') {
+      throw endpointFailure(new Error(`Invalid JSON-RPC response from ${endpoint.name}`), endpoint)
+    }
+
+    if (response.error) {
+      const error = rpcError(response.error)
+      // Too much data for one request: the caller splits the range, the endpoint is fine
+      if (isRangeLimitError(error)) throw error
+      if (RATE_LIMIT_PATTERNS.some(p => p.test(response.error.message))) throw endpointFailure(error, endpoint)
+      throw error
+    }
+
+    return response.result
+  }
+
+  async function getHead() {
+    if (!head || Date.now() - head.at > settings.headTtlMs) {
+      const number = parseInt(await send('eth_blockNumber', []), 16)
+      head = { number, at: Date.now() }
+    }
+    return head.number
+  }
+
+  /**
+   * What an endpoint needs to serve a request:
+   * `{ archive, depth, block, head, namespace, logRange }`
+   */
+  async function requirements(method, params = []) {
+    const needs = { archive: false, depth: null, block: null, head: null, namespace: null, logRange: null }
+    const namespace = method.split('_')[0]
+
+    if (namespace === 'trace' || namespace === 'debug') needs.namespace = namespace
+
+    if (method in STATE_METHODS) {
+      let tag = params[STATE_METHODS[method]]
+      if (tag && typeof tag === 'object') {
+        // EIP-1898 block parameter; a bare block hash may be arbitrarily old
+        if (!tag.blockNumber) return { ...needs, archive: true }
+        tag = tag.blockNumber
+      }
+
+      if (tag === 'earliest') return { ...needs, archive: true, block: 0 }
+
+      const block = parseBlockNumber(tag)
+      if (block !== null) {
+        needs.head = await getHead()
+        needs.block = block
+        needs.depth = needs.head - block
+      }
+    }
+
+    if (method === 'eth_getLogs' && params[0] && !params[0].blockHash) {
+      const fromTag = params[0].fromBlock || 'latest'
+      const toTag = params[0].toBlock || 'latest'
+      const from = fromTag === 'earliest' ? 0 : parseBlockNumber(fromTag)
+      const to = parseBlockNumber(toTag)
+
+      if (from !== null) {
+        needs.logRange = (to !== null ? to : await getHead()) - from + 1
+      }
+    }
+
+    return needs
+  }
+
+  // Deepest state an endpoint serves (Infinity for archive nodes)
+  function servedDepth(endpoint) {
+    if (endpoint.archive) return Infinity
+    return endpoint.stateDepth !== null ? endpoint.stateDepth : settings.archiveDepth
+  }
+
+  function canServe(endpoint, needs) {
+    if (needs.archive && !endpoint.archive) return false
+    if (needs.depth !== null && needs.depth > servedDepth(endpoint)) return false
+    if (needs.namespace && endpoint[needs.namespace] === false) return false
+    if (needs.logRange && endpoint.maxLogRange && needs.logRange > endpoint.maxLogRange) return false
+    return true
+  }
+
+  function capabilityError(method, needs) {
+    if (needs.namespace && states.every(endpoint => endpoint[needs.namespace] === false)) {
+      return new Error(`No endpoint with the ${needs.namespace}_* namespace enabled for ${method}`)
+    }
+
+    if (needs.archive || needs.depth !== null) {
+      return new MissingArchiveStateError({
+        method,
+        blockNumber: needs.block,
+        depth: needs.depth,
+        head: needs.head,
+        maxDepth: Math.max(...states.map(servedDepth))
+      })
+    }
+
+    // Worded like a node's range error, so fetchLogsRange() bisects the range
+    const max = Math.max(...states.map(endpoint => endpoint.maxLogRange || 0))
+    return new Error(`block range too large: ${needs.logRange} blocks, the endpoints accept at most ${max}`)
+  }
+
+  /**
+   * Next endpoint for a request, waiting for a rate-limit token if needed
+   *
+   * @returns {Promise<Object|null>} null when every capable endpoint was tried
+   */
+  async function pick(method, needs, tried) {
+    const capable = states.filter(endpoint => canServe(endpoint, needs))
+    if (capable.length === 0) throw capabilityError(method, needs)
+
+    const candidates = capable.filter(endpoint => !tried.has(endpoint))
+    if (candidates.length === 0) return null
+
+    for (;;) {
+      const available = candidates.filter(isAvailable)
+
+      if (available.length === 0) {
+        if (tried.size > 0) return null
+        const next = Math.min(...candidates.map(endpoint => endpoint.ejectedUntil))
+        throw new Error(`All endpoints able to serve ${method} are ejected, next re-admission in ${Math.ceil((next - Date.now()) / 1000)}s`)
+      }
+
+      let wait = Infinity
+      for (const endpoint of available) {
+        const ms = endpoint.bucket.take()
+        if (ms === 0) return endpoint
+        wait = Math.min(wait, ms)
+      }
+
+      available.forEach(endpoint => endpoint.stats.throttled++)
+      await sleep(wait)
+    }
+  }
+
+  /**
+   * Send one JSON-RPC request through the pool
+   */
+  async function send(method, params = []) {
+    await ready()
+    const needs = await requirements(method, params)
+    const tried = new Set()
+    let lastError = null
+
+    for (;;) {
+      const endpoint = await pick(method, needs, tried)
+      if (!endpoint) throw lastError
+
+      tried.add(endpoint)
+
+      try {
+        const response = await post(endpoint, { jsonrpc: '2.0', id: nextId++, method, params })
+        const result = unwrap(endpoint, response)
+        markSuccess(endpoint)
+
+        if (method === 'eth_blockNumber') head = { number: parseInt(result, 16), at: Date.now() }
+        return result
+      } catch (error) {
+        if (error.endpointFailure) {
+          markFailure(endpoint, error)
+          lastError = error
+          continue
+        }
+
+        if (isMissingStateError(error)) {
+          markSuccess(endpoint)
+
+          if (endpoint.archive) {
+            throw new MissingArchiveStateError({
+              method,
+              blockNumber: needs.block,
+              depth: needs.depth,
+              head: needs.head,
+              endpoint: endpoint.name,
+              cause: error
+            })
+          }
+
+          // The node pruned that state after all: only archive endpoints from here on
+          needs.archive = true
+          lastError = error
+          continue
+        }
+
+        markSuccess(endpoint)
+        throw error
+      }
+    }
+  }
+
+  /**
+   * Send several requests as one JSON-RPC batch to a single endpoint
+   *
+   * @param {Array<Object>} requests - `{ method, params }`
+   * @returns {Promise<Array>} `{ result }` or `{ error }` per request, in order
+   */
+  async function sendBatch(requests) {
+    await ready()
+    const all = await Promise.all(requests.map(request => requirements(request.method, request.params)))
+    // The deepest request decides, it is the one named in a MissingArchiveStateError
+    const deepest = all.reduce((a, b) => ((b.depth || 0) > (a.depth || 0) ? b : a))
+    const needs = {
+      archive: all.some(item => item.archive),
+      depth: deepest.depth,
+      block: deepest.block,
+      head: deepest.head,
+      namespace: null,
+      logRange: Math.max(...all.map(item => item.logRange || 0)) || null
+    }
+
+    const single = () => Promise.all(requests.map(request => send(request.method, request.params)
+      .then(result => ({ result }), error => ({ error }))))
+
+    const tried = new Set()
+    for (;;) {
+      const endpoint = await pick(requests[all.indexOf(deepest)].method, needs, tried)
+      if (!endpoint) return single()
+
+      tried.add(endpoint)
+      if (endpoint.batch === false) return single()
+
+      const payload = requests.map(request => ({ jsonrpc: '2.0', id: nextId++, method: request.method, params: request.params }))
+
+      let response
+      try {
+        response = await post(endpoint, payload)
+      } catch (error) {
+        markFailure(endpoint, error)
+        continue
+      }
+
+      if (!Array.isArray(response)) {
+        // Batches are not supported there, remember and send one by one
+        endpoint.batch = false
+        return single()
+      }
+
+      markSuccess(endpoint)
+      const byId = new Map(response.map(item => [item.id, item]))
+
+      return payload.map(({ id }) => {
+        const item = byId.get(id)
+        if (!item) return { error: new Error('missing response') }
+        return item.error ? { error: rpcError(item.error) } : { result: item.result }
+      })
+    }
+  }
+
+  /**
+   * Effective capabilities of each endpoint (declared, probed or default)
+   */
+  async function capabilities() {
+    await ready()
+
+    return states.map(endpoint => ({
+      name: endpoint.name,
+      archive: endpoint.archive,
+      stateDepth: endpoint.archive ? null : servedDepth(endpoint),
+      trace: endpoint.trace,
+      debug: endpoint.debug,
+      maxLogRange: endpoint.maxLogRange,
+      batch: endpoint.batch
+    }))
+  }
+
+  function stats() {
+    return states.map(endpoint => ({
+      name: endpoint.name,
+      archive: endpoint.archive,
+      available: !endpoint.ejected || Date.now() >= endpoint.ejectedUntil,
+      ejectedUntil: endpoint.ejected ? endpoint.ejectedUntil : null,
+      ...endpoint.stats
+    }))
+  }
+
+  // An ethers provider whose requests all go through the pool
+  const provider = new ethers.providers.StaticJsonRpcProvider(states[0].url, settings.network)
+  provider.send = send
+  provider.sendBatch = sendBatch
+  provider.pool = pool
+
+  // ethers wraps eth_call errors into CALL_EXCEPTION; keep the typed error visible
+  const perform = provider.perform.bind(provider)
+  provider.perform = async (method, params) => {
+    try {
+      return await perform(method, params)
+    } catch (error) {
+      if (error.error instanceof MissingArchiveStateError) throw error.error
+      throw error
+    }
+  }
+
+  return Object.assign(pool, {
+    provider,
+    send,
+    sendBatch,
+    stats,
+    capabilities
+  })
+}
+
+/**
+ * Endpoint list from the environment
+ *
+ * RPC_ENDPOINTS may hold a JSON array of endpoints or the path of a JSON
+ * file with one. Otherwise RPC_URL (full node) and ARCHIVE_RPC_URL (archive
+ * node) are used, the full node first so recent calls do not spend archive
+ * capacity.
+ */
+function endpointsFromEnv(env = process.env) {
+  if (env.RPC_ENDPOINTS) {
+    const value = env.RPC_ENDPOINTS.trim()
+    return JSON.parse(value.startsWith('[') ? value : fs.readFileSync(value, 'utf8'))
+  }
+
+  const endpoints = []
+  if (env.RPC_URL) endpoints.push({ name: 'rpc', url: env.RPC_URL })
+  if (env.ARCHIVE_RPC_URL) endpoints.push({ name: 'archive', url: env.ARCHIVE_RPC_URL, archive: true })
+
+  if (endpoints.length === 0) throw new Error('No RPC endpoint configured: set RPC_URL or RPC_ENDPOINTS')
+  return endpoints
+}
+
+/**
+ * Pooled provider for the endpoints configured in the environment
+ *
+ * Endpoints are probed (cached for a day) unless RPC_PROBE=0, so a plain
+ * RPC_URL that happens to be an archive node is used as one. Responses about
+ * finalized blocks are cached on disk unless RPC_CACHE=0 (see rpc-cache.js).
+ */
+function createProviderFromEnv(options = {}) {
+  const { cache = process.env.RPC_CACHE !== '0', ...poolOptions } = options
+  const probe = process.env.RPC_PROBE !== '0'
+  const { provider } = createProviderPool(endpointsFromEnv(), { probe, ...poolOptions })
+
+  return cache ? cacheProvider(provider) : provider
+}
+
+module.exports = {
+  createProviderPool,
+  createProviderFromEnv,
+  endpointsFromEnv,
+  createTokenBucket,
+  isMissingStateError,
+  MissingArchiveStateError
+}
@@ -0,0 +1,350 @@
+/**
+ * Persistent JSON-RPC response cache
+ *
+ * Answers about finalized blocks never change: the block itself, its logs,
+ * an eth_call or balance at that block, a mined transaction's receipt.
+ * This layer keeps them in a LevelDB store on disk (CACHE_DIR/rpc), so
+ * re-running an analysis only asks the node for what it has not seen yet.
+ *
+ * A response is cached only when it is pinned to a block at least
+ * `finalityDepth` blocks below head (or to a block hash). `latest`,
+ * `pending`, `safe`, `finalized` and recent blocks always go to the node,
+ * and so do errors and null results (e.g. a block not mined yet).
+ *
+ * Development chains (Hardhat, Ganache) restart from block 0 with other
+ * contents under the same chain id, so nothing is cached for them.
+ */
+
+const crypto = require('crypto')
+const path = require('path')
+const { ClassicLevel } = require('classic-level')
+const { CACHE_DIR } = require('./cache')
+
+const DEFAULTS = {
+  dir: path.join(CACHE_DIR, 'rpc'),
+  // Same reorg margin as the block timestamp cache
+  finalityDepth: 64,
+  headTtlMs: 12000,
+  // Hardhat and Ganache/Anvil defaults
+  devChainIds: [31337, 1337]
+}
+
+// One handle per directory: LevelDB locks it, so a second open in the same
+// process would fail and leave that cache disabled
+const databases = new Map()
+
+function openDatabase(dir) {
+  const key = path.resolve(dir)
+  let entry = databases.get(key)
+
+  if (!entry) {
+    entry = { db: new ClassicLevel(key, { valueEncoding: 'json' }), users: 0 }
+    databases.set(key, entry)
+  }
+  entry.users++
+
+  let closed = false
+  return {
+    db: entry.db,
+    // The last user closes the store
+    close() {
+      if (closed) return Promise.resolve()
+      closed = true
+
+      entry.users--
+      if (entry.users > 0) return Promise.resolve()
+      databases.delete(key)
+      return entry.db.close()
+    }
+  }
+}
+
+// State-reading methods and the position of their block parameter
+const BLOCK_PARAM = {
+  eth_call: 1,
+  eth_getBalance: 1,
+  eth_getCode: 1,
+  eth_getTransactionCount: 1,
+  eth_getStorageAt: 2,
+  eth_getProof: 2,
+  eth_getBlockByNumber: 0,
+  eth_getBlockTransactionCountByNumber: 0,
+  eth_getBlockReceipts: 0
+}
+
+// Answers carrying the block they belong to, cached once that block is final
+const MINED_RESULT = ['eth_getTransactionReceipt', 'eth_getTransactionByHash']
+
+const BY_HASH = ['eth_getBlockByHash', 'eth_getBlockTransactionCountByHash']
+
+function parseBlockNumber(tag) {
+  if (typeof tag === 'number') return tag
+  if (typeof tag === 'string' && /^0x[0-9a-f]+$/i.test(tag)) return parseInt(tag, 16)
+  return null
+}
+
+/**
+ * Block a request is pinned to, before sending it
+ *
+ * @returns {Object|null} `{ block }` (a number) or `{ hash: true }`; null when
+ *   the answer may change (named tags, no block) or is only known afterwards
+ */
+function pinnedBlock(method, params = []) {
+  if (BY_HASH.includes(method)) return { hash: true }
+
+  if (method in BLOCK_PARAM) {
+    const tag = params[BLOCK_PARAM[method]]
+
+    if (tag && typeof tag === 'object') {
+      // EIP-1898: { blockHash } is immutable, { blockNumber } like a tag
+      if (tag.blockHash) return { hash: true }
+      return pinnedBlock(method, Object.assign([], params, { [BLOCK_PARAM[method]]: tag.blockNumber }))
+    }
+
+    const block = parseBlockNumber(tag)
+    return block !== null ? { block } : null
+  }
+
+  if (method === 'eth_getLogs' && params[0]) {
+    if (params[0].blockHash) return { hash: true }
+
+    // Both ends explicit: an open range grows with the chain
+    const from = parseBlockNumber(params[0].fromBlock)
+    const to = parseBlockNumber(params[0].toBlock)
+    return from !== null && to !== null ? { block: to } : null
+  }
+
+  return null
+}
+
+/**
+ * Create a cache
+ *
+ * @param {Object} [options] - See DEFAULTS; caches of the same `dir` share one store
+ * @returns {Object} `{ send(method, params, next), sendBatch(requests, nextBatch, next), stats(), close() }`;
+ *   `next`/`nextBatch` send to the node
+ */
+function createRpcCache(options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+  const handle = openDatabase(settings.dir)
+  const { db } = handle
+
+  const counters = { hits: 0, misses: 0, uncacheable: 0, writes: 0 }
+  const byMethod = {}
+  let disabled = null
+  let chainId = null
+  let head = null
+
+  function count(method, kind) {
+    counters[kind]++
+    byMethod[method] = byMethod[method] || { hits: 0, misses: 0, uncacheable: 0 }
+    if (kind !== 'writes') byMethod[method][kind]++
+  }
+
+  // The store is an optimization: when it cannot be used (e.g. locked by
+  // another process) requests simply go to the node
+  async function guard(operation, fallback) {
+    if (disabled) return fallback
+    try {
+      return await operation()
+    } catch (error) {
+      if (error.code === 'LEVEL_NOT_FOUND') return fallback
+      disabled = error.cause ? `${error.message}: ${error.cause.message}` : error.message
+      return fallback
+    }
+  }
+
+  async function finalizedBlock(next) {
+    if (!head || Date.now() - head.at > settings.headTtlMs) {
+      head = { number: parseInt(await next('eth_blockNumber', []), 16), at: Date.now() }
+    }
+    return head.number - settings.finalityDepth
+  }
+
+  /**
+   * Read the chain id once, and turn the cache off on a development chain
+   */
+  async function checkChain(next) {
+    if (chainId !== null) return
+
+    chainId = parseInt(await next('eth_chainId', []), 16)
+    if (settings.devChainIds.includes(chainId)) disabled = `chain ${chainId} is a development network`
+  }
+
+  async function keyFor(method, params, next) {
+    // Keys are per chain: the same request means something else on another network
+    await checkChain(next)
+
+    const digest = crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex')
+    return `${chainId}:${method}:${digest}`
+  }
+
+  async function isFinal(pin, next) {
+    if (pin.hash) return true
+    return pin.block <= await finalizedBlock(next)
+  }
+
+  /**
+   * Whether a fresh answer may be stored
+   */
+  async function storable(method, result, pin, next) {
+    if (result === null || result === undefined) return false
+    if (pin) return isFinal(pin, next)
+
+    // Receipts and transactions: final once their block is
+    const block = result && parseBlockNumber(result.blockNumber)
+    return block !== null && block <= await finalizedBlock(next)
+  }
+
+  function cacheable(method, params) {
+    return pinnedBlock(method, params) !== null || MINED_RESULT.includes(method)
+  }
+
+  /**
+   * Cached answer, or the node's (stored when final)
+   */
+  async function send(method, params = [], next) {
+    if (!disabled && cacheable(method, params)) await checkChain(next)
+
+    if (disabled || !cacheable(method, params)) {
+      count(method, 'uncacheable')
+      return next(method, params)
+    }
+
+    const pin = pinnedBlock(method, params)
+    if (pin && !(await isFinal(pin, next))) {
+      count(method, 'uncacheable')
+      return next(method, params)
+    }
+
+    const key = await keyFor(method, params, next)
+    const cached = await guard(() => db.get(key), undefined)
+
+    if (cached !== undefined) {
+      count(method, 'hits')
+      return cached
+    }
+
+    count(method, 'misses')
+    const result = await next(method, params)
+
+    if (await storable(method, result, pin, next) && await guard(() => db.put(key, result).then(() => true), false)) {
+      count(method, 'writes')
+    }
+
+    return result
+  }
+
+  /**
+   * Batch variant: cached answers are filled in, the rest goes to the node
+   * as one (smaller) batch
+   *
+   * @param {Array<Object>} requests - `{ method, params }`
+   * @param {Function} nextBatch - Sends a batch, returns `{ result }` or `{ error }` per request
+   * @param {Function} next - Sends one request (for head and chain id lookups)
+   */
+  async function sendBatch(requests, nextBatch, next) {
+    const responses = new Array(requests.length)
+    const missing = []
+
+    if (requests.some(({ method, params = [] }) => cacheable(method, params))) await checkChain(next)
+
+    for (const [i, request] of requests.entries()) {
+      const { method, params = [] } = request
+      const pin = pinnedBlock(method, params)
+      const usable = !disabled && cacheable(method, params) && (!pin || await isFinal(pin, next))
+
+      if (!usable) {
+        count(method, 'uncacheable')
+        missing.push({ i, request })
+        continue
+      }
+
+      const key = await keyFor(method, params, next)
+      const cached = await guard(() => db.get(key), undefined)
+
+      if (cached !== undefined) {
+        count(method, 'hits')
+        responses[i] = { result: cached }
+      } else {
+        count(method, 'misses')
+        missing.push({ i, request, key, pin })
+      }
+    }
+
+    if (missing.length > 0) {
+      const fresh = await nextBatch(missing.map(item => item.request))
+      const writes = []
+
+      for (const [j, item] of missing.entries()) {
+        responses[item.i] = fresh[j]
+
+        const { result } = fresh[j]
+        if (item.key && !fresh[j].error && await storable(item.request.method, result, item.pin, next)) {
+          writes.push({ type: 'put', key: item.key, value: result })
+        }
+      }
+
+      if (writes.length > 0 && await guard(() => db.batch(writes).then(() => true), false)) {
+        writes.forEach(write => count(write.key.split(':')[1], 'writes'))
+      }
+    }
+
+    return responses
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses
+
+    return {
+      ...counters,
+      hitRate: lookups > 0 ? counters.hits / lookups : 0,
+      byMethod,
+      disabled
+    }
+  }
+
+  function close() {
+    return handle.close()
+  }
+
+  return {
+    send,
+    sendBatch,
+    stats,
+    close
+  }
+}
+
+/**
+ * Put a cache in front of a provider's send() (and sendBatch(), for pool providers)
+ *
+ * @param {ethers.providers.JsonRpcProvider} provider - Modified in place
+ * @param {Object} [options] - See createRpcCache()
+ * @returns {ethers.providers.JsonRpcProvider} The provider, with `rpcCache`
+ *
+ * @example
+ * const provider = cacheProvider(createProviderFromEnv())
+ * // ...
+ * console.log(provider.rpcCache.stats()) // { hits, misses, hitRate, ... }
+ */
+function cacheProvider(provider, options = {}) {
+  const cache = createRpcCache(options)
+  const send = provider.send.bind(provider)
+
+  provider.send = (method, params) => cache.send(method, params, send)
+
+  if (provider.sendBatch) {
+    const sendBatch = provider.sendBatch.bind(provider)
+    provider.sendBatch = requests => cache.sendBatch(requests, sendBatch, send)
+  }
+
+  provider.rpcCache = cache
+  return provider
+}
+
+module.exports = {
+  createRpcCache,
+  cacheProvider,
+  pinnedBlock
+}
@@ -0,0 +1,231 @@
+/**
+ * RPC endpoint capability probe
+ *
+ * Finds out what an endpoint actually serves instead of trusting its name:
+ * - how deep its historical state goes (archive or pruned full node)
+ * - whether the trace_* and debug_* namespaces are enabled
+ * - the largest eth_getLogs block range it accepts
+ * - whether it answers JSON-RPC batches
+ *
+ * A probe costs ~20 small requests, so results are cached on disk per
+ * endpoint (keyed by a hash of the URL, which usually holds an API key).
+ * Only definitive answers are cached: a rate-limit answer, a timeout or a
+ * dropped connection aborts the probe instead of reading as "not supported".
+ */
+
+const crypto = require('crypto')
+const { ethers } = require('ethers')
+const { readJsonCache, writeJsonCache } = require('./cache')
+const { isRangeLimitError, isRetryableError } = require('./fetch-logs-range')
+
+const DEFAULTS = {
+  cacheFile: 'rpc-capabilities.json',
+  ttlMs: 24 * 60 * 60 * 1000,
+  timeoutMs: 15000,
+  refresh: false
+}
+
+// Depths tried, shallow to deep, when the oldest state is not served
+const STATE_DEPTHS = [16, 64, 128, 256, 1024, 8192, 65536, 1000000]
+
+// Log ranges tried, large to small; the first accepted one is the limit
+const LOG_RANGES = [100000, 10000, 5000, 3000, 2000, 1000, 500, 100, 10]
+
+// An address without logs, so the probe only measures the range limit
+const PROBE_ADDRESS = '0x000000000000000000000000000000000000dEaD'
+
+// Answers of a node that no longer has the requested state
+const MISSING_STATE_PATTERNS = [
+  /missing trie node/i,
+  /header not found/i,
+  /state (is )?not available/i,
+  /historical state .*not available/i,
+  /required historical state unavailable/i,
+  /state .*pruned/i
+]
+
+const METHOD_NOT_FOUND_PATTERN = /method .*(not found|not supported|does not exist|is not available|unsupported)|unsupported method|unknown method/i
+
+/**
+ * State older than any configured endpoint serves
+ *
+ * Thrown before the request is sent when no endpoint is known to serve the
+ * block, or when an archive endpoint answered that it does not have it.
+ */
+class MissingArchiveStateError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.method - JSON-RPC method
+   * @param {number|null} details.blockNumber - Requested block (null for a block hash)
+   * @param {number|null} details.depth - Blocks behind head of the requested block
+   * @param {number|null} details.head - Head block number when checked
+   * @param {number|null} [details.maxDepth] - Deepest state the endpoints serve
+   * @param {string} [details.endpoint] - Endpoint that answered "missing state"
+   * @param {Error} [details.cause] - That endpoint's error
+   */
+  constructor({ method, blockNumber = null, depth = null, head = null, maxDepth = null, endpoint = null, cause = null }) {
+    const at = blockNumber !== null ? ` at block ${blockNumber}` : ' at that block'
+    const behind = depth !== null ? ` (${depth} blocks behind head ${head})` : ''
+    const reason = endpoint
+      ? `archive endpoint ${endpoint} does not have it: ${cause && cause.message}`
+      : `no configured endpoint serves state that old${maxDepth !== null ? ` (deepest: ${maxDepth} blocks)` : ''}; ` +
+        'add an archive endpoint (ARCHIVE_RPC_URL or RPC_ENDPOINTS)'
+
+    super(`${method}${at}${behind} needs historical state: ${reason}`)
+
+    this.name = 'MissingArchiveStateError'
+    this.code = 'MISSING_ARCHIVE_STATE'
+    this.method = method
+    this.blockNumber = blockNumber
+    this.depth = depth
+    this.head = head
+    this.maxDepth = maxDepth
+    this.endpoint = endpoint
+    this.cause = cause
+  }
+}
+
+function isMissingStateError(error) {
+  const text = [error.message, error.error && error.error.message].filter(Boolean).join(' ')
+  return MISSING_STATE_PATTERNS.some(pattern => pattern.test(text))
+}
+
+function isMethodNotFound(error) {
+  return error.code === -32601 || METHOD_NOT_FOUND_PATTERN.test(error.message)
+}
+
+// JSON-RPC errors that mean "slow down", not "not supported". -32005 is
+// "limit exceeded": too many requests, or too many eth_getLogs results
+function isThrottled(error) {
+  return error.code === -32005 ? !isRangeLimitError(error) : isRetryableError(error)
+}
+
+function responseError({ code, message }) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+function endpointKey(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16)
+}
+
+const hex = number => ethers.utils.hexValue(number)
+
+/**
+ * Probe one endpoint
+ *
+ * @param {Object|string} endpoint - `{ url, name, headers }` or a URL
+ * @param {Object} [options] - See DEFAULTS
+ * @returns {Promise<Object>} `{ name, chainId, head, archive, stateDepth, trace, debug,
+ *   maxLogRange, batch, probedAt }`; stateDepth is null for archive nodes and
+ *   maxLogRange is null when even the largest probed range was accepted
+ */
+async function probeEndpoint(endpoint, options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+  const { url, name = url, headers } = typeof endpoint === 'string' ? { url: endpoint } : endpoint
+
+  const key = endpointKey(url)
+  const cache = readJsonCache(settings.cacheFile)
+  const cached = cache[key]
+
+  if (cached && !settings.refresh && Date.now() - cached.probedAt < settings.ttlMs) {
+    return { ...cached, name }
+  }
+
+  let nextId = 1
+  // No retries on 429: ethers would then drop the status from the error
+  const connection = { url, headers, timeout: settings.timeoutMs, throttleLimit: 1, throttleCallback: async () => false }
+
+  async function rpc(method, params) {
+    const response = await ethers.utils.fetchJson(connection, JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }))
+
+    if (response.error) throw responseError(response.error)
+    return response.result
+  }
+
+  // Answer of the node, or the JSON-RPC error it returned; transport and
+  // throttling errors abort the probe, so they are never cached
+  async function attempt(method, params) {
+    try {
+      return { result: await rpc(method, params) }
+    } catch (error) {
+      // Some providers answer unsupported methods with an HTTP 4xx instead of a JSON-RPC error
+      const rejected = error.status >= 400 && error.status < 500 && error.status !== 429
+      const answered = typeof error.code === 'number' && !isThrottled(error)
+      if (!answered && !rejected) throw error
+      return { error }
+    }
+  }
+
+  const chainId = parseInt(await rpc('eth_chainId', []), 16)
+  const head = parseInt(await rpc('eth_blockNumber', []), 16)
+
+  const servesDepth = async depth => !(await attempt('eth_getBalance', [PROBE_ADDRESS, hex(head - depth)])).error
+
+  // Historical state: block 1 means a full archive, otherwise find the deepest depth served
+  const archive = head > 1 && await servesDepth(head - 1)
+  let stateDepth = null
+
+  if (!archive) {
+    stateDepth = 0
+    for (const depth of STATE_DEPTHS.filter(depth => depth < head)) {
+      if (!(await servesDepth(depth))) break
+      stateDepth = depth
+    }
+  }
+
+  // Namespaces: any answer but "method not found" means the namespace is enabled
+  const zeroHash = ethers.constants.HashZero
+  const trace = await attempt('trace_transaction', [zeroHash])
+  const debug = await attempt('debug_traceTransaction', [zeroHash, {}])
+
+  // Capped at the chain length: on a short chain, accepting it all means no known limit
+  const ranges = [...new Set(LOG_RANGES.map(range => Math.min(range, head + 1)))]
+  let maxLogRange
+
+  for (const range of ranges) {
+    const { error } = await attempt('eth_getLogs', [{ address: PROBE_ADDRESS, fromBlock: hex(head - range + 1), toBlock: hex(head) }])
+    if (!error) {
+      maxLogRange = range === ranges[0] ? null : range
+      break
+    }
+  }
+
+  let batch = false
+  try {
+    const payload = [{ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }, { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] }]
+    const response = await ethers.utils.fetchJson(connection, JSON.stringify(payload))
+    // A whole batch answered with one error, e.g. a rate limit
+    if (response && response.error) throw responseError(response.error)
+    batch = Array.isArray(response) && response.length === 2
+  } catch (error) {
+    // A node without batch support may answer with an HTTP error
+    const refused = typeof error.code === 'number' ? !isThrottled(error) : error.status !== undefined && error.status !== 429
+    if (!refused) throw error
+  }
+
+  const capabilities = {
+    chainId,
+    head,
+    archive,
+    stateDepth,
+    trace: !(trace.error && isMethodNotFound(trace.error)),
+    debug: !(debug.error && isMethodNotFound(debug.error)),
+    maxLogRange,
+    batch,
+    probedAt: Date.now()
+  }
+
+  // Re-read right before writing: other endpoints may have been probed meanwhile
+  writeJsonCache(settings.cacheFile, { ...readJsonCache(settings.cacheFile), [key]: capabilities })
+
+  return { ...capabilities, name }
+}
+
+module.exports = {
+  probeEndpoint,
+  MissingArchiveStateError,
+  isMissingStateError,
+  isMethodNotFound
+}
@@ -0,0 +1,213 @@
+/**
+ * Local signature database
+ *
+ * Well-known event, function and error fragments, used to decode logs, calls
+ * and reverts of contracts whose ABI is not registered. Fragments keep their
+ * `indexed` markers and parameter names, so a match decodes exactly like the
+ * original ABI would.
+ *
+ * Several fragments can share a topic0 (e.g. ERC20 and ERC721 Transfer); they
+ * differ in how many parameters are indexed.
+ */
+
+const { ethers } = require('ethers')
+
+const EVENT_SIGNATURES = [
+  // ERC20
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+
+  // ERC721
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+  'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)',
+
+  // ERC1155
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+  'event URI(string value, uint256 indexed id)',
+
+  // WETH
+  'event Deposit(address indexed dst, uint256 wad)',
+  'event Withdrawal(address indexed src, uint256 wad)',
+
+  // Stablecoin admin events (USDC, USDT)
+  'event Mint(address indexed minter, address indexed to, uint256 amount)',
+  'event Burn(address indexed burner, uint256 amount)',
+  'event Blacklisted(address indexed _account)',
+  'event UnBlacklisted(address indexed _account)',
+  'event Issue(uint256 amount)',
+  'event Redeem(uint256 amount)',
+
+  // Ownership, pausing and proxies (OpenZeppelin)
+  'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+  'event Paused(address account)',
+  'event Unpaused(address account)',
+  'event Upgraded(address indexed implementation)',
+  'event AdminChanged(address previousAdmin, address newAdmin)',
+  'event BeaconUpgraded(address indexed beacon)',
+
+  // Uniswap V2
+  'event PairCreated(address indexed token0, address indexed token1, address pair, uint256 index)',
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+  'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)',
+
+  // Uniswap V3
+  'event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)',
+  'event Initialize(uint160 sqrtPriceX96, int24 tick)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Collect(address indexed owner, address recipient, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount0, uint128 amount1)',
+  'event Flash(address indexed sender, address indexed recipient, uint256 amount0, uint256 amount1, uint256 paid0, uint256 paid1)',
+
+  // Aave V3
+  'event Supply(address indexed reserve, address user, address indexed onBehalfOf, uint256 amount, uint16 indexed referralCode)',
+  'event Withdraw(address indexed reserve, address indexed user, address indexed to, uint256 amount)',
+
+  // Workshop SampleToken (01-event-filters/contract-example)
+  'event LargeTransfer(address indexed from, address indexed to, uint256 indexed tier, uint256 amount, uint256 timestamp)',
+  'event TokensBurned(address burner, uint256 amount, string reason)'
+]
+
+const FUNCTION_SIGNATURES = [
+  // ERC20 / WETH
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)',
+  'function deposit() payable',
+  'function withdraw(uint256 wad)',
+
+  // ERC721
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+  'function setApprovalForAll(address operator, bool approved)',
+
+  // Uniswap V2 router and pairs
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable returns (uint256[] amounts)',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes data)',
+
+  // Uniswap V3 pools
+  'function swap(address recipient, bool zeroForOne, int256 amountSpecified, uint160 sqrtPriceLimitX96, bytes data) returns (int256 amount0, int256 amount1)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+
+  // Multicall3
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]
+
+const ERROR_SIGNATURES = [
+  // OpenZeppelin 5 (ERC-6093 token errors, Ownable, Pausable)
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidSender(address sender)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error ERC20InvalidApprover(address approver)',
+  'error ERC20InvalidSpender(address spender)',
+  'error ERC721NonexistentToken(uint256 tokenId)',
+  'error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)',
+  'error ERC721InsufficientApproval(address operator, uint256 tokenId)',
+  'error OwnableUnauthorizedAccount(address account)',
+  'error OwnableInvalidOwner(address owner)',
+  'error EnforcedPause()',
+  'error ExpectedPause()',
+  'error ReentrancyGuardReentrantCall()',
+  'error SafeERC20FailedOperation(address token)',
+  'error AddressEmptyCode(address target)',
+  'error FailedInnerCall()'
+]
+
+let eventsByTopic = null
+let functionsBySelector = null
+let errorsBySelector = null
+
+/**
+ * topic0 -> [EventFragment], built lazily from EVENT_SIGNATURES
+ */
+function getEventsByTopic() {
+  if (!eventsByTopic) {
+    eventsByTopic = new Map()
+
+    for (const signature of EVENT_SIGNATURES) {
+      const fragment = ethers.utils.EventFragment.from(signature.replace(/^event\s+/, ''))
+      const topic = ethers.utils.id(fragment.format())
+
+      if (!eventsByTopic.has(topic)) eventsByTopic.set(topic, [])
+      eventsByTopic.get(topic).push(fragment)
+    }
+  }
+
+  return eventsByTopic
+}
+
+/**
+ * Look up the known event fragments for a topic0
+ *
+ * @param {string} topic - topic0 of a log
+ * @returns {Array<ethers.utils.EventFragment>} Candidates (empty when unknown)
+ */
+function lookupEvent(topic) {
+  return getEventsByTopic().get(topic.toLowerCase()) || []
+}
+
+/**
+ * selector -> [Fragment], for function or error signatures
+ */
+function bySelector(signatures, type) {
+  const fragments = new Map()
+
+  for (const signature of signatures) {
+    const fragment = ethers.utils.Fragment.from(signature)
+    if (fragment.type !== type) continue
+
+    const selector = ethers.utils.id(fragment.format()).slice(0, 10)
+
+    if (!fragments.has(selector)) fragments.set(selector, [])
+    fragments.get(selector).push(fragment)
+  }
+
+  return fragments
+}
+
+/**
+ * Look up the known function fragments for a 4-byte selector
+ *
+ * @param {string} selector - First 4 bytes of calldata (0x-prefixed)
+ * @returns {Array<ethers.utils.FunctionFragment>} Candidates (empty when unknown)
+ */
+function lookupFunction(selector) {
+  if (!functionsBySelector) functionsBySelector = bySelector(FUNCTION_SIGNATURES, 'function')
+  return functionsBySelector.get(selector.toLowerCase()) || []
+}
+
+/**
+ * Look up the known custom error fragments for a 4-byte selector
+ *
+ * @param {string} selector - First 4 bytes of revert data (0x-prefixed)
+ * @returns {Array<ethers.utils.ErrorFragment>} Candidates (empty when unknown)
+ */
+function lookupError(selector) {
+  if (!errorsBySelector) errorsBySelector = bySelector(ERROR_SIGNATURES, 'error')
+  return errorsBySelector.get(selector.toLowerCase()) || []
+}
+
+module.exports = {
+  EVENT_SIGNATURES,
+  FUNCTION_SIGNATURES,
+  ERROR_SIGNATURES,
+  lookupEvent,
+  lookupFunction,
+  lookupError
+}
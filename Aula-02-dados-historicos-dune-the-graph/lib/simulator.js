@@ -0,0 +1,62 @@
+/**
+ * Transaction simulation backend, picked by configuration
+ *
+ * Tenderly (lib/tenderly.js) and the local Hardhat fork (lib/local-simulator.js)
+ * share `simulate`, `simulateAtBlock` and `simulateBundle` and return the same
+ * result shape, so scripts switch between them with SIMULATION_BACKEND.
+ */
+
+const { createTenderlyClient } = require('./tenderly')
+const { createLocalSimulator } = require('./local-simulator')
+
+const BACKENDS = ['tenderly', 'local']
+
+/**
+ * Backend from SIMULATION_BACKEND; without it, Tenderly when an access key
+ * is configured and the local fork otherwise
+ */
+function defaultBackend() {
+  if (process.env.SIMULATION_BACKEND) return process.env.SIMULATION_BACKEND
+  return process.env.TENDERLY_ACCESS_KEY ? 'tenderly' : 'local'
+}
+
+/**
+ * Create a simulator
+ *
+ * @param {Object} [options] - Passed to the backend's factory
+ * @param {string} [options.backend] - 'tenderly' or 'local' (default: see defaultBackend())
+ * @returns {Object} `{ backend, simulate, simulateAtBlock, simulateBundle, dashboardUrl, close }`;
+ *   dashboardUrl() is null for the local backend
+ *
+ * @example
+ * const simulator = createSimulator()
+ * const { transaction, simulation } = await simulator.simulateAtBlock(tx, 18000000)
+ * await simulator.close()
+ */
+function createSimulator(options = {}) {
+  const { backend = defaultBackend(), ...backendOptions } = options
+
+  if (backend === 'tenderly') {
+    return {
+      backend,
+      dashboardUrl: () => null,
+      close: async () => {},
+      ...createTenderlyClient(backendOptions)
+    }
+  }
+
+  if (backend === 'local') {
+    return {
+      backend,
+      dashboardUrl: () => null,
+      ...createLocalSimulator(backendOptions)
+    }
+  }
+
+  throw new Error(`Unknown simulation backend "${backend}" (expected ${BACKENDS.join(' or ')})`)
+}
+
+module.exports = {
+  createSimulator,
+  BACKENDS
+}
@@ -0,0 +1,536 @@
+/**
+ * Storage-level state diff of a transaction
+ *
+ * What a transaction changed, account by account: ETH balance, nonce, code
+ * and every storage slot. Mined transactions are traced with
+ * `debug_traceTransaction` and the prestateTracer in diff mode; nodes without
+ * it (Hardhat only has the default tracer) get the same `{ pre, post }`
+ * rebuilt from the struct logs. Simulation results (Tenderly or
+ * lib/local-simulator.js) carry their own diff and are read directly.
+ *
+ * Slots are decoded into variables when the contract's storage layout is
+ * known (solc `storageLayout` output). Without one, address-keyed mappings
+ * are recognized by hashing the addresses involved in the transaction into
+ * the first storage slots, and named balanceOf/allowance when the contract
+ * is an ERC20 (it emitted a Transfer or Approval in the transaction).
+ */
+
+const { ethers } = require('ethers')
+const { mappingSlot } = require('./hardhat-fork')
+
+const DEFAULTS = {
+  // Slots tried for balance/allowance mappings of contracts without a layout
+  maxSlot: 20,
+  // Bound of the mapping key search (keccak256 calls), it grows with candidates²
+  maxHashes: 50000
+}
+
+const erc20Events = new ethers.utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)'
+])
+const ERC20_TOPICS = [erc20Events.getEventTopic('Transfer'), erc20Events.getEventTopic('Approval')]
+
+// Keys below this are plain variables, a mapping key is a keccak256 hash
+const PLAIN_SLOT_LIMIT = ethers.BigNumber.from(2).pow(64)
+
+const ZERO_WORD = ethers.constants.HashZero
+
+const CALL_OPS = ['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL']
+const CREATE_OPS = ['CREATE', 'CREATE2']
+
+// Answer of a node that has debug_traceTransaction but not the JS/native tracers
+const DEFAULT_TRACER_ONLY = /only supports the default tracer|tracer .*not (found|supported)|unknown tracer/i
+
+// Account fields of the prestateTracer and where to read them
+const ACCOUNT_FIELDS = {
+  balance: 'eth_getBalance',
+  nonce: 'eth_getTransactionCount',
+  code: 'eth_getCode'
+}
+
+const quantity = value => ethers.utils.hexValue(ethers.BigNumber.from(value))
+
+// Struct log stack words come without 0x on some nodes
+const word = value => ethers.utils.hexZeroPad(value.startsWith('0x') ? value : `0x${value}`, 32)
+const toAddress = value => ethers.utils.getAddress(ethers.utils.hexDataSlice(word(value), 12))
+
+/**
+ * Storage writes and accounts touched by a transaction, from its struct logs
+ *
+ * Calls that go one level deeper get a storage context: the callee for CALL
+ * and STATICCALL, the caller's for DELEGATECALL and CALLCODE. A contract
+ * created in the transaction gets its address when the CREATE returns.
+ *
+ * @returns {Object} `{ writes: [{ address, key }], touched: Set<address> }`
+ */
+function walkStructLogs(structLogs, root) {
+  const contexts = [{ address: root }]
+  const writes = []
+  const touched = new Set([root])
+
+  for (let i = 0; i < structLogs.length; i++) {
+    const step = structLogs[i]
+    const next = structLogs[i + 1]
+    const stack = step.stack || []
+    const arg = n => stack[stack.length - 1 - n]
+    const context = contexts[contexts.length - 1]
+    const entered = next && next.depth > step.depth
+
+    if (step.op === 'SSTORE') {
+      writes.push({ context, key: word(arg(0)) })
+    } else if (CALL_OPS.includes(step.op)) {
+      const target = toAddress(arg(1))
+      touched.add(target)
+      if (entered) contexts.push({ address: ['DELEGATECALL', 'CALLCODE'].includes(step.op) ? context.address : target })
+    } else if (CREATE_OPS.includes(step.op) && entered) {
+      contexts.push({ address: null })
+    } else if (step.op === 'SELFDESTRUCT') {
+      touched.add(toAddress(arg(0)))
+    }
+
+    // Back in the caller: a CREATE leaves the new address on top of its stack
+    if (next && next.depth < step.depth) {
+      for (let depth = step.depth; depth > next.depth; depth--) {
+        const done = contexts.pop()
+        if (done.address === null) {
+          done.address = toAddress(next.stack[next.stack.length - 1])
+          touched.add(done.address)
+        }
+      }
+    }
+  }
+
+  return {
+    writes: writes.map(({ context, key }) => ({ address: context.address, key })),
+    touched
+  }
+}
+
+/**
+ * prestateTracer diff-mode output rebuilt from the default tracer
+ *
+ * Values are read at the previous block and at the transaction's block, so
+ * they are exact when the transaction is alone in its block (as in the local
+ * simulator); otherwise earlier transactions of the block show up too.
+ */
+async function rebuildStateDiff(provider, txHash) {
+  const tx = await provider.send('eth_getTransactionByHash', [txHash])
+  const receipt = await provider.send('eth_getTransactionReceipt', [txHash])
+  if (!tx || !receipt) throw new Error(`Transaction ${txHash} is not mined`)
+
+  const trace = await provider.send('debug_traceTransaction', [txHash, { disableMemory: true, disableStorage: true }])
+  const root = ethers.utils.getAddress(tx.to || receipt.contractAddress)
+  const { writes, touched } = walkStructLogs(trace.structLogs, root)
+
+  const block = parseInt(receipt.blockNumber, 16)
+  const { miner } = await provider.send('eth_getBlockByNumber', [quantity(block), false])
+  const before = quantity(block - 1)
+  const after = quantity(block)
+
+  const accounts = new Set([ethers.utils.getAddress(tx.from), ...touched, ethers.utils.getAddress(miner)])
+  const slots = {}
+  for (const { address, key } of writes) {
+    slots[address] = [...new Set([...(slots[address] || []), key])]
+  }
+
+  const pre = {}
+  const post = {}
+
+  for (const address of new Set([...accounts, ...Object.keys(slots)])) {
+    const read = (method, tag, ...params) => provider.send(method, [address, ...params, tag])
+    const normalize = (field, value) => field === 'nonce' ? parseInt(value, 16) : field === 'balance' ? quantity(value) : value
+    const account = { pre: {}, post: {} }
+
+    for (const [field, method] of Object.entries(ACCOUNT_FIELDS)) {
+      const a = await read(method, before)
+      const b = await read(method, after)
+      account.pre[field] = normalize(field, a)
+      if (a !== b) account.post[field] = normalize(field, b)
+    }
+
+    for (const key of slots[address] || []) {
+      const a = await read('eth_getStorageAt', before, key)
+      const b = await read('eth_getStorageAt', after, key)
+      if (a === b) continue
+
+      // Like the prestateTracer: zero slots are left out
+      account.pre.storage = account.pre.storage || {}
+      account.post.storage = account.post.storage || {}
+      if (a !== ZERO_WORD) account.pre.storage[key] = a
+      if (b !== ZERO_WORD) account.post.storage[key] = b
+    }
+
+    if (Object.keys(account.post).length === 0) continue
+
+    if (account.pre.code === '0x') delete account.pre.code
+    pre[address] = account.pre
+    post[address] = account.post
+  }
+
+  return { pre, post }
+}
+
+/**
+ * Whether a debug_traceTransaction error means "no tracers but the default one"
+ */
+function isDefaultTracerOnly(error) {
+  const text = [error.message, error.error && error.error.message, error.body].filter(Boolean).join(' ')
+  return DEFAULT_TRACER_ONLY.test(text)
+}
+
+/**
+ * `{ pre, post }` of a mined transaction, from the prestateTracer in diff mode
+ *
+ * @param {ethers.providers.JsonRpcProvider} provider - Needs the debug_* namespace
+ * @param {string} txHash
+ * @returns {Promise<Object>} `{ pre, post }` keyed by address
+ */
+async function traceStateDiff(provider, txHash) {
+  try {
+    return await provider.send('debug_traceTransaction', [txHash, { tracer: 'prestateTracer', tracerConfig: { diffMode: true } }])
+  } catch (error) {
+    if (!isDefaultTracerOnly(error)) throw error
+    return rebuildStateDiff(provider, txHash)
+  }
+}
+
+const codeHash = code => code && code !== '0x' ? ethers.utils.keccak256(code) : null
+
+/**
+ * Flat list of changes from prestateTracer diff-mode output
+ *
+ * In diff mode `pre` holds the previous value of what changed and `post` the
+ * new one; zero slots are omitted on either side, and an account only in
+ * `pre` was destroyed.
+ *
+ * @returns {Array<Object>} `{ address, kind, key, before, after }`; kind is balance
+ *   (wei), nonce, code (keccak256 of the code, null when empty) or storage
+ */
+function diffChanges({ pre = {}, post = {} }) {
+  const changes = []
+  const addresses = [...new Set([...Object.keys(pre), ...Object.keys(post)])]
+    .map(address => ethers.utils.getAddress(address))
+    .sort()
+
+  const find = (accounts, address) => {
+    const key = Object.keys(accounts).find(k => k.toLowerCase() === address.toLowerCase())
+    return key ? accounts[key] : undefined
+  }
+
+  for (const address of addresses) {
+    const before = find(pre, address) || {}
+    const destroyed = !find(post, address)
+    const after = find(post, address) || {}
+
+    if ('balance' in after || (destroyed && before.balance)) {
+      const from = ethers.BigNumber.from(before.balance || 0)
+      const to = ethers.BigNumber.from(after.balance || 0)
+      if (!from.eq(to)) changes.push({ address, kind: 'balance', key: null, before: from.toString(), after: to.toString() })
+    }
+
+    if ('nonce' in after) {
+      changes.push({ address, kind: 'nonce', key: null, before: String(before.nonce || 0), after: String(after.nonce) })
+    }
+
+    if ('code' in after || (destroyed && before.code)) {
+      changes.push({ address, kind: 'code', key: null, before: codeHash(before.code), after: codeHash(after.code) })
+    }
+
+    const keys = [...new Set([...Object.keys(before.storage || {}), ...Object.keys(after.storage || {})])]
+    for (const key of keys.sort()) {
+      const from = word((before.storage || {})[key] || ZERO_WORD)
+      const to = word((after.storage || {})[key] || ZERO_WORD)
+      if (from !== to) changes.push({ address, kind: 'storage', key: word(key), before: from, after: to })
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Changes of a simulation result (Tenderly's /simulate shape)
+ *
+ * @param {Object} transaction - `transaction` of the result, with
+ *   `transaction_info.state_diff`, `balance_diff` and `nonce_diff`
+ * @returns {Array<Object>} Same shape as diffChanges()
+ */
+function simulationChanges(transaction) {
+  const info = transaction.transaction_info || {}
+  const changes = []
+
+  for (const diff of info.balance_diff || []) {
+    changes.push({ address: ethers.utils.getAddress(diff.address), kind: 'balance', key: null, before: String(diff.original), after: String(diff.dirty) })
+  }
+
+  for (const diff of info.nonce_diff || []) {
+    changes.push({ address: ethers.utils.getAddress(diff.address), kind: 'nonce', key: null, before: String(diff.original), after: String(diff.dirty) })
+  }
+
+  for (const diff of info.state_diff || []) {
+    for (const raw of diff.raw || []) {
+      changes.push({ address: ethers.utils.getAddress(raw.address), kind: 'storage', key: word(raw.key), before: word(raw.original), after: word(raw.dirty) })
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Address-shaped 32-byte words of calldata, topics or log data
+ *
+ * Used as candidate mapping keys; words are read at both alignments, with
+ * and without a 4-byte selector.
+ */
+function addressesIn(values) {
+  const found = new Set()
+
+  for (const value of values) {
+    if (!ethers.utils.isHexString(value)) continue
+    const length = ethers.utils.hexDataLength(value)
+
+    for (const start of [0, 4]) {
+      for (let offset = start; offset + 32 <= length; offset += 32) {
+        const chunk = ethers.utils.hexDataSlice(value, offset, offset + 32)
+        if (/^0x0{24}/.test(chunk) && !/^0x0{64}$/.test(chunk)) found.add(toAddress(chunk))
+      }
+    }
+  }
+
+  return [...found]
+}
+
+/**
+ * Value of a variable of `type` (solc storage layout type) packed at `offset` in a slot
+ */
+function decodeValue(value, type, offset = 0) {
+  const bytes = Number(type.numberOfBytes)
+  const raw = ethers.utils.hexDataSlice(word(value), 32 - offset - bytes, 32 - offset)
+  const label = type.label
+
+  if (label === 'bool') return raw !== ethers.utils.hexZeroPad('0x', bytes)
+  if (label === 'address' || label.startsWith('contract ') || label === 'address payable') return ethers.utils.getAddress(raw)
+  if (/^uint\d*$/.test(label) || label.startsWith('enum ')) return ethers.BigNumber.from(raw).toString()
+  if (/^int\d*$/.test(label)) return ethers.BigNumber.from(raw).fromTwos(bytes * 8).toString()
+  return raw
+}
+
+/**
+ * Create a decoder
+ *
+ * @param {Object} [options] - See DEFAULTS
+ * @param {Object} [options.layouts] - solc `storageLayout` outputs by contract address
+ * @returns {Object} `{ decode(changes, context) }`
+ *
+ * @example
+ * const decoder = createStateDiffDecoder({ layouts: { [vault]: artifact.storageLayout } })
+ * const changes = decoder.decode(diffChanges(await traceStateDiff(provider, hash)), { data: [tx.data] })
+ * console.log(formatStateDiffTable(changes))
+ */
+function createStateDiffDecoder(options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+  const layouts = new Map(Object.entries(settings.layouts || {}).map(([address, layout]) => [address.toLowerCase(), layout]))
+
+  /**
+   * Which of the changed `targets` keys are one- or two-level address mappings at `slots`
+   *
+   * One-level keys (balances) are tried first, two-level ones (allowances)
+   * only for targets still unmatched. The search stops once every target is
+   * matched or after settings.maxHashes hashes.
+   *
+   * @returns {Map<string, Object>} key -> `{ slot, keys }`
+   */
+  function mappingKeys(candidates, slots, targets) {
+    const keys = new Map()
+    const pending = new Set(targets)
+    const outers = []
+    let hashes = 0
+
+    const match = (key, value) => {
+      if (!pending.has(key)) return
+      keys.set(key, value)
+      pending.delete(key)
+    }
+
+    for (const slot of slots) {
+      for (const layout of ['solidity', 'vyper']) {
+        for (const [rank, a] of candidates.entries()) {
+          if (pending.size === 0 || hashes >= settings.maxHashes) return keys
+
+          const outer = mappingSlot(a, slot, layout)
+          hashes++
+          match(outer, { slot, keys: [a] })
+          outers.push({ outer, slot, layout, a, rank })
+        }
+      }
+    }
+
+    // Pairs of the most likely candidates first
+    outers.sort((x, y) => x.rank - y.rank)
+    for (const { outer, slot, layout, a } of outers) {
+      for (const b of candidates) {
+        if (pending.size === 0 || hashes >= settings.maxHashes) return keys
+
+        match(mappingSlot(b, outer, layout), { slot, keys: [a, b] })
+        hashes++
+      }
+    }
+
+    return keys
+  }
+
+  // Variables of a slot in a solc storage layout; several when packed
+  function fromLayout(change, layout, hashed) {
+    const decoded = []
+
+    for (const entry of layout.storage) {
+      const type = layout.types[entry.type]
+
+      if (type.encoding === 'inplace' && ethers.BigNumber.from(entry.slot).eq(change.key)) {
+        const before = decodeValue(change.before, type, entry.offset)
+        const after = decodeValue(change.after, type, entry.offset)
+        if (String(before) !== String(after)) decoded.push({ variable: entry.label, type: type.label, before, after })
+      }
+
+      if (type.encoding === 'mapping') {
+        const match = hashed.get(change.key.toLowerCase())
+        if (!match || !ethers.BigNumber.from(entry.slot).eq(match.slot)) continue
+
+        // Follow as many mapping levels as keys were hashed
+        let value = type
+        for (let i = 0; i < match.keys.length && value.encoding === 'mapping'; i++) value = layout.types[value.value]
+        if (value.encoding !== 'inplace') continue
+
+        decoded.push({
+          variable: `${entry.label}${match.keys.map(key => `[${key}]`).join('')}`,
+          type: value.label,
+          before: decodeValue(change.before, value),
+          after: decodeValue(change.after, value)
+        })
+      }
+    }
+
+    return decoded
+  }
+
+  // ERC20 heuristic: one level is balanceOf[holder], two levels allowance[owner][spender]
+  function fromErc20(change, hashed) {
+    const match = hashed.get(change.key.toLowerCase())
+    if (!match) return []
+
+    const [a, b] = match.keys
+    return [{
+      variable: b ? `allowance[${a}][${b}]` : `balanceOf[${a}]`,
+      type: 'uint256',
+      before: ethers.BigNumber.from(change.before).toString(),
+      after: ethers.BigNumber.from(change.after).toString()
+    }]
+  }
+
+  // Any other contract: the mapping is known by its slot only, the values stay raw words
+  function fromMapping(change, hashed) {
+    const match = hashed.get(change.key.toLowerCase())
+    if (!match) return []
+
+    return [{
+      variable: `slot${match.slot}${match.keys.map(key => `[${key}]`).join('')}`,
+      type: 'bytes32',
+      before: change.before,
+      after: change.after
+    }]
+  }
+
+  /**
+   * Name and decode what can be decoded
+   *
+   * @param {Array<Object>} changes - From diffChanges() or simulationChanges()
+   * @param {Object} [context]
+   * @param {Array<string>} [context.addresses] - Candidate mapping keys
+   * @param {Array<string>} [context.data] - Calldata, topics or log data to take candidates from
+   * @param {Array<Object>} [context.logs] - The transaction's logs `{ address, topics, data }`:
+   *   candidates, and ERC20 Transfer/Approval events confirm their emitter is an ERC20
+   * @param {Array<string>} [context.erc20] - Contracts known to be ERC20 tokens
+   * @returns {Array<Object>} `{ address, kind, key, variable, type, before, after, source }`;
+   *   source is 'layout', 'erc20', 'mapping' (address-keyed mapping of a contract
+   *   not confirmed as ERC20) or null (raw words). A packed slot gives one entry
+   *   per variable that changed.
+   */
+  function decode(changes, context = {}) {
+    const logs = context.logs || []
+    // Most likely keys first (indexed event arguments before any word of data):
+    // the two-level search may stop at settings.maxHashes
+    const candidates = [...new Set([
+      ...changes.map(change => change.address),
+      ...(context.addresses || []).map(address => ethers.utils.getAddress(address)),
+      ...addressesIn(logs.flatMap(log => log.topics.slice(1))),
+      ...addressesIn([...(context.data || []), ...logs.map(log => log.data)])
+    ])]
+
+    // ERC721 has the same events with a third indexed topic (tokenId)
+    const erc20 = new Set([
+      ...(context.erc20 || []).map(address => address.toLowerCase()),
+      ...logs.filter(log => log.topics.length === 3 && ERC20_TOPICS.includes(log.topics[0])).map(log => log.address.toLowerCase())
+    ])
+
+    const layoutSlots = [...layouts.values()].flatMap(layout => layout.storage
+      .filter(entry => layout.types[entry.type].encoding === 'mapping')
+      .map(entry => ethers.BigNumber.from(entry.slot).toNumber()))
+
+    const targets = changes
+      .filter(change => change.kind === 'storage' && ethers.BigNumber.from(change.key).gte(PLAIN_SLOT_LIMIT))
+      .map(change => change.key.toLowerCase())
+    const slots = [...new Set([...Array(settings.maxSlot + 1).keys(), ...layoutSlots])]
+    const hashed = targets.length ? mappingKeys(candidates, slots, targets) : new Map()
+
+    return changes.flatMap(change => {
+      if (change.kind !== 'storage') {
+        return [{ ...change, variable: change.kind, type: change.kind === 'code' ? 'bytes32' : 'uint256', source: null }]
+      }
+
+      const layout = layouts.get(change.address.toLowerCase())
+      const source = layout ? 'layout' : (erc20.has(change.address.toLowerCase()) ? 'erc20' : 'mapping')
+
+      let decoded
+      if (source === 'layout') decoded = fromLayout(change, layout, hashed)
+      else if (source === 'erc20') decoded = fromErc20(change, hashed)
+      else decoded = fromMapping(change, hashed)
+
+      if (decoded.length === 0) return [{ ...change, variable: null, type: 'bytes32', source: null }]
+      return decoded.map(entry => ({ address: change.address, kind: change.kind, key: change.key, ...entry, source }))
+    })
+  }
+
+  return {
+    decode
+  }
+}
+
+/**
+ * Changes as a text table: address, variable (or raw slot), before -> after
+ */
+function formatStateDiffTable(changes) {
+  if (changes.length === 0) return '(no state changes)'
+
+  const rows = [['Address', 'Variable', 'Before', 'After']].concat(changes.map(change => [
+    change.address,
+    change.variable || (change.kind === 'storage' ? `slot ${change.key}` : change.kind),
+    String(change.before),
+    String(change.after)
+  ]))
+
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)))
+  const line = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()
+
+  return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)].join('\n')
+}
+
+module.exports = {
+  traceStateDiff,
+  diffChanges,
+  simulationChanges,
+  createStateDiffDecoder,
+  formatStateDiffTable,
+  addressesIn,
+  walkStructLogs,
+  isDefaultTracerOnly
+}
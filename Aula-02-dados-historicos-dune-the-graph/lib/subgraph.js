@@ -0,0 +1,37 @@
+/**
+ * GraphQL client for subgraph endpoints
+ *
+ * Unlike the querySubgraph() helper of the examples, errors are thrown
+ * (HTTP failures and GraphQL `errors` alike) so callers can fail properly.
+ */
+
+const axios = require('axios')
+
+/**
+ * Run a GraphQL query against a subgraph
+ *
+ * @param {string} url - Subgraph query URL
+ * @param {string} query - GraphQL document
+ * @param {Object} [variables] - GraphQL variables
+ * @returns {Promise<Object>} The `data` of the response
+ */
+async function querySubgraph(url, query, variables = {}) {
+  let response
+  try {
+    response = await axios.post(url, { query, variables })
+  } catch (error) {
+    const status = error.response ? ` (HTTP ${error.response.status})` : ''
+    throw new Error(`Subgraph request failed${status}: ${error.message}`)
+  }
+
+  if (response.data.errors && response.data.errors.length > 0) {
+    const messages = response.data.errors.map(error => error.message).join('; ')
+    throw new Error(`GraphQL errors: ${messages}`)
+  }
+
+  return response.data.data
+}
+
+module.exports = {
+  querySubgraph
+}
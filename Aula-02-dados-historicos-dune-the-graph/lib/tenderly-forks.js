@@ -0,0 +1,246 @@
+/**
+ * Tenderly fork lifecycle: create, reuse by name, snapshot, revert, delete
+ *
+ * Named forks are recorded in a JSON file (tenderly-forks.json next to
+ * package.json, or TENDERLY_FORKS_FILE) with their id and RPC URL: commit it
+ * and the whole team opens the same fork instead of creating one per run.
+ * Temporary forks are not recorded, and are deleted when the process exits
+ * (normal end, SIGINT or SIGTERM; not on process.exit()).
+ */
+
+const path = require('path')
+const axios = require('axios')
+const { createTenderlyClient } = require('./tenderly')
+const { readJsonCache, writeJsonCache } = require('./cache')
+
+const DEFAULTS = {
+  file: process.env.TENDERLY_FORKS_FILE || path.join(__dirname, '..', 'tenderly-forks.json'),
+  // Fork RPC endpoints are <rpcUrl>/fork/<id>
+  rpcUrl: process.env.TENDERLY_RPC_URL || 'https://rpc.tenderly.co',
+  networkId: '1',
+  cleanupOnExit: true
+}
+
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM']
+
+/**
+ * Create a fork manager
+ *
+ * @param {Object} [options] - See DEFAULTS; the rest goes to createTenderlyClient()
+ * @param {Object} [options.client] - Tenderly client (default: createTenderlyClient(options))
+ * @returns {Object} `{ file, create, open, list, get, remove, snapshot, revert, rpc, cleanup, saved }`
+ *
+ * @example
+ * const forks = createForkManager()
+ * const fork = await forks.open('workshop', { blockNumber: 18000000 })
+ * const provider = new ethers.providers.JsonRpcProvider(fork.rpcUrl)
+ */
+function createForkManager(options = {}) {
+  const { file, rpcUrl, networkId, cleanupOnExit, client: customClient, ...clientOptions } = { ...DEFAULTS, ...options }
+  const client = customClient || createTenderlyClient({ networkId, ...clientOptions })
+
+  // Ids of the temporary forks created by this manager
+  const temporary = new Set()
+  let exitHandlers = null
+
+  /**
+   * `{ id, name, networkId, blockNumber, rpcUrl, createdAt }` of an API fork
+   */
+  function toFork(apiFork) {
+    return {
+      id: apiFork.id,
+      name: apiFork.alias || null,
+      networkId: String(apiFork.network_id),
+      blockNumber: apiFork.block_number === undefined ? null : apiFork.block_number,
+      rpcUrl: apiFork.rpc_url || `${rpcUrl}/fork/${apiFork.id}`,
+      createdAt: apiFork.created_at || null
+    }
+  }
+
+  /**
+   * Named forks recorded in the file
+   */
+  function saved() {
+    return readJsonCache(file, { forks: {} }).forks
+  }
+
+  function save(name, fork) {
+    const forks = saved()
+    if (fork) forks[name] = fork
+    else delete forks[name]
+    writeJsonCache(file, { forks })
+  }
+
+  // Deletes the temporary forks, then lets the process end as it would have
+  function registerExitHandlers() {
+    if (exitHandlers || !cleanupOnExit) return
+
+    const onSignal = signal => {
+      cleanup().finally(() => {
+        removeExitHandlers()
+        process.kill(process.pid, signal)
+      })
+    }
+
+    exitHandlers = {
+      // Nothing to report to at exit: a fork that fails to delete is left on Tenderly
+      beforeExit: () => { cleanup().catch(() => {}) },
+      ...Object.fromEntries(EXIT_SIGNALS.map(signal => [signal, onSignal]))
+    }
+
+    for (const [event, handler] of Object.entries(exitHandlers)) process.on(event, handler)
+  }
+
+  function removeExitHandlers() {
+    if (!exitHandlers) return
+
+    for (const [event, handler] of Object.entries(exitHandlers)) process.removeListener(event, handler)
+    exitHandlers = null
+  }
+
+  /**
+   * Create a fork
+   *
+   * @param {Object} [fork]
+   * @param {string} [fork.name] - Recorded under this name (Tenderly alias)
+   * @param {number} [fork.blockNumber] - Fork block (default: latest)
+   * @param {string} [fork.networkId] - Network (default: options.networkId)
+   * @param {boolean} [fork.temporary=false] - Not recorded; deleted at exit or by cleanup()
+   * @returns {Promise<Object>} `{ id, name, networkId, blockNumber, rpcUrl, createdAt }`
+   */
+  async function create(fork = {}) {
+    const created = toFork(await client.createFork({
+      networkId: fork.networkId || networkId,
+      blockNumber: fork.blockNumber,
+      alias: fork.name
+    }))
+
+    if (fork.temporary) {
+      temporary.add(created.id)
+      registerExitHandlers()
+    } else if (fork.name) {
+      save(fork.name, created)
+    }
+
+    return created
+  }
+
+  /**
+   * The fork recorded under `name` when it still exists, else the project's
+   * fork with that alias, else a new one
+   *
+   * A recorded fork at another block than `options.blockNumber` is not
+   * reused: a new one replaces it in the file (the old one is kept on
+   * Tenderly; remove() it when nobody needs it).
+   *
+   * @param {string} name
+   * @param {Object} [options] - `{ blockNumber, networkId }`, as create()
+   */
+  async function open(name, options = {}) {
+    const wanted = fork => (options.blockNumber === undefined || fork.blockNumber === Number(options.blockNumber)) &&
+      fork.networkId === String(options.networkId || networkId)
+
+    const recorded = saved()[name]
+    if (recorded && wanted(recorded)) {
+      const existing = await client.getFork(recorded.id)
+      if (existing) return recorded
+    }
+
+    // Created by someone whose file was not shared (yet)
+    const aliased = (await list()).find(fork => fork.name === name && wanted(fork))
+    if (aliased) {
+      save(name, aliased)
+      return aliased
+    }
+
+    return create({ ...options, name })
+  }
+
+  /**
+   * Every fork of the project
+   */
+  async function list() {
+    return (await client.listForks()).map(toFork)
+  }
+
+  /**
+   * One fork by id, or null when it was deleted
+   */
+  async function get(id) {
+    const fork = await client.getFork(id)
+    return fork ? toFork(fork) : null
+  }
+
+  /**
+   * Delete a fork (by id, name or fork object) and forget it
+   */
+  async function remove(fork) {
+    const forks = saved()
+    const id = typeof fork === 'object' ? fork.id : (forks[fork] ? forks[fork].id : fork)
+
+    await client.deleteFork(id)
+    temporary.delete(id)
+
+    for (const [name, recorded] of Object.entries(forks)) {
+      if (recorded.id === id) save(name, null)
+    }
+  }
+
+  /**
+   * JSON-RPC request to a fork
+   */
+  async function rpc(fork, method, params = []) {
+    const response = await axios.post(fork.rpcUrl, { jsonrpc: '2.0', id: 1, method, params })
+    const { result, error } = response.data
+
+    if (error) throw new Error(`Fork RPC ${method}: ${error.message}`)
+    return result
+  }
+
+  /**
+   * Snapshot the fork's state
+   *
+   * @returns {Promise<string>} Snapshot id, for revert()
+   */
+  function snapshot(fork) {
+    return rpc(fork, 'evm_snapshot')
+  }
+
+  /**
+   * Go back to a snapshot: every transaction sent after it is undone
+   */
+  async function revert(fork, snapshotId) {
+    const reverted = await rpc(fork, 'evm_revert', [snapshotId])
+    if (reverted === false) throw new Error(`Fork ${fork.id} has no snapshot ${snapshotId}`)
+  }
+
+  /**
+   * Delete the temporary forks created so far
+   */
+  async function cleanup() {
+    const ids = [...temporary]
+    temporary.clear()
+    removeExitHandlers()
+
+    await Promise.all(ids.map(id => client.deleteFork(id)))
+    return ids
+  }
+
+  return {
+    file,
+    create,
+    open,
+    list,
+    get,
+    remove,
+    snapshot,
+    revert,
+    rpc,
+    cleanup,
+    saved
+  }
+}
+
+module.exports = {
+  createForkManager
+}
@@ -0,0 +1,164 @@
+/**
+ * Tenderly API client (https://docs.tenderly.co/): simulations and forks
+ */
+
+const axios = require('axios')
+
+const DEFAULTS = {
+  baseUrl: process.env.TENDERLY_API_URL || 'https://api.tenderly.co/api/v1',
+  networkId: '1'
+}
+
+/**
+ * Create a client bound to one Tenderly project
+ *
+ * @param {Object} [options]
+ * @param {string} [options.user=process.env.TENDERLY_USER] - Account slug
+ * @param {string} [options.project=process.env.TENDERLY_PROJECT] - Project slug
+ * @param {string} [options.accessKey=process.env.TENDERLY_ACCESS_KEY]
+ * @param {string} [options.baseUrl] - API base URL (default: TENDERLY_API_URL or api.tenderly.co)
+ * @param {string} [options.networkId='1'] - Default network of the simulations
+ */
+function createTenderlyClient(options = {}) {
+  const settings = {
+    ...DEFAULTS,
+    user: process.env.TENDERLY_USER,
+    project: process.env.TENDERLY_PROJECT,
+    accessKey: process.env.TENDERLY_ACCESS_KEY,
+    ...options
+  }
+
+  if (!settings.accessKey || !settings.user || !settings.project) {
+    throw new Error('TENDERLY_USER, TENDERLY_PROJECT and TENDERLY_ACCESS_KEY must be configured')
+  }
+
+  const http = axios.create({
+    baseURL: `${settings.baseUrl}/account/${settings.user}/project/${settings.project}`,
+    headers: { 'X-Access-Key': settings.accessKey, 'Content-Type': 'application/json' }
+  })
+
+  async function request(method, url, payload) {
+    try {
+      const response = await http.request({ method, url, data: payload })
+      return response.data
+    } catch (error) {
+      if (!error.response) throw error
+
+      const data = error.response.data || {}
+      const message = (data.error && data.error.message) || error.message
+      const wrapped = new Error(`Tenderly API ${error.response.status}: ${message}`)
+      wrapped.status = error.response.status
+      throw wrapped
+    }
+  }
+
+  function post(url, payload) {
+    return request('post', url, payload)
+  }
+
+  /**
+   * Simulate one transaction
+   *
+   * @param {Object} tx - `{ from, to, input, value, gas, gas_price, block_number, ... }`
+   * @returns {Promise<Object>} The API response (`{ transaction, simulation, ... }`)
+   */
+  function simulate(tx) {
+    return post('/simulate', {
+      network_id: settings.networkId,
+      gas: 8000000,
+      gas_price: '0',
+      value: '0',
+      ...tx
+    })
+  }
+
+  /**
+   * Simulate one transaction on the state of a past block
+   */
+  function simulateAtBlock(tx, blockNumber) {
+    return simulate({ ...tx, block_number: blockNumber })
+  }
+
+  /**
+   * Simulate transactions in sequence, each one seeing the previous one's state
+   */
+  function simulateBundle(txs) {
+    return post('/simulate-bundle', {
+      simulations: txs.map(tx => ({
+        network_id: settings.networkId,
+        gas: 8000000,
+        gas_price: '0',
+        value: '0',
+        ...tx
+      }))
+    })
+  }
+
+  function dashboardUrl(simulationId) {
+    return `https://dashboard.tenderly.co/${settings.user}/${settings.project}/simulator/${simulationId}`
+  }
+
+  /**
+   * Create a fork
+   *
+   * @param {Object} [fork] - `{ networkId, blockNumber, alias, description }`
+   * @returns {Promise<Object>} The API's `simulation_fork` (`{ id, network_id, block_number, alias, ... }`)
+   */
+  async function createFork(fork = {}) {
+    const networkId = String(fork.networkId || settings.networkId)
+    const payload = { network_id: networkId, chain_config: { chain_id: Number(networkId) } }
+    if (fork.blockNumber !== undefined && fork.blockNumber !== null) payload.block_number = Number(fork.blockNumber)
+    if (fork.alias) payload.alias = fork.alias
+    if (fork.description) payload.description = fork.description
+
+    const data = await post('/fork', payload)
+    return data.simulation_fork
+  }
+
+  /**
+   * Every fork of the project
+   */
+  async function listForks() {
+    const data = await request('get', '/forks')
+    return data.simulation_forks || []
+  }
+
+  /**
+   * One fork, or null when it does not exist (anymore)
+   */
+  async function getFork(id) {
+    try {
+      const data = await request('get', `/fork/${id}`)
+      return data.simulation_fork
+    } catch (error) {
+      if (error.status === 404) return null
+      throw error
+    }
+  }
+
+  /**
+   * Delete a fork; deleting one that is already gone is not an error
+   */
+  async function deleteFork(id) {
+    try {
+      await request('delete', `/fork/${id}`)
+    } catch (error) {
+      if (error.status !== 404) throw error
+    }
+  }
+
+  return {
+    simulate,
+    simulateAtBlock,
+    simulateBundle,
+    dashboardUrl,
+    createFork,
+    listForks,
+    getFork,
+    deleteFork
+  }
+}
+
+module.exports = {
+  createTenderlyClient
+}
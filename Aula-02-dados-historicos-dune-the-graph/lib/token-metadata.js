@@ -0,0 +1,243 @@
+/**
+ * Token metadata resolution and decimal-correct formatting
+ *
+ * Calls name/symbol/decimals once per token and caches the result on disk
+ * (.cache/token-metadata.json). Like getOrCreateToken() in the subgraph
+ * mappings, non-standard tokens fall back instead of failing:
+ * - symbol/name returned as bytes32 (MKR-style) are decoded as text
+ * - reverting calls fall back to 'Unknown' / 'UNKNOWN' / 18 decimals
+ *
+ * A token whose decimals() reverts or returns nothing (e.g. an EOA) gets 18
+ * with `decimalsGuessed: true`. Guesses are not written to the disk cache:
+ * the next process asks again.
+ */
+
+const { ethers } = require('ethers')
+const { ERC20_ABI, UNISWAP_V3_POOL_ABI } = require('./abis')
+const { readJsonCache, writeJsonCache } = require('./cache')
+
+const NATIVE_TOKEN_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'
+const NATIVE_TOKEN = { name: 'Ether', symbol: 'ETH', decimals: 18 }
+
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI)
+const poolInterface = new ethers.utils.Interface(UNISWAP_V3_POOL_ABI)
+
+// Amount arguments of pool events and the pool token they are denominated in
+const POOL_AMOUNT_ARGS = {
+  amount0: 'token0',
+  amount1: 'token1',
+  amount0In: 'token0',
+  amount1In: 'token1',
+  amount0Out: 'token0',
+  amount1Out: 'token1',
+  paid0: 'token0',
+  paid1: 'token1'
+}
+
+function isRevert(error) {
+  if (error.code === 'CALL_EXCEPTION') return true
+
+  const text = [error.message, error.error && error.error.message].filter(Boolean).join(' ')
+  return /revert|invalid opcode|invalid jump/i.test(text)
+}
+
+/**
+ * Decode a string return value, accepting bytes32 (MKR, SAI, ...)
+ */
+function decodeText(data) {
+  if (!data || data === '0x') return null
+
+  try {
+    return ethers.utils.defaultAbiCoder.decode(['string'], data)[0]
+  } catch (error) {
+    // Not an ABI-encoded string, try bytes32 below
+  }
+
+  if (ethers.utils.hexDataLength(data) !== 32) return null
+
+  const bytes = ethers.utils.arrayify(data)
+  let end = bytes.length
+  while (end > 0 && bytes[end - 1] === 0) end--
+
+  try {
+    return ethers.utils.toUtf8String(bytes.slice(0, end))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * '1234.5 USDC'; amounts of tokens with guessed decimals say so
+ */
+function formatWith(token, amount) {
+  const text = `${ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol}`
+  return token.decimalsGuessed ? `${text} (decimals unknown, 18 assumed)` : text
+}
+
+/**
+ * Create a metadata service bound to a provider
+ *
+ * @param {ethers.providers.Provider} provider - Provider used for the calls
+ * @param {Object} [options]
+ * @param {string} [options.cacheFile='token-metadata.json'] - Cache file (in CACHE_DIR)
+ */
+function createTokenMetadataService(provider, options = {}) {
+  const { cacheFile = 'token-metadata.json' } = options
+
+  const diskCache = readJsonCache(cacheFile)
+  // Tokens with guessed decimals, remembered for this process only
+  const guessed = new Map()
+  const inFlight = new Map()
+  let chainIdPromise = null
+
+  function getChainId() {
+    if (!chainIdPromise) chainIdPromise = provider.getNetwork().then(network => network.chainId)
+    return chainIdPromise
+  }
+
+  async function call(address, iface, fn) {
+    try {
+      return await provider.call({ to: address, data: iface.encodeFunctionData(fn) })
+    } catch (error) {
+      if (isRevert(error)) return null
+      throw error
+    }
+  }
+
+  async function fetchToken(address) {
+    const [nameData, symbolData, decimalsData] = await Promise.all([
+      call(address, erc20Interface, 'name'),
+      call(address, erc20Interface, 'symbol'),
+      call(address, erc20Interface, 'decimals')
+    ])
+
+    const decimalsKnown = Boolean(decimalsData) && ethers.utils.hexDataLength(decimalsData) === 32
+
+    return {
+      address,
+      name: decodeText(nameData) || 'Unknown',
+      symbol: decodeText(symbolData) || 'UNKNOWN',
+      decimals: decimalsKnown ? ethers.BigNumber.from(decimalsData).toNumber() : 18,
+      decimalsGuessed: !decimalsKnown
+    }
+  }
+
+  /**
+   * Resolve once per process and, unless decimals were guessed, once per cache file
+   */
+  async function cached(kind, address, resolve) {
+    const key = `${kind}:${await getChainId()}:${address.toLowerCase()}`
+
+    if (diskCache[key]) return diskCache[key]
+    if (guessed.has(key)) return guessed.get(key)
+    if (inFlight.has(key)) return inFlight.get(key)
+
+    const promise = resolve().then(value => {
+      if (value.decimalsGuessed) {
+        guessed.set(key, value)
+      } else {
+        diskCache[key] = value
+        writeJsonCache(cacheFile, diskCache)
+      }
+      inFlight.delete(key)
+      return value
+    }, error => {
+      inFlight.delete(key)
+      throw error
+    })
+
+    inFlight.set(key, promise)
+    return promise
+  }
+
+  /**
+   * Get `{ address, name, symbol, decimals, decimalsGuessed }` for a token
+   * `null` or the 0xEeee...EEeE placeholder resolve to the native token.
+   */
+  async function getToken(address) {
+    if (!address || address.toLowerCase() === NATIVE_TOKEN_ADDRESS.toLowerCase()) {
+      return { address: NATIVE_TOKEN_ADDRESS, ...NATIVE_TOKEN, decimalsGuessed: false }
+    }
+
+    const checksummed = ethers.utils.getAddress(address)
+    return cached('token', checksummed, () => fetchToken(checksummed))
+  }
+
+  /**
+   * Get `{ token0, token1 }` metadata of a Uniswap-style pool/pair
+   */
+  async function getPoolTokens(poolAddress) {
+    const pool = ethers.utils.getAddress(poolAddress)
+
+    const addresses = await cached('pool', pool, async () => {
+      const [token0, token1] = await Promise.all([
+        call(pool, poolInterface, 'token0'),
+        call(pool, poolInterface, 'token1')
+      ])
+
+      if (!token0 || !token1) throw new Error(`${pool} does not look like a Uniswap pool`)
+
+      return {
+        token0: poolInterface.decodeFunctionResult('token0', token0)[0],
+        token1: poolInterface.decodeFunctionResult('token1', token1)[0]
+      }
+    })
+
+    return {
+      token0: await getToken(addresses.token0),
+      token1: await getToken(addresses.token1)
+    }
+  }
+
+  /**
+   * Format a raw amount with the token's decimals and symbol, e.g. '1234.5 USDC'
+   */
+  async function formatAmount(address, amount) {
+    return formatWith(await getToken(address), amount)
+  }
+
+  /**
+   * Add a `formatted` map to a decoded log (see decoder-registry.js) with every
+   * token amount formatted: ERC20 Transfer/Approval values, WETH wad and
+   * Uniswap V2/V3 pool amounts
+   */
+  async function formatDecodedLog(decoded) {
+    const formatted = {}
+    if (!decoded.decoded) return { ...decoded, formatted }
+
+    const { args } = decoded
+
+    if ('value' in args && !('tokenId' in args) && ['Transfer', 'Approval'].includes(decoded.event)) {
+      formatted.value = await formatAmount(decoded.address, args.value)
+    }
+
+    if ('wad' in args) {
+      formatted.wad = await formatAmount(decoded.address, args.wad)
+    }
+
+    const poolArgs = Object.keys(args).filter(name => POOL_AMOUNT_ARGS[name])
+    if (poolArgs.length > 0) {
+      const tokens = await getPoolTokens(decoded.address)
+
+      for (const name of poolArgs) {
+        const token = tokens[POOL_AMOUNT_ARGS[name]]
+        formatted[name] = formatWith(token, args[name])
+      }
+    }
+
+    return { ...decoded, formatted }
+  }
+
+  return {
+    getToken,
+    getPoolTokens,
+    formatAmount,
+    formatDecodedLog
+  }
+}
+
+module.exports = {
+  createTokenMetadataService,
+  decodeText,
+  NATIVE_TOKEN_ADDRESS
+}
@@ -0,0 +1,197 @@
+/**
+ * Typed transactions from a contract ABI
+ *
+ * `method(args)` is encoded into calldata, or into a simulation payload with
+ * Tenderly's field names, which both backends of lib/simulator.js accept.
+ * Arguments are checked against the ABI before anything is sent, and
+ * calldata goes back the other way: any input is decoded into method and
+ * arguments, with the decoder registry as the fallback for other contracts.
+ */
+
+const { ethers } = require('ethers')
+const { createDecoderRegistry, createDefaultRegistry } = require('./decoder-registry')
+
+const DEFAULTS = {
+  networkId: '1',
+  gas: 100000,
+  // Tenderly's '0': the simulation pays no fees (see lib/local-simulator.js)
+  gasPrice: '0'
+}
+
+// Registry for calldata the builder's own ABI does not know, built on first use
+let defaultRegistry = null
+
+function fallbackRegistry() {
+  if (!defaultRegistry) defaultRegistry = createDefaultRegistry({ abiDir: process.env.ABI_DIR })
+  return defaultRegistry
+}
+
+/**
+ * Decode calldata with the known ABIs and the signature database
+ *
+ * @param {string} input - Calldata
+ * @param {Object} [options]
+ * @param {string} [options.to] - Called contract, to use its own ABI first
+ * @param {Object} [options.registry] - Decoder registry (default: createDefaultRegistry())
+ * @returns {Object} `{ address, contract, function, signature, args, result, decoded, source }`
+ */
+function decodeInput(input, options = {}) {
+  const registry = options.registry || fallbackRegistry()
+  return registry.decodeCall(options.to || null, input)
+}
+
+/**
+ * Arguments in ABI order, from an array or an object keyed by parameter name
+ */
+function orderArgs(fragment, args) {
+  if (Array.isArray(args)) return args
+
+  return fragment.inputs.map((input, i) => {
+    const name = input.name || `arg${i}`
+    if (!(name in args)) throw new Error(`${fragment.format()}: missing argument "${name}"`)
+    return args[name]
+  })
+}
+
+/**
+ * Create a builder for one contract
+ *
+ * @param {Array|Object} abi - ABI array (JSON or human-readable) or ethers Interface
+ * @param {Object} [options]
+ * @param {string} [options.address] - Contract the transactions go to
+ * @param {string} [options.name] - Contract name, for decoded output
+ * @param {string} [options.from] - Default sender
+ * @param {string} [options.networkId='1'] - Tenderly network id
+ * @param {number} [options.gas=100000] - Default gas limit
+ * @param {string} [options.gasPrice='0'] - Default gas price (wei)
+ * @param {number} [options.blockNumber] - Default block to simulate at (default: latest)
+ * @param {Object} [options.registry] - Decoder registry for unknown calldata
+ * @returns {Object} `{ address, interface, encode, build, decode, decodeResult }`
+ *
+ * @example
+ * const usdc = createTransactionBuilder(ERC20_ABI, { address: USDC_ADDRESS, from: VITALIK })
+ * const tx = usdc.build('transfer', { to: recipient, amount: ethers.utils.parseUnits('100', 6) })
+ * const { transaction } = await simulator.simulate(tx)
+ */
+function createTransactionBuilder(abi, options = {}) {
+  const settings = { ...DEFAULTS, ...options }
+  const iface = abi instanceof ethers.utils.Interface ? abi : new ethers.utils.Interface(abi)
+  const address = settings.address ? ethers.utils.getAddress(settings.address) : null
+
+  // The builder's own ABI only: the fallback registry comes after it
+  const own = createDecoderRegistry({ signatureDatabase: false })
+    .addAbi(iface.fragments, address ? { address, name: settings.name } : {})
+
+  /**
+   * The function fragment of `method`: a name, or a full signature for overloads
+   */
+  function fragmentFor(method) {
+    try {
+      return iface.getFunction(method)
+    } catch (error) {
+      const names = Object.values(iface.functions).map(fragment => fragment.format())
+      const reason = /multiple matching/.test(error.message) ? 'is overloaded, use the full signature' : 'is not in the ABI'
+      throw new Error(`"${method}" ${reason} (functions: ${names.join(', ') || 'none'})`)
+    }
+  }
+
+  /**
+   * Calldata of `method(args)`
+   *
+   * @param {string} method - Function name or signature ('transfer', 'transfer(address,uint256)')
+   * @param {Array|Object} [args] - Positional, or keyed by parameter name
+   * @returns {string} Calldata
+   */
+  function encode(method, args = []) {
+    const fragment = fragmentFor(method)
+    const values = orderArgs(fragment, args)
+
+    if (values.length !== fragment.inputs.length) {
+      throw new Error(`${fragment.format()}: expected ${fragment.inputs.length} arguments, got ${values.length}`)
+    }
+
+    try {
+      return iface.encodeFunctionData(fragment, values)
+    } catch (error) {
+      // ethers says which argument and why ("invalid address", "value out-of-bounds")
+      const reason = String(error.reason || error.message).replace(/ \(.*$/, '')
+      const argument = error.argument ? ` (argument "${error.argument}")` : ''
+      throw new Error(`${fragment.format()}: ${reason}${argument}`)
+    }
+  }
+
+  /**
+   * Simulation payload of `method(args)`
+   *
+   * @param {string} method - Function name or signature
+   * @param {Array|Object} [args] - Positional, or keyed by parameter name
+   * @param {Object} [overrides] - `{ from, to, value, gas, gasPrice, blockNumber, networkId }`
+   * @returns {Object} `{ network_id, from, to, input, value, gas, gas_price[, block_number] }`
+   */
+  function build(method, args = [], overrides = {}) {
+    const fragment = fragmentFor(method)
+    const from = overrides.from || settings.from
+    const to = overrides.to || address
+    const value = ethers.BigNumber.from(overrides.value || 0)
+
+    if (!from) throw new Error(`${fragment.format()}: no sender (pass options.from or overrides.from)`)
+    if (!to) throw new Error(`${fragment.format()}: no contract address (pass options.address or overrides.to)`)
+    if (!value.isZero() && !fragment.payable) throw new Error(`${fragment.format()} is not payable, but value is ${value}`)
+
+    const payload = {
+      network_id: String(overrides.networkId || settings.networkId),
+      from: ethers.utils.getAddress(from),
+      to: ethers.utils.getAddress(to),
+      input: encode(fragment.format(), args),
+      value: value.toString(),
+      gas: Number(overrides.gas || settings.gas),
+      gas_price: String(overrides.gasPrice || settings.gasPrice)
+    }
+
+    const blockNumber = overrides.blockNumber === undefined ? settings.blockNumber : overrides.blockNumber
+    if (blockNumber !== undefined && blockNumber !== null) payload.block_number = Number(blockNumber)
+
+    return payload
+  }
+
+  /**
+   * Method and arguments of any calldata (and of its return data when given)
+   *
+   * Calldata this ABI does not know is decoded with the registry (known
+   * contracts, ABI_DIR and the signature database).
+   *
+   * @param {string} input - Calldata
+   * @param {string} [output] - Return data
+   * @returns {Object} `{ address, contract, function, signature, args, result, decoded, source }`
+   */
+  function decode(input, output) {
+    const decoded = own.decodeCall(address, input, output)
+    if (decoded.decoded) return decoded
+
+    return (settings.registry || fallbackRegistry()).decodeCall(address, input, output)
+  }
+
+  /**
+   * Return value of `method` from its return data: the value itself for a
+   * single output, an ethers Result (by index and by name) otherwise
+   */
+  function decodeResult(method, output) {
+    const fragment = fragmentFor(method)
+    const result = iface.decodeFunctionResult(fragment, output)
+    return fragment.outputs.length === 1 ? result[0] : result
+  }
+
+  return {
+    address,
+    interface: iface,
+    encode,
+    build,
+    decode,
+    decodeResult
+  }
+}
+
+module.exports = {
+  createTransactionBuilder,
+  decodeInput
+}
@@ -0,0 +1,260 @@
+/**
+ * Uniswap V3 pool analytics
+ *
+ * - exact, decimal-adjusted prices from sqrtPriceX96 (BigInt math, no floats)
+ * - historical slot0() at arbitrary blocks
+ * - OHLC candles at a chosen interval, built from Swap events
+ *
+ * Prices are computed as integers scaled by 10^precision and only turned
+ * into decimal strings at the end, so nothing is lost to float rounding.
+ */
+
+const { ethers } = require('ethers')
+const { UNISWAP_V3_POOL_ABI } = require('./abis')
+const { fetchLogsRange } = require('./fetch-logs-range')
+const { createTokenMetadataService } = require('./token-metadata')
+const { createBlockResolver } = require('./block-by-timestamp')
+
+const poolInterface = new ethers.utils.Interface(UNISWAP_V3_POOL_ABI)
+const SWAP_TOPIC = poolInterface.getEventTopic('Swap')
+
+const Q192 = 1n << 192n
+const DEFAULT_PRECISION = 18
+
+function pow10(exponent) {
+  return 10n ** BigInt(exponent)
+}
+
+/**
+ * Price scaled by 10^precision
+ *
+ * The raw price token1/token0 is sqrtPriceX96^2 / 2^192 (in base units);
+ * adjusting for decimals gives the human price of 1 token0 in token1.
+ * With `base: 'token1'` the inverse (1 token1 in token0) is returned.
+ *
+ * @param {BigNumberish|bigint} sqrtPriceX96
+ * @param {number} decimals0 - token0 decimals
+ * @param {number} decimals1 - token1 decimals
+ * @param {Object} [options] - `{ base: 'token0'|'token1', precision }`
+ * @returns {bigint}
+ */
+function sqrtPriceX96ToScaledPrice(sqrtPriceX96, decimals0, decimals1, options = {}) {
+  const { base = 'token0', precision = DEFAULT_PRECISION } = options
+  const sqrtPrice = BigInt(sqrtPriceX96.toString())
+  const ratio = sqrtPrice * sqrtPrice
+
+  if (ratio === 0n) throw new Error('sqrtPriceX96 is zero, pool not initialized')
+
+  if (base === 'token0') {
+    return (ratio * pow10(decimals0) * pow10(precision)) / (Q192 * pow10(decimals1))
+  }
+
+  return (Q192 * pow10(decimals1) * pow10(precision)) / (ratio * pow10(decimals0))
+}
+
+/**
+ * Format an integer scaled by 10^precision as a decimal string
+ */
+function formatScaled(value, precision = DEFAULT_PRECISION) {
+  const negative = value < 0n
+  const digits = (negative ? -value : value).toString().padStart(precision + 1, '0')
+
+  const whole = digits.slice(0, digits.length - precision)
+  const fraction = digits.slice(digits.length - precision).replace(/0+$/, '')
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`
+}
+
+/**
+ * Exact decimal price string, e.g. '2451.318812...' for WETH in USDC
+ */
+function sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1, options = {}) {
+  const precision = options.precision === undefined ? DEFAULT_PRECISION : options.precision
+  return formatScaled(sqrtPriceX96ToScaledPrice(sqrtPriceX96, decimals0, decimals1, options), precision)
+}
+
+/**
+ * Create an analytics helper for one pool
+ *
+ * @param {ethers.providers.Provider} provider - Provider (archive node for old slot0 reads)
+ * @param {string} poolAddress - Uniswap V3 pool
+ * @param {Object} [options]
+ * @param {'token0'|'token1'} [options.base='token0'] - Token whose price is reported
+ * @param {number} [options.precision=18] - Fractional digits of the prices
+ */
+function createPoolAnalytics(provider, poolAddress, options = {}) {
+  const { base = 'token0', precision = DEFAULT_PRECISION } = options
+  const pool = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, provider)
+  const tokens = options.tokens || createTokenMetadataService(provider)
+  const blocks = options.blocks || createBlockResolver(provider)
+
+  let infoPromise = null
+
+  /**
+   * `{ address, token0, token1, base, quote }` with token metadata
+   */
+  function getInfo() {
+    if (!infoPromise) {
+      infoPromise = tokens.getPoolTokens(poolAddress).then(({ token0, token1 }) => ({
+        address: poolAddress,
+        token0,
+        token1,
+        base: base === 'token0' ? token0 : token1,
+        quote: base === 'token0' ? token1 : token0
+      }))
+    }
+
+    return infoPromise
+  }
+
+  async function scaledPrice(sqrtPriceX96) {
+    const { token0, token1 } = await getInfo()
+    return sqrtPriceX96ToScaledPrice(sqrtPriceX96, token0.decimals, token1.decimals, { base, precision })
+  }
+
+  /**
+   * Read slot0() at a block and price it
+   *
+   * @returns {Promise<Object>} `{ blockNumber, timestamp, sqrtPriceX96, tick, price }`
+   */
+  async function getSlot0At(blockNumber) {
+    const slot0 = await pool.slot0({ blockTag: blockNumber })
+    const timestamp = await blocks.blockTimestamp(blockNumber)
+
+    return {
+      blockNumber,
+      timestamp,
+      sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+      tick: slot0.tick,
+      price: formatScaled(await scaledPrice(slot0.sqrtPriceX96), precision)
+    }
+  }
+
+  /**
+   * slot0() prices at several blocks (archive node needed for old blocks)
+   */
+  async function getSlot0Series(blockNumbers) {
+    // Read every timestamp first: one cache write instead of one per block
+    if (blockNumbers.length) await blocks.blockTimestamps(blockNumbers)
+
+    const series = []
+    for (const blockNumber of blockNumbers) {
+      series.push(await getSlot0At(blockNumber))
+    }
+    return series
+  }
+
+  /**
+   * Decoded swaps in a block range, each with its post-swap price
+   *
+   * @returns {Promise<Array>} `{ blockNumber, logIndex, transactionHash, timestamp,
+   *   amount0, amount1, sqrtPriceX96, tick, price }` (price scaled, see options)
+   */
+  async function getSwaps(fromBlock, toBlock) {
+    const logs = await fetchLogsRange(provider, {
+      address: poolAddress,
+      topics: [SWAP_TOPIC],
+      fromBlock,
+      toBlock
+    })
+
+    // One cache write for the whole range instead of one per swap
+    const timestamps = logs.length ? await blocks.blockTimestamps(logs.map(log => log.blockNumber)) : []
+
+    const swaps = []
+    for (const [i, log] of logs.entries()) {
+      const { args } = poolInterface.parseLog(log)
+
+      swaps.push({
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash,
+        timestamp: timestamps[i],
+        amount0: args.amount0.toBigInt(),
+        amount1: args.amount1.toBigInt(),
+        sqrtPriceX96: args.sqrtPriceX96.toBigInt(),
+        tick: args.tick,
+        price: await scaledPrice(args.sqrtPriceX96)
+      })
+    }
+
+    return swaps
+  }
+
+  /**
+   * OHLC candles from Swap events
+   *
+   * Volumes are absolute amounts of base and quote tokens traded.
+   *
+   * @param {Object} range - `{ fromBlock, toBlock, intervalSeconds }`
+   * @returns {Promise<Object>} `{ pool, base, quote, intervalSeconds, candles }`
+   *   with candles `{ start, time, open, high, low, close, volumeBase, volumeQuote, swaps }`
+   */
+  async function getCandles({ fromBlock, toBlock = 'latest', intervalSeconds = 3600 }) {
+    const info = await getInfo()
+    const swaps = await getSwaps(fromBlock, toBlock)
+
+    const candles = []
+    let current = null
+
+    for (const swap of swaps) {
+      const start = Math.floor(swap.timestamp / intervalSeconds) * intervalSeconds
+      const baseAmount = base === 'token0' ? swap.amount0 : swap.amount1
+      const quoteAmount = base === 'token0' ? swap.amount1 : swap.amount0
+
+      if (!current || current.start !== start) {
+        current = {
+          start,
+          open: swap.price,
+          high: swap.price,
+          low: swap.price,
+          close: swap.price,
+          volumeBase: 0n,
+          volumeQuote: 0n,
+          swaps: 0
+        }
+        candles.push(current)
+      }
+
+      if (swap.price > current.high) current.high = swap.price
+      if (swap.price < current.low) current.low = swap.price
+      current.close = swap.price
+      current.volumeBase += baseAmount < 0n ? -baseAmount : baseAmount
+      current.volumeQuote += quoteAmount < 0n ? -quoteAmount : quoteAmount
+      current.swaps++
+    }
+
+    return {
+      pool: poolAddress,
+      base: info.base.symbol,
+      quote: info.quote.symbol,
+      intervalSeconds,
+      candles: candles.map(candle => ({
+        start: candle.start,
+        time: new Date(candle.start * 1000).toISOString(),
+        open: formatScaled(candle.open, precision),
+        high: formatScaled(candle.high, precision),
+        low: formatScaled(candle.low, precision),
+        close: formatScaled(candle.close, precision),
+        volumeBase: ethers.utils.formatUnits(candle.volumeBase, info.base.decimals),
+        volumeQuote: ethers.utils.formatUnits(candle.volumeQuote, info.quote.decimals),
+        swaps: candle.swaps
+      }))
+    }
+  }
+
+  return {
+    getInfo,
+    getSlot0At,
+    getSlot0Series,
+    getSwaps,
+    getCandles
+  }
+}
+
+module.exports = {
+  createPoolAnalytics,
+  sqrtPriceX96ToPrice,
+  sqrtPriceX96ToScaledPrice,
+  formatScaled
+}
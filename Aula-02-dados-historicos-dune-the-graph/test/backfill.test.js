@@ -0,0 +1,161 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+const { backfillEvents } = require('../lib/backfill')
+const { createJsonlStore } = require('../lib/jsonl-store')
+const { startJsonRpcServer, hex } = require('./helpers/json-rpc-server')
+
+const TOKEN = '0x00000000000000000000000000000000000000aa'
+const EVENT = 'event Transfer(address indexed from, address indexed to, uint256 value)'
+const HEAD = 499
+const iface = new ethers.utils.Interface([EVENT])
+
+// One transfer every 10 blocks
+function transferAt(blockNumber) {
+  const { data, topics } = iface.encodeEventLog(iface.getEvent('Transfer'), [
+    ethers.constants.AddressZero,
+    TOKEN,
+    ethers.BigNumber.from(10).pow(30).add(blockNumber)
+  ])
+
+  return {
+    address: TOKEN,
+    topics,
+    data,
+    blockNumber: hex(blockNumber),
+    blockHash: ethers.utils.id(`block-${blockNumber}`),
+    transactionHash: ethers.utils.id(`tx-${blockNumber}`),
+    transactionIndex: '0x0',
+    logIndex: '0x0',
+    removed: false
+  }
+}
+
+describe('backfillEvents (lib/backfill.js)', () => {
+  let node = null
+  let provider = null
+  let dir = null
+
+  before(async () => {
+    node = await startJsonRpcServer({
+      eth_chainId: () => '0x1',
+      eth_blockNumber: () => hex(HEAD),
+      eth_getLogs: ([filter]) => {
+        const logs = []
+        for (let n = parseInt(filter.fromBlock, 16); n <= parseInt(filter.toBlock, 16); n++) {
+          if (n % 10 === 0) logs.push(transferAt(n))
+        }
+        return logs
+      }
+    })
+    provider = new ethers.providers.StaticJsonRpcProvider(node.url, { chainId: 1, name: 'test' })
+  })
+
+  after(() => node.close())
+
+  beforeEach(() => {
+    node.calls.length = 0
+    dir = fs.mkdtempSync(path.join(process.env.CACHE_DIR, 'backfill-'))
+  })
+
+  const backfill = (options = {}) => backfillEvents(provider, {
+    address: TOKEN,
+    event: EVENT,
+    store: createJsonlStore(dir),
+    fetchOptions: { initialChunkSize: 100, maxChunkSize: 100 },
+    ...options
+  })
+
+  async function stored() {
+    const records = []
+    for await (const record of createJsonlStore(dir).readRecords()) records.push(record)
+    return records
+  }
+
+  const firstRange = () => {
+    const call = node.calls.find(item => item.method === 'eth_getLogs')
+    return parseInt(call.params[0].fromBlock, 16)
+  }
+
+  it('writes every decoded log and checkpoints the last block', async () => {
+    const summary = await backfill({ fromBlock: 0 })
+
+    assert.deepStrictEqual(summary, { fromBlock: 0, toBlock: 499, written: 50, skipped: 0 })
+    const records = await stored()
+    assert.strictEqual(records.length, 50)
+    assert.strictEqual(records[3].args.value, ethers.BigNumber.from(10).pow(30).add(30).toString())
+    assert.strictEqual(createJsonlStore(dir).readCheckpoint().lastBlock, 499)
+  })
+
+  it('resumes right after the checkpoint, whatever fromBlock says', async () => {
+    await backfill({ fromBlock: 0 })
+
+    node.calls.length = 0
+    const summary = await backfill({ fromBlock: 0, toBlock: 999 })
+
+    assert.strictEqual(summary.fromBlock, 500)
+    assert.strictEqual(firstRange(), 500)
+    assert.strictEqual(summary.written, 50)
+    assert.strictEqual((await stored()).length, 100)
+  })
+
+  it('refuses a fromBlock that would leave a gap after the checkpoint', async () => {
+    await backfill({ fromBlock: 0 })
+
+    await assert.rejects(backfill({ fromBlock: 700 }), /checkpointed at block 499: starting at 700 would skip blocks 500-699/)
+    assert.strictEqual((await stored()).length, 50)
+  })
+
+  it('recovers from a crash between a write and its checkpoint', async () => {
+    await backfill({ fromBlock: 0 })
+
+    // Crashed while writing the chunk after the checkpoint: some records made it, the last line did not
+    const store = createJsonlStore(dir)
+    const written = [500, 510, 520].map(n => ({ transactionHash: ethers.utils.id(`tx-${n}`), logIndex: 0, blockNumber: n }))
+    await store.append(written)
+    fs.appendFileSync(store.eventsPath, '{"transactionHash":"0x53')
+
+    const summary = await backfill({ toBlock: 999 })
+
+    assert.strictEqual(summary.skipped, 3)
+    assert.strictEqual(summary.written, 47)
+
+    const records = await stored()
+    assert.strictEqual(records.length, 100)
+    assert.strictEqual(new Set(records.map(record => record.transactionHash)).size, 100)
+  })
+})
+
+describe('createJsonlStore (lib/jsonl-store.js)', () => {
+  let dir = null
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(process.env.CACHE_DIR, 'store-'))
+  })
+
+  it('drops a last line cut short when it is opened', () => {
+    const file = path.join(dir, 'events.jsonl')
+    fs.writeFileSync(file, '{"a":1}\n{"a":2}\n{"a":')
+
+    createJsonlStore(dir)
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '{"a":1}\n{"a":2}\n')
+  })
+
+  it('empties a file holding a single partial line', () => {
+    const file = path.join(dir, 'events.jsonl')
+    fs.writeFileSync(file, 'x'.repeat(100 * 1024))
+
+    createJsonlStore(dir)
+    assert.strictEqual(fs.statSync(file).size, 0)
+  })
+
+  it('keeps complete files as they are', () => {
+    const file = path.join(dir, 'events.jsonl')
+    const lines = `${'{"a":1}\n'.repeat(20000)}`
+    fs.writeFileSync(file, lines)
+
+    createJsonlStore(dir)
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), lines)
+  })
+})
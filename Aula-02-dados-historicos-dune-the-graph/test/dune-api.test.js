@@ -0,0 +1,179 @@
+const assert = require('assert')
+const http = require('http')
+const { createDuneClient, runDuneQuery, DuneQueryError } = require('../lib/dune-api')
+
+const API_KEY = 'test-key'
+
+/**
+ * Dune's execution endpoints. `scripts[queryId]` lists what the status
+ * endpoint answers on each poll: a state, or an HTTP status to fail with;
+ * the last entry repeats.
+ */
+function startDuneApi(scripts) {
+  const executions = new Map()
+  const requests = []
+  let started = 0
+
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'content-type': 'application/json' })
+        res.end(JSON.stringify(data))
+      }
+      let match
+
+      requests.push(`${req.method} ${req.url}`)
+      if (req.headers['x-dune-api-key'] !== API_KEY) return send(401, { error: 'invalid API Key' })
+
+      if ((match = req.url.match(/^\/api\/v1\/query\/(\d+)\/execute$/)) && req.method === 'POST') {
+        if (!scripts[match[1]]) return send(404, { error: 'Query not found' })
+
+        const id = `01EXECUTION${++started}`
+        executions.set(id, { script: [...scripts[match[1]]], state: 'QUERY_STATE_PENDING', parameters: JSON.parse(body).query_parameters })
+        return send(200, { execution_id: id, state: 'QUERY_STATE_PENDING' })
+      }
+
+      if ((match = req.url.match(/^\/api\/v1\/execution\/(\w+)\/status$/))) {
+        const execution = executions.get(match[1])
+        const next = execution.script.length > 1 ? execution.script.shift() : execution.script[0]
+
+        if (typeof next === 'number') return send(next, { error: `status ${next}` })
+        if (execution.state !== 'QUERY_STATE_CANCELLED') execution.state = next
+
+        const failed = execution.state === 'QUERY_STATE_FAILED'
+          ? { error: { type: 'FAILED_TYPE_EXECUTION_FAILED', message: 'line 1:8: mismatched input' } }
+          : {}
+        return send(200, { execution_id: match[1], state: execution.state, ...failed })
+      }
+
+      if ((match = req.url.match(/^\/api\/v1\/execution\/(\w+)\/results/))) {
+        const execution = executions.get(match[1])
+        return send(200, {
+          execution_id: match[1],
+          state: execution.state,
+          result: { rows: [{ parameters: execution.parameters }], metadata: { column_names: ['parameters'] } }
+        })
+      }
+
+      if ((match = req.url.match(/^\/api\/v1\/execution\/(\w+)\/cancel$/)) && req.method === 'POST') {
+        executions.get(match[1]).state = 'QUERY_STATE_CANCELLED'
+        return send(200, { success: true })
+      }
+
+      send(404, { error: 'no route' })
+    })
+  })
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/api/v1`,
+    requests,
+    executions,
+    close: () => new Promise(done => server.close(done))
+  })))
+}
+
+describe('runDuneQuery (lib/dune-api.js)', () => {
+  const PENDING = 'QUERY_STATE_PENDING'
+  const EXECUTING = 'QUERY_STATE_EXECUTING'
+  const COMPLETED = 'QUERY_STATE_COMPLETED'
+
+  let api = null
+
+  before(async () => {
+    api = await startDuneApi({
+      1: [PENDING, EXECUTING, EXECUTING, COMPLETED],
+      2: [PENDING, 'QUERY_STATE_FAILED'],
+      3: [EXECUTING, 'QUERY_STATE_EXPIRED'],
+      4: [PENDING, 500, 429, EXECUTING, COMPLETED],
+      5: [PENDING, 403],
+      6: [EXECUTING]
+    })
+  })
+
+  after(() => api.close())
+
+  const options = (extra = {}) => ({ baseUrl: api.url, apiKey: API_KEY, pollIntervalMs: 5, maxPollIntervalMs: 20, ...extra })
+  const cancelled = executionId => api.requests.includes(`POST /api/v1/execution/${executionId}/cancel`)
+
+  it('follows the execution through its states to the results', async () => {
+    const run = await runDuneQuery(1, { days: 7 }, options())
+
+    assert.strictEqual(run.ok, true)
+    assert.strictEqual(run.state, COMPLETED)
+    assert.deepStrictEqual(run.rows, [{ parameters: { days: 7 } }])
+    assert.deepStrictEqual(run.metadata.column_names, ['parameters'])
+    assert.strictEqual(api.requests.filter(request => request.endsWith(`${run.executionId}/status`)).length, 4)
+  })
+
+  it('returns the final status without rows when results is false', async () => {
+    const run = await runDuneQuery(1, {}, options({ results: false }))
+
+    assert.strictEqual(run.ok, true)
+    assert.deepStrictEqual(run.rows, [])
+    assert.ok(!api.requests.some(request => request.includes(`${run.executionId}/results`)))
+  })
+
+  it('reports failed and expired executions with their state', async () => {
+    const failed = await runDuneQuery(2, {}, options())
+    assert.strictEqual(failed.ok, false)
+    assert.ok(failed.error instanceof DuneQueryError)
+    assert.strictEqual(failed.error.code, 'FAILED')
+    assert.strictEqual(failed.error.queryId, 2)
+    assert.match(failed.error.message, /ended in QUERY_STATE_FAILED: line 1:8: mismatched input/)
+
+    const expired = await runDuneQuery(3, {}, options())
+    assert.strictEqual(expired.error.code, 'EXPIRED')
+    assert.strictEqual(expired.state, 'QUERY_STATE_EXPIRED')
+  })
+
+  it('keeps polling through server errors and rate limits', async () => {
+    const run = await runDuneQuery(4, {}, options())
+
+    assert.strictEqual(run.ok, true)
+    assert.strictEqual(run.state, COMPLETED)
+  })
+
+  it('stops on other API errors', async () => {
+    const run = await runDuneQuery(5, {}, options())
+
+    assert.strictEqual(run.error.code, 'API')
+    assert.strictEqual(run.error.status, 403)
+    assert.strictEqual(run.state, PENDING)
+  })
+
+  it('times out and cancels the execution', async () => {
+    const run = await runDuneQuery(6, {}, options({ timeoutMs: 60 }))
+
+    assert.strictEqual(run.error.code, 'TIMEOUT')
+    assert.match(run.error.message, /still QUERY_STATE_EXECUTING after 60ms/)
+    assert.ok(cancelled(run.executionId))
+    assert.strictEqual(api.executions.get(run.executionId).state, 'QUERY_STATE_CANCELLED')
+  })
+
+  it('cancels the execution when the signal aborts', async () => {
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 50)
+
+    const started = Date.now()
+    const run = await runDuneQuery(6, {}, options({ signal: controller.signal, pollIntervalMs: 1000, maxPollIntervalMs: 1000 }))
+
+    assert.strictEqual(run.error.code, 'ABORTED')
+    assert.ok(Date.now() - started < 1000)
+    assert.ok(cancelled(run.executionId))
+  })
+
+  it('reports queries that cannot be executed, and missing API keys', async () => {
+    const missing = await runDuneQuery(99, {}, options())
+    assert.strictEqual(missing.error.code, 'API')
+    assert.strictEqual(missing.error.status, 404)
+    assert.strictEqual(missing.executionId, null)
+
+    const unauthorized = await runDuneQuery(1, {}, options({ apiKey: 'wrong' }))
+    assert.strictEqual(unauthorized.error.status, 401)
+    assert.match(unauthorized.error.message, /Dune API 401: invalid API Key/)
+
+    assert.throws(() => createDuneClient({ baseUrl: api.url, apiKey: '' }), /DUNE_API_KEY not configured/)
+  })
+})
@@ -0,0 +1,104 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { createDunePolicy } = require('../lib/dune-policy')
+const { DuneQueryError } = require('../lib/dune-api')
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Dune client stand-in: executions take `delayMs` and cost `credits`,
+ * `latest` is what getLatestResult() answers (null: never executed)
+ */
+function fakeClient({ credits = 6, delayMs = 20, latest = null, fail = false } = {}) {
+  const client = { executions: 0 }
+  let next = 0
+
+  client.executeAndWait = async queryId => {
+    client.executions++
+    const executionId = `01EXECUTION${++next}`
+    await sleep(delayMs)
+
+    if (fail) throw new DuneQueryError({ code: 'FAILED', queryId, executionId, state: 'QUERY_STATE_FAILED', message: 'failed' })
+    return { execution_id: executionId, state: 'QUERY_STATE_COMPLETED', execution_ended_at: new Date().toISOString(), execution_cost_credits: credits }
+  }
+
+  client.getLatestResult = async () => {
+    if (!latest) throw Object.assign(new Error('Dune API 404: not found'), { status: 404 })
+    return latest
+  }
+
+  return client
+}
+
+describe('createDunePolicy (lib/dune-policy.js)', () => {
+  let logFile = null
+
+  beforeEach(() => {
+    logFile = path.join(fs.mkdtempSync(path.join(process.env.CACHE_DIR, 'dune-policy-')), 'dune-usage.json')
+  })
+
+  const policy = (options = {}) => createDunePolicy({ logFile, client: fakeClient(), creditsPerExecution: 6, ...options })
+
+  it('refuses a daily budget that is not a number of credits', () => {
+    for (const dailyBudget of ['ten', '10 credits', -1]) {
+      assert.throws(() => policy({ dailyBudget }), /Invalid daily budget/)
+    }
+
+    assert.strictEqual(policy({ dailyBudget: '25' }).budget().dailyBudget, 25)
+    assert.strictEqual(policy({ dailyBudget: '' }).budget().remaining, null)
+  })
+
+  it('logs executions and their credits against the budget', async () => {
+    const dune = policy({ dailyBudget: 20 })
+
+    const run = await dune.run(1234)
+    assert.strictEqual(run.reused, false)
+    assert.strictEqual(run.credits, 6)
+    assert.deepStrictEqual(dune.budget(), { dailyBudget: 20, spent: 6, reserved: 0, remaining: 14 })
+    assert.deepStrictEqual(dune.usage().map(({ queryId, executions, credits }) => ({ queryId, executions, credits })), [
+      { queryId: 1234, executions: 1, credits: 6 }
+    ])
+  })
+
+  it('lets concurrent runs spend no more than the budget', async () => {
+    const client = fakeClient()
+    const dune = policy({ dailyBudget: 10, client })
+
+    const runs = await Promise.allSettled([dune.run(1), dune.run(2), dune.run(3)])
+    const refused = runs.filter(run => run.status === 'rejected')
+
+    assert.strictEqual(client.executions, 1)
+    assert.strictEqual(refused.length, 2)
+    for (const { reason } of refused) {
+      assert.strictEqual(reason.code, 'BUDGET')
+      assert.match(reason.message, /~6 in flight/)
+    }
+    assert.deepStrictEqual(dune.budget(), { dailyBudget: 10, spent: 6, reserved: 0, remaining: 4 })
+  })
+
+  it('releases the reservation of a failed execution and logs its estimate', async () => {
+    const dune = policy({ dailyBudget: 10, client: fakeClient({ fail: true }) })
+
+    await assert.rejects(dune.run(1), error => error.code === 'FAILED')
+    assert.deepStrictEqual(dune.budget(), { dailyBudget: 10, spent: 6, reserved: 0, remaining: 4 })
+  })
+
+  it('reuses latest results younger than the max age instead of executing', async () => {
+    const endedAt = new Date(Date.now() - 60 * 1000).toISOString()
+    const client = fakeClient({ latest: { execution_id: '01LATEST', state: 'QUERY_STATE_COMPLETED', execution_ended_at: endedAt } })
+    const dune = policy({ client })
+
+    const fresh = await dune.run(1, {}, { maxAge: '1h' })
+    assert.strictEqual(fresh.reused, true)
+    assert.strictEqual(fresh.executionId, '01LATEST')
+    assert.strictEqual(client.executions, 0)
+
+    const stale = await dune.run(1, {}, { maxAge: '30s' })
+    assert.strictEqual(stale.reused, false)
+
+    // Latest results may come from other parameter values
+    await dune.run(1, { days: 7 }, { maxAge: '1h' })
+    assert.strictEqual(client.executions, 2)
+  })
+})
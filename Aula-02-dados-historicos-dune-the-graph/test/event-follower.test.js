@@ -0,0 +1,153 @@
+const assert = require('assert')
+const path = require('path')
+const { ethers } = require('ethers')
+const { createEventFollower } = require('../lib/event-follower')
+
+process.env.HARDHAT_CONFIG = process.env.HARDHAT_CONFIG || path.join(__dirname, '..', 'hardhat.config.js')
+const hre = require('hardhat')
+
+const TOPIC = ethers.utils.id('Ping()')
+
+// Contract whose every call emits LOG1(TOPIC): PUSH32 TOPIC, PUSH1 0, PUSH1 0, LOG1, STOP
+const RUNTIME = `0x7f${TOPIC.slice(2)}60006000a100`
+// Copies the runtime code to memory and returns it
+const INIT = `0x602780600b6000396000f3${RUNTIME.slice(2)}`
+
+describe('createEventFollower (lib/event-follower.js)', () => {
+  const request = (method, params = []) => hre.network.provider.request({ method, params })
+  const provider = new ethers.providers.Web3Provider(hre.network.provider)
+
+  let signer = null
+  let address = null
+
+  before(async () => {
+    // A plain local chain, whatever another test forked before
+    await request('hardhat_reset', [])
+    signer = provider.getSigner(0)
+
+    const receipt = await (await signer.sendTransaction({ data: INIT })).wait()
+    address = receipt.contractAddress
+  })
+
+  async function ping() {
+    const receipt = await (await signer.sendTransaction({ to: address })).wait()
+    return receipt.blockNumber
+  }
+
+  const mine = blocks => request('hardhat_mine', [`0x${blocks.toString(16)}`])
+
+  function follow(options = {}) {
+    const follower = createEventFollower({
+      provider,
+      filter: { address, topics: [TOPIC] },
+      confirmations: 3,
+      fromBlock: 0,
+      ...options
+    })
+    const events = []
+
+    for (const name of ['add', 'remove', 'final', 'reorg']) {
+      follower.on(name, payload => events.push({ name, payload }))
+    }
+
+    return { follower, events, named: name => events.filter(event => event.name === name).map(event => event.payload) }
+  }
+
+  it('adds logs, then finalizes them at the confirmation depth', async () => {
+    const blockNumber = await ping()
+    const { follower, named } = follow({ fromBlock: blockNumber })
+
+    await follower.sync()
+    assert.strictEqual(named('add').length, 1)
+    assert.strictEqual(named('final').length, 0)
+
+    await mine(3)
+    await follower.sync()
+    assert.strictEqual(named('final').length, 1)
+    assert.strictEqual(named('final')[0].transactionHash, named('add')[0].transactionHash)
+  })
+
+  it('removes the logs of blocks a reorg dropped (evm_snapshot/evm_revert)', async () => {
+    const snapshot = await request('evm_snapshot')
+    const blockNumber = await ping()
+    const { follower, named } = follow({ fromBlock: blockNumber })
+
+    await follower.sync()
+    assert.strictEqual(named('add').length, 1)
+
+    // Another chain from the same parent, longer than the one seen
+    await request('evm_revert', [snapshot])
+    await mine(2)
+    await follower.sync()
+
+    assert.deepStrictEqual(named('reorg').map(reorg => reorg.fromBlock), [blockNumber])
+    assert.strictEqual(named('remove').length, 1)
+    assert.strictEqual(named('remove')[0].removed, true)
+    assert.strictEqual(named('remove')[0].transactionHash, named('add')[0].transactionHash)
+  })
+
+  it('picks up logs of the new chain after a reorg', async () => {
+    const snapshot = await request('evm_snapshot')
+    const first = await ping()
+    const { follower, named } = follow({ fromBlock: first })
+    await follower.sync()
+
+    await request('evm_revert', [snapshot])
+    await mine(1)
+    const second = await ping()
+    await follower.sync()
+
+    assert.strictEqual(named('remove').length, 1)
+    assert.deepStrictEqual(named('add').map(log => log.blockNumber), [first, second])
+    assert.notStrictEqual(named('add')[1].blockHash, named('add')[0].blockHash)
+  })
+
+  it('waits for blocks the node does not know yet instead of reporting a reorg', async () => {
+    const blockNumber = await ping()
+    await mine(1)
+
+    // A node lagging behind its load balancer peers: the newest block is unknown for one call
+    let lagging = true
+    const laggingProvider = Object.create(provider, {
+      getBlock: {
+        value: async tag => {
+          const head = await provider.getBlockNumber()
+          if (lagging && tag === head) {
+            lagging = false
+            return null
+          }
+          return provider.getBlock(tag)
+        }
+      }
+    })
+
+    const { follower, named } = follow({ provider: laggingProvider, fromBlock: blockNumber })
+    await follower.sync()
+    assert.strictEqual(named('add').length, 1)
+
+    await follower.sync()
+    lagging = true
+    await follower.sync()
+    await follower.sync()
+
+    assert.strictEqual(named('reorg').length, 0)
+    assert.strictEqual(named('remove').length, 0)
+    assert.strictEqual(named('add').length, 1)
+  })
+
+  it("reports sync errors as 'error' events, or as warnings without a listener", async () => {
+    const failing = Object.create(provider, {
+      getBlockNumber: { value: () => Promise.reject(new Error('connection refused')) }
+    })
+
+    const { follower } = follow({ provider: failing })
+    const warning = new Promise(resolve => process.once('warning', resolve))
+    await follower.sync()
+    assert.match((await warning).message, /connection refused/)
+
+    const errors = []
+    follower.on('error', error => errors.push(error))
+    await follower.sync()
+    assert.deepStrictEqual(errors.map(error => error.message), ['connection refused'])
+  })
+})
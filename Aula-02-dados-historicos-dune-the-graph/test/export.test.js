@@ -0,0 +1,86 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { Writable } = require('stream')
+const { ethers } = require('ethers')
+const { createExporter, exportRows, exportFormat, duneSchema, LOG_SCHEMA } = require('../lib/export')
+
+describe('exportRows (lib/export.js)', () => {
+  let dir = null
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(process.env.CACHE_DIR, 'export-'))
+  })
+
+  const rows = function* (count) {
+    for (let i = 0; i < count; i++) yield { n: i, amount: ethers.BigNumber.from(10).pow(30).add(i), note: i === 1 ? 'a, "b"\nc' : 'x' }
+  }
+
+  it('writes CSV with exact big integers and quoted cells', async () => {
+    const file = path.join(dir, 'rows.csv')
+    const result = await exportRows(file, rows(2))
+
+    assert.strictEqual(result.rows, 2)
+    assert.deepStrictEqual(result.schema.map(column => column.type), ['number', 'bigint', 'string'])
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), [
+      'n,amount,note',
+      '0,1000000000000000000000000000000,x',
+      '1,1000000000000000000000000000001,"a, ""b""',
+      'c"',
+      ''
+    ].join('\n'))
+  })
+
+  it('rejects a row with a column the schema does not have', async () => {
+    await assert.rejects(
+      exportRows(path.join(dir, 'rows.ndjson'), [{ a: 1 }, { a: 2, b: 3 }]),
+      /Column "b" is not in the export schema \(a\)/
+    )
+  })
+
+  it('rejects when the file cannot be written, however few rows there are', async () => {
+    fs.mkdirSync(path.join(dir, 'taken.csv'))
+
+    await assert.rejects(exportRows(path.join(dir, 'taken.csv'), rows(1)), { code: 'EISDIR' })
+    await assert.rejects(exportRows(path.join(dir, 'taken.csv'), rows(20000)), { code: 'EISDIR' })
+  })
+
+  it('rejects instead of waiting for a drain that never comes', async () => {
+    const broken = new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        setImmediate(() => callback(new Error('disk full')))
+      }
+    })
+    broken.on('error', () => {})
+
+    await assert.rejects(exportRows(null, rows(100), { format: 'ndjson', stream: broken }), /disk full/)
+  })
+
+  it('still writes the CSV header of an empty export with a schema', async () => {
+    const file = path.join(dir, 'logs.csv')
+    await createExporter(file, { schema: LOG_SCHEMA }).close()
+
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'blockNumber,blockHash,transactionHash,logIndex,address,event,args\n')
+  })
+})
+
+describe('exportFormat (lib/export.js)', () => {
+  it('takes the format from the extension unless one is given', () => {
+    assert.strictEqual(exportFormat('out/logs.jsonl'), 'ndjson')
+    assert.strictEqual(exportFormat('out/logs.txt', 'csv'), 'csv')
+    assert.throws(() => exportFormat('out/logs.txt'), /Cannot export "out\/logs.txt"/)
+    assert.throws(() => exportFormat(null, 'xml'), /Cannot export/)
+  })
+})
+
+describe('duneSchema (lib/export.js)', () => {
+  it('keeps 64-bit and wider integers exact', () => {
+    const schema = duneSchema({
+      column_names: ['block_number', 'volume', 'amount_raw', 'price', 'day', 'ok', 'tags'],
+      column_types: ['bigint', 'uint256', 'decimal(38,0)', 'double', 'timestamp(3) with time zone', 'boolean', 'array(varchar)']
+    })
+
+    assert.deepStrictEqual(schema.map(column => column.type), ['bigint', 'bigint', 'bigint', 'number', 'string', 'boolean', 'json'])
+  })
+})
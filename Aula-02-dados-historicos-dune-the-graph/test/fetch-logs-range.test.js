@@ -0,0 +1,130 @@
+const assert = require('assert')
+const { ethers } = require('ethers')
+const { fetchLogsRange, iterateLogsRange } = require('../lib/fetch-logs-range')
+const { startJsonRpcServer, rpcError, hex } = require('./helpers/json-rpc-server')
+
+const TOKEN = '0x00000000000000000000000000000000000000aa'
+const TRANSFER = ethers.utils.id('Transfer(address,address,uint256)')
+const HEAD = 999
+
+// Two logs every 10 blocks, as a node returns them
+function logAt(blockNumber, logIndex) {
+  return {
+    address: TOKEN,
+    topics: [TRANSFER],
+    data: '0x',
+    blockNumber: hex(blockNumber),
+    blockHash: ethers.utils.id(`block-${blockNumber}`),
+    transactionHash: ethers.utils.id(`tx-${blockNumber}-${logIndex}`),
+    transactionIndex: '0x0',
+    logIndex: hex(logIndex),
+    removed: false
+  }
+}
+
+const CHAIN_LOGS = []
+for (let n = 0; n <= HEAD; n += 10) CHAIN_LOGS.push(logAt(n, 1), logAt(n, 0))
+
+/**
+ * A node refusing eth_getLogs over more than `maxRange` blocks, with `rangeError`'s message
+ */
+function logsNode({ maxRange = 100, rangeError = () => 'block range too large', failures = {} } = {}) {
+  return {
+    eth_chainId: () => '0x1',
+    eth_blockNumber: () => hex(HEAD),
+    eth_getLogs: ([filter]) => {
+      const from = parseInt(filter.fromBlock, 16)
+      const to = parseInt(filter.toBlock, 16)
+
+      const key = `${from}-${to}`
+      if (failures[key] && failures[key].length) throw failures[key].shift()
+      if (to - from + 1 > maxRange) throw rpcError(-32005, rangeError(from, to))
+
+      return CHAIN_LOGS.filter(log => parseInt(log.blockNumber, 16) >= from && parseInt(log.blockNumber, 16) <= to)
+    }
+  }
+}
+
+const ranges = calls => calls
+  .filter(call => call.method === 'eth_getLogs')
+  .map(call => [parseInt(call.params[0].fromBlock, 16), parseInt(call.params[0].toBlock, 16)])
+
+describe('fetchLogsRange (lib/fetch-logs-range.js)', () => {
+  let node = null
+
+  const start = async handlers => {
+    node = await startJsonRpcServer(handlers)
+    return new ethers.providers.StaticJsonRpcProvider(node.url, { chainId: 1, name: 'test' })
+  }
+
+  afterEach(async () => {
+    if (node) await node.close()
+    node = null
+  })
+
+  it('bisects ranges the node refuses and returns every log in order', async () => {
+    const provider = await start(logsNode({ maxRange: 100 }))
+
+    const logs = await fetchLogsRange(provider, { address: TOKEN, topics: [TRANSFER], fromBlock: 0, toBlock: 'latest' })
+
+    assert.strictEqual(logs.length, CHAIN_LOGS.length)
+    for (let i = 1; i < logs.length; i++) {
+      const [a, b] = [logs[i - 1], logs[i]]
+      assert.ok(a.blockNumber < b.blockNumber || (a.blockNumber === b.blockNumber && a.logIndex < b.logIndex))
+    }
+
+    // Refused ranges were split, the accepted ones cover 0..HEAD exactly once
+    const accepted = ranges(node.calls).filter(([from, to]) => to - from + 1 <= 100)
+    assert.ok(ranges(node.calls).some(([from, to]) => to - from + 1 > 100), 'the first chunk was refused')
+    assert.strictEqual(accepted[0][0], 0)
+    assert.strictEqual(accepted[accepted.length - 1][1], HEAD)
+    for (let i = 1; i < accepted.length; i++) assert.strictEqual(accepted[i][0], accepted[i - 1][1] + 1)
+  })
+
+  it('uses the range a provider suggests in its error', async () => {
+    const provider = await start(logsNode({
+      maxRange: 50,
+      rangeError: from => `Log response size exceeded. this block range should work: [${hex(from)}, ${hex(from + 49)}]`
+    }))
+
+    const chunks = []
+    for await (const chunk of iterateLogsRange(provider, { address: TOKEN, fromBlock: 0, toBlock: 199 }, { initialChunkSize: 2000, growthFactor: 1 })) {
+      chunks.push([chunk.fromBlock, chunk.toBlock])
+    }
+
+    assert.deepStrictEqual(chunks, [[0, 49], [50, 99], [100, 149], [150, 199]])
+    // One refused call, then straight to the suggested size
+    assert.deepStrictEqual(ranges(node.calls)[0], [0, 199])
+    assert.deepStrictEqual(ranges(node.calls)[1], [0, 49])
+  })
+
+  it('retries throttled and timed out calls', async () => {
+    const provider = await start(logsNode({
+      failures: { '0-99': [rpcError(-32005, 'rate limit exceeded'), rpcError(-32000, 'request timed out')] }
+    }))
+
+    const logs = await fetchLogsRange(provider, { address: TOKEN, fromBlock: 0, toBlock: 99 }, { initialChunkSize: 100, retryDelayMs: 1 })
+
+    assert.strictEqual(logs.length, 20)
+    assert.strictEqual(ranges(node.calls).length, 3)
+  })
+
+  it('fails on errors that splitting cannot fix', async () => {
+    const provider = await start(logsNode({ failures: { '0-99': [rpcError(-32602, 'invalid topic')] } }))
+
+    await assert.rejects(
+      fetchLogsRange(provider, { address: TOKEN, fromBlock: 0, toBlock: 99 }, { initialChunkSize: 100 }),
+      /invalid topic/
+    )
+    assert.strictEqual(ranges(node.calls).length, 1)
+  })
+
+  it('gives up when even a single block is refused', async () => {
+    const provider = await start(logsNode({ maxRange: 0 }))
+
+    await assert.rejects(
+      fetchLogsRange(provider, { address: TOKEN, fromBlock: 0, toBlock: 7 }, { initialChunkSize: 8 }),
+      /block range too large/
+    )
+  })
+})
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/// Minimal ERC20 whose balances mapping is not at slot 0
+contract TestToken {
+    string public name = "Test Token";
+    string public symbol = "TEST";
+    uint8 public decimals = 6;
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+
+    constructor(uint256 supply) {
+        totalSupply = supply;
+        balanceOf[msg.sender] = supply;
+        emit Transfer(address(0), msg.sender, supply);
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        balanceOf[msg.sender] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(msg.sender, to, amount);
+        return true;
+    }
+}
+
+/// Balances laid out like Vyper's: keccak256(slot . key)
+contract VyperLayoutToken {
+    uint256 private constant BALANCES_SLOT = 2;
+
+    function balanceOf(address account) external view returns (uint256 amount) {
+        bytes32 key = keccak256(abi.encode(BALANCES_SLOT, account));
+        assembly {
+            amount := sload(key)
+        }
+    }
+}
+
+/// Balances derived from shares, like rebasing tokens: no slot holds balanceOf()
+contract SharesToken {
+    mapping(address => uint256) private shares;
+
+    function balanceOf(address account) external view returns (uint256) {
+        return (shares[account] * 11) / 10;
+    }
+}
@@ -0,0 +1,194 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { ethers } = require('ethers')
+const { createFork, mappingSlot } = require('../lib/hardhat-fork')
+const { createTokenMetadataService } = require('../lib/token-metadata')
+const { whaleTransfer, uniswapSwap, seedBalance, timeTravel, DEFAULT_BLOCK } = require('../02-transaction-simulation/hardhat-fork')
+const { compileFixture } = require('./helpers/solidity')
+
+// Forking an old block needs an archive endpoint; without one those tests are skipped
+const FORK_URL = process.env.FORK_RPC_URL || process.env.ARCHIVE_RPC_URL
+
+const SUPPLY = ethers.utils.parseUnits('1000', 6)
+
+describe('hardhat fork harness (lib/hardhat-fork.js) on a local chain', function () {
+  // Compiling the test tokens takes a few seconds on a slow machine
+  this.timeout(60 * 1000)
+
+  let fork = null
+  let token = null
+  let vyperToken = null
+  let sharesToken = null
+  let snapshotId = null
+
+  async function deploy({ abi, bytecode }, ...args) {
+    const contract = await new ethers.ContractFactory(abi, bytecode, fork.provider.getSigner(0)).deploy(...args)
+    return contract.deployed()
+  }
+
+  before(async () => {
+    const contracts = compileFixture('TestTokens.sol')
+
+    fork = await createFork({ local: true, maxBalanceSlot: 10 })
+    token = await deploy(contracts.TestToken, SUPPLY)
+    vyperToken = await deploy(contracts.VyperLayoutToken)
+    sharesToken = await deploy(contracts.SharesToken)
+  })
+
+  // Every test starts from the deployed tokens
+  beforeEach(async () => {
+    snapshotId = await fork.snapshot()
+  })
+
+  afterEach(() => fork.revert(snapshotId))
+
+  it('sets ETH balances and sends transactions as any address', async () => {
+    const account = ethers.Wallet.createRandom().address
+    const signer = await fork.impersonate(account, { balance: ethers.utils.parseEther('5') })
+
+    assert.ok((await fork.provider.getBalance(account)).eq(ethers.utils.parseEther('5')))
+    await (await signer.sendTransaction({ to: ethers.constants.AddressZero, value: ethers.utils.parseEther('1') })).wait()
+    assert.ok((await fork.provider.getBalance(account)).lt(ethers.utils.parseEther('4')))
+
+    await fork.stopImpersonating(account)
+    await assert.rejects(signer.sendTransaction({ to: ethers.constants.AddressZero }))
+
+    await fork.setBalance(account, 123)
+    assert.strictEqual((await fork.provider.getBalance(account)).toString(), '123')
+  })
+
+  it('finds a balances mapping declared after other state variables', async () => {
+    // name, symbol, decimals and totalSupply come first
+    assert.deepStrictEqual(await fork.findBalanceSlot(token.address), { slot: 4, layout: 'solidity' })
+
+    const [deployer] = await fork.provider.listAccounts()
+    const stored = await fork.request('eth_getStorageAt', [token.address, mappingSlot(deployer, 4), 'latest'])
+    assert.ok(ethers.BigNumber.from(stored).eq(SUPPLY))
+  })
+
+  it('finds balances laid out the Vyper way', async () => {
+    assert.deepStrictEqual(await fork.findBalanceSlot(vyperToken.address), { slot: 2, layout: 'vyper' })
+  })
+
+  it('leaves balances as they were while probing', async () => {
+    const [deployer] = await fork.provider.listAccounts()
+    await fork.findBalanceSlot(token.address)
+
+    assert.ok((await token.balanceOf(deployer)).eq(SUPPLY))
+    assert.ok((await token.balanceOf('0x000000000000000000000000000000000000fa11')).isZero())
+  })
+
+  it('fails on tokens without a balances mapping', async () => {
+    await assert.rejects(fork.findBalanceSlot(sharesToken.address), /No balances mapping found in slots 0-10 of .* \(rebasing or non-standard token\?\)/)
+  })
+
+  it('keeps the slots of a local chain out of the disk cache', async () => {
+    await fork.findBalanceSlot(token.address)
+    assert.strictEqual(fs.existsSync(path.join(process.env.CACHE_DIR, 'erc20-balance-slots.json')), false)
+  })
+
+  it('seeds a spendable token balance without touching the supply', async () => {
+    const account = ethers.Wallet.createRandom().address
+    const amount = ethers.utils.parseUnits('250', 6)
+
+    await fork.setTokenBalance(token.address, account, amount)
+    assert.ok((await token.balanceOf(account)).eq(amount))
+    assert.ok((await token.totalSupply()).eq(SUPPLY))
+
+    const signer = await fork.impersonate(account, { balance: ethers.utils.parseEther('1') })
+    await (await token.connect(signer).transfer(ethers.constants.AddressZero, amount)).wait()
+    assert.ok((await token.balanceOf(account)).isZero())
+
+    await fork.setTokenBalance(vyperToken.address, account, amount)
+    assert.ok((await vyperToken.balanceOf(account)).eq(amount))
+  })
+
+  it('moves time forward and mines blocks', async () => {
+    const start = await fork.provider.getBlock('latest')
+
+    await fork.increaseTime(3600)
+    const later = await fork.provider.getBlock('latest')
+    assert.strictEqual(later.number, start.number + 1)
+    assert.ok(later.timestamp >= start.timestamp + 3600)
+
+    await fork.setNextBlockTimestamp(later.timestamp + 100000)
+    await fork.mine()
+    const exact = await fork.provider.getBlock('latest')
+    assert.strictEqual(exact.timestamp, later.timestamp + 100000)
+
+    await fork.mine(100, 12)
+    const mined = await fork.provider.getBlock('latest')
+    assert.strictEqual(mined.number, exact.number + 100)
+    assert.ok(mined.timestamp >= exact.timestamp + 99 * 12)
+  })
+
+  it('reverts to a snapshot once', async () => {
+    const start = await fork.provider.getBlockNumber()
+    const account = ethers.Wallet.createRandom().address
+    const id = await fork.snapshot()
+
+    await fork.setBalance(account, 1000)
+    await fork.mine(10)
+    await fork.revert(id)
+
+    assert.strictEqual(await fork.provider.getBlockNumber(), start)
+    assert.ok((await fork.provider.getBalance(account)).isZero())
+    await assert.rejects(fork.revert(id), /does not exist \(already reverted\?\)/)
+  })
+
+  it('undoes what withSnapshot() ran, even when it throws', async () => {
+    const account = ethers.Wallet.createRandom().address
+
+    await assert.rejects(fork.withSnapshot(async () => {
+      await fork.setTokenBalance(token.address, account, 1)
+      throw new Error('scenario failed')
+    }), /scenario failed/)
+
+    assert.ok((await token.balanceOf(account)).isZero())
+  })
+
+  describe('scenarios (02-transaction-simulation/hardhat-fork.js)', () => {
+    it('seeds a balance and spends half of it', async () => {
+      const lines = []
+      await seedBalance(fork, { tokens: createTokenMetadataService(fork.provider), log: line => lines.push(line), token: token.address })
+
+      assert.ok(lines.includes('TEST balances mapping: slot 4 (solidity layout)'))
+      assert.ok(lines.some(line => line.startsWith('Sent half, left: 500000')))
+    })
+
+    it('travels in time and reverts', async () => {
+      const lines = []
+      await timeTravel(fork, { log: line => lines.push(line) })
+
+      assert.strictEqual(lines.length, 4)
+    })
+  })
+})
+
+describe('hardhat fork scenarios (02-transaction-simulation/hardhat-fork.js) on a mainnet fork', function () {
+  // The first run downloads the forked state, later runs read Hardhat's cache/
+  this.timeout(10 * 60 * 1000)
+
+  const quiet = () => {}
+  let fork = null
+  let tokens = null
+
+  before(async function () {
+    if (!FORK_URL) return this.skip()
+
+    fork = await createFork({ url: FORK_URL, blockNumber: Number(process.env.FORK_BLOCK || DEFAULT_BLOCK) })
+    tokens = createTokenMetadataService(fork.provider)
+  })
+
+  after(async () => {
+    if (fork) await fork.stop()
+  })
+
+  // Each scenario asserts its own outcome and runs inside a snapshot
+  it('transfers USDC from an impersonated whale', () => whaleTransfer(fork, { tokens, log: quiet }))
+
+  it('swaps USDC for ETH on Uniswap V2 at the quoted amount', () => uniswapSwap(fork, { tokens, log: quiet }))
+
+  it('seeds a USDC balance', () => seedBalance(fork, { tokens, log: quiet }))
+})
@@ -0,0 +1,74 @@
+/**
+ * Minimal JSON-RPC server for tests
+ *
+ * `handlers[method](params)` answers a call. A handler that throws
+ * rpcError() answers with that JSON-RPC error; httpError() answers with a
+ * plain HTTP status instead. Batches are answered element by element, or
+ * refused with `options.refuseBatches` as HTTP status. Every call is
+ * recorded in `calls` as `{ method, params }`.
+ */
+
+const http = require('http')
+
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { rpcCode: code })
+}
+
+function httpError(status, body = '') {
+  return Object.assign(new Error(body), { httpStatus: status })
+}
+
+const hex = n => `0x${n.toString(16)}`
+
+/**
+ * @param {Object} handlers - `{ method: params => result }`, may be async
+ * @param {Object} [options] - `{ refuseBatches }`
+ * @returns {Promise<Object>} `{ url, calls, close() }`
+ */
+function startJsonRpcServer(handlers, options = {}) {
+  const calls = []
+
+  async function answer(request) {
+    calls.push({ method: request.method, params: request.params })
+    const handler = handlers[request.method]
+
+    try {
+      if (!handler) throw rpcError(-32601, `the method ${request.method} does not exist`)
+      return { jsonrpc: '2.0', id: request.id, result: await handler(request.params || []) }
+    } catch (error) {
+      if (error.httpStatus) throw error
+      return { jsonrpc: '2.0', id: request.id, error: { code: error.rpcCode || -32000, message: error.message } }
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', async () => {
+      try {
+        const payload = JSON.parse(body)
+        if (Array.isArray(payload) && options.refuseBatches) throw httpError(options.refuseBatches, 'batch requests are not supported')
+
+        const response = Array.isArray(payload) ? await Promise.all(payload.map(answer)) : await answer(payload)
+        res.writeHead(200, { 'content-type': 'application/json' })
+        res.end(JSON.stringify(response))
+      } catch (error) {
+        res.writeHead(error.httpStatus || 500)
+        res.end(error.message)
+      }
+    })
+  })
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise(done => server.close(done))
+  })))
+}
+
+module.exports = {
+  startJsonRpcServer,
+  rpcError,
+  httpError,
+  hex
+}
@@ -0,0 +1,33 @@
+/**
+ * Compile test contracts with solc-js (no compiler download)
+ */
+
+const fs = require('fs')
+const path = require('path')
+const solc = require('solc')
+
+/**
+ * @param {string} file - Solidity file in test/fixtures
+ * @returns {Object} `{ ContractName: { abi, bytecode } }`
+ */
+function compileFixture(file) {
+  const input = {
+    language: 'Solidity',
+    sources: { [file]: { content: fs.readFileSync(path.join(__dirname, '..', 'fixtures', file), 'utf8') } },
+    settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+  }
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)))
+  const errors = (output.errors || []).filter(error => error.severity === 'error')
+  if (errors.length) throw new Error(errors.map(error => error.formattedMessage).join('\n'))
+
+  const contracts = {}
+  for (const [name, contract] of Object.entries(output.contracts[file])) {
+    contracts[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` }
+  }
+  return contracts
+}
+
+module.exports = {
+  compileFixture
+}
@@ -0,0 +1,56 @@
+const assert = require('assert')
+const { ethers } = require('ethers')
+const { multicall } = require('../lib/multicall')
+const { startJsonRpcServer, rpcError } = require('./helpers/json-rpc-server')
+
+const TOKEN = '0x00000000000000000000000000000000000000aa'
+const ERC20_ABI = ['function balanceOf(address) view returns (uint256)']
+const erc20 = new ethers.utils.Interface(ERC20_ABI)
+
+// balanceOf(account) is the account's last byte; account 0xff reverts
+function ethCall([call]) {
+  const [account] = erc20.decodeFunctionData('balanceOf', call.data)
+  const last = parseInt(account.slice(-2), 16)
+
+  if (last === 0xff) throw rpcError(3, 'execution reverted')
+  return erc20.encodeFunctionResult('balanceOf', [last])
+}
+
+describe('multicall (lib/multicall.js) without Multicall3', () => {
+  let node = null
+
+  afterEach(async () => {
+    if (node) await node.close()
+    node = null
+  })
+
+  async function run(options = {}) {
+    node = await startJsonRpcServer({ eth_chainId: () => '0x1', eth_call: ethCall }, options)
+    const provider = new ethers.providers.StaticJsonRpcProvider(node.url, { chainId: 1, name: 'test' })
+
+    const accounts = ['0x01', '0x02', '0xff'].map(last => ethers.utils.hexZeroPad(last, 20))
+    return multicall(provider, accounts.map(account => ({ target: TOKEN, abi: ERC20_ABI, method: 'balanceOf', args: [account] })), {
+      useMulticall: false,
+      blockTag: 100
+    })
+  }
+
+  const values = results => results.map(result => (result.success ? result.value.toNumber() : result.error))
+
+  it('sends the calls as one JSON-RPC batch', async () => {
+    const results = await run()
+
+    assert.deepStrictEqual(values(results), [1, 2, 'execution reverted'])
+    assert.ok(node.calls.every(call => call.params[1] === '0x64'))
+  })
+
+  it('falls back to single calls when the endpoint refuses batches with an HTTP error', async () => {
+    for (const status of [400, 413, 500]) {
+      const results = await run({ refuseBatches: status })
+
+      assert.deepStrictEqual(values(results), [1, 2, 'execution reverted'])
+      await node.close()
+      node = null
+    }
+  })
+})
@@ -0,0 +1,176 @@
+const assert = require('assert')
+const { createProviderPool, MissingArchiveStateError } = require('../lib/provider-pool')
+const { fetchLogsRange } = require('../lib/fetch-logs-range')
+const { startJsonRpcServer, rpcError, httpError, hex } = require('./helpers/json-rpc-server')
+
+const HEAD = 1000
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Node that answers eth_blockNumber, eth_getBalance and eth_getLogs (over at
+ * most 100 blocks), or fails every request the way `node.failure` says:
+ * 'http' (HTTP 500) or 'throttle'
+ */
+async function startNode(balance) {
+  const node = { failure: null }
+  const check = () => {
+    if (node.failure === 'http') throw httpError(500, 'internal error')
+    if (node.failure === 'throttle') throw rpcError(-32005, 'rate limit exceeded')
+  }
+
+  Object.assign(node, await startJsonRpcServer({
+    eth_blockNumber: () => (check(), hex(HEAD)),
+    eth_getBalance: () => (check(), balance),
+    eth_call: () => {
+      check()
+      throw rpcError(3, 'execution reverted')
+    },
+    eth_getLogs: ([filter]) => {
+      check()
+      if (parseInt(filter.toBlock, 16) - parseInt(filter.fromBlock, 16) + 1 > 100) {
+        throw rpcError(-32005, 'query returned more than 10000 results')
+      }
+      return []
+    }
+  }))
+
+  return node
+}
+
+describe('createProviderPool (lib/provider-pool.js)', () => {
+  const network = { chainId: 1, name: 'test' }
+  let primary = null
+  let backup = null
+
+  beforeEach(async () => {
+    primary = await startNode('0x1')
+    backup = await startNode('0x2')
+  })
+
+  afterEach(async () => {
+    await primary.close()
+    await backup.close()
+  })
+
+  function createPool(options = {}, configs = [{}, {}]) {
+    const pool = createProviderPool([
+      { name: 'primary', url: primary.url, rps: 1000, ...configs[0] },
+      { name: 'backup', url: backup.url, rps: 1000, ...configs[1] }
+    ], { network, maxFailures: 2, ejectMs: 100, ...options })
+
+    const events = []
+    pool.on('eject', event => events.push({ name: 'eject', ...event }))
+    pool.on('readmit', event => events.push({ name: 'readmit', ...event }))
+
+    return { pool, events }
+  }
+
+  it('sends to the first endpoint while it answers', async () => {
+    const { pool } = createPool()
+
+    assert.strictEqual(await pool.send('eth_getBalance', ['0x00', 'latest']), '0x1')
+    assert.strictEqual(backup.calls.length, 0)
+  })
+
+  it('fails over on HTTP errors, ejects after maxFailures and re-admits after the cooldown', async () => {
+    const { pool, events } = createPool()
+    primary.failure = 'http'
+
+    assert.strictEqual(await pool.send('eth_getBalance', ['0x00', 'latest']), '0x2')
+    assert.strictEqual(await pool.send('eth_getBalance', ['0x00', 'latest']), '0x2')
+    assert.deepStrictEqual(events.map(event => [event.name, event.endpoint]), [['eject', 'primary']])
+
+    // Ejected: not even tried
+    const tried = primary.calls.length
+    assert.strictEqual(await pool.send('eth_getBalance', ['0x00', 'latest']), '0x2')
+    assert.strictEqual(primary.calls.length, tried)
+    assert.strictEqual(pool.stats()[0].available, false)
+
+    primary.failure = null
+    await sleep(120)
+    assert.strictEqual(await pool.send('eth_getBalance', ['0x00', 'latest']), '0x1')
+    assert.deepStrictEqual(events.map(event => event.name), ['eject', 'readmit'])
+  })
+
+  it('ejects a re-admitted endpoint on its first failure, for twice as long', async () => {
+    const { pool, events } = createPool()
+    primary.failure = 'http'
+
+    await pool.send('eth_getBalance', ['0x00', 'latest'])
+    await pool.send('eth_getBalance', ['0x00', 'latest'])
+    await sleep(120)
+
+    const before = Date.now()
+    await pool.send('eth_getBalance', ['0x00', 'latest'])
+
+    const ejections = events.filter(event => event.name === 'eject')
+    assert.strictEqual(ejections.length, 2)
+    assert.ok(ejections[1].until - before >= 200)
+  })
+
+  it('fails over on rate-limit answers', async () => {
+    const { pool } = createPool()
+    primary.failure = 'throttle'
+
+    assert.strictEqual(await pool.send('eth_getBalance', ['0x00', 'latest']), '0x2')
+    assert.strictEqual(pool.stats()[0].failures, 1)
+  })
+
+  it('passes range-limit answers to the caller, even with the rate-limit code', async () => {
+    const { pool, events } = createPool()
+
+    await assert.rejects(pool.send('eth_getLogs', [{ fromBlock: hex(0), toBlock: hex(999) }]), /more than 10000 results/)
+    assert.strictEqual(backup.calls.length, 0)
+    assert.strictEqual(pool.stats()[0].failures, 0)
+
+    // So fetchLogsRange() can split the range on the same endpoint
+    assert.deepStrictEqual(await fetchLogsRange(pool.provider, { fromBlock: 0, toBlock: 999 }, { initialChunkSize: 1000 }), [])
+    assert.ok(primary.calls.filter(call => call.method === 'eth_getLogs').length > 10)
+    assert.strictEqual(backup.calls.length, 0)
+    assert.strictEqual(events.length, 0)
+  })
+
+  it('passes other JSON-RPC errors to the caller without failing over', async () => {
+    const { pool, events } = createPool()
+
+    await assert.rejects(pool.send('eth_call', [{ to: '0x00' }, 'latest']), /execution reverted/)
+    assert.strictEqual(backup.calls.length, 0)
+    assert.strictEqual(pool.stats()[0].failures, 0)
+    assert.strictEqual(events.length, 0)
+  })
+
+  it('fails with the last error when every endpoint failed, then while all are ejected', async () => {
+    const { pool } = createPool({ maxFailures: 1 })
+    primary.failure = 'http'
+    backup.failure = 'http'
+
+    await assert.rejects(pool.send('eth_getBalance', ['0x00', 'latest']), error => error.endpoint === 'backup')
+    await assert.rejects(pool.send('eth_getBalance', ['0x00', 'latest']), /are ejected, next re-admission in/)
+  })
+
+  it('sends state older than a full node keeps to the archive endpoint', async () => {
+    const { pool } = createPool({}, [{}, { archive: true }])
+
+    assert.strictEqual(await pool.send('eth_getBalance', ['0x00', hex(HEAD - 10)]), '0x1')
+    assert.strictEqual(await pool.send('eth_getBalance', ['0x00', hex(HEAD - 500)]), '0x2')
+    assert.strictEqual(primary.calls.filter(call => call.method === 'eth_getBalance').length, 1)
+  })
+
+  it('refuses state no endpoint keeps before sending it', async () => {
+    const { pool } = createPool()
+
+    await assert.rejects(pool.send('eth_getBalance', ['0x00', hex(HEAD - 500)]), error => {
+      assert.ok(error instanceof MissingArchiveStateError)
+      return true
+    })
+    assert.ok(primary.calls.every(call => call.method === 'eth_blockNumber'))
+  })
+
+  it('serves ethers calls through the pool', async () => {
+    const { pool } = createPool()
+    primary.failure = 'http'
+
+    assert.strictEqual((await pool.provider.getBalance('0x0000000000000000000000000000000000000000')).toString(), '2')
+    assert.strictEqual(await pool.provider.getBlockNumber(), HEAD)
+  })
+})
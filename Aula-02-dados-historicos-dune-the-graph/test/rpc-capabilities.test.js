@@ -0,0 +1,85 @@
+const assert = require('assert')
+const { probeEndpoint } = require('../lib/rpc-capabilities')
+const { readJsonCache } = require('../lib/cache')
+const { startJsonRpcServer, rpcError, httpError, hex } = require('./helpers/json-rpc-server')
+
+const HEAD = 1000
+const CACHE_FILE = 'rpc-capabilities-test.json'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Archive node, trace/debug disabled, eth_getLogs limited to 1000 blocks
+// (answered with -32005, as Infura does)
+function archiveNode(overrides = {}) {
+  return {
+    eth_chainId: () => '0x1',
+    eth_blockNumber: () => hex(HEAD),
+    eth_getBalance: () => '0x0',
+    eth_getLogs: ([filter]) => {
+      if (parseInt(filter.toBlock, 16) - parseInt(filter.fromBlock, 16) + 1 > 1000) {
+        throw rpcError(-32005, 'query returned more than 10000 results')
+      }
+      return []
+    },
+    ...overrides
+  }
+}
+
+describe('probeEndpoint (lib/rpc-capabilities.js)', () => {
+  let node = null
+
+  afterEach(async () => {
+    if (node) await node.close()
+    node = null
+  })
+
+  const cached = () => readJsonCache(CACHE_FILE)
+
+  it('caches a definitive probe, including a -32005 range limit', async () => {
+    node = await startJsonRpcServer(archiveNode())
+    const capabilities = await probeEndpoint(node.url, { cacheFile: CACHE_FILE })
+
+    assert.strictEqual(capabilities.archive, true)
+    assert.strictEqual(capabilities.trace, false)
+    assert.strictEqual(capabilities.maxLogRange, 1000)
+    assert.strictEqual(capabilities.batch, true)
+
+    const calls = node.calls.length
+    await probeEndpoint(node.url, { cacheFile: CACHE_FILE })
+    assert.strictEqual(node.calls.length, calls)
+  })
+
+  it('does not cache a probe that was rate limited or timed out', async () => {
+    const failures = {
+      'a -32005 rate limit': () => { throw rpcError(-32005, 'daily request count exceeded, request rate limited') },
+      'a bare -32005 limit exceeded': () => { throw rpcError(-32005, 'limit exceeded') },
+      'an HTTP 429': () => { throw httpError(429, 'Too Many Requests') },
+      'a timeout': () => sleep(500).then(() => '0x0')
+    }
+
+    for (const [failure, eth_getBalance] of Object.entries(failures)) {
+      node = await startJsonRpcServer(archiveNode({ eth_getBalance }))
+
+      await assert.rejects(probeEndpoint(node.url, { cacheFile: CACHE_FILE, timeoutMs: 200 }), `${failure} aborts the probe`)
+      assert.strictEqual(Object.keys(cached()).length, 1, `${failure} is not cached`)
+
+      await node.close()
+      node = null
+    }
+  })
+
+  it('does not cache a batch answer refused with a rate limit', async () => {
+    node = await startJsonRpcServer(archiveNode(), { refuseBatches: 429 })
+
+    await assert.rejects(probeEndpoint(node.url, { cacheFile: CACHE_FILE }))
+    assert.strictEqual(Object.keys(cached()).length, 1)
+  })
+
+  it('caches a batch refused with another HTTP error as unsupported', async () => {
+    node = await startJsonRpcServer(archiveNode(), { refuseBatches: 400 })
+    const capabilities = await probeEndpoint(node.url, { cacheFile: CACHE_FILE })
+
+    assert.strictEqual(capabilities.batch, false)
+    assert.strictEqual(Object.keys(cached()).length, 2)
+  })
+})
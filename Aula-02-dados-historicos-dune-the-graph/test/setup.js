@@ -0,0 +1,17 @@
+/**
+ * Mocha root hooks: every cache the tests write goes to a temporary
+ * CACHE_DIR, never to the package's .cache/
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'evm-history-test-'))
+process.env.CACHE_DIR = cacheDir
+
+exports.mochaHooks = {
+  afterAll() {
+    fs.rmSync(cacheDir, { recursive: true, force: true })
+  }
+}
@@ -0,0 +1,182 @@
+const assert = require('assert')
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const { createForkManager } = require('../lib/tenderly-forks')
+
+const ACCESS_KEY = 'test-key'
+const PROJECT_PATH = '/api/v1/account/me/project/workshop'
+
+/**
+ * Tenderly's fork endpoints for one project, and the fork JSON-RPC
+ * (evm_snapshot / evm_revert) under /rpc/fork/<id>
+ */
+function startTenderlyApi() {
+  const forks = new Map()
+  const snapshots = new Map()
+  let created = 0
+
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'content-type': 'application/json' })
+        res.end(data === undefined ? '' : JSON.stringify(data))
+      }
+
+      if (req.url.startsWith('/rpc/fork/')) {
+        const id = req.url.split('/')[3]
+        const { id: requestId, method, params } = JSON.parse(body)
+        const reply = result => send(200, { jsonrpc: '2.0', id: requestId, result })
+
+        if (!forks.has(id)) return send(200, { jsonrpc: '2.0', id: requestId, error: { code: -32000, message: 'fork not found' } })
+
+        const taken = snapshots.get(id) || []
+        snapshots.set(id, taken)
+        if (method === 'evm_snapshot') {
+          taken.push(`0x${taken.length + 1}`)
+          return reply(taken[taken.length - 1])
+        }
+        if (method === 'evm_revert') return reply(taken.includes(params[0]))
+        return reply('0x1')
+      }
+
+      if (req.headers['x-access-key'] !== ACCESS_KEY) return send(401, { error: { message: 'unauthorized' } })
+      if (!req.url.startsWith(PROJECT_PATH)) return send(404, { error: { message: 'project not found' } })
+
+      const route = req.url.slice(PROJECT_PATH.length)
+      const forkId = (route.match(/^\/fork\/([^/]+)$/) || [])[1]
+
+      if (req.method === 'POST' && route === '/fork') {
+        const payload = JSON.parse(body)
+        const fork = {
+          id: `fork-${++created}`,
+          alias: payload.alias,
+          network_id: payload.network_id,
+          block_number: payload.block_number || 19000000,
+          created_at: new Date().toISOString()
+        }
+        forks.set(fork.id, fork)
+        return send(200, { simulation_fork: fork, root_transaction: { id: 'root' } })
+      }
+      if (req.method === 'GET' && route === '/forks') return send(200, { simulation_forks: [...forks.values()] })
+      if (forkId && req.method === 'GET') {
+        return forks.has(forkId) ? send(200, { simulation_fork: forks.get(forkId) }) : send(404, { error: { message: 'fork not found' } })
+      }
+      if (forkId && req.method === 'DELETE') {
+        return forks.delete(forkId) ? send(204) : send(404, { error: { message: 'fork not found' } })
+      }
+
+      send(404, { error: { message: 'no route' } })
+    })
+  })
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const url = `http://127.0.0.1:${server.address().port}`
+    resolve({ url, forks, close: () => new Promise(done => server.close(done)) })
+  }))
+}
+
+describe('createForkManager (lib/tenderly-forks.js)', () => {
+  let api = null
+  let file = null
+
+  beforeEach(async () => {
+    api = await startTenderlyApi()
+    file = path.join(process.env.CACHE_DIR, 'tenderly-forks.json')
+    fs.rmSync(file, { force: true })
+  })
+
+  afterEach(() => api.close())
+
+  const manager = (options = {}) => createForkManager({
+    file,
+    baseUrl: `${api.url}/api/v1`,
+    rpcUrl: `${api.url}/rpc`,
+    user: 'me',
+    project: 'workshop',
+    accessKey: ACCESS_KEY,
+    ...options
+  })
+
+  it('records a named fork and reopens it from the file', async () => {
+    const fork = await manager().open('workshop', { blockNumber: 18000000 })
+
+    assert.strictEqual(fork.rpcUrl, `${api.url}/rpc/fork/${fork.id}`)
+    assert.strictEqual(fork.blockNumber, 18000000)
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).forks.workshop.id, fork.id)
+
+    // A teammate with the committed file
+    const reopened = await manager().open('workshop', { blockNumber: 18000000 })
+    assert.strictEqual(reopened.id, fork.id)
+    assert.strictEqual(api.forks.size, 1)
+  })
+
+  it('creates a new fork for another block, or when the recorded one was deleted', async () => {
+    const forks = manager()
+    const first = await forks.open('workshop', { blockNumber: 18000000 })
+    const second = await forks.open('workshop', { blockNumber: 18000001 })
+
+    assert.notStrictEqual(second.id, first.id)
+    assert.strictEqual(forks.saved().workshop.id, second.id)
+
+    api.forks.delete(second.id)
+    const third = await forks.open('workshop', { blockNumber: 18000001 })
+    assert.notStrictEqual(third.id, second.id)
+    assert.strictEqual(api.forks.size, 2)
+  })
+
+  it('finds a fork by its alias when the file does not record it', async () => {
+    const created = await manager().open('workshop', { blockNumber: 18000000 })
+    fs.rmSync(file)
+
+    const forks = manager()
+    assert.strictEqual((await forks.open('workshop', { blockNumber: 18000000 })).id, created.id)
+    assert.strictEqual(forks.saved().workshop.id, created.id)
+    assert.strictEqual(api.forks.size, 1)
+  })
+
+  it('snapshots and reverts through the fork RPC', async () => {
+    const forks = manager()
+    const fork = await forks.create({ name: 'snapshots' })
+
+    const snapshot = await forks.snapshot(fork)
+    await forks.revert(fork, snapshot)
+    await assert.rejects(forks.revert(fork, '0x99'), new RegExp(`Fork ${fork.id} has no snapshot 0x99`))
+  })
+
+  it('removes forks by name or id, forgetting them in the file', async () => {
+    const forks = manager()
+    const fork = await forks.open('workshop')
+
+    await forks.remove('workshop')
+    assert.strictEqual(api.forks.has(fork.id), false)
+    assert.deepStrictEqual(forks.saved(), {})
+    assert.strictEqual(await forks.get(fork.id), null)
+
+    // Already gone: not an error
+    await forks.remove(fork.id)
+  })
+
+  it('keeps temporary forks out of the file and deletes them on cleanup()', async () => {
+    const forks = manager()
+    const listeners = process.listenerCount('SIGINT')
+    const temporary = [await forks.create({ temporary: true }), await forks.create({ temporary: true, name: 'scratch' })]
+
+    assert.deepStrictEqual(forks.saved(), {})
+    assert.strictEqual(process.listenerCount('SIGINT'), listeners + 1)
+
+    assert.deepStrictEqual((await forks.cleanup()).sort(), temporary.map(fork => fork.id).sort())
+    assert.strictEqual(api.forks.size, 0)
+    assert.strictEqual(process.listenerCount('SIGINT'), listeners)
+  })
+
+  it('reports API errors with their status', async () => {
+    await assert.rejects(manager({ accessKey: 'wrong' }).list(), error => {
+      assert.strictEqual(error.status, 401)
+      assert.match(error.message, /Tenderly API 401: unauthorized/)
+      return true
+    })
+  })
+})